@@ -16,13 +16,14 @@ const { Action } = require("./lib/action");
 const Asset = require("./lib/asset");
 const { Prepare } = require("./lib/prepare");
 const { Rendition } = require("./lib/rendition");
-const { Storage } = require("./lib/storage");
-const { Utils, Timer, detectContentType, ImageInfo } = require("./lib/utils");
+const { Storage, StorageProviders, FileStorageProvider, MemoryStorageProvider, LocalTemporaryStorage, TemporaryCloudStorage, DownloadCache, setTemporaryStorage, sweepTemporaryStorage } = require("./lib/storage");
+const { Utils, Timer, detectContentType, ImageInfo, normalizeMimetype, addMimetypeAlias, fileDigest, fileDigests, verifyFileDigests } = require("./lib/utils");
 const Transformer = require("./lib/transformer");
 const { Plan } = require("./lib/plan");
 const Engine = require("./lib/engine");
 const Manifest = require("./lib/manifest");
 const Metadata = require("./lib/metadata");
+const { TransformerTimeoutError, CancelledError } = require("./lib/errors");
 
 module.exports = {
     Action,
@@ -30,13 +31,28 @@ module.exports = {
     Prepare,
     Rendition,
     Storage,
+    StorageProviders,
+    FileStorageProvider,
+    MemoryStorageProvider,
+    LocalTemporaryStorage,
+    TemporaryCloudStorage,
+    DownloadCache,
+    setTemporaryStorage,
+    sweepTemporaryStorage,
     Utils,
     Timer,
     detectContentType,
     ImageInfo,
+    normalizeMimetype,
+    addMimetypeAlias,
+    fileDigest,
+    fileDigests,
+    verifyFileDigests,
     Transformer,
     Plan,
     Engine,
     Manifest,
-    Metadata
+    Metadata,
+    TransformerTimeoutError,
+    CancelledError
 };
\ No newline at end of file
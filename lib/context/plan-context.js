@@ -35,6 +35,30 @@ class PlanContext {
     get originalInput() {
         return this[INTERNAL].originalInput;
     }
+
+    set cost(value) {
+        this[INTERNAL].cost = value;
+    }
+
+    get cost() {
+        return this[INTERNAL].cost;
+    }
+
+    set alternatives(value) {
+        this[INTERNAL].alternatives = value;
+    }
+
+    get alternatives() {
+        return this[INTERNAL].alternatives;
+    }
+
+    set output(value) {
+        this[INTERNAL].output = value;
+    }
+
+    get output() {
+        return this[INTERNAL].output;
+    }
 }
 
 module.exports = {
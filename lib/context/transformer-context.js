@@ -70,9 +70,13 @@ class TransformerContext {
 
         this[INTERNAL].originalInput = null;
         this[INTERNAL].input = null;
+        this[INTERNAL].inputs = null;
         this[INTERNAL].output = null;
+        this[INTERNAL].outputs = null;
 
         this[INTERNAL].directory = null;
+        this[INTERNAL].signal = null;
+        this[INTERNAL].attempt = 1;
     }
 
     set originalInput(value) {
@@ -83,14 +87,30 @@ class TransformerContext {
         this[INTERNAL].input = value;
     }
 
+    set inputs(value) {
+        this[INTERNAL].inputs = value;
+    }
+
     set output(value) {
         this[INTERNAL].output = value;
     }
 
+    set outputs(value) {
+        this[INTERNAL].outputs = value;
+    }
+
     set directory(value) {
         this[INTERNAL].directory = value;
     }
 
+    set signal(value) {
+        this[INTERNAL].signal = value;
+    }
+
+    set attempt(value) {
+        this[INTERNAL].attempt = value;
+    }
+
     get plan() {
         return this[INTERNAL].plan;
     }
@@ -115,13 +135,43 @@ class TransformerContext {
         return this[INTERNAL].input;
     }
 
+    /**
+     * Map of all input assets by slot name, the main input is `input` (see `Manifest.slots`)
+     */
+    get inputs() {
+        return this[INTERNAL].inputs;
+    }
+
     get output() {
         return this[INTERNAL].output;
     }
 
+    /**
+     * Collection of the files produced by a transformer with multiple outputs (see `Manifest.cardinality`),
+     * null for other transformers
+     */
+    get outputs() {
+        return this[INTERNAL].outputs;
+    }
+
     get directory() {
         return this[INTERNAL].directory;
     }
+
+    /**
+     * AbortSignal of the running attempt of the step, aborted when processing is cancelled or the step timed out.
+     * Transformers doing long running work should stop when it is aborted.
+     */
+    get signal() {
+        return this[INTERNAL].signal;
+    }
+
+    /**
+     * Attempt number of the step starting at 1, incremented for each retry (see `Manifest.retry`)
+     */
+    get attempt() {
+        return this[INTERNAL].attempt;
+    }
 }
 
 module.exports = {
@@ -15,30 +15,50 @@
 //const debug = require('debug')('pipeline:engine');
 const debug = console.log;
 const PlanFinder = require('./plan-finder');
-const { Plan, PLAN_STATE } = require('./plan');
+const { Plan, PLAN_STATE, STEP_STATE } = require('./plan');
+const { PlanTree } = require('./plan-tree');
 const Asset = require('./asset');
-const { Rendition } = require('./rendition');
+const { Rendition, RenditionCollection } = require('./rendition');
 const { Utils } = require('./utils');
 const Metadata = require('./metadata');
+const Manifest = require('./manifest');
+const { TransformerTimeoutError, CancelledError } = require('./errors');
+const { throwIfAborted, abortable, linkedAbortController } = require('./utils/abort');
+const { attributeMatches, inputMismatches, stepCost } = require('./plan-finder-utils');
 
 const { Prepare } = require('../lib/prepare');
 const { Storage } = require('./storage');
-const { TemporaryCloudStorage } = require('./storage/temporary-cloud-storage');
 
-const { GenericError, AssetComputeEvents, OpenwhiskActionName, Reason, AssetComputeLogUtils, SourceUnsupportedError } = require('@adobe/asset-compute-commons');
+const { GenericError, ClientError, AssetComputeEvents, OpenwhiskActionName, Reason, AssetComputeLogUtils } = require('@adobe/asset-compute-commons');
 
 const { TransformerContext } = require('./context/transformer-context');
 const { EngineContext } = require('./context/engine-context');
 // get utils
 const datauri = require('./storage/datauri');
 
-const validUrl = require('valid-url');
-const validDataUrl = require('valid-data-url');
+const fs = require('fs-extra');
+const path = require('path');
 
 const EVENT_RENDITION_CREATED = "rendition_created";
 const EVENT_RENDITION_FAILED = "rendition_failed";
 const METRIC_RENDITION = "rendition";
+const METRIC_TRANSFORMER_RETRY = "transformer_retry";
+const METRIC_TEMP_STORAGE_LEAK = "temp_cloud_storage_leak";
 const CLEANUP_FAILED_EXIT_CODE = 100;
+// number of alternative plans to fall back to when a transformer fails
+const DEFAULT_MAX_PLAN_FALLBACKS = 2;
+// step input attributes describing where the file is, not what it is
+const FILE_ATTRIBUTES = ['path', 'url', 'size', 'parts'];
+// registers transformers with an invalid manifest with a warning instead of rejecting them
+const MANIFEST_VALIDATION_LENIENT = 'lenient';
+// time kept before the activation deadline to send failure events and metrics
+const DEFAULT_DEADLINE_SAFETY_MARGIN_MS = 10000;
+// transformers are not retried unless their manifest or registration options define a retry policy
+const DEFAULT_RETRY_POLICY = Object.freeze({
+    maxAttempts: 1,
+    backoff: 1000,
+    backoffFactor: 2
+});
 
 // holds private member fields
 const INTERNAL = Symbol("internal");
@@ -59,6 +79,7 @@ class Engine {
         debug('new Engine()');
         this[INTERNAL] = {};
         this[INTERNAL].registry = {};
+        this[INTERNAL].retryPolicies = {};
         this[INTERNAL].params = params || {};
         this[INTERNAL].params.times = this[INTERNAL].params.times || {};
         this[INTERNAL].context = new EngineContext(this, this[INTERNAL].params);
@@ -88,54 +109,273 @@ class Engine {
 
     /**
      * Run Pipeline
+     * @param {Plan} plan plan to run
+     * @param {Object} [options] options
+     * @param {AbortSignal} [options.signal] aborting it cancels the plan, cleanup still runs
      */
-    async run(plan) {
+    async run(plan, options = {}) {
         if (!plan || !(plan instanceof Plan)) {
             const message = 'Pipeline engine did not get a valid plan';
             debug(message);
             throw new GenericError(message, 'pipelineRun');
         }
 
-        let finalOutput;
-
+        this[INTERNAL].signal = options.signal;
         try {
-            debug(`Running the plan: ${plan}`);
-            // run loop: executes steps one after the others
-            let currentStep = plan.current;
             this.stepCount = 0; // step counter for folder naming and debugging
+            await this.executePlan(plan);
+        } catch (error) {
+            // note specific failures will be thrown inside engine methods
+            // errors here are typically developer errors or other oncaught system errors
+            debug("Error occurred, aborting current plan: ", error);
+            await this[INTERNAL].context.metrics.handleError(error);
+            throw this.getResult(plan.output, error); // TODO: pass transformerContext instead of passing result
+        } finally {
+            // remove temporary files
+            await this.cleanup(plan.output);
+        }
+        return this.getResult(plan.output);
+    }
 
-            // special case at the start
-            // TODO: revisit when we go over design with core
-            if (currentStep.start) {
-                currentStep = plan.advance();
-            }
+    /**
+     * Run Pipeline for all renditions of a request
+     * - extracts metadata (and downloads the source if needed) only once
+     * - builds and runs one plan per rendition
+     * - a failing rendition sends its own `rendition_failed` event and does not abort the others
+     * @param {Object} source source contains metadata about the input (eg. mimetype, width, height, colorspace, ...), url, etc. (required)
+     * @param {Array} renditions list of rendition instructions (required)
+     * @param {Object} [options] options
+     * @param {AbortSignal} [options.signal] aborting it cancels all remaining plans, cleanup still runs
+     */
+    async runAll(source, renditions, options = {}) {
+        if (!source || typeof source !== 'object') {
+            const message = 'Pipeline engine did not get a valid source';
+            debug(message);
+            throw new GenericError(message, 'pipelineRunAll');
+        }
+        if (!Array.isArray(renditions) || renditions.length === 0) {
+            const message = 'Pipeline engine did not get any renditions';
+            debug(message);
+            throw new GenericError(message, 'pipelineRunAll');
+        }
+        if (!this[INTERNAL].params.renditions) {
+            this[INTERNAL].context.metrics.add({ renditionCount: renditions.length });
+        }
 
-            while (plan.state === PLAN_STATE.IN_PROGRESS) {
-                const previousOutput = await this.executeTransformer(plan);
-                finalOutput = previousOutput; // after last step, will contain the rendition
+        this[INTERNAL].signal = options.signal;
+        const plans = [];
+        try {
+            this.stepCount = 0; // shared by all plans so each transformer directory stays unique
 
-                // set the output of the previous step to be the input for the next step
-                currentStep = this.updateNextStep(plan, previousOutput);
-                debug('plan: %s', plan);
+            // source is downloaded at most once, all plans then reuse `source.path`
+            let metadataError;
+            if (!this[INTERNAL].params.skipMetadataExtraction) {
+                try {
+                    const assetMetadata = await this.getMetadata(source, options.signal);
+                    Object.assign(source, assetMetadata.metadata);
+                    AssetComputeLogUtils.log(source, 'Input for runAll with metadata:');
+                } catch (error) {
+                    metadataError = error;
+                }
             }
 
-            // optional upload
-            if (plan.state === PLAN_STATE.SUCCEEDED) {
-                await this.upload(finalOutput);
+            for (const outputInstructions of renditions) {
+                const plan = new Plan();
+                plans.push(plan);
+                if (metadataError) {
+                    await this.planFailure(plan, outputInstructions, metadataError);
+                    continue;
+                }
+                try {
+                    // each plan gets its own copy, plan finding and preparation update the input
+                    this.addPlanSteps(plan, { ...source }, outputInstructions);
+                } catch (error) {
+                    await this.planFailure(plan, outputInstructions, error);
+                }
             }
-            debug(`no more steps, execution finished.`);
+            await this.downloadSharedSource(source, plans, renditions, options.signal);
 
-        } catch (error) {
-            // note specific failures will be thrown inside engine methods
-            // errors here are typically developer errors or other oncaught system errors
-            debug("Error occurred, aborting current plan: ", error);
-            await this[INTERNAL].context.metrics.handleError(error);
-            throw this.getResult(finalOutput, error); // TODO: pass transformerContext instead of passing result
+            // plans sharing a common prefix run the shared steps only once
+            this[INTERNAL].planTree = new PlanTree(plans.filter(plan => plan.state === PLAN_STATE.INITIAL));
+            debug(`Plan tree: ${this[INTERNAL].planTree}`);
+
+            for (let i = 0; i < plans.length; i++) {
+                const plan = plans[i];
+                try {
+                    await this.executePlan(plan);
+                } catch (error) {
+                    debug(`Error occurred, aborting plan for rendition ${i}: `, error);
+                    await this.planFailure(plan, renditions[i], error, `${this[INTERNAL].actionName}_runAll`);
+                    if (plan.output) {
+                        plan.output.eventSent = true;
+                    }
+                }
+            }
         } finally {
             // remove temporary files
-            await this.cleanup(finalOutput);
+            await this.cleanup(plans.map(plan => plan.output).filter(output => output));
+        }
+        return this.getResult();
+    }
+
+    /**
+     * Downloads the source once for all plans of `runAll()` with a step reading it locally,
+     * instead of once in each plan, unless metadata extraction already downloaded it.
+     * The plans needing the source fail if it cannot be downloaded.
+     * @param {Asset} source source of all plans, `source.path` is set once downloaded
+     * @param {Array<Plan>} plans plans in the order of the renditions
+     * @param {Array<Object>} renditions rendition instructions
+     * @param {AbortSignal} [signal] aborting it cancels the download
+     */
+    async downloadSharedSource(source, plans, renditions, signal) {
+        if (!source.url || source.path) {
+            return;
+        }
+        const needed = plans.filter(plan => plan.state === PLAN_STATE.INITIAL &&
+            sourceInputs(plan.steps, source.url).some(input => !input.path && input.sourceType !== TransformerSourceType.URL));
+        if (needed.length === 0) {
+            return;
+        }
+        try {
+            debug(`downloading source once for ${needed.length} plan(s)`);
+            this[INTERNAL].context.timers.download.start();
+            // download input to <baseDirectory>/inputfile and set source.path
+            const asset = await Storage.getSource(source, this[INTERNAL].context.baseDirectory, false, { signal });
+            source.path = asset.path;
+            for (const plan of plans) {
+                // plan finding works on copies of the source (e.g. with a normalized type),
+                // alternatives take the path over when falling back (see `fallback()`)
+                useLocalSource(plan.steps, source.url, asset.path);
+            }
+        } catch (error) {
+            for (const plan of needed) {
+                await this.planFailure(plan, renditions[plans.indexOf(plan)], error, `${this[INTERNAL].actionName}_runAll`);
+            }
+        } finally {
+            this[INTERNAL].context.timers.download.stop();
+        }
+    }
+
+    /**
+     * Executes all remaining steps of a plan and uploads the final output
+     * @param {Plan} plan plan to execute
+     * @returns {Rendition} output of the last executed step
+     */
+    async executePlan(plan) {
+        debug(`Running the plan: ${plan}`);
+        // run loop: executes steps one after the others
+
+        if (plan.state === PLAN_STATE.INITIAL && plan.steps.some(step => step.state !== STEP_STATE.PENDING)) {
+            // deserialized plan which already partially ran
+            this.resumePlan(plan);
+        } else if (plan.current.start) {
+            // special case at the start
+            // TODO: revisit when we go over design with core
+            if (plan.advance()) {
+                // conditions of the first steps are evaluated against the source
+                this.skipSourceSteps(plan);
+            }
+        }
+
+        while (plan.state === PLAN_STATE.IN_PROGRESS) {
+            const previousOutput = await this.executeTransformer(plan);
+            if (plan.current && plan.current.start) {
+                // the step failed and the plan fell back to an alternative, start over with its first step
+                plan.advance();
+                continue;
+            }
+            plan.updateOutput(previousOutput); // after last step, will contain the rendition
+
+            // set the output of the previous step to be the input for the next step
+            this.updateNextStep(plan, previousOutput);
+            debug('plan: %s', plan);
+        }
+
+        // optional upload
+        if (plan.state === PLAN_STATE.SUCCEEDED) {
+            await this.upload(plan.output);
+        }
+        debug(`no more steps, execution finished.`);
+        return plan.output;
+    }
+
+    /**
+     * Prepares a deserialized plan which already partially ran to continue from its first unfinished step.
+     * Outputs of succeeded steps are reused if they are still available, uploaded (`url`) or on the local disk (`path`),
+     * otherwise the steps producing them run again.
+     * @param {Plan} plan plan to resume
+     */
+    resumePlan(plan) {
+        const steps = plan.steps;
+        // steps skipped because of their condition are finished, steps not run because the plan failed are not
+        let index = steps.findIndex(step => step.state !== STEP_STATE.SUCCEEDED && step.state !== STEP_STATE.SKIPPED);
+        if (index === -1) {
+            index = steps.length;
+        }
+        // the output to continue with is the one of the last succeeded step,
+        // the final rendition must be on the local disk to be uploaded
+        let previousStep;
+        for (;;) {
+            previousStep = lastSucceededStep(steps, index);
+            while (previousStep && !isOutputAvailable(previousStep.outputReference, index === steps.length)) {
+                index = steps.indexOf(previousStep);
+                previousStep = lastSucceededStep(steps, index);
+            }
+            // fan-in steps need the outputs of the slot chains as well
+            const missingSlot = steps.slice(0, index).find(step => isSlotStep(step) && step.state === STEP_STATE.SUCCEEDED
+                && !isOutputAvailable(step.outputReference, false));
+            if (!missingSlot) {
+                break;
+            }
+            index = steps.indexOf(missingSlot);
+        }
+        const resumeStep = steps[index];
+        steps.slice(index).forEach(step => {
+            step.updateState(STEP_STATE.PENDING);
+            step.updateOutputReference(undefined);
+            step.updateDuration(undefined);
+        });
+        debug(`Resuming plan at step ${index}: ${resumeStep ? resumeStep.name : 'upload'}`);
+        plan.resumeAt(resumeStep);
+        this.stepCount = index; // avoid replacing the transformer directories of reused outputs
+
+        if (previousStep && !(resumeStep && isSlotStep(previousStep))) {
+            const reference = previousStep.outputReference;
+            const local = isOutputAvailable(reference, true);
+            let output = new Rendition({ ...previousStep.attributes.output }, this[INTERNAL].context.baseDirectory);
+            if (local) {
+                output.path = reference.path;
+            }
+            output.url = reference.url;
+            output.facts = { ...reference.facts };
+            if (reference.parts) {
+                addParts(output, reference.parts);
+            }
+            if (!resumeStep && steps[index - 1] !== previousStep) {
+                // the last steps were skipped
+                output = passThroughOutput(steps[index - 1], output, this[INTERNAL].context.baseDirectory);
+            }
+            plan.updateOutput(output);
+
+            const nextStep = resumeStep && this.skipUnmetSteps(plan, outputFacts(output));
+            if (nextStep && output.parts) {
+                nextStep.attributes.input.parts = output.parts.map(partInput);
+            } else if (nextStep) {
+                const input = nextStep.attributes.input;
+                if (local) {
+                    input.path = reference.path;
+                    input.size = reference.size;
+                } else {
+                    // local file of the previous run is gone
+                    delete input.path;
+                }
+                if (reference.url) {
+                    input.url = reference.url;
+                }
+            }
+        } else if (resumeStep) {
+            this.skipSourceSteps(plan);
         }
-        return this.getResult(finalOutput);
     }
 
     /**
@@ -166,14 +406,35 @@ class Engine {
             throw new GenericError(`Unknown Transformer: Transformer ${transformerName} not found in the registry`, `${transformerName}_executeTransformer`);
         }
 
+        // steps shared with other plans (see runAll) only run once
+        const sharedNode = this[INTERNAL].planTree && this[INTERNAL].planTree.sharedNode(step);
+        if (sharedNode && sharedNode.executed) {
+            return this.reuseSharedOutput(plan, sharedNode);
+        }
+
+        const startTime = Date.now();
+        step.updateState(STEP_STATE.RUNNING);
         const transformerContext = new TransformerContext(plan, plan.current, transformer);
         transformerContext.originalInput = plan.originalInput;
 
         try {
-            // prepare updates transformerContext with input and output
-            await this.prepare(transformerContext);
-            await transformer.compute(transformerContext.input, transformerContext.output, transformerContext);
-            
+            await this.withRetry(step, transformer, attempt => this.withTimeout(transformer, async signal => {
+                throwIfAborted(signal, `${transformerName}_executeTransformer`);
+                // each attempt has its own signal, aborted when it times out, and its own directories
+                transformerContext.signal = signal;
+                transformerContext.attempt = attempt;
+                const parts = step.attributes.input && step.attributes.input.parts;
+                if (parts) {
+                    // the previous step produced multiple files, the transformer runs once for each of them
+                    await this.computeParts(transformerContext, parts);
+                } else {
+                    // prepare updates transformerContext with input and output
+                    await this.prepare(transformerContext);
+                    await this.compute(transformerContext);
+                }
+            }));
+            checkCardinality(transformer, transformerContext.output);
+
             // check if output was created
             // TODO: this.options.disableRenditionUpload
             // note: none of the transformers we are integrating for V1 of the pipeline use disableRenditionUpload
@@ -185,40 +446,358 @@ class Engine {
             }
 
             debug(`Transformer ${transformerName} executed successfully`);
+            step.updateState(STEP_STATE.SUCCEEDED);
+            step.updateDuration(Date.now() - startTime);
+            step.updateOutputReference(outputReference(transformerContext.output));
+            if (sharedNode) {
+                sharedNode.executed = true;
+                sharedNode.output = transformerContext.output;
+            }
             return transformerContext.output;
         } catch (error) {
             // make sure to log full stack trace for debugging
             debug(error);
-            // entire plan must be marked as failed
-            plan.fail();
-            // future, continue with next rendition/plan in executeTransformer()
 
             // ensure a GenericError is thrown if no asset compute specific error is used
             const wrappedError = this.wrapError(error, `Transformer ${transformerName} failed`, `${transformerName}_executeTransformer`);
+            step.updateState(STEP_STATE.FAILED);
+            step.updateDuration(Date.now() - startTime);
+            if (sharedNode) {
+                sharedNode.executed = true;
+                sharedNode.error = wrappedError;
+            }
+            if (this.fallback(plan, wrappedError)) {
+                return transformerContext.output;
+            }
+            if (!transformerContext.output) {
+                // failed before prepare created the output, the failure event still needs the rendition instructions
+                transformerContext.output = new Rendition({ ...step.attributes.output }, this[INTERNAL].context.baseDirectory);
+            }
+            // entire plan must be marked as failed (or cancelled)
+            failOrCancel(plan, wrappedError);
             await this.renditionFailure(transformerContext.output, wrappedError);
         }
         return transformerContext.output;
     }
 
-    registerTransformer(transformer) {
-        // TODO: validateTransformer()
-        // validate its instanceof transformer, maybe follows normal patterns for manifest
-        // transformer must have: name, manifest, compute() function
-        // log error and skip registering if its invalid
+    /**
+     * Calls `compute()` of the transformer of a prepared step
+     * @param {TransformerContext} transformerContext context of the step
+     */
+    async compute(transformerContext) {
+        const transformer = transformerContext.transformer;
+        const manifest = transformer.manifest || {};
+        // fan-in transformers get the map of all their inputs
+        const input = manifest.slots ? transformerContext.inputs : transformerContext.input;
+        // transformers with multiple outputs get the collection of their outputs
+        const output = manifest.cardinality ? transformerContext.outputs : transformerContext.output;
+        // transformers ignoring the signal are not waited for once it is aborted
+        await abortable(transformer.compute(input, output, transformerContext),
+            transformerContext.signal, `${transformer.name}_executeTransformer`);
+    }
+
+    /**
+     * Runs a step once for each file produced by the previous step, a transformer with multiple outputs.
+     * Each run has its own directory, the output of each run is one of the files of the step output.
+     * @param {TransformerContext} transformerContext context of the step, its output is set to the rendition made of all files
+     * @param {Array} parts inputs of the step, one per file
+     */
+    async computeParts(transformerContext, parts) {
+        const { plan, step, transformer } = transformerContext;
+        if (transformer.manifest && transformer.manifest.cardinality) {
+            throw new GenericError(`Transformer ${transformer.name} with multiple outputs cannot run on the ${parts.length} files of the previous step`,
+                `${transformer.name}_executeTransformer_parts`);
+        }
+        const directory = await Prepare.createDirectories(stepDirectoryName(this.stepCount, transformerContext), this[INTERNAL].context.baseDirectory);
+        this[INTERNAL].context.transformerDirectories.push(directory);
+        const output = new Rendition(step.attributes.output, directory.base);
+        const outputs = new RenditionCollection(output);
+        // the output is set before running the parts in case one fails
+        transformerContext.output = output;
+        for (let index = 0; index < parts.length; index++) {
+            const partContext = new TransformerContext(plan, step, transformer);
+            partContext.originalInput = transformerContext.originalInput;
+            partContext.signal = transformerContext.signal;
+            partContext.attempt = transformerContext.attempt;
+            await this.prepare(partContext, { index, input: { ...parts[index] }, output: outputs.add() });
+            await this.compute(partContext);
+        }
+    }
+
+    /**
+     * Runs a step, failing it with a TransformerTimeoutError if it takes longer than allowed:
+     * - the `duration.max` of the transformer manifest
+     * - the time left before the activation deadline (`__OW_DEADLINE`) minus a safety margin
+     *   (`deadlineSafetyMargin` in the engine params, in milliseconds) kept to send the failure event and metrics
+     * Steps are not started if less time than their `duration.expected` is left before the deadline.
+     * Each run gets its own AbortSignal, aborted when the step times out or fails, or the plan is cancelled:
+     * downloads stop and transformers using `transformerContext.signal` are interrupted before a retry starts.
+     * @param {Transformer} transformer transformer of the step
+     * @param {Function} fn async function running the step, called with the AbortSignal of the run
+     */
+    async withTimeout(transformer, fn) {
+        const name = transformer.name;
+        const duration = (transformer.manifest && transformer.manifest.duration) || {};
+        let timeout = duration.max;
+        let activationDeadline = false;
+        if (process.env.__OW_DEADLINE) {
+            const timeLeft = this.timeUntilDeadline();
+            if (timeLeft <= 0 || timeLeft < duration.expected) {
+                throw new TransformerTimeoutError(`Not enough time left before the activation deadline to run transformer ${name}: ${Math.max(timeLeft, 0)} ms`,
+                    `${name}_executeTransformer_deadline`, Math.max(timeLeft, 0), true);
+            }
+            if (timeout === undefined || timeLeft < timeout) {
+                timeout = timeLeft;
+                activationDeadline = true;
+            }
+        }
+
+        const controller = linkedAbortController(this[INTERNAL].signal);
+        if (timeout === undefined) {
+            try {
+                return await fn(controller.signal);
+            } catch (error) {
+                controller.abort();
+                throw error;
+            } finally {
+                controller.release();
+            }
+        }
+
+        const start = Date.now();
+        let timer;
+        const expired = new Promise((resolve, reject) => {
+            timer = setTimeout(() => {
+                const message = activationDeadline ?
+                    `Transformer ${name} did not finish before the activation deadline (${timeout} ms)` :
+                    `Transformer ${name} timed out after ${timeout} ms`;
+                reject(new TransformerTimeoutError(message, `${name}_executeTransformer_timeout`, timeout, activationDeadline));
+                // stops the step, rejected first so the timeout wins over the resulting CancelledError
+                controller.abort();
+            }, timeout);
+        });
+        const execution = fn(controller.signal);
+        // a step finishing after its timeout must not cause an unhandled rejection
+        execution.catch(() => {});
+        try {
+            return await Promise.race([execution, expired]);
+        } catch (error) {
+            controller.abort();
+            throw error;
+        } finally {
+            clearTimeout(timer);
+            controller.release();
+            const elapsed = Date.now() - start;
+            if (duration.expected && elapsed > duration.expected) {
+                debug(`Transformer ${name} took ${elapsed} ms, expected ${duration.expected} ms`);
+            }
+        }
+    }
+
+    /**
+     * Time left in milliseconds before the activation deadline (`__OW_DEADLINE`),
+     * minus the safety margin kept to send failure events and metrics
+     * @returns {Number} time left in milliseconds
+     */
+    timeUntilDeadline() {
+        const margin = this[INTERNAL].params.deadlineSafetyMargin !== undefined ?
+            this[INTERNAL].params.deadlineSafetyMargin : DEFAULT_DEADLINE_SAFETY_MARGIN_MS;
+        return Utils.timeUntilActivationTimeout() - margin;
+    }
+
+    /**
+     * Returns the retry policy of a transformer: its registration options override its manifest
+     * @param {Transformer} transformer transformer
+     * @returns {Object} retry policy with `maxAttempts`, `backoff`, `backoffFactor` and optional `reasons`
+     */
+    retryPolicy(transformer) {
+        return {
+            ...DEFAULT_RETRY_POLICY,
+            ...(transformer.manifest && transformer.manifest.retry),
+            ...this[INTERNAL].retryPolicies[transformer.name]
+        };
+    }
+
+    /**
+     * Runs a step, retrying it after transient failures according to the retry policy of its transformer.
+     * Client errors and steps stopped by the activation deadline are never retried.
+     * Each failed attempt is recorded in the step messages, each retry sends a `transformer_retry` metric.
+     * @param {Step} step step to run
+     * @param {Transformer} transformer transformer of the step
+     * @param {Function} fn async function running one attempt of the step, called with the attempt number starting at 1
+     */
+    async withRetry(step, transformer, fn) {
+        const policy = this.retryPolicy(transformer);
+        for (let attempt = 1; ; attempt++) {
+            try {
+                return await fn(attempt);
+            } catch (error) {
+                const reason = (error && error.reason) || Reason.GenericError;
+                const message = (error && error.message) || error;
+                const delay = policy.backoff * (policy.backoffFactor ** (attempt - 1));
+                const retry = attempt < policy.maxAttempts && isRetryable(error, policy)
+                    && (!process.env.__OW_DEADLINE || this.timeUntilDeadline() > delay);
+                step.messages.push({
+                    attempt,
+                    reason,
+                    message: `Attempt ${attempt} of ${policy.maxAttempts} failed: ${message}`,
+                    retry
+                });
+                if (!retry) {
+                    throw error;
+                }
+                debug(`Transformer ${transformer.name} failed, retrying in ${delay} ms (attempt ${attempt} of ${policy.maxAttempts})`);
+                await this[INTERNAL].context.metrics.sendMetrics(METRIC_TRANSFORMER_RETRY, {
+                    transformer: transformer.name,
+                    attempt,
+                    maxAttempts: policy.maxAttempts,
+                    retryDelay: delay,
+                    reason,
+                    message
+                });
+                await abortable(new Promise(resolve => setTimeout(resolve, delay)), this[INTERNAL].signal, `${transformer.name}_executeTransformer`);
+            }
+        }
+    }
+
+    /**
+     * Reuses the result of a step that already ran for another plan sharing the same prefix
+     * @param {Plan} plan plan currently executed
+     * @param {PlanTreeNode} sharedNode node of the shared step
+     * @returns {Rendition} output of the shared step
+     */
+    async reuseSharedOutput(plan, sharedNode) {
+        const step = plan.current;
+        if (sharedNode.error) {
+            step.updateState(STEP_STATE.FAILED);
+            if (this.fallback(plan, sharedNode.error)) {
+                return;
+            }
+            debug(`Shared step ${step.name} failed for another plan, failing this plan as well`);
+            failOrCancel(plan, sharedNode.error);
+            // the failure event must describe the instructions of this plan
+            const output = new Rendition({ ...step.attributes.output }, this[INTERNAL].context.baseDirectory);
+            await this.renditionFailure(output, sharedNode.error);
+            return output;
+        }
+        debug(`Reusing output of shared step ${step.name}`);
+        step.updateState(STEP_STATE.SUCCEEDED);
+        step.updateOutputReference(outputReference(sharedNode.output));
+        return sharedNode.output;
+    }
+
+    /**
+     * Falls back to the next alternative plan after the current step failed.
+     * Only non-client errors (e.g. a misbehaving transformer) fall back, client errors would fail any plan.
+     * Alternatives running the failed transformer are skipped.
+     * @param {Plan} plan plan whose current step failed
+     * @param {Error} error error of the failed step
+     * @returns {Boolean} true if the plan was replaced by an alternative and must start over
+     */
+    fallback(plan, error) {
+        if ((error.reason || Reason.GenericError) !== Reason.GenericError) {
+            return false;
+        }
+        if ((error instanceof TransformerTimeoutError && error.activationDeadline) || error instanceof CancelledError) {
+            // no time left to run an alternative
+            return false;
+        }
+        const failedStep = plan.current;
+        const alternatives = plan.alternatives.filter(alternative => !alternative.steps.some(step => step.name === failedStep.name));
+        if (alternatives.length === 0) {
+            return false;
+        }
+        const [alternative, ...remaining] = alternatives;
+        debug(`Step ${failedStep.name} failed, falling back to alternative plan: ${alternative.steps.map(step => step.name)}`);
+        // alternatives are planned from their own copy of the source, without the path it was downloaded to
+        const sourceUrl = plan.originalInput && plan.originalInput.url;
+        const downloaded = sourceInputs(plan.steps, sourceUrl).find(input => input.path);
+        plan.replaceSteps(alternative.steps);
+        if (downloaded) {
+            useLocalSource(plan.steps, sourceUrl, downloaded.path);
+        }
+        plan.updateAlternatives(remaining);
+        plan.updateCost(alternative.cost);
+        this.stepCount++; // alternative gets its own transformer directories
+        return true;
+    }
+
+    /**
+     * Validates a transformer before it is registered
+     * - transformer must have a name and a `compute()` function
+     * - its manifest must follow the manifest rules (see `Manifest.validate()`)
+     * @param {Transformer} transformer transformer to validate
+     * @returns {Array} every problem found as `{ path, message }`, empty if the transformer is valid
+     */
+    validateTransformer(transformer) {
+        const problems = [];
+        if (typeof transformer.name !== 'string' || !transformer.name) {
+            problems.push({ path: 'name', message: 'must be a non-empty string' });
+        }
+        if (typeof transformer.compute !== 'function') {
+            problems.push({ path: 'compute', message: 'must be a function' });
+        }
+        if (!(transformer.manifest instanceof Manifest)) {
+            problems.push({ path: 'manifest', message: 'must be a Manifest' });
+        } else {
+            problems.push(...transformer.manifest.validate());
+        }
+        return problems;
+    }
+
+    /**
+     * Registers a transformer, replacing any transformer with the same name
+     * Invalid transformers are rejected with a GenericError,
+     * with `manifestValidation: 'lenient'` in the engine params they are registered with a warning.
+     * @param {Transformer} transformer transformer to register
+     * @param {Object} [options] registration options
+     * @param {Object} [options.retry] retry policy, overrides the retry policy of the manifest (see `Manifest.retry`)
+     */
+    registerTransformer(transformer, options = {}) {
+        if (!transformer || typeof transformer !== 'object') {
+            throw new GenericError(`Invalid transformer: ${transformer}`, 'registerTransformer');
+        }
+        const problems = this.validateTransformer(transformer);
+        if (options.retry !== undefined) {
+            problems.push(...Manifest.validateRetry(options.retry, 'options.retry'));
+        }
+        if (problems.length > 0) {
+            const message = `Invalid transformer ${transformer.name}: ${problems.map(problem => `${problem.path} ${problem.message}`).join('; ')}`;
+            if (this[INTERNAL].params.manifestValidation !== MANIFEST_VALIDATION_LENIENT) {
+                debug(message);
+                const error = new GenericError(message, 'registerTransformer');
+                error.problems = problems;
+                throw error;
+            }
+            console.log(message);
+        }
         if (this[INTERNAL].registry[transformer.name]) {
             debug(`Transformer with name ${transformer.name} already exists. Replacing current transformer`);
         }
         this[INTERNAL].registry[transformer.name] = transformer;
+        this[INTERNAL].retryPolicies[transformer.name] = options.retry;
         debug('Added transformer:', transformer.name);
     }
 
+    /**
+     * Returns the graph of all registered transformers, for example to export it using `toDot()` or `toMermaid()`.
+     * Transformers are connected if the outputs of one intersect with the inputs of the other.
+     * @returns {TransformersGraph} transformer graph
+     */
+    transformerGraph() {
+        const planFinder = new PlanFinder(this[INTERNAL].registry);
+        planFinder.formGraph();
+        return planFinder.graph;
+    }
+
     /**
      * Get metadata of an asset
      * Image asset will be downloaded in this step for metadata extraction need
      * @param {*} source
+     * @param {AbortSignal} [signal] aborting it cancels the download and extraction
      */
-    async getMetadata(source) {
-        const meta = new Metadata(source);
+    async getMetadata(source, signal) {
+        const meta = new Metadata(source, { signal });
         // download source (resuse code in prepare)
         // Problem: we need to download the asset for getting metadata unless there's 
         //          a way to get metadata without downloading the whole file.
@@ -226,7 +805,7 @@ class Engine {
             debug("asset path not available for image asset : download asset");
             this[INTERNAL].context.timers.download.start();
             // download input to <baseDirectory>/inputfile and set source.path
-            const asset = await Storage.getSource(source, this[INTERNAL].context.baseDirectory, false);
+            const asset = await Storage.getSource(source, this[INTERNAL].context.baseDirectory, false, { signal });
             this[INTERNAL].context.timers.download.stop();
             source.path = asset.path;
         }
@@ -245,64 +824,201 @@ class Engine {
      * @param {Plan} plan plan to refine (required)
      * @param {Asset} source source contains metadata about the input (eg. mimetype, width, height, colorspace, ...), url, etc. (required)
      * @param {Rendition} outputInstructions contains the instructions about the desired output (rendition) (required)
+     * @param {Object} [options] options
+     * @param {AbortSignal} [options.signal] aborting it cancels the metadata extraction and the plan
+     * @param {Boolean} [options.dryRun] only plans: the source is not downloaded for metadata extraction,
+     * its metadata must be part of `source`, and no events or metrics are sent. Errors are thrown after failing the plan.
      */
-    async refinePlan(plan, source, outputInstructions) {
+    async refinePlan(plan, source, outputInstructions, options = {}) {
         try {
             // skipMetadataExtraction is used by unit tests with dummy asset path or url
-            if (!this[INTERNAL].params.skipMetadataExtraction) {
-                const assetMetadata = await this.getMetadata(source);
+            if (!this[INTERNAL].params.skipMetadataExtraction && !options.dryRun) {
+                const assetMetadata = await this.getMetadata(source, options.signal);
                 Object.assign(source, assetMetadata.metadata);
                 AssetComputeLogUtils.log(source, 'Input for refinePlan with metadata:');
             }
-
-            // TODO-mob : make sure source metadata is here: width, height 
-            plan.updateOriginalInput(source);
-            const newSteps = new PlanFinder(this[INTERNAL].registry).findBestPlan(source, outputInstructions);
-            if (!newSteps) {
-                // TODO: throw these errors inside plan alg so they can be more specific
-                // throw RenditionFormatUnsupportedError(`No transformers supported for ${outputInstructions.type}`)
-                // internal-repo/nui/core/blob/master/lib/workers.js#L342
-                throw new GenericError('No valid plan found.', 'refinePlan');
-            }
-            for (let i = 0; i < newSteps.length; i++) {
-                plan.add(newSteps[i].name, newSteps[i].attributes);
-            }
+            this.addPlanSteps(plan, source, outputInstructions);
         } catch (error) {
             debug(`refinePlan did not find a valid plan: ${error.message || error}`);
-            // note: this will replace the core worker selection errors: internal-repo/nui/core/blob/master/lib/select-workers.js#L43-L65
-            // TODO: move into generic function
-
-            // stop processingTime timer
-            this[INTERNAL].context.timers.processingTime.stop();
-
-            // worker tests in the cli rely on these errors being in renditionErrors
-            this[INTERNAL].context.renditionErrors.push(error);
-            await this[INTERNAL].context.metrics.handleError(error, {
-                location: `${this[INTERNAL].actionName}_refinePlan`,
-                metrics: {
-                    // rendition instructions
-                    ...outputInstructions,
-                    renditionName: outputInstructions.name,
-                    renditionFormat: outputInstructions.fmt,
-                    // durations
-                    processingTime: this[INTERNAL].context.timers.processingTime.currentDuration()
-                }
-            });
-            await this[INTERNAL].events.sendEvent(EVENT_RENDITION_FAILED, {
-                rendition: Rendition.redactInstructions(outputInstructions),
-                errorReason: error.reason || Reason.GenericError,
-                errorMessage: error.message || error || "No valid plan found.",
-            });
-
+            if (options.dryRun) {
+                failOrCancel(plan, error);
+                throw error;
+            }
             // note: when the pipeline supports multiple renditions and mutliple plans, we may not want to throw here
             // we may want to send events/metrics and move on gracefully to the next rendition
             // so we fail the plan and gracefully return
             // subsequent calls to `engine.run(plan)` don't do anything
-            plan.fail();
+            await this.planFailure(plan, outputInstructions, error);
             return plan;
         }
     }
 
+    /**
+     * Finds the best plan for the source and adds its steps to the plan
+     * Source metadata must already be available on the source
+     * @param {Plan} plan plan to refine
+     * @param {Asset} source source including its metadata
+     * @param {Rendition} outputInstructions contains the instructions about the desired output (rendition)
+     */
+    addPlanSteps(plan, source, outputInstructions) {
+        // TODO-mob : make sure source metadata is here: width, height 
+        plan.updateOriginalInput(source);
+        const maxFallbacks = this[INTERNAL].params.maxPlanFallbacks !== undefined ?
+            this[INTERNAL].params.maxPlanFallbacks : DEFAULT_MAX_PLAN_FALLBACKS;
+        // alternatives are kept to fall back to if a transformer of the best plan fails
+        const [best, ...alternatives] = new PlanFinder(this[INTERNAL].registry).findPlans(source, outputInstructions, { limit: maxFallbacks + 1 });
+        const { steps: newSteps, cost } = best || {};
+        if (!newSteps) {
+            // TODO: throw these errors inside plan alg so they can be more specific
+            // throw RenditionFormatUnsupportedError(`No transformers supported for ${outputInstructions.type}`)
+            // internal-repo/nui/core/blob/master/lib/workers.js#L342
+            throw new GenericError('No valid plan found.', 'refinePlan');
+        }
+        for (let i = 0; i < newSteps.length; i++) {
+            plan.add(newSteps[i].name, newSteps[i].attributes);
+        }
+        plan.updateCost(cost);
+        plan.updateAlternatives(alternatives);
+    }
+
+    /**
+     * Simulates a plan without downloading, executing transformers or sending events.
+     * Each step is checked against the manifest of its transformer, and cost and duration are estimated
+     * from the manifests (see `Manifest.cost` and `Manifest.duration`).
+     * @param {Plan} plan plan to simulate, e.g. refined with `refinePlan(plan, source, rendition, { dryRun: true })`
+     * @returns {Object} report:
+     * - `valid`: true if no problem was found
+     * - `problems`: every problem found as `{ path, message }`, e.g. `{ path: 'steps[1].input.width', message: '...' }`
+     * - `steps`: for each step `{ name, input, output, cost, duration }` with urls and targets redacted
+     * - `cost`: total cost of the steps
+     * - `duration`: total `{ expected, max }` duration in milliseconds,
+     *   `max` is undefined if a transformer has no maximum and `expected` only counts transformers declaring it
+     */
+    simulate(plan) {
+        const problems = [];
+        const steps = plan.steps;
+        if (steps.length === 0) {
+            problems.push({ path: 'steps', message: 'plan has no steps' });
+        }
+        const report = {
+            steps: steps.map((step, index) => this.simulateStep(plan, step, steps[index - 1], `steps[${index}]`, problems)),
+            cost: 0,
+            duration: { expected: 0, max: 0 }
+        };
+        report.steps.forEach(step => {
+            report.cost += step.cost || 0;
+            report.duration.expected += step.duration.expected || 0;
+            if (report.duration.max !== undefined) {
+                report.duration.max = step.duration.max === undefined ? undefined : report.duration.max + step.duration.max;
+            }
+        });
+        report.valid = problems.length === 0;
+        report.problems = problems;
+        return report;
+    }
+
+    /**
+     * Simulates a step of a plan, see `simulate()`
+     * @param {Plan} plan plan of the step
+     * @param {Step} step step to simulate
+     * @param {Step} previousStep previous step, undefined for the first step
+     * @param {String} stepPath path of the step used in the problems
+     * @param {Array} problems list to add the problems found to
+     * @returns {Object} step report `{ name, input, output, cost, duration }`
+     */
+    simulateStep(plan, step, previousStep, stepPath, problems) {
+        const { input = {}, output = {}, slots } = step.attributes || {};
+        const report = {
+            name: step.name,
+            input: AssetComputeLogUtils.redactUrl({ ...input }),
+            output: Rendition.redactInstructions(output),
+            duration: {}
+        };
+        const transformer = this[INTERNAL].registry[step.name];
+        if (!transformer) {
+            problems.push({ path: stepPath, message: `transformer ${step.name} is not registered` });
+            return report;
+        }
+        const manifest = transformer.manifest || {};
+        const fileless = attributes => Object.keys(attributes)
+            .filter(attribute => !FILE_ATTRIBUTES.includes(attribute))
+            .reduce((described, attribute) => Object.assign(described, { [attribute]: attributes[attribute] }), {});
+        const check = (path, target, attributes) => {
+            inputMismatches(target || {}, fileless(attributes)).forEach(mismatch => problems.push({
+                path: `${path}.${mismatch.attribute}`,
+                message: `not supported by transformer ${step.name}: expected ${JSON.stringify(mismatch.expected)}, found ${JSON.stringify(mismatch.actual)}`
+            }));
+        };
+        check(`${stepPath}.input`, manifest.inputs, input);
+        check(`${stepPath}.output`, manifest.outputs, output);
+        Object.keys(slots || {}).forEach(name => {
+            if (!manifest.slots || !manifest.slots[name]) {
+                problems.push({ path: `${stepPath}.slots.${name}`, message: `transformer ${step.name} has no slot ${name}` });
+            } else {
+                check(`${stepPath}.slots.${name}`, manifest.slots[name], slots[name]);
+            }
+        });
+        const previousOutput = previousStep && previousStep.attributes && previousStep.attributes.output;
+        // steps ending a slot chain do not feed the next step
+        if (previousOutput && !isSlotStep(previousStep) && input.type && previousOutput.type && input.type !== previousOutput.type) {
+            problems.push({ path: `${stepPath}.input.type`, message: `does not match the output of the previous step: expected ${JSON.stringify(previousOutput.type)}, found ${JSON.stringify(input.type)}` });
+        }
+        const condition = step.attributes && step.attributes.condition;
+        if (condition !== undefined && (condition === null || typeof condition !== 'object' || Array.isArray(condition))) {
+            problems.push({ path: `${stepPath}.condition`, message: `must be an object, found: ${JSON.stringify(condition)}` });
+        }
+        // same cost as when planning, based on the planned input of the step
+        report.cost = stepCost(manifest.cost, { ...plan.originalInput, ...input });
+        report.duration = { ...manifest.duration };
+        return report;
+    }
+
+    /**
+     * Fails a plan for a rendition: records the error, sends metrics and the `rendition_failed` event
+     * @param {Plan} plan plan to fail
+     * @param {Rendition} outputInstructions instructions of the rendition the plan was meant to produce
+     * @param {Error} error error causing the failure
+     * @param {String} location location for the error metric (defaults to `<actionName>_refinePlan`)
+     */
+    async planFailure(plan, outputInstructions, error, location) {
+        // note: this will replace the core worker selection errors: internal-repo/nui/core/blob/master/lib/select-workers.js#L43-L65
+
+        // stop processingTime timer
+        this[INTERNAL].context.timers.processingTime.stop();
+
+        // worker tests in the cli rely on these errors being in renditionErrors
+        this[INTERNAL].context.renditionErrors.push(error);
+        await this[INTERNAL].context.metrics.handleError(error, {
+            location: location || `${this[INTERNAL].actionName}_refinePlan`,
+            metrics: {
+                // rendition instructions
+                ...outputInstructions,
+                renditionName: outputInstructions.name,
+                renditionFormat: outputInstructions.fmt,
+                // durations
+                processingTime: this[INTERNAL].context.timers.processingTime.currentDuration()
+            }
+        });
+        await this[INTERNAL].events.sendEvent(EVENT_RENDITION_FAILED, {
+            rendition: Rendition.redactInstructions(outputInstructions),
+            errorReason: error.reason || Reason.GenericError,
+            errorMessage: error.message || error || "No valid plan found.",
+        });
+
+        failOrCancel(plan, error);
+    }
+
+    /**
+     * Options for uploads to the temporary cloud storage: the files are tracked to be removed during clean up
+     * @returns {Object} `params` configuring the storage and the list of uploaded `tempCloudStorageFiles`
+     */
+    temporaryStorageOptions() {
+        return {
+            params: this[INTERNAL].params,
+            tempCloudStorageFiles: this[INTERNAL].context && this[INTERNAL].context.tempCloudStorageFiles
+        };
+    }
+
     /**
      * TransformerContext
      * @param {Step} step Current step in the Plan containing the transformer name and an object of attributes
@@ -340,8 +1056,10 @@ class Engine {
      * - Convert step.attributes into input (Asset) and output (Rendition) objects
      * - Store these input and output objects on the transformerContext
      * @param {TransformerContext} transformerContext Object container context about the current transformer
+     * @param {Object} [part] file of a previous step with multiple outputs to run the step on, see `computeParts()`:
+     * `{ index, input, output }` with the input attributes of the file and the rendition to write to
      */
-    async prepare(transformerContext) {
+    async prepare(transformerContext, part) {
         // Note: any failure to prepare should throw and fail this function
 
         //  Create directories unique for each transformer:
@@ -354,18 +1072,23 @@ class Engine {
         debug("Preparing directories");
 
         // TODO: this will be in transformer context
-        const transformerDirectory = await Prepare.createDirectories(`${this.stepCount}-${transformer.name}`, this[INTERNAL].context.baseDirectory);
+        const directoryName = stepDirectoryName(this.stepCount, transformerContext, part && part.index);
+        const transformerDirectory = await Prepare.createDirectories(directoryName, this[INTERNAL].context.baseDirectory);
         this[INTERNAL].context.transformerDirectories.push(transformerDirectory);
 
         // TODO: make sure intermediate urls are read/write
 
-        const { input, output } = step.attributes;
+        const { output } = step.attributes;
+        const input = part ? part.input : step.attributes.input;
         debug("Raw input from Plan: %s", AssetComputeLogUtils.redactUrl(input));
         debug("Raw output from Plan: %s", AssetComputeLogUtils.redactUrl(output));
 
         // create output object (type Rendition for now)
         // create renditions before attempting download in case download fails
-        transformerContext.output = new Rendition(output, transformerDirectory.base);
+        transformerContext.output = part ? part.output : new Rendition(output, transformerDirectory.base);
+        if (transformer.manifest && transformer.manifest.cardinality) {
+            transformerContext.outputs = new RenditionCollection(transformerContext.output);
+        }
         /**
          * For 1st sdk call
          * input: {
@@ -412,9 +1135,8 @@ class Engine {
 
         let protocol = "";
         if (input.url) {
-            if (!validDataUrl(input.url) && !validUrl.isHttpsUri(input.url)) {
-                throw new SourceUnsupportedError(`${input.url} must be a valid https url or datauri`);
-            }
+            // throws if no storage provider supports the url
+            Storage.getProvider(input.url);
             protocol = new URL(input.url).protocol;
         }
 
@@ -423,13 +1145,16 @@ class Engine {
             if (input.url && (protocol === 'https:')) {
                 debug("asset url available : dont need to do anything");
                 transformerInput = new Asset(input);
-            } else if (input.url && protocol === 'data:') {
-                debug("asset url available as data URI : upload asset to a temp cloud storage and generate a presigned URL");
-                transformerInput = await Storage.getSource(input, transformerDirectory.base, true);
+            } else if (input.url) {
+                debug("asset url not readable by the transformer (e.g. data URI) : its storage provider generates a presigned URL");
+                transformerInput = await Storage.getSource(input, transformerDirectory.base, true, {
+                    signal: transformerContext.signal,
+                    ...this.temporaryStorageOptions()
+                });
             } else {
                 debug("asset url not available : generated presigned url");
                 try {
-                    const preSignedUrl = await datauri.getPreSignedUrl(input.path);
+                    const preSignedUrl = await datauri.getPreSignedUrl(input.path, this.temporaryStorageOptions());
                     input.url = preSignedUrl;
                     transformerInput = new Asset(input, input.path);
                 } catch (error) {
@@ -447,7 +1172,7 @@ class Engine {
                 //       because it also includes upload duration
                 this[INTERNAL].context.timers.download.start();
                 // download input to <baseDirectory>/<stepNumber>-<transformerName>/inputfile and set input.path
-                transformerInput = await Storage.getSource(input, transformerDirectory.base, false);
+                transformerInput = await Storage.getSource(input, transformerDirectory.base, false, { signal: transformerContext.signal });
                 this[INTERNAL].context.timers.download.stop();
             }
         }        
@@ -481,17 +1206,71 @@ class Engine {
             transformerContext.input.userData = filterUserData(this[INTERNAL].params.userData);
         }
 
-        // Add customPrompts to userData
-        if (this[INTERNAL].params.renditions && this[INTERNAL].params.renditions[0]
-            && this[INTERNAL].params.renditions[0].userData
-            && this[INTERNAL].params.renditions[0].userData.customPrompts) {
+        // Add customPrompts of the rendition of this plan to userData
+        // (plan finding adds the userData of the rendition to the output of every step)
+        const customPrompts = customPromptsOf(step.attributes.output) || (
+            Array.isArray(this[INTERNAL].params.renditions) && this[INTERNAL].params.renditions.length === 1
+                ? customPromptsOf(this[INTERNAL].params.renditions[0]) : undefined);
+        if (customPrompts) {
             transformerContext.input.userData = transformerContext.input.userData || {};
-            transformerContext.input.userData.customPrompts = this[INTERNAL].params.renditions[0].userData.customPrompts;
+            transformerContext.input.userData.customPrompts = customPrompts;
         }
 
         // Pass through requestId
         transformerContext.input.requestId = this[INTERNAL].params.requestId;
 
+        transformerContext.inputs = {
+            [Manifest.MAIN_INPUT]: transformerContext.input,
+            ...await this.prepareSlots(transformerContext, transformerDirectory.base)
+        };
+    }
+
+    /**
+     * Prepares the assets of the slots of a fan-in step (see `Manifest.slots`).
+     * Slots referring to the output of a slot chain (`from`) take the output of the step producing it.
+     * Assets are downloaded unless the transformer takes urls (`sourceType` URL).
+     * @param {TransformerContext} transformerContext context of the step
+     * @param {String} directory directory of the step, downloaded assets are named `slot-<name>`
+     * @returns {Object} map of assets by slot name
+     */
+    async prepareSlots(transformerContext, directory) {
+        const step = transformerContext.step;
+        const slots = step.attributes.slots || {};
+        const inputs = transformerContext.transformer.inputs || {};
+        const assets = {};
+        for (const name of Object.keys(slots)) {
+            const slot = { ...slots[name] };
+            if (slot.from) {
+                const producer = transformerContext.plan.steps.find(s => s.attributes && s.attributes.slot === slot.from);
+                const reference = producer && producer.state === STEP_STATE.SUCCEEDED && producer.outputReference;
+                if (!isOutputAvailable(reference, false)) {
+                    throw new GenericError(`No output available for slot ${name} of ${step.name}: ${slot.from}`, `${step.name}_prepareSlots`);
+                }
+                delete slot.from;
+                if (isOutputAvailable(reference, true)) {
+                    slot.path = reference.path;
+                    slot.size = reference.size;
+                }
+                if (reference.url) {
+                    slot.url = reference.url;
+                }
+            }
+            debug(`Slot ${name} from Plan: %s`, AssetComputeLogUtils.redactUrl(slot));
+
+            if (inputs.sourceType === TransformerSourceType.URL && slot.url && new URL(slot.url).protocol === 'https:') {
+                assets[name] = new Asset(slot);
+            } else if (slot.path) {
+                assets[name] = new Asset(slot, slot.path);
+            } else if (slot.url) {
+                this[INTERNAL].context.timers.download.start();
+                const filename = `slot-${name}${path.extname(Storage.getSourceFilename(slot))}`;
+                assets[name] = await Storage.getAsset(slot, directory, filename, false, { signal: transformerContext.signal });
+                this[INTERNAL].context.timers.download.stop();
+            } else {
+                throw new GenericError(`No file accessible for slot ${name} of ${step.name}`, `${step.name}_prepareSlots`);
+            }
+        }
+        return assets;
     }
 
     /**
@@ -501,10 +1280,24 @@ class Engine {
      * @param {Rendition} previousOutput 
      */
     updateNextStep(plan, previousOutput) {
-        const currentStep = plan.advance();
+        const previousStep = plan.current;
+        plan.advance();
         this.stepCount++;
+        if (plan.current === previousStep) {
+            // failed or cancelled plans do not advance, the input of the failed step is kept for resuming
+            return previousStep;
+        }
+        if (previousOutput && isSlotStep(previousStep)) {
+            // the output of a slot chain is kept for its fan-in step, the next step starts from its own input
+            return plan.current && this.skipSourceSteps(plan);
+        }
+        const currentStep = previousOutput ? this.skipUnmetSteps(plan, outputFacts(previousOutput)) : plan.current;
         // if currentStep is null or undefined, we are at the end of the plan
-        if (currentStep && previousOutput) {
+        if (currentStep && previousOutput && previousOutput.parts) {
+            // all files of a transformer with multiple outputs are passed on, the next step runs once for each of them
+            currentStep.attributes.input.parts = previousOutput.parts.map(partInput);
+            debug(`passed on ${previousOutput.parts.length} files to current step input`);
+        } else if (currentStep && previousOutput) {
             if (previousOutput.path) {
                 // TODO: we should not be manipulating/changing the input/output parameters directly
                 // when we change the input, we should not be changing the plan directly
@@ -528,6 +1321,59 @@ class Engine {
         return currentStep;
     }
 
+    /**
+     * Skips the first steps of a plan as long as their condition is not met by the source,
+     * the next step then gets the source as input
+     * @param {Plan} plan plan to update, at its first step
+     * @returns {Step} the next step to execute or null/undefined if at the end
+     */
+    skipSourceSteps(plan) {
+        const firstStep = plan.current;
+        const source = (firstStep.attributes && firstStep.attributes.input) || {};
+        const step = this.skipUnmetSteps(plan, { ...source });
+        if (step && step !== firstStep && step.attributes) {
+            const input = step.attributes.input || {};
+            ['path', 'url', 'size'].filter(key => source[key] !== undefined).forEach(key => {
+                input[key] = source[key];
+            });
+            step.attributes.input = input;
+        }
+        return step;
+    }
+
+    /**
+     * Skips the current step and the following ones as long as their `condition` attribute is not met by the facts.
+     * Skipped steps pass the previous output on to the next step. If the last step is skipped,
+     * the previous output becomes the rendition, using the output instructions of the skipped step.
+     * @param {Plan} plan plan to update
+     * @param {Object} facts runtime facts the conditions are evaluated against, see `outputFacts()`
+     * @returns {Step} the next step to execute or null/undefined if at the end
+     */
+    skipUnmetSteps(plan, facts) {
+        let step = plan.current;
+        let skipped;
+        while (step && !step.start) {
+            const mismatches = conditionMismatches(step, facts);
+            if (mismatches.length === 0) {
+                break;
+            }
+            if (!plan.output && step === plan.steps[plan.steps.length - 1]) {
+                throw new GenericError(`All steps of the plan were skipped, no rendition was produced`, `${step.name}_condition`);
+            }
+            const message = `Skipped, condition not met: ${mismatches.map(m => `${m.attribute} is ${JSON.stringify(m.actual)}, expected ${JSON.stringify(m.expected)}`).join('; ')}`;
+            debug(`${step.name}: ${message}`);
+            step.updateState(STEP_STATE.SKIPPED);
+            step.messages.push({ message });
+            skipped = step;
+            step = plan.advance();
+            this.stepCount++;
+        }
+        if (!step && skipped && plan.output) {
+            plan.updateOutput(passThroughOutput(skipped, plan.output, this[INTERNAL].context.baseDirectory));
+        }
+        return step;
+    }
+
     /**
      * Upload final output to target urls
      * @param {Rendition} output final output to be uploaded to output.target
@@ -543,7 +1389,15 @@ class Engine {
 
             this[INTERNAL].context.timers.upload.start();
 
-            await Storage.putRendition(output);
+            if (output.parts) {
+                // every file of a rendition with multiple outputs is uploaded to its own target
+                checkPartTargets(output);
+                for (const part of output.parts) {
+                    await Storage.putRendition(part, undefined, { signal: this[INTERNAL].signal });
+                }
+            } else {
+                await Storage.putRendition(output, undefined, { signal: this[INTERNAL].signal });
+            }
 
             this[INTERNAL].context.timers.upload.stop();
 
@@ -557,7 +1411,8 @@ class Engine {
 
     /**
      * Clean up temporary files produced during the pipeline
-     * @param {Rendition|Object} finalOutput finalOutput Rendition or object or undefined depending on if engine.run fails
+     * @param {Rendition|Object|Array} finalOutput finalOutput Rendition or object or undefined depending on if engine.run fails,
+     * or a list of them when running multiple plans
      */
     async cleanup(finalOutput) {
 
@@ -579,28 +1434,32 @@ class Engine {
         // - cleanup might run at any time, so no assumptions to be made of existence of objects
         // - all these steps should individually catch errors so that all cleanup steps can run
 
-        // optional path to where final rendition is stored (only applies to WORKER_TEST_MODE)
-        const finalOutputPath = finalOutput && finalOutput.path;
-        const cleanupSuccess = await Prepare.cleanupDirectories(this[INTERNAL].context.transformerDirectories, finalOutputPath);
+        // a single plan has one final output, `runAll` passes the final outputs of all its plans
+        const finalOutputs = (Array.isArray(finalOutput) ? finalOutput : [finalOutput]).filter(output => output);
+
+        // optional paths to where final renditions are stored (only applies to WORKER_TEST_MODE)
+        const finalOutputPaths = [].concat(...finalOutputs.map(output => output.parts || [output]))
+            .map(output => output.path).filter(outputPath => outputPath);
+        const cleanupSuccess = await Prepare.cleanupDirectories(this[INTERNAL].context.transformerDirectories, finalOutputPaths);
 
         // extra protection: ensure failure events are sent for any non successful rendition
-        // for (const rendition of this.renditions) {
-        if (finalOutput && !finalOutput.eventSent) {
-            let instructions;
-            if (finalOutput instanceof Rendition) {
-                instructions = finalOutput.instructionsForEvent();
-            } else {
-                instructions = Rendition.redactInstructions(finalOutput);
-            }
+        for (const output of finalOutputs) {
+            if (!output.eventSent) {
+                let instructions;
+                if (output instanceof Rendition) {
+                    instructions = output.instructionsForEvent();
+                } else {
+                    instructions = Rendition.redactInstructions(output);
+                }
 
-            await this[INTERNAL].events.sendEvent(EVENT_RENDITION_FAILED, {
-                rendition: instructions,
-                errorReason: Reason.GenericError,
-                errorMessage: "Unknown error"
-            });
-            finalOutput.eventSent = true;
+                await this[INTERNAL].events.sendEvent(EVENT_RENDITION_FAILED, {
+                    rendition: instructions,
+                    errorReason: Reason.GenericError,
+                    errorMessage: "Unknown error"
+                });
+                output.eventSent = true;
+            }
         }
-        // }
 
         // add final metrics (for activation metric)
         this[INTERNAL].context.metrics.add({
@@ -610,22 +1469,42 @@ class Engine {
             uploadDuration: this[INTERNAL].context.timers.upload.totalDuration()
         });
 
-        let temp;
-        try {
-            temp = new TemporaryCloudStorage(this[INTERNAL].params);
-        } catch (error) {
-            debug(`failed to initialize temporary cloud files clean-up: ${error.message || error}`);
-        }
+        // remove the files uploaded to the temporary cloud storage for transformers reading urls,
+        // the list is emptied so a second clean up does not remove them again
+        const tempFiles = this[INTERNAL].context.tempCloudStorageFiles.splice(0);
+        let leakedFiles = tempFiles;
+        if (tempFiles.length > 0) {
+            let temp;
+            try {
+                temp = datauri.temporaryStorage(this[INTERNAL].params);
+            } catch (error) {
+                debug(`failed to initialize temporary cloud files clean-up: ${error.message || error}`);
+            }
 
-        if(temp){
-            for (const file of this[INTERNAL].context.tempCloudStorageFiles) {
-                try {
-                    await temp.cleanUp(file);
-                } catch(err) {
-                    debug(`removing temporary cloud storage file ${file} failed: ${err.message}. Trying to continue clean up anyway...`);
+            if(temp){
+                leakedFiles = [];
+                for (const file of tempFiles) {
+                    try {
+                        await temp.cleanUp(file);
+                    } catch(err) {
+                        debug(`removing temporary cloud storage file ${file} failed: ${err.message}. Trying to continue clean up anyway...`);
+                        leakedFiles.push(file);
+                    }
                 }
             }
         }
+        this[INTERNAL].context.metrics.add({
+            tempCloudStorageFiles: tempFiles.length,
+            tempCloudStorageLeaks: leakedFiles.length
+        });
+        if (leakedFiles.length > 0) {
+            // left for `sweepTemporaryStorage()`, the paths are random and include no customer data
+            await this[INTERNAL].context.metrics.sendMetrics(METRIC_TEMP_STORAGE_LEAK, {
+                leakedFiles: leakedFiles.length,
+                tempCloudStorageFiles: tempFiles.length,
+                paths: leakedFiles.join(',')
+            });
+        }
 
         // if data clean up fails (leftover directories),
         // we kill the container to avoid data leak
@@ -710,7 +1589,8 @@ class Engine {
         await this[INTERNAL].events.sendEvent(EVENT_RENDITION_CREATED, {
             rendition: instructions,
             metadata: await rendition.metadata(),
-            data: rendition.shouldEmbedInIOEvent() ? (await rendition.asDataUri()) : undefined
+            data: rendition.shouldEmbedInIOEvent() ? (await rendition.asDataUri()) : undefined,
+            parts: rendition.parts ? (await partsForEvent(rendition.parts)) : undefined
         });
 
         rendition.eventSent = true;
@@ -735,6 +1615,294 @@ class Engine {
     }
 }
 
+/**
+ * Describes where the output of a step is stored, to be serialized with the plan
+ * @param {Rendition} output output of a step
+ * @returns {Object} output reference `{ type, path, url, size }`
+ */
+function outputReference(output) {
+    const reference = output.parts ? {
+        type: output.instructions.type,
+        size: output.size(),
+        // renditions made of multiple files reference each of them
+        parts: output.parts.map(outputReference)
+    } : {
+        type: output.instructions.type,
+        path: output.path,
+        url: output.url,
+        size: output.size()
+    };
+    if (output.facts && Object.keys(output.facts).length > 0) {
+        reference.facts = output.facts;
+    }
+    return reference;
+}
+
+/**
+ * Checks if a step ends a slot chain, its output is the input of a slot of a fan-in step
+ * @param {Step} step step
+ * @returns {Boolean} true if the step has a `slot` attribute
+ */
+function isSlotStep(step) {
+    return !!(step && step.attributes && step.attributes.slot);
+}
+
+/**
+ * Returns the last succeeded step before the given index
+ * @param {Array} steps steps of the plan
+ * @param {Number} index index of the step to look before
+ * @returns {Step} last succeeded step, undefined if there is none
+ */
+function lastSucceededStep(steps, index) {
+    return steps.slice(0, index).reverse().find(step => step.state === STEP_STATE.SUCCEEDED);
+}
+
+/**
+ * Runtime facts about the output of a step: its output instructions, its file size, the number of files (`parts`)
+ * of transformers with multiple outputs and the facts recorded by the transformer in `output.facts`
+ * @param {Rendition} output output of a step
+ * @returns {Object} facts
+ */
+function outputFacts(output) {
+    const facts = { ...output.instructions };
+    const size = output.size();
+    if (size !== undefined) {
+        facts.size = size;
+    }
+    if (output.parts) {
+        facts.parts = output.parts.length;
+    }
+    return Object.assign(facts, output.facts);
+}
+
+/**
+ * Lists the facts not meeting the `condition` attribute of a step.
+ * The condition follows the manifest rules: each attribute is a value, a list of values or a range (`{ min, max }`).
+ * Unlike manifests, a missing fact does not meet the condition.
+ * @param {Step} step step with an optional condition
+ * @param {Object} facts runtime facts
+ * @returns {Array} list of `{ attribute, expected, actual }`, empty if the step has no condition or it is met
+ */
+function conditionMismatches(step, facts) {
+    const condition = step.attributes && step.attributes.condition;
+    if (condition === undefined) {
+        return [];
+    }
+    if (condition === null || typeof condition !== 'object' || Array.isArray(condition)) {
+        throw new GenericError(`Invalid condition of step ${step.name}: must be an object, found: ${JSON.stringify(condition)}`, `${step.name}_condition`);
+    }
+    return Object.keys(condition)
+        .filter(attribute => facts[attribute] === undefined || !attributeMatches(condition[attribute], facts[attribute], attribute))
+        .map(attribute => ({ attribute, expected: condition[attribute], actual: facts[attribute] }));
+}
+
+/**
+ * Output of a skipped last step: the file of the previous output with the output instructions of the skipped step
+ * @param {Step} step skipped step
+ * @param {Rendition} previousOutput output passed on to the skipped step
+ * @param {String} directory base directory
+ * @returns {Rendition} rendition
+ */
+function passThroughOutput(step, previousOutput, directory) {
+    const output = new Rendition({ ...step.attributes.output }, directory);
+    output.path = previousOutput.path;
+    output.url = previousOutput.url;
+    output.facts = previousOutput.facts;
+    if (previousOutput.parts) {
+        addParts(output, previousOutput.parts.map(outputReference));
+    }
+    return output;
+}
+
+/**
+ * Adds the files of a rendition made of multiple files, e.g. when resuming a plan
+ * @param {Rendition} output rendition
+ * @param {Array} references output references of the files
+ */
+function addParts(output, references) {
+    const outputs = new RenditionCollection(output);
+    references.forEach(reference => {
+        const part = outputs.add({ type: reference.type });
+        if (reference.path && fs.existsSync(reference.path)) {
+            part.path = reference.path;
+        }
+        part.url = reference.url;
+    });
+}
+
+/**
+ * Checks that each file of a rendition made of multiple files has a target to be uploaded to:
+ * `target` must be a list with one target per file, a single target only takes a single file
+ * @param {Rendition} output rendition with parts
+ */
+function checkPartTargets(output) {
+    const target = output.instructions.target;
+    if (!target) {
+        return;
+    }
+    const targets = Array.isArray(target) ? target.length : 1;
+    if (targets < output.parts.length) {
+        throw new GenericError(`Rendition ${output.id()} has ${output.parts.length} files but only ${targets} target(s)`, 'upload_parts');
+    }
+}
+
+/**
+ * Describes the files of a rendition made of multiple files for the `rendition_created` event
+ * @param {Array} parts files of the rendition
+ * @returns {Array} list of `{ rendition, metadata, data }` with the redacted instructions and metadata of each file
+ */
+async function partsForEvent(parts) {
+    const described = [];
+    for (const part of parts) {
+        described.push({
+            rendition: part.instructionsForEvent(),
+            metadata: await part.metadata(),
+            data: part.shouldEmbedInIOEvent() ? (await part.asDataUri()) : undefined
+        });
+    }
+    return described;
+}
+
+/**
+ * Input attributes of a step for one of the files produced by the previous step
+ * @param {Rendition} part file of the output of the previous step
+ * @returns {Object} input attributes `{ type, path, size, url }`
+ */
+function partInput(part) {
+    const input = { type: part.instructions.type };
+    if (fs.existsSync(part.path)) {
+        input.path = part.path;
+        input.size = part.size();
+    }
+    if (part.url) {
+        input.url = part.url;
+    }
+    return input;
+}
+
+/**
+ * Checks the number of files produced by a transformer with multiple outputs against its manifest `cardinality`
+ * @param {Transformer} transformer transformer of the step
+ * @param {Rendition} output output of the step
+ */
+function checkCardinality(transformer, output) {
+    const cardinality = transformer.manifest && transformer.manifest.cardinality;
+    if (!cardinality || !output || !output.parts) {
+        return;
+    }
+    const count = output.parts.length;
+    const min = cardinality.min || 1;
+    if (count < min || (cardinality.max !== undefined && count > cardinality.max)) {
+        const expected = cardinality.max === undefined ? `at least ${min}` : `${min} to ${cardinality.max}`;
+        throw new GenericError(`Transformer ${transformer.name} produced ${count} files, expected ${expected}`,
+            `${transformer.name}_executeTransformer_cardinality`);
+    }
+}
+
+/**
+ * Checks if the output of a step can be reused
+ * @param {Object} reference output reference of the step
+ * @param {Boolean} localOnly true if the output must be on the local disk
+ * @returns {Boolean} true if the output is available
+ */
+function isOutputAvailable(reference, localOnly) {
+    if (!reference) {
+        return false;
+    }
+    if (reference.parts) {
+        return reference.parts.length > 0 && reference.parts.every(part => isOutputAvailable(part, localOnly));
+    }
+    const local = !!reference.path && fs.existsSync(reference.path);
+    return local || (!localOnly && !!reference.url);
+}
+
+/**
+ * Marks a plan as cancelled if processing was cancelled, otherwise as failed
+ * @param {Plan} plan plan to end
+ * @param {Error} error error ending the plan
+ */
+function failOrCancel(plan, error) {
+    if (error instanceof CancelledError) {
+        plan.cancel();
+    } else {
+        plan.fail();
+    }
+}
+
+/**
+ * Custom prompts in the userData of rendition instructions
+ * @param {Object} instructions rendition instructions, e.g. the output of a step
+ * @returns {*} custom prompts, undefined if there are none
+ */
+function customPromptsOf(instructions) {
+    return instructions && instructions.userData ? instructions.userData.customPrompts : undefined;
+}
+
+/**
+ * Inputs of the steps reading the source (same url)
+ * @param {Array} steps steps of a plan or an alternative, as `{ name, attributes }`
+ * @param {String} url url of the source
+ * @returns {Array} inputs
+ */
+function sourceInputs(steps, url) {
+    return steps.map(step => step.attributes && step.attributes.input)
+        .filter(input => input && input.url && input.url === url);
+}
+
+/**
+ * Sets the local path of the source on the inputs of the steps reading it, so it is not downloaded again
+ * @param {Array} steps steps of a plan or an alternative, as `{ name, attributes }`
+ * @param {String} url url of the source
+ * @param {String} file local path of the source
+ */
+function useLocalSource(steps, url, file) {
+    sourceInputs(steps, url).filter(input => !input.path).forEach(input => {
+        input.path = file;
+    });
+}
+
+/**
+ * Name of the directory of a step: `<stepNumber>-<transformerName>[-<part index>]`.
+ * Retries get their own directories with an `-attempt<n>` suffix: an attempt that timed out
+ * may still be writing to the directory of the previous one.
+ * @param {Number} stepCount step number
+ * @param {TransformerContext} transformerContext context of the step
+ * @param {Number} [index] index of the part for steps running once per file of the previous step
+ * @returns {String} directory name
+ */
+function stepDirectoryName(stepCount, transformerContext, index) {
+    let name = `${stepCount}-${transformerContext.transformer.name}`;
+    if (index !== undefined) {
+        name += `-${index}`;
+    }
+    if (transformerContext.attempt > 1) {
+        name += `-attempt${transformerContext.attempt}`;
+    }
+    return name;
+}
+
+/**
+ * Checks if a failed step may be retried
+ * - client errors, cancelled steps and steps stopped by the activation deadline are never retried
+ * - with `reasons` in the policy, only errors whose reason, name or code is listed are retried
+ * @param {Error} error error of the failed attempt
+ * @param {Object} policy retry policy
+ * @returns {Boolean} true if the step may be retried
+ */
+function isRetryable(error, policy) {
+    if (!error || error instanceof ClientError || error instanceof CancelledError
+        || (error.reason && error.reason !== Reason.GenericError && Object.values(Reason).includes(error.reason))) {
+        return false;
+    }
+    if (error instanceof TransformerTimeoutError && error.activationDeadline) {
+        return false;
+    }
+    if (!policy.reasons) {
+        return true;
+    }
+    return [error.reason, error.name, error.code].some(value => value && policy.reasons.includes(value));
+}
+
 /**
  * Filters userData to only include allowed fields
  * @param {Object} userData - The userData object to filter
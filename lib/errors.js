@@ -0,0 +1,54 @@
+/*
+ * Copyright 2021 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+const { GenericError } = require('@adobe/asset-compute-commons');
+
+/**
+ * A transformer step took longer than allowed, either its manifest `duration.max`
+ * or the time left before the activation deadline (`__OW_DEADLINE`)
+ * @param message Error message
+ * @param location Error location, a short greppable string describing the exception location
+ * @param timeout time in milliseconds the step was allowed to run
+ * @param activationDeadline true if the step was stopped because of the activation deadline
+ */
+class TransformerTimeoutError extends GenericError {
+    constructor(message, location, timeout, activationDeadline = false) {
+        super(message, location);
+
+        Error.captureStackTrace(this, TransformerTimeoutError);
+        this.name = "TransformerTimeoutError";
+
+        this.timeout = timeout;
+        this.activationDeadline = activationDeadline;
+    }
+}
+
+/**
+ * Processing was cancelled through an `AbortSignal`, for example on container shutdown
+ * @param message Error message
+ * @param location Error location, a short greppable string describing the exception location
+ */
+class CancelledError extends GenericError {
+    constructor(message, location) {
+        super(message, location);
+
+        Error.captureStackTrace(this, CancelledError);
+        this.name = "CancelledError";
+    }
+}
+
+module.exports = {
+    TransformerTimeoutError,
+    CancelledError
+};
@@ -12,6 +12,24 @@
 
 'use strict';
 
+const { Reason } = require('@adobe/asset-compute-commons');
+const { DERIVE_RULES, isDeriveRule } = require('./plan-finder-utils');
+
+// values allowed for `inputs.sourceType`
+const SOURCE_TYPES = ['URL', 'LOCAL'];
+// mime types like `image/png`, pipeline specific types like `machine-json`
+// or wildcards like `image/*` and `*/*+xml`
+const MIME_TYPE_REGEX = /^(\*|[\w\-+.]+)(\/(\*|\*\+[\w\-.]+|[\w\-+.]+))?$/;
+const RANGE_PROPERTIES = ['min', 'max', 'exclusiveMin', 'exclusiveMax', 'step'];
+const COST_PROPERTIES = ['fixed', 'perMegapixel', 'perSecond', 'qualityPenalty'];
+const DURATION_PROPERTIES = ['expected', 'max'];
+// largest delay of setTimeout, longer delays fire immediately
+const MAX_DURATION_MS = 2147483647;
+const RETRY_PROPERTIES = ['maxAttempts', 'backoff', 'backoffFactor', 'reasons'];
+const CARDINALITY_PROPERTIES = ['min', 'max'];
+// name of the main input of a transformer in the map of inputs passed to fan-in transformers
+const MAIN_INPUT = 'input';
+
 /**
  * Component containing information about the steps needed to produce a rendition.
    Rules:
@@ -19,6 +37,8 @@
     - inputs and outputs can have many attributes
     - attribute can be string, number, or boolean
     - attribute can be defined as range (object), ordered set (array), or singular item
+    - range can be open ended (only min or max), have exclusive bounds and a step:
+      { min: 0, exclusiveMin: true }, { max: 100, step: 5 }
     - empty array means you don't support it 
     - if you leave attribute out, you accept it
     - if not defined, it accepts it
@@ -26,7 +46,7 @@
     example:
 
     inputs: {
-        type: ['image/tiff'],
+        type: ['image/tiff'], // wildcards like 'image/*' or '*\/*+xml' are supported
         sourceType: 'URL', // LOCAL
         width: { min: 2000, max: 200000},
         height: { min: 2000, max: 200000 },
@@ -76,10 +96,318 @@ class Manifest {
         return this.settings.instructions;
     }
 
+    /**
+     * Additional named inputs of a transformer combining several inputs (fan-in), for example:
+     *  slots: {
+     *      logo: { type: ['image/png', 'image/svg+xml'], width: { max: 1000 } }
+     *  }
+     * Each slot follows the same rules as `inputs`, which describes the main input (the output of the previous step).
+     * The `compute()` function of such transformers gets a map of assets by slot name, with the main input as `input`.
+     */
+    get slots() {
+        return this.settings.slots;
+    }
+
+    /**
+     * Number of files produced by a transformer with multiple outputs, for example a page splitter:
+     *  cardinality: {
+     *      min: 1,     // fewer files fail the step, defaults to 1
+     *      max: 500    // more files fail the step, unlimited if not set
+     *  }
+     * The `compute()` function of such transformers gets a `RenditionCollection` instead of a single output.
+     */
+    get cardinality() {
+        return this.settings.cardinality;
+    }
+
     get name() {
         return this.settings.name;
     }
+
+    /**
+     * Cost model used to choose the cheapest plan, for example:
+     *  cost: {
+     *      fixed: 1,           // fixed cost for each run
+     *      perMegapixel: 0.5,  // cost per megapixel of the input
+     *      perSecond: 0.1,     // cost per second of video/audio input
+     *      qualityPenalty: 2   // penalty for a lossy transformation
+     *  }
+     * Transformers without a cost model have a fixed cost of 1.
+     */
+    get cost() {
+        return this.settings.cost;
+    }
+
+    /**
+     * Rules deriving the output attributes of a step from its input, for example:
+     *  derive: {
+     *      height: 'preserveAspectRatio',                      // height computed from width and the input aspect ratio
+     *      fps: (output, input) => Math.min(input.fps, 30),    // custom rule
+     *      width: null                                         // disables the default rule
+     *  }
+     * Built-in rules: `keepInput`, `noUpscale`, `preferInput`, `preserveAspectRatio`.
+     * Rules are merged with the default rules:
+     *  { type: 'preferInput', width: ['noUpscale', 'keepInput'], height: ['noUpscale', 'keepInput'] }
+     */
+    get derive() {
+        return this.settings.derive;
+    }
+
+    /**
+     * Durations of a step in milliseconds, for example:
+     *  duration: {
+     *      expected: 5000,  // usual duration, steps are not started when less time is left before the activation deadline
+     *      max: 60000       // steps running longer fail with a TransformerTimeoutError
+     *  }
+     */
+    get duration() {
+        return this.settings.duration;
+    }
+
+    /**
+     * Retry policy for transient failures of a step, for example:
+     *  retry: {
+     *      maxAttempts: 3,                                 // attempts including the first one, defaults to 1 (no retry)
+     *      backoff: 1000,                                  // milliseconds to wait before the first retry
+     *      backoffFactor: 2,                               // multiplies the wait before each following retry
+     *      reasons: ['GenericError', 'ECONNRESET']         // error reasons, names or codes to retry, defaults to all
+     *  }
+     * Client errors (e.g. `SourceCorruptError`) are never retried.
+     */
+    get retry() {
+        return this.settings.retry;
+    }
+
+    /**
+     * Validates a retry policy (see `retry`)
+     * @param {Object} retry retry policy
+     * @param {String} path path of the policy used in the problems
+     * @returns {Array} every problem found as `{ path, message }`
+     */
+    static validateRetry(retry, path = 'retry') {
+        const problems = [];
+        if (!isPlainObject(retry)) {
+            problems.push({ path, message: 'must be an object' });
+            return problems;
+        }
+        Object.keys(retry).filter(key => !RETRY_PROPERTIES.includes(key)).forEach(key => {
+            problems.push({ path: `${path}.${key}`, message: `is not a retry property (${RETRY_PROPERTIES.join(', ')})` });
+        });
+        if (retry.maxAttempts !== undefined && (!Number.isInteger(retry.maxAttempts) || retry.maxAttempts < 1)) {
+            problems.push({ path: `${path}.maxAttempts`, message: `must be a positive integer, found: ${JSON.stringify(retry.maxAttempts)}` });
+        }
+        if (retry.backoff !== undefined && (typeof retry.backoff !== 'number' || isNaN(retry.backoff) || retry.backoff < 0)) {
+            problems.push({ path: `${path}.backoff`, message: `must be a non-negative number of milliseconds, found: ${JSON.stringify(retry.backoff)}` });
+        }
+        if (retry.backoffFactor !== undefined && (typeof retry.backoffFactor !== 'number' || isNaN(retry.backoffFactor) || retry.backoffFactor < 1)) {
+            problems.push({ path: `${path}.backoffFactor`, message: `must be a number of at least 1, found: ${JSON.stringify(retry.backoffFactor)}` });
+        }
+        if (retry.reasons !== undefined) {
+            if (!Array.isArray(retry.reasons)) {
+                problems.push({ path: `${path}.reasons`, message: 'must be an array' });
+            } else {
+                retry.reasons.forEach((reason, index) => {
+                    if (typeof reason !== 'string' || !reason) {
+                        problems.push({ path: `${path}.reasons[${index}]`, message: `must be a non-empty string, found: ${JSON.stringify(reason)}` });
+                    } else if (reason !== Reason.GenericError && Object.values(Reason).includes(reason)) {
+                        problems.push({ path: `${path}.reasons[${index}]`, message: `${reason} is a client error and is never retried` });
+                    }
+                });
+            }
+        }
+        return problems;
+    }
+
+    /**
+     * Validates the manifest against the rules above
+     * @returns {Array} every problem found as `{ path, message }` (e.g. `{ path: 'inputs.width', message: '...' }`),
+     * empty if the manifest is valid
+     */
+    validate() {
+        const problems = [];
+        ['inputs', 'outputs'].forEach(section => {
+            const attributes = this.settings[section];
+            if (attributes === undefined || attributes === null) {
+                problems.push({ path: section, message: 'is required' });
+            } else if (typeof attributes !== 'object' || Array.isArray(attributes)) {
+                problems.push({ path: section, message: 'must be an object' });
+            } else {
+                Object.keys(attributes).forEach(name => {
+                    validateAttribute(`${section}.${name}`, name, attributes[name], problems);
+                });
+            }
+        });
+        if (this.settings.slots !== undefined) {
+            validateSlots('slots', this.settings.slots, problems);
+        }
+        if (this.settings.cardinality !== undefined) {
+            validateCardinality('cardinality', this.settings.cardinality, problems);
+        }
+        if (this.settings.cost !== undefined) {
+            validateCost('cost', this.settings.cost, problems);
+        }
+        if (this.settings.derive !== undefined) {
+            validateDerive('derive', this.settings.derive, problems);
+        }
+        if (this.settings.duration !== undefined) {
+            validateDuration('duration', this.settings.duration, problems);
+        }
+        if (this.settings.retry !== undefined) {
+            problems.push(...Manifest.validateRetry(this.settings.retry));
+        }
+        return problems;
+    }
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function validateAttribute(path, name, value, problems) {
+    if (name === 'sourceType') {
+        if (!SOURCE_TYPES.includes(value)) {
+            problems.push({ path, message: `must be one of ${SOURCE_TYPES.join(', ')}` });
+        }
+    } else if (Array.isArray(value)) {
+        const types = new Set(value.map(item => typeof item));
+        if (types.size > 1) {
+            problems.push({ path, message: `array items must all have the same type, found: ${Array.from(types).join(', ')}` });
+        }
+        value.forEach((item, index) => validateValue(`${path}[${index}]`, name, item, problems));
+    } else if (isPlainObject(value) && name !== 'type') {
+        validateRange(path, value, problems);
+    } else {
+        validateValue(path, name, value, problems);
+    }
+}
+
+function validateValue(path, name, value, problems) {
+    if (name === 'type') {
+        if (typeof value !== 'string' || !MIME_TYPE_REGEX.test(value)) {
+            problems.push({ path, message: `must be a mime type, found: ${JSON.stringify(value)}` });
+        }
+    } else if (!['string', 'number', 'boolean'].includes(typeof value)) {
+        problems.push({ path, message: `must be a string, number, boolean, array or range, found: ${JSON.stringify(value)}` });
+    }
+}
+
+function validateRange(path, range, problems) {
+    Object.keys(range).filter(key => !RANGE_PROPERTIES.includes(key)).forEach(key => {
+        problems.push({ path: `${path}.${key}`, message: `is not a range property (${RANGE_PROPERTIES.join(', ')})` });
+    });
+    if (range.min === undefined && range.max === undefined) {
+        problems.push({ path, message: 'range must have a min or a max' });
+    }
+    const numeric = ['min', 'max', 'step'].filter(key => range[key] !== undefined).every(key => {
+        if (typeof range[key] !== 'number' || isNaN(range[key])) {
+            problems.push({ path: `${path}.${key}`, message: `must be a number, found: ${JSON.stringify(range[key])}` });
+            return false;
+        }
+        return true;
+    });
+    ['exclusiveMin', 'exclusiveMax'].filter(key => range[key] !== undefined && typeof range[key] !== 'boolean').forEach(key => {
+        problems.push({ path: `${path}.${key}`, message: `must be a boolean, found: ${JSON.stringify(range[key])}` });
+    });
+    if (!numeric) {
+        return;
+    }
+    if (range.step !== undefined && range.step <= 0) {
+        problems.push({ path: `${path}.step`, message: `must be greater than 0, found: ${range.step}` });
+    }
+    if (range.min > range.max) {
+        problems.push({ path, message: `min (${range.min}) must not be greater than max (${range.max})` });
+    } else if (range.min === range.max && (range.exclusiveMin || range.exclusiveMax)) {
+        problems.push({ path, message: `range with exclusive bounds min (${range.min}) and max (${range.max}) is empty` });
+    }
+}
+
+function validateSlots(path, slots, problems) {
+    if (!isPlainObject(slots)) {
+        problems.push({ path, message: 'must be an object' });
+        return;
+    }
+    Object.keys(slots).forEach(name => {
+        const slotPath = `${path}.${name}`;
+        if (name === MAIN_INPUT) {
+            problems.push({ path: slotPath, message: `${MAIN_INPUT} is the name of the main input and cannot be used for a slot` });
+        } else if (!isPlainObject(slots[name])) {
+            problems.push({ path: slotPath, message: 'must be an object' });
+        } else {
+            Object.keys(slots[name]).forEach(attribute => {
+                validateAttribute(`${slotPath}.${attribute}`, attribute, slots[name][attribute], problems);
+            });
+        }
+    });
+}
+
+function validateCardinality(path, cardinality, problems) {
+    if (!isPlainObject(cardinality)) {
+        problems.push({ path, message: 'must be an object' });
+        return;
+    }
+    Object.keys(cardinality).forEach(key => {
+        if (!CARDINALITY_PROPERTIES.includes(key)) {
+            problems.push({ path: `${path}.${key}`, message: `is not a cardinality property (${CARDINALITY_PROPERTIES.join(', ')})` });
+        } else if (!Number.isInteger(cardinality[key]) || cardinality[key] < 1) {
+            problems.push({ path: `${path}.${key}`, message: `must be a positive integer, found: ${JSON.stringify(cardinality[key])}` });
+        }
+    });
+    if (cardinality.min > cardinality.max) {
+        problems.push({ path, message: `min (${cardinality.min}) must not be greater than max (${cardinality.max})` });
+    }
+}
+
+function validateDerive(path, derive, problems) {
+    if (!isPlainObject(derive)) {
+        problems.push({ path, message: 'must be an object' });
+        return;
+    }
+    Object.keys(derive).forEach(attribute => {
+        const rules = Array.isArray(derive[attribute]) ? derive[attribute] : [derive[attribute]];
+        rules.forEach(rule => {
+            if (rule !== null && typeof rule !== 'function' && !isDeriveRule(rule)) {
+                problems.push({
+                    path: `${path}.${attribute}`,
+                    message: `must be a function or one of ${Object.keys(DERIVE_RULES).join(', ')}, found: ${JSON.stringify(rule)}`
+                });
+            }
+        });
+    });
+}
+
+function validateCost(path, cost, problems) {
+    if (!isPlainObject(cost)) {
+        problems.push({ path, message: 'must be an object' });
+        return;
+    }
+    Object.keys(cost).forEach(key => {
+        if (!COST_PROPERTIES.includes(key)) {
+            problems.push({ path: `${path}.${key}`, message: `is not a cost property (${COST_PROPERTIES.join(', ')})` });
+        } else if (typeof cost[key] !== 'number' || isNaN(cost[key]) || cost[key] < 0) {
+            problems.push({ path: `${path}.${key}`, message: `must be a non-negative number, found: ${JSON.stringify(cost[key])}` });
+        }
+    });
+}
+
+function validateDuration(path, duration, problems) {
+    if (!isPlainObject(duration)) {
+        problems.push({ path, message: 'must be an object' });
+        return;
+    }
+    Object.keys(duration).forEach(key => {
+        if (!DURATION_PROPERTIES.includes(key)) {
+            problems.push({ path: `${path}.${key}`, message: `is not a duration property (${DURATION_PROPERTIES.join(', ')})` });
+        } else if (typeof duration[key] !== 'number' || isNaN(duration[key]) || duration[key] <= 0) {
+            problems.push({ path: `${path}.${key}`, message: `must be a positive number of milliseconds, found: ${JSON.stringify(duration[key])}` });
+        } else if (!(duration[key] <= MAX_DURATION_MS)) {
+            problems.push({ path: `${path}.${key}`, message: `must not be greater than ${MAX_DURATION_MS} milliseconds, found: ${duration[key]}` });
+        }
+    });
+    if (duration.expected > duration.max) {
+        problems.push({ path, message: `expected (${duration.expected}) must not be greater than max (${duration.max})` });
+    }
 }
 
+Manifest.MAIN_INPUT = MAIN_INPUT;
 
 module.exports = Manifest;
\ No newline at end of file
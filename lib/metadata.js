@@ -20,6 +20,7 @@ const exec = util.promisify(child_process.exec);
 const { GenericError, AssetComputeLogUtils, SourceCorruptError } = require('@adobe/asset-compute-commons');
 const mime = require('mime-types');
 const path = require('path');
+const { abortable } = require('./utils/abort');
 
 const MEDIAINFO_TIMEOUT_MS = 30 * 1000; // max timeout of 30 seconds
 
@@ -68,15 +69,18 @@ Object.filter = (obj, predicate) =>
 */
 class Metadata {
     /**
-     * @param {Object} source
+     * @param {Object} source source to extract the metadata from
+     * @param {Object} [options] options
+     * @param {AbortSignal} [options.signal] aborting it cancels the extraction with a CancelledError
      */
-    constructor(source) {
+    constructor(source, options = {}) {
         if (!source) {
             throw new GenericError(`No source provided`);
         } else if (!source.name && !source.path && !source.type) {
             throw new GenericError(`Provided source must contain one of 'name', 'path', or 'type' fields`);
         }
         this._source = source;
+        this._signal = options.signal;
 
         this._extension = this.getExtension(this._source);
         if (!this._extension) {
@@ -89,6 +93,10 @@ class Metadata {
             console.warn('metadata has already been extracted');
             return;
         }
+        return abortable(this.extractMetadata(), this._signal, 'metadata_extract');
+    }
+
+    async extractMetadata() {
         if(this.is3dFormat()){
             // no additional metadata extraction for 3d formats
             // eslint-disable-next-line no-useless-return
@@ -300,7 +308,7 @@ class Metadata {
             // const command = `exiftool -n -json -ee -api RequestAll=3 ${file}`;
             console.log(`Metadata (exiftool) command is: ${command}`);
 
-            const { stdout } = await exec(command);
+            const { stdout } = await exec(command, this._signal ? { signal: this._signal } : undefined);
 
             metadata = JSON.parse(stdout); // exiftool outputs the json as string
             if (Array.isArray(metadata)) {
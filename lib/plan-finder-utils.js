@@ -15,6 +15,7 @@
 // Helper functions for planFinder
 // mainly in its own file to clean up code and for unit testing
 const SENSEI_REQUEST_FLAG = 'senseiRequestFlag';
+const DEFAULT_STEP_COST = 1;
 
 function isArray(array) {
     return Array.isArray(array);
@@ -29,7 +30,204 @@ function isValue(val) {
     return val !== null && val !== undefined && (typeof val === 'boolean' || isValidNumber(val) || typeof val === 'string');
 }
 function isRange(obj) {
-    return isObject(obj) && isValidNumber(obj.min) && isValidNumber(obj.max);
+    if (!isObject(obj) || typeof obj !== 'object') {
+        return false;
+    }
+    const hasMin = obj.min !== undefined;
+    const hasMax = obj.max !== undefined;
+    return (hasMin || hasMax)
+        && (!hasMin || isValidNumber(obj.min))
+        && (!hasMax || isValidNumber(obj.max))
+        && (obj.step === undefined || (isValidNumber(obj.step) && obj.step > 0));
+}
+
+// tolerance for floating point steps (e.g. 0.1)
+const STEP_EPSILON = 1e-9;
+
+/**
+ * Rounds a value to a multiple of step
+ * @param {Number} value value to round
+ * @param {Number} step step
+ * @param {Function} round `Math.floor` or `Math.ceil`
+ */
+function roundToStep(value, step, round) {
+    const quotient = value / step;
+    const nearest = Math.round(quotient);
+    const multiple = Math.abs(quotient - nearest) < STEP_EPSILON ? nearest : round(quotient);
+    // avoid floating point noise like 0.30000000000000004
+    return parseFloat((multiple * step).toPrecision(12));
+}
+
+function decimals(x) {
+    return Math.min((String(x).split('.')[1] || '').length, 10);
+}
+
+function gcd(a, b) {
+    return b === 0 ? a : gcd(b, a % b);
+}
+
+/**
+ * Common step of two ranges: least common multiple of both steps
+ * @param {Number} stepA step or undefined
+ * @param {Number} stepB step or undefined
+ */
+function stepIntersect(stepA, stepB) {
+    if (stepA === undefined || stepB === undefined) {
+        return stepA === undefined ? stepB : stepA;
+    }
+    const scale = 10 ** Math.max(decimals(stepA), decimals(stepB));
+    const a = Math.round(stepA * scale);
+    const b = Math.round(stepB * scale);
+    return (a / gcd(a, b) * b) / scale;
+}
+
+/**
+ * Check a value is part of a range, taking open ends, exclusive bounds and step into account
+ * @param {*} value value to check (numeric strings are accepted)
+ * @param {Range} range range
+ * @returns {Boolean} true if the value is part of the range
+ */
+function inRange(value, range) {
+    if (typeof value === 'string' && value.trim() !== '') {
+        value = Number(value);
+    }
+    if (!isValidNumber(value) || !isRange(range)) {
+        return false;
+    }
+    if (range.min !== undefined && (value < range.min || (range.exclusiveMin && value === range.min))) {
+        return false;
+    }
+    if (range.max !== undefined && (value > range.max || (range.exclusiveMax && value === range.max))) {
+        return false;
+    }
+    return range.step === undefined || roundToStep(value, range.step, Math.round) === parseFloat(value.toPrecision(12));
+}
+
+/**
+ * Largest value of a range not greater than limit
+ * Without step, the largest value below an exclusive max is the next lower integer.
+ * @param {Range} range range
+ * @param {Number} limit optional upper limit
+ * @returns {Number} the largest value or undefined if there is none (or the range has no upper bound)
+ */
+function largestValue(range, limit = Infinity) {
+    let upper = range.max;
+    let exclusive = !!range.exclusiveMax;
+    if (upper === undefined || limit < upper) {
+        upper = limit;
+        exclusive = false;
+    }
+    if (!isValidNumber(upper)) {
+        return undefined;
+    }
+    let largest;
+    if (range.step !== undefined) {
+        largest = roundToStep(upper, range.step, Math.floor);
+        if (exclusive && largest === upper) {
+            largest = roundToStep(upper - range.step, range.step, Math.floor);
+        }
+    } else {
+        largest = exclusive ? Math.ceil(upper) - 1 : upper;
+    }
+    return inRange(largest, range) ? largest : undefined;
+}
+
+/**
+ * Check a range contains at least one value
+ * @param {Range} range range
+ */
+function isEmptyRange(range) {
+    if (range.min === undefined || range.max === undefined) {
+        return false; // open ended ranges always contain multiples of step
+    }
+    if (range.step === undefined) {
+        return range.min > range.max || (range.min === range.max && !!(range.exclusiveMin || range.exclusiveMax));
+    }
+    let smallest = roundToStep(range.min, range.step, Math.ceil);
+    if (range.exclusiveMin && smallest === range.min) {
+        smallest = roundToStep(range.min + range.step, range.step, Math.ceil);
+    }
+    return smallest > range.max || (range.exclusiveMax && smallest === range.max);
+}
+
+/**
+ * Tighter bound of two ranges
+ * @param {Range} rangeA range
+ * @param {Range} rangeB range
+ * @param {String} bound `min` or `max`
+ * @returns {Object} `{ value, exclusive }` or undefined if both ranges are open at this end
+ */
+function tighterBound(rangeA, rangeB, bound) {
+    const exclusive = bound === 'min' ? 'exclusiveMin' : 'exclusiveMax';
+    const a = rangeA[bound];
+    const b = rangeB[bound];
+    if (a === undefined && b === undefined) {
+        return undefined;
+    }
+    if (a === b) {
+        return { value: a, exclusive: !!(rangeA[exclusive] || rangeB[exclusive]) };
+    }
+    const aIsTighter = b === undefined || (a !== undefined && (bound === 'min' ? a > b : a < b));
+    return aIsTighter ?
+        { value: a, exclusive: !!rangeA[exclusive] } :
+        { value: b, exclusive: !!rangeB[exclusive] };
+}
+function toArray(val) {
+    return isArray(val) ? val : [val];
+}
+
+/**
+ * Check if a mime type is a wildcard pattern: `image/*`, `*\/*` or `*\/*+xml`
+ * @param {*} mimetype mime type
+ */
+function isMimeWildcard(mimetype) {
+    return typeof mimetype === 'string' && mimetype.includes('*');
+}
+
+/**
+ * Check if a mime type matches a mime type or wildcard pattern
+ * - `image/*` matches any image type (`image/png`, `image/tiff`, ...)
+ * - `*\/*+xml` matches any type with the structured syntax suffix `+xml` (`image/svg+xml`, ...)
+ * - other values must be equal
+ * @param {*} pattern mime type or wildcard pattern
+ * @param {*} mimetype mime type
+ * @returns {Boolean} true if the mime type matches
+ */
+function mimeTypeMatches(pattern, mimetype) {
+    if (pattern === mimetype) {
+        return true;
+    }
+    if (!isMimeWildcard(pattern) || typeof mimetype !== 'string') {
+        return false;
+    }
+    const [patternType, patternSubtype = ''] = pattern.toLowerCase().split('/');
+    const [type, subtype = ''] = mimetype.toLowerCase().split('/');
+    if (patternType !== '*' && patternType !== type) {
+        return false;
+    }
+    if (patternSubtype === '*' || patternSubtype === subtype) {
+        return true;
+    }
+    // structured syntax suffix: `*+xml`
+    return patternSubtype.startsWith('*+') && subtype.endsWith(patternSubtype.substring(1));
+}
+
+/**
+ * Find intersection of two mime type attributes (value or priority list), resolving wildcards
+ * ex: ['image/png', 'image/gif'] and 'image/*' intersect in ['image/png', 'image/gif']
+ * @param {*} typesA mime type or list of mime types (typically outputs of a transformer)
+ * @param {*} typesB mime type or list of mime types (typically inputs of the next transformer)
+ * @returns {Array} concrete types from either side matched by the other side, in order of typesA first
+ */
+function mimeTypeIntersect(typesA, typesB) {
+    const listA = toArray(typesA);
+    const listB = toArray(typesB);
+    const intersection = new Set();
+    listA.filter(a => listB.some(b => mimeTypeMatches(b, a))).forEach(a => intersection.add(a));
+    listB.filter(b => listA.some(a => mimeTypeMatches(a, b))).forEach(b => intersection.add(b));
+    // keep wildcards only if there is no concrete type
+    const concrete = Array.from(intersection).filter(type => !isMimeWildcard(type));
+    return concrete.length > 0 ? concrete : Array.from(intersection);
 }
 
 /**
@@ -51,21 +249,18 @@ function arrayRangeIntersect(arrayA, rangeB) {
     if (!isArray(arrayA) || !isRange(rangeB)) {
         return [];
     }
-    const intersectArray = [];
-    arrayA.forEach(a => {
-        if (a >= rangeB.min && a <= rangeB.max) {
-            intersectArray.push(a);
-        }
-    });
-    return intersectArray;
+    return arrayA.filter(a => inRange(a, rangeB));
 }
 
 
 /**
  * @typedef {Object} Range
  *  
- * @property {Number} min number signifying the min value of the range
- * @property {Number} max number signifying the max value of the range
+ * @property {Number} min number signifying the min value of the range (optional if max is set)
+ * @property {Number} max number signifying the max value of the range (optional if min is set)
+ * @property {Boolean} exclusiveMin if true, min itself is not part of the range
+ * @property {Boolean} exclusiveMax if true, max itself is not part of the range
+ * @property {Number} step values must be multiples of step, e.g. `{ min: 0, max: 100, step: 5 }` for quality
  */
 /**
  * Find intersection of two ranges
@@ -78,18 +273,31 @@ function rangeIntersect(rangeA,rangeB) {
         return null;
     }
     // both are ranges, find intersection of range
-    const containsMin = (rangeA.min < rangeB.min) ? rangeA:rangeB;
-    const containsMax = (containsMin === rangeB)? rangeA:rangeB;
-    if (containsMin.max < containsMax.min) {
-        // containsMin ends before containsMax range starts
-        // no intersection between ranges
+    // the higher min and lower max win, open ends are bounded by the other range
+    const range = {};
+    const min = tighterBound(rangeA, rangeB, 'min');
+    const max = tighterBound(rangeA, rangeB, 'max');
+    if (min) {
+        range.min = min.value;
+    }
+    if (max) {
+        range.max = max.value;
+    }
+    if (min && min.exclusive) {
+        range.exclusiveMin = true;
+    }
+    if (max && max.exclusive) {
+        range.exclusiveMax = true;
+    }
+    const step = stepIntersect(rangeA.step, rangeB.step);
+    if (step !== undefined) {
+        range.step = step;
+    }
+    // no intersection between ranges
+    if (isEmptyRange(range)) {
         return null;
-    } else {
-        return {
-            min: containsMax.min,
-            max: (containsMin.max < containsMax.max) ? containsMin.max : containsMax.max 
-        };
     }
+    return range;
 }
 
 /**
@@ -121,6 +329,15 @@ function manifestIntersection(outputA,inputB) {
         const outputValA = outputA[attribute];
         const inputValB = inputB[attribute];
 
+        // mime types can be wildcards, resolve them against the concrete types of the other side
+        if (attribute === 'type' && (toArray(outputValA).some(isMimeWildcard) || toArray(inputValB).some(isMimeWildcard))) {
+            const types = mimeTypeIntersect(outputValA, inputValB);
+            if (types.length > 0) {
+                intersectionObject[attribute] = (isArray(outputValA) || isArray(inputValB)) ? types : types[0];
+            }
+            return;
+        }
+
         // find intersection of two ranges
         if (isRange(outputValA) && isRange(inputValB)) {
             const range = rangeIntersect(outputValA,inputValB);
@@ -137,7 +354,7 @@ function manifestIntersection(outputA,inputB) {
         }
         // find intersection of range and value
         if (isRange(outputValA) && isValue(inputValB)) {
-            if (inputValB >= outputValA.min && inputValB <= outputValA.max) {
+            if (inRange(inputValB, outputValA)) {
                 intersectionObject[attribute] = inputValB;
             }
         }
@@ -164,7 +381,7 @@ function manifestIntersection(outputA,inputB) {
         // find intersection of value and range
         if (isValue(outputValA) && isRange(inputValB)) {
             // range and value
-            if (outputValA >= inputValB.min && outputValA <= inputValB.max) {
+            if (inRange(outputValA, inputValB)) {
                 intersectionObject[attribute] = outputValA;
             }
         }
@@ -184,6 +401,72 @@ function manifestIntersection(outputA,inputB) {
     return intersectionObject;
 }
 
+/**
+ * Check a single input value meets the qualifications of a manifest attribute
+ * @param {*} targetValues attribute from transformer manifest: range (object), priority list (array) or value
+ * @param {*} inputValue value of the same attribute in the input object
+ * @param {String} attribute name of the attribute
+ * @returns {Boolean} true if the value is accepted
+ */
+function attributeMatches(targetValues, inputValue, attribute) {
+    // mime types can be wildcards (`image/*`)
+    if (attribute === 'type' && toArray(targetValues).some(isMimeWildcard)) {
+        return toArray(targetValues).some(pattern => mimeTypeMatches(pattern, inputValue));
+    }
+    // if array, its assume its an priority list
+    if (isArray(targetValues)) {
+        return targetValues.includes(inputValue);
+    } else if (isRange(targetValues)) {
+        return inRange(inputValue, targetValues);
+    } else if (typeof targetValues === 'string') {
+        return typeof inputValue === 'string' && targetValues === inputValue;
+    } else if (typeof targetValues === 'boolean') {
+        return typeof inputValue === 'boolean' && targetValues === inputValue;
+    } else if (typeof targetValues === 'number') {
+        return typeof inputValue === 'number' && targetValues === inputValue;
+    }
+    return true;
+}
+
+/**
+ * @typedef {Object} Mismatch
+ *
+ * @property {String} attribute name of the attribute that was rejected
+ * @property {*} expected attribute value from the manifest
+ * @property {*} actual attribute value from the input
+ */
+/**
+ * List all attributes of the input which do not meet the qualifications of the target object
+ * See `checkInputMatches()` for the rules
+ * @param {*} target inputs/outputs object from transformer manifest
+ * @param {Object} input input object in an engine pipeline
+ * @returns {Array<Mismatch>} list of rejected attributes, empty if the input matches
+ */
+function inputMismatches(target, input) {
+    if (!isObject(target) || !isObject(input)) {
+        return [{ attribute: '*', expected: target, actual: input }];
+    }
+    const mismatches = [];
+    Object.keys(input).forEach(attribute => {
+        // if inputs contains attribute, check input[attribute] meets qualifications
+        // if inputs does not contain attribute, assume there are no restrictions and its supported
+        const inputValue = input[attribute];
+        const targetValues = target[attribute];
+        if (targetValues && !attributeMatches(targetValues, inputValue, attribute)) {
+            mismatches.push({ attribute, expected: targetValues, actual: inputValue });
+        }
+    });
+    // handle special sensei cases
+    const senseiFeature = target[SENSEI_REQUEST_FLAG];
+    if (mismatches.length === 0 && senseiFeature && input.features) {
+        const inputSenseiFeature = input.features[senseiFeature];
+        if (inputSenseiFeature === false || inputSenseiFeature === undefined || inputSenseiFeature === null) {
+            mismatches.push({ attribute: `features.${senseiFeature}`, expected: true, actual: inputSenseiFeature });
+        }
+    }
+    return mismatches;
+}
+
 // check if input meets all the qualifications of target object
 /**
  * 
@@ -208,49 +491,130 @@ function manifestIntersection(outputA,inputB) {
  *   - empty array means you don't support it
  *   - if you leave attribute out, you accept it
  *   - if not defined, it accepts it 
+ *   - `type` can contain wildcards: `image/*`, `*\/*+xml`
  */
 function checkInputMatches(target, input) {
     if (!isObject(target) || !isObject(input)) {
         return false;
     }
-    let match = true;
-    Object.keys(input).forEach(attribute => {
-        // if inputs contains attribute, check input[attribute] meets qualifications
-        // if inputs does not contain attribute, assume there are no restrictions and its supported
+    return inputMismatches(target, input).length === 0;
+}
+
+/**
+ * List the attributes preventing the outputs of transformer A to connect to the inputs of transformer B
+ * (attributes declared by both but without any intersection)
+ * Transformers must at least intersect in attribute `type`
+ * @param {ManifestOutput} outputA outputs of transformer A
+ * @param {ManifestInput} inputB inputs of transformer B
+ * @returns {Array<Mismatch>} list of attributes without intersection (`expected` is from inputB, `actual` from outputA)
+ */
+function manifestMismatches(outputA, inputB) {
+    if (!isObject(outputA) || !isObject(inputB)) {
+        return [{ attribute: '*', expected: inputB, actual: outputA }];
+    }
+    const intersection = manifestIntersection(outputA, inputB);
+    const attributes = arrayIntersect(Object.keys(outputA), Object.keys(inputB));
+    if (!attributes.includes('type')) {
+        attributes.unshift('type');
+    }
+    return attributes
+        .filter(attribute => intersection[attribute] === undefined)
+        .map(attribute => ({ attribute, expected: inputB[attribute], actual: outputA[attribute] }));
+}
+
+/**
+ * Built-in rules deriving an output attribute of a step
+ * All rules have the same signature as custom rules declared in the manifest `derive` section:
+ *  (output, input, intersection, attribute) => value
+ * - output: output object with the best values of the intersection (and attributes derived so far)
+ * - input: input object of the step
+ * - intersection: intersection object the output values were chosen from
+ * - attribute: name of the derived attribute
+ * The returned value replaces output[attribute], undefined removes it.
+ */
+const DERIVE_RULES = {
+    // carry the input value over if the output does not set the attribute
+    keepInput: (output, input, intersection, attribute) => {
+        return output[attribute] === undefined ? input[attribute] : output[attribute];
+    },
+    // never larger than the input value (for example to avoid upscaling width and height)
+    noUpscale: (output, input, intersection, attribute) => {
         const inputValue = input[attribute];
-        const targetValues = target[attribute];
-        if (targetValues) {
-            // if array, its assume its an priority list
-            if (isArray(targetValues)) {
-                if (!targetValues.includes(inputValue)) {
-                    match = false;
-                }
-            } else if (isRange(targetValues)) {
-                if (!(inputValue >= targetValues.min && inputValue <= targetValues.max)) {
-                    match = false;
-                }
-            } else if (typeof targetValues === 'string') {
-                if (typeof inputValue !== 'string' || targetValues !== inputValue) {
-                    match = false;
-                }
-            } else if (typeof targetValues === 'boolean') {
-                if (typeof inputValue !== 'boolean' || targetValues !== inputValue) {
-                    match = false;
-                }
-            } else if (typeof targetValues === 'number') {
-                if (typeof inputValue !== 'number' || targetValues !== inputValue) {
-                    match = false;
-                }
-            }
+        const candidates = intersection[attribute];
+        if (!inputValue || !isValidNumber(inputValue)) {
+            return output[attribute];
         }
-    });
-    // handle special sensei cases
-    const senseiFeature = target[SENSEI_REQUEST_FLAG];
-    if (match && senseiFeature && input.features) {
-        const inputSenseiFeature = input.features[senseiFeature];
-        return inputSenseiFeature !== false && inputSenseiFeature !== undefined && inputSenseiFeature !== null;
+        if (isRange(candidates)) {
+            // largest value of the range up to the input value,
+            // the input value itself if the range only has larger values
+            const limited = largestValue(candidates, inputValue);
+            return limited !== undefined ? limited : inputValue;
+        }
+        return isValidNumber(output[attribute]) ? Math.min(inputValue, output[attribute]) : output[attribute];
+    },
+    // keep the input value if it is supported even if its not the first choice
+    // example: transformer may prefer png to jpeg, but if the source is a jpeg,
+    // we prefer not to convert unless needed
+    preferInput: (output, input, intersection, attribute) => {
+        const inputValue = input[attribute];
+        const candidates = intersection[attribute];
+        if (inputValue !== undefined && candidates !== undefined && attributeMatches(candidates, inputValue, attribute)) {
+            return inputValue;
+        }
+        return output[attribute];
+    },
+    // width or height computed from the other dimension of the output and the aspect ratio of the input
+    preserveAspectRatio: (output, input, intersection, attribute) => {
+        const other = { width: 'height', height: 'width' }[attribute];
+        if (!other || !isValidNumber(output[other]) || !input.width || !input.height
+            || !isValidNumber(input.width) || !isValidNumber(input.height)) {
+            return output[attribute];
+        }
+        return Math.round(output[other] * input[attribute] / input[other]);
     }
-    return match;
+};
+
+/**
+ * Check a name is the name of a built-in derivation rule
+ * @param {*} name rule name
+ */
+function isDeriveRule(name) {
+    return typeof name === 'string' && Object.prototype.hasOwnProperty.call(DERIVE_RULES, name);
+}
+
+// rules applied to every step unless the manifest overrides them
+const DEFAULT_DERIVE_RULES = {
+    type: 'preferInput',
+    width: ['noUpscale', 'keepInput'],
+    height: ['noUpscale', 'keepInput']
+};
+
+/**
+ * Derives output attributes by applying rules in order
+ * @param {Object} output output object, changed in place
+ * @param {Object} input input object of the step
+ * @param {Object} intersection intersection object the output values were chosen from
+ * @param {Object} rules rule or list of rules per attribute: name of a built-in rule (see `DERIVE_RULES`)
+ * or function `(output, input, intersection, attribute) => value`, `null` disables the default rule
+ * @returns {Object} output
+ */
+function deriveAttributes(output, input, intersection, rules) {
+    Object.keys(rules).forEach(attribute => {
+        toArray(rules[attribute]).forEach(rule => {
+            const derive = typeof rule === 'function' ? rule : isDeriveRule(rule) && DERIVE_RULES[rule];
+            if (!derive) {
+                // null disables a default rule, unknown rules are reported by the manifest validation
+                return;
+            }
+            const value = derive(output, input, intersection, attribute);
+            if (value === undefined) {
+                delete output[attribute];
+            } else if (isValue(value)) {
+                output[attribute] = value;
+            }
+        });
+    });
+    return output;
 }
 
 /**
@@ -273,9 +637,10 @@ function checkInputMatches(target, input) {
  *      colorspace: 'sRGB'
  *  }
  * @param {Object} obj intersection object
- * @param {Object} input input object to take into account for upscaling and unneeded type conversion
+ * @param {Object} input input object the derivation rules take into account (e.g. to avoid upscaling and unneeded type conversion)
+ * @param {Object} rules derivation rules (see `deriveAttributes()`), defaults to `DEFAULT_DERIVE_RULES`
  */
-function bestOfIntersection(obj, input) {
+function bestOfIntersection(obj, input, rules = DEFAULT_DERIVE_RULES) {
     const bestObj = {};
     if (!isObject(obj) || !isObject(input)) {
         return bestObj;
@@ -287,44 +652,75 @@ function bestOfIntersection(obj, input) {
         if (isArray(val)) {
             bestVal = val[0];
         }
-        // if range, take "max" as best
+        // if range, take its largest value ("max") as best
         else if (isRange(val)) {
-            bestVal = val.max;
+            bestVal = largestValue(val);
         }
         // if singular value, there is only one option for best
         else if (isValue(val)) {
             bestVal = val;
         }
 
-        // if input object contains attribute,
-        // adjust to make sure it fit means of input
-        // for example: if best value is larger than input, 
-        // adjust it down to avoid upscaling
-        if ((attribute === 'width' || attribute === 'height') && input[attribute]) {
-            bestVal = Math.min(input[attribute], bestVal);
-        }
-        // preserve input.type if it is in intersection object even if its not the first choice
-        // example: transformer may prefer png to jpeg, but if the source is a jpeg,
-        // we prefer not to convert unless needed
-        if ((attribute === 'type') && input.type) {
-            if (isArray(val) && val.includes(input.type)) {
-                bestVal = input.type;
-            }
-        } 
-
         // edge case: if somehow an invalid value makes it all the way to here
         if (bestVal !== undefined && isValue(bestVal)) {
             bestObj[attribute] = bestVal;
         }
     });
-    return bestObj;
+    return deriveAttributes(bestObj, input, obj, rules);
+}
+
+/**
+ * @typedef {Object} CostModel
+ *  Cost model of a transformer as declared in its manifest (all fields are optional)
+ *
+ * @property {Number} fixed fixed cost for each run of the transformer
+ * @property {Number} perMegapixel cost per megapixel of the input (width * height)
+ * @property {Number} perSecond cost per second of the input (duration of video or audio sources)
+ * @property {Number} qualityPenalty penalty for a loss of quality (e.g. lossy conversion)
+ */
+/**
+ * Cost of running a transformer on an input
+ * Without a cost model every transformer has the same cost of 1
+ * 
+ * ex: { fixed: 1, perMegapixel: 2 } on a 2000x1000 input costs 1 + 2 * 2 = 5
+ * @param {CostModel} cost cost model from the transformer manifest
+ * @param {Object} input input object in an engine pipeline (source metadata)
+ * @returns {Number} cost of the step
+ */
+function stepCost(cost, input) {
+    if (!cost || typeof cost !== 'object' || isArray(cost)) {
+        return DEFAULT_STEP_COST;
+    }
+    input = input || {};
+    let total = isValidNumber(cost.fixed) ? cost.fixed : 0;
+    if (isValidNumber(cost.perMegapixel) && isValidNumber(input.width) && isValidNumber(input.height)) {
+        total += cost.perMegapixel * (input.width * input.height) / 1000000;
+    }
+    if (isValidNumber(cost.perSecond) && isValidNumber(input.duration)) {
+        total += cost.perSecond * input.duration;
+    }
+    if (isValidNumber(cost.qualityPenalty)) {
+        total += cost.qualityPenalty;
+    }
+    return total;
 }
 
 module.exports = {
     arrayIntersect,
     arrayRangeIntersect,
     rangeIntersect,
+    inRange,
     manifestIntersection,
+    attributeMatches,
     checkInputMatches,
-    bestOfIntersection  
+    inputMismatches,
+    manifestMismatches,
+    bestOfIntersection,
+    deriveAttributes,
+    isDeriveRule,
+    DERIVE_RULES,
+    DEFAULT_DERIVE_RULES,
+    mimeTypeMatches,
+    mimeTypeIntersect,
+    stepCost
 };
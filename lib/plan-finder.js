@@ -15,13 +15,16 @@
 //const debug = require('debug')('pipeline:planFinder');
 const debug = console.log;
 const TransformersGraph = require('./transformer-graph');
-const {manifestIntersection, checkInputMatches, bestOfIntersection} = require('./plan-finder-utils');
+const {manifestIntersection, checkInputMatches, inputMismatches, manifestMismatches, bestOfIntersection, DEFAULT_DERIVE_RULES, stepCost} = require('./plan-finder-utils');
 const {SourceCorruptError, RenditionFormatUnsupportedError} = require('@adobe/asset-compute-commons');
+const { withNormalizedType } = require('./utils/mimetype');
 const clone = require('clone');
 
 // holds private member fields
 // const INTERNAL = Symbol("internal");
 const MAX_STEP_COUNT = 300;
+const MAX_PARTIAL_CHAINS = 3;
+const DEFAULT_PLAN_LIMIT = 3;
 
 /**
  * Component containing algorithm to find plan based on available transformers
@@ -33,6 +36,23 @@ class PlanFinder {
         // this[INTERNAL].registry = {};
         this.registry = registry;
         this.registeredTransformers = Object.keys(this.registry);
+
+        // inputs/outputs of each transformer with normalized mime types, the registry itself is left as-is
+        this.manifests = {};
+        this.registeredTransformers.forEach(name => {
+            const transformer = this.registry[name];
+            const slots = transformer.manifest && transformer.manifest.slots;
+            this.manifests[name] = {
+                inputs: withNormalizedType(transformer.inputs),
+                outputs: withNormalizedType(transformer.outputs)
+            };
+            if (slots) {
+                this.manifests[name].slots = {};
+                Object.keys(slots).forEach(slot => {
+                    this.manifests[name].slots[slot] = withNormalizedType(slots[slot]);
+                });
+            }
+        });
     }
 
     /**
@@ -46,7 +66,7 @@ class PlanFinder {
                 if (currentTransformer !== otherTransformer) {
                     // check if there is an edge between the transformers
                     // Transformers A,B intersect if A.outputs has at least one attribute that matches B.inputs
-                    const intersection = manifestIntersection(this.registry[currentTransformer].outputs, this.registry[otherTransformer].inputs);
+                    const intersection = manifestIntersection(this.manifests[currentTransformer].outputs, this.manifests[otherTransformer].inputs);
                     // Specific to pipeline: Transformers must have at least 1 overlap in attribute `type` to intersect
                     if (Object.keys(intersection).length > 0 && intersection.type) {
                         this.graph.addEdge(currentTransformer, otherTransformer, intersection); // add directed edge from a -> b
@@ -70,78 +90,148 @@ class PlanFinder {
         return false;
     }
 
-    // Breadth first search but "success" means the outputs
+    /**
+     * Returns the cost of running a transformer on its planned input, e.g. the resized output of the previous step.
+     * Attributes the planned input does not know (e.g. a duration) are taken from the source.
+     * @param {String} transformerName name of the transformer
+     * @param {Object} input planned input of the step
+     * @param {Object} [source] source the plan starts from
+     * @returns {Number} cost of the step
+     */
+    transformerCost(transformerName, input, source) {
+        const manifest = this.registry[transformerName].manifest;
+        return stepCost(manifest && manifest.cost, { ...source, ...input });
+    }
+
+    /**
+     * Returns the output of a transformer followed by another one in a plan, which is the input of the next one
+     * @param {String} transformerName name of the transformer
+     * @param {String} nextTransformerName name of the next transformer
+     * @param {Object} input input of the transformer, its attributes are derived by the rules of the transformer
+     * @returns {Object} output of the transformer
+     */
+    plannedOutput(transformerName, nextTransformerName, input) {
+        const intersection = this.transformersIntersect(transformerName, nextTransformerName);
+        // derivation rules of the transformer take the input into account, for example to avoid upscaling
+        return bestOfIntersection(intersection, input, this.deriveRules(transformerName));
+    }
+
+    // Dijkstra's algorithm where "success" means the outputs
     // of the current transformer matches the outputInstructions
-    BFS(source, outputInstructions) {
-        const plans = [];
-        const visitedNodes = new Set();
+    // Cost of a path is the sum of the costs of its transformers on their planned input (see `Manifest.cost`),
+    // without a declared cost every transformer costs the same, so the shortest path wins
+    /**
+     * Finds the cheapest chain of transformers converting the source into the rendition
+     * @param {Object} source contains metadata about the input (eg. mimetype, width, height, colorspace, ...) (required)
+     * @param {Rendition} outputInstructions contains the instructions about the desired output (rendition) (required)
+     * @returns {Object} `{ path, cost }` with the ordered list of transformer names, or undefined if there is no path
+     */
+    cheapestPath(source, outputInstructions) {
+        return this.cheapestPaths(source, outputInstructions, 1)[0];
+    }
+
+    // k shortest paths: same as Dijkstra's algorithm but each transformer can be reached
+    // by up to `limit` different paths, a path never goes through the same transformer twice
+    /**
+     * Finds the cheapest chains of transformers converting the source into the rendition
+     * @param {Object} source contains metadata about the input (eg. mimetype, width, height, colorspace, ...) (required)
+     * @param {Rendition} outputInstructions contains the instructions about the desired output (rendition) (required)
+     * @param {Number} limit maximum number of paths to return
+     * @returns {Array} list of `{ path, cost }` ordered by cost, empty if there is no path
+     */
+    cheapestPaths(source, outputInstructions, limit) {
+        return this.searchPaths(source, name => checkInputMatches(this.manifests[name].outputs, outputInstructions), limit);
+    }
+
+    /**
+     * Finds the cheapest chains of transformers from the source to a transformer accepted by `isTarget`
+     * @param {Object} source contains metadata about the input (eg. mimetype, width, height, colorspace, ...) (required)
+     * @param {Function} isTarget returns true if the output of the transformer (name) ends a chain
+     * @param {Number} limit maximum number of paths to return
+     * @param {Function} [accepts] returns false for transformers (name) which cannot be part of a chain
+     * @returns {Array} list of `{ path, cost }` ordered by cost, empty if there is no path
+     */
+    searchPaths(source, isTarget, limit, accepts = () => true) {
+        const found = [];
+        const visits = {}; // number of paths taken out of the queue for each transformer
         let counter = 0;
+        let sequence = 0; // breaks ties between equal costs in discovery order
         // 0. form graph -> or form graph dynamically
         if (!this.graph) {
             this.formGraph();
         }
         // 1. For all transformers, create list of transformers whose input matches the source
-        // plansQueue is an array of plans that functions like a queue (FIFO)
-        // each plan is an array of strings: one or more transformers
-        // ex: plansQueue = [['t1', 't2], ['t1', 't3']]
-        const plansQueue = [];
-        this.registeredTransformers.forEach(currentTransformerName => {
-            const currentTransformer = this.registry[currentTransformerName];
+        // queue contains one entry per path with the cost of the entire path
+        // ex: queue = [{ path: ['t1', 't2'], cost: 2 }, { path: ['t1', 't3'], cost: 5 }]
+        const queue = [];
+        this.registeredTransformers.filter(accepts).forEach(currentTransformerName => {
+            const currentTransformer = this.manifests[currentTransformerName];
 
             // check for match
             if (checkInputMatches(currentTransformer.inputs, source)) {
                 // 2. Add input matches to queue
-                // add to end of the array so it is in the back of the queue
-                // each input match 
-                plansQueue.push([currentTransformerName]);
+                const cost = this.transformerCost(currentTransformerName, source);
+                queue.push({ path: [currentTransformerName], cost, input: source, sequence: sequence++ });
             }
         });
-        debug(`initial queue (inputs match the source): ${plansQueue}`);
+        debug(`initial queue (inputs match the source): ${queue.map(entry => entry.path)}`);
         // edge case:
         // if there is no transformer that handles the input or the output,
         // no plan will be possible, no matter how far we traverse and recursively run
-        if (plansQueue.length < 1) {
+        if (queue.length < 1) {
             debug('No plan found.');
             throw new RenditionFormatUnsupportedError(`No transformers match input format: ${source.type}`);
         }
-        
-        while (plansQueue.length > 0 && counter < MAX_STEP_COUNT) {
-            // 3. Remove oldest item from the queue (FIFO)
-            // remove first item from the array and shift items forward
-            const currentPlan = plansQueue.shift();
+
+        while (queue.length > 0 && found.length < limit && counter < MAX_STEP_COUNT) {
+            // 3. Remove cheapest path from the queue
+            const current = removeCheapest(queue);
+            const lastTransformerName = current.path[current.path.length - 1];
+            if ((visits[lastTransformerName] || 0) >= limit) {
+                debug(`Already visited this transformer: ${lastTransformerName}`);
+                continue;
+            }
+            visits[lastTransformerName] = (visits[lastTransformerName] || 0) + 1;
             // 4. checkOutputMatches 
-            // check if output of last transformer in the plan matches outputInstructions
-            const lastTransformerName = currentPlan[currentPlan.length - 1];
-            if (checkInputMatches(this.registry[lastTransformerName].outputs, outputInstructions)) {
-                debug(`Plan found! ${currentPlan}`);
-                plans.push(currentPlan);
-            } else {
-                if (visitedNodes.has(lastTransformerName)) {
-                    debug(`Already visited this transformer: ${lastTransformerName}`);
-                } else {
-                    counter++;
-                    visitedNodes.add(lastTransformerName);
-                    // 5. If it doesn’t, traverse
-                    // add each traversed plan to queue
-                    debug(`Plan not found. Traversing adjacent nodes: ${lastTransformerName}`);
-                    const adjacentTransformer = this.graph.adjacent(lastTransformerName);
-                    adjacentTransformer.forEach(transformer => {
-                        const newPlan = [...currentPlan, transformer];
-                        plansQueue.push(newPlan);
-                    });
-                }
+            // check if output of last transformer in the path matches outputInstructions
+            // paths are found from the cheapest to the most expensive one
+            if (isTarget(lastTransformerName)) {
+                debug(`Plan found! ${current.path} (cost: ${current.cost})`);
+                found.push({ path: current.path, cost: current.cost });
+                continue;
             }
+            counter++;
+            // 5. If it doesn’t, traverse
+            // add the paths to the adjacent transformers to the queue
+            debug(`Plan not found. Traversing adjacent nodes: ${lastTransformerName}`);
+            const adjacentTransformer = this.graph.adjacent(lastTransformerName);
+            adjacentTransformer.forEach(transformer => {
+                if (!current.path.includes(transformer) && accepts(transformer)) {
+                    // each step is costed on its planned input, as `formPlan()` derives it
+                    const input = this.plannedOutput(lastTransformerName, transformer, current.input);
+                    const cost = current.cost + this.transformerCost(transformer, input, source);
+                    queue.push({ path: [...current.path, transformer], cost, input, sequence: sequence++ });
+                }
+            });
         }
-        if (plans.length > 1) {
-            // TODO: choose the "best" path
-            // for now, choose the shortest path
-            // [[a,b], [a]] -> [a]
-            debug(`multiple plans found, choosing shortest of the following plans ${plans}`);
-            return plans.reduce((a, b) => a.length <= b.length ? a : b);
+        if (found.length === 0) {
+            debug('No plan found.');
         }
-        debug(`only one plan found: ${plans[0]}`);
-        return plans[0];
+        return found;
     }
+
+    /**
+     * Returns the rules deriving the output attributes of a transformer:
+     * the default rules (see `DEFAULT_DERIVE_RULES`) merged with the `derive` rules of its manifest
+     * @param {String} transformerName name of the transformer
+     * @returns {Object} rules per attribute
+     */
+    deriveRules(transformerName) {
+        const manifest = this.registry[transformerName].manifest;
+        const derive = manifest && manifest.derive;
+        return derive ? { ...DEFAULT_DERIVE_RULES, ...derive } : DEFAULT_DERIVE_RULES;
+    }
+
     /**
      * Given a plan with only the list of transformers, 
      * for the instructions (inputs/outputs) for each step in the plan
@@ -170,7 +260,7 @@ class PlanFinder {
             const nextTransformer = currentPlan[i+1];
 
             // add sourceType to input instructions
-            const sourceType = this.registry[transformer].inputs.sourceType;
+            const sourceType = this.manifests[transformer].inputs.sourceType;
             if (sourceType) {
                 input.sourceType = sourceType;
             }
@@ -180,22 +270,12 @@ class PlanFinder {
             if (!nextTransformer) {
                 output = outputInstructions;
             } else {
-                const intersection = this.transformersIntersect(transformer, nextTransformer);
-                // bestOfIntersection takes into account input to avoid upscaling
-                output = bestOfIntersection(intersection, input);
+                output = this.plannedOutput(transformer, nextTransformer, input);
 
                 // adds userData to output object, which is needed for sending IO Events
                 if (userData) {
                     output.userData = userData;
                 }
-
-                // Adds the width/height to the output object if they stay the same as the input (changed values were updated and set when changed)
-                if (!output.width && input.width) {
-                    output.width = input.width;
-                }
-                if (!output.height && input.height) {
-                    output.height = input.height;
-                }
             }
             plan.push({
                 name: transformer,
@@ -244,6 +324,34 @@ class PlanFinder {
                      }]
      */
     findBestPlan(source, outputInstructions) {
+        return this.findCheapestPlan(source, outputInstructions).steps;
+    }
+
+    /**
+     * Same as `findBestPlan()` but also reports the cost of the chosen plan
+     * @param {Object} source contains metadata about the input (eg. mimetype, width, height, colorspace, ...) (required)
+     * @param {Rendition} outputInstructions contains the instructions about the desired output (rendition) (required)
+     * @returns {Object} `{ steps, cost }` with the steps as returned by `findBestPlan()` and the total cost of the plan
+     */
+    findCheapestPlan(source, outputInstructions) {
+        return this.findPlans(source, outputInstructions, { limit: 1 })[0];
+    }
+
+    /**
+     * Finds alternative plans, ranked from the cheapest to the most expensive one
+     * @param {Object} source contains metadata about the input (eg. mimetype, width, height, colorspace, ...) (required)
+     * @param {Rendition} outputInstructions contains the instructions about the desired output (rendition) (required)
+     * @param {Object} [options] options
+     * @param {Number} [options.limit] maximum number of plans to return (defaults to 3)
+     * @returns {Array} list of `{ steps, cost }` as returned by `findCheapestPlan()`, with at least one plan.
+     * Each plan has its own copy of the source and output instructions.
+     * Their mime types are normalized (e.g. `image/jpg` becomes `image/jpeg`, see `normalizeMimetype()`).
+     */
+    findPlans(source, outputInstructions, options = {}) {
+        const limit = options.limit || DEFAULT_PLAN_LIMIT;
+        // mime type aliases (e.g. `image/jpg`) are compared by their normalized type
+        source = withNormalizedType(source);
+        outputInstructions = withNormalizedType(outputInstructions);
         if (!this.graph) {
             this.formGraph();
         }
@@ -259,8 +367,180 @@ class PlanFinder {
         if (!this.isMimeType(outputInstructions.type)) {
             throw new RenditionFormatUnsupportedError(`outputInstructions.type (${outputInstructions.type}) is not propertly formatted`);
         }
-        const plan = this.BFS(source, outputInstructions);
-        return this.formPlan(source, outputInstructions, plan);
+        const paths = this.cheapestPaths(source, outputInstructions, limit);
+        if (paths.length === 0) {
+            // throws RenditionFormatUnsupportedError
+            this.formPlan(source, outputInstructions);
+        }
+        // forming a plan updates the source, so alternatives start from a copy of the original one
+        const originalSource = clone(source);
+
+        // paths with a slot that cannot be satisfied are dropped
+        let slotError;
+        const plans = [];
+        paths.forEach(cheapest => {
+            let slots;
+            try {
+                slots = this.resolveSlots(cheapest.path, originalSource, outputInstructions);
+            } catch (error) {
+                debug(`Dropping plan ${cheapest.path}: ${error.message}`);
+                slotError = slotError || error;
+                return;
+            }
+            const steps = plans.length === 0 ?
+                this.formPlan(source, outputInstructions, cheapest.path) :
+                this.formPlan(clone(originalSource), clone(outputInstructions), cheapest.path);
+            steps.filter(step => slots.slots[step.name]).forEach(step => {
+                step.attributes.slots = slots.slots[step.name];
+            });
+            plans.push({
+                steps: [...slots.steps, ...steps],
+                cost: cheapest.cost + slots.cost
+            });
+        });
+        if (plans.length === 0) {
+            throw slotError;
+        }
+        // slot steps add to the cost of a path
+        return plans.sort((a, b) => a.cost - b.cost);
+    }
+
+    /**
+     * Resolves the slots of the fan-in transformers of a path (see `Manifest.slots`).
+     * A slot takes the asset with the same name in `outputInstructions.inputs`, or the source if there is none.
+     * The asset is used as is if it matches the slot, otherwise the cheapest chain of transformers
+     * converting it runs before the path. The last step of such a chain has a `slot` attribute naming its output
+     * (`<transformer>.<slot>`), which the slot refers to with `from`.
+     * Fan-in transformers are not part of the chains.
+     * @param {Array} path ordered list of transformer names
+     * @param {Object} source contains metadata about the input (eg. mimetype, width, height, colorspace, ...) (required)
+     * @param {Rendition} outputInstructions contains the instructions about the desired output (rendition) (required)
+     * @returns {Object} `{ steps, slots, cost }`: steps to run before the path, attributes of the slots
+     * by transformer and slot name, and the cost of the steps.
+     * Throws a RenditionFormatUnsupportedError if a slot cannot be satisfied.
+     */
+    resolveSlots(path, source, outputInstructions) {
+        const result = { steps: [], slots: {}, cost: 0 };
+        const assets = outputInstructions.inputs || {};
+        path.filter(transformer => this.manifests[transformer].slots).forEach(transformer => {
+            const slots = this.manifests[transformer].slots;
+            result.slots[transformer] = {};
+            Object.keys(slots).forEach(slot => {
+                const asset = clone(withNormalizedType(assets[slot] || source));
+                if (checkInputMatches(slots[slot], asset)) {
+                    debug(`Slot ${slot} of ${transformer} takes the ${assets[slot] ? 'asset' : 'source'} as is`);
+                    result.slots[transformer][slot] = asset;
+                    return;
+                }
+
+                let paths = [];
+                try {
+                    paths = this.searchPaths(asset, name => !!slotIntersection(this.manifests[name].outputs, slots[slot]), 1,
+                        name => !this.manifests[name].slots);
+                } catch (ignore) { // eslint-disable-line no-unused-vars
+                    // no transformer takes the asset, handled below
+                }
+                if (paths.length === 0) {
+                    throw new RenditionFormatUnsupportedError(`No plan could be found for slot ${slot} of ${transformer}: ${asset.type} -> ${slots[slot].type}`);
+                }
+                const { path: chain, cost } = paths[0];
+                const last = chain[chain.length - 1];
+                const output = bestOfIntersection(slotIntersection(this.manifests[last].outputs, slots[slot]), asset, this.deriveRules(last));
+                const name = `${transformer}.${slot}`;
+                const steps = this.formPlan(asset, output, chain);
+                steps[steps.length - 1].attributes.slot = name;
+                debug(`Slot ${slot} of ${transformer} takes the output of ${chain}`);
+
+                result.steps.push(...steps);
+                result.cost += cost;
+                result.slots[transformer][slot] = { ...clone(output), from: name };
+            });
+        });
+        return result;
+    }
+
+    /**
+     * Explains how a plan was found, or why none could be found, for debugging purposes
+     * @param {Object} source contains metadata about the input (eg. mimetype, width, height, colorspace, ...) (required)
+     * @param {Rendition} outputInstructions contains the instructions about the desired output (rendition) (required)
+     * @returns {Object} report:
+     *      - `transformers`: for each registered transformer, the source and rendition attributes it rejects
+     *          `[{ name, acceptsSource, sourceMismatches: [{ attribute, expected, actual }], producesRendition, renditionMismatches }]`
+     *      - `missingEdges`: missing graph edges from transformers reachable from the source to transformers producing the rendition
+     *          `[{ from, to, mismatches: [{ attribute, expected, actual }] }]`
+     *      - `partialChains`: closest chains reached from the source, ranked by the number of rejected rendition attributes
+     *          `[{ path, renditionMismatches }]`
+     *      - `plan`: list of transformer names of the best plan (undefined if no plan was found)
+     */
+    explain(source, outputInstructions) {
+        if (!this.graph) {
+            this.formGraph();
+        }
+        source = withNormalizedType(source || {});
+        outputInstructions = withNormalizedType(outputInstructions || {});
+
+        const transformers = this.registeredTransformers.map(name => {
+            const transformer = this.manifests[name];
+            const sourceMismatches = inputMismatches(transformer.inputs, source);
+            const renditionMismatches = inputMismatches(transformer.outputs, outputInstructions);
+            return {
+                name,
+                acceptsSource: sourceMismatches.length === 0,
+                sourceMismatches,
+                producesRendition: renditionMismatches.length === 0,
+                renditionMismatches
+            };
+        });
+
+        // shortest chain to each transformer reachable from the source
+        const chains = {};
+        const queue = transformers.filter(t => t.acceptsSource).map(t => [t.name]);
+        while (queue.length > 0 && Object.keys(chains).length < MAX_STEP_COUNT) {
+            const chain = queue.shift();
+            const last = chain[chain.length - 1];
+            if (chains[last]) {
+                continue;
+            }
+            chains[last] = chain;
+            this.graph.adjacent(last).forEach(transformer => queue.push([...chain, transformer]));
+        }
+
+        const byName = {};
+        transformers.forEach(t => { byName[t.name] = t; });
+
+        const producers = transformers.filter(t => t.producesRendition).map(t => t.name);
+        const missingEdges = [];
+        Object.keys(chains).forEach(from => {
+            producers.forEach(to => {
+                if (from !== to && !chains[to] && !this.graph.transformersIntersect(from, to)) {
+                    missingEdges.push({
+                        from,
+                        to,
+                        mismatches: manifestMismatches(this.manifests[from].outputs, this.manifests[to].inputs)
+                    });
+                }
+            });
+        });
+
+        const partialChains = Object.values(chains)
+            .map(path => ({ path, renditionMismatches: byName[path[path.length - 1]].renditionMismatches }))
+            .sort((a, b) => (a.renditionMismatches.length - b.renditionMismatches.length) || (a.path.length - b.path.length))
+            .slice(0, MAX_PARTIAL_CHAINS);
+
+        let plan;
+        try {
+            const cheapest = source.type !== undefined && this.cheapestPath(source, outputInstructions);
+            plan = cheapest ? cheapest.path : undefined;
+        } catch (error) {
+            debug(`explain: no plan found: ${error.message || error}`);
+        }
+
+        return {
+            transformers,
+            missingEdges,
+            partialChains,
+            plan
+        };
     }
 
     isMimeType(str) {
@@ -268,4 +548,31 @@ class PlanFinder {
     }
 }
 
+/**
+ * Intersection of the outputs of a transformer with the constraints of a slot
+ * @param {Object} outputs outputs of the transformer manifest
+ * @param {Object} slot slot constraints
+ * @returns {Object} intersection object, undefined if they do not intersect in `type`
+ */
+function slotIntersection(outputs, slot) {
+    const intersection = manifestIntersection(outputs, slot);
+    return intersection.type ? intersection : undefined;
+}
+
+/**
+ * Removes and returns the cheapest entry of the queue
+ * (entries with equal costs are returned in the order they were added)
+ * @param {Array} queue list of `{ path, cost, sequence }` entries
+ */
+function removeCheapest(queue) {
+    let cheapest = 0;
+    for (let i = 1; i < queue.length; i++) {
+        if (queue[i].cost < queue[cheapest].cost
+            || (queue[i].cost === queue[cheapest].cost && queue[i].sequence < queue[cheapest].sequence)) {
+            cheapest = i;
+        }
+    }
+    return queue.splice(cheapest, 1)[0];
+}
+
 module.exports = PlanFinder;
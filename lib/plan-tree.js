@@ -0,0 +1,166 @@
+/*
+ * Copyright 2021 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+// attributes that differ between renditions but do not change what a step produces
+const IGNORED_ATTRIBUTES = new Set(['userData']);
+
+// holds private member fields
+const INTERNAL = Symbol("internal");
+
+/**
+ * Deterministic JSON representation of step attributes (sorted keys, ignored attributes left out)
+ * @param {*} value value to serialize
+ * @returns {String} serialized value
+ */
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value !== null && typeof value === 'object') {
+        const keys = Object.keys(value)
+            .filter(key => !IGNORED_ATTRIBUTES.has(key) && value[key] !== undefined)
+            .sort();
+        return `{${keys.map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * Node in the plan tree: one step that can be shared by several plans
+ */
+class PlanTreeNode {
+    constructor(key, name, attributes) {
+        this.key = key;
+        this.name = name;
+        this.attributes = attributes;
+        this.steps = []; // steps of the different plans this node stands for
+        this.children = new Map();
+
+        // execution result, set by the engine once the step ran
+        this.executed = false;
+        this.output = null;
+        this.error = null;
+    }
+
+    /**
+     * A node is shared if more than one plan runs through it
+     */
+    get shared() {
+        return this.steps.length > 1;
+    }
+}
+
+/**
+ * Tree of the steps of several plans (typically one plan per rendition).
+ *
+ * Plans starting with the same transformers and identical step attributes share
+ * the nodes of their common prefix, so the engine can run a shared prefix once
+ * and fan its output out to the diverging suffixes:
+ *
+ *   plan 1: transformerPie -> resize(100)
+ *   plan 2: transformerPie -> resize(200)
+ *
+ *   start -> { transformerPie (2) -> { resize, resize } }
+ *
+ * The last step of a plan produces the rendition and is never shared.
+ */
+class PlanTree {
+    /**
+     * @param {Array} plans plans to build the tree from
+     */
+    constructor(plans = []) {
+        this[INTERNAL] = {};
+        this[INTERNAL].root = new PlanTreeNode('', 'start');
+        this[INTERNAL].nodes = new Map(); // Step -> PlanTreeNode
+
+        for (const plan of plans) {
+            this.add(plan);
+        }
+    }
+
+    /**
+     * Adds the steps of a plan to the tree
+     * @param {Plan} plan plan to add
+     */
+    add(plan) {
+        const steps = plan.steps;
+        let parent = this[INTERNAL].root;
+        for (let i = 0; i < steps.length; i++) {
+            const step = steps[i];
+            const last = (i === steps.length - 1);
+
+            // final steps get a key of their own so they never match another plan
+            const key = last ?
+                `${parent.key}/${step.name}#${this[INTERNAL].nodes.size}` :
+                `${parent.key}/${step.name}:${stableStringify(step.attributes)}`;
+
+            let node = parent.children.get(key);
+            if (!node) {
+                node = new PlanTreeNode(key, step.name, step.attributes);
+                parent.children.set(key, node);
+            }
+            node.steps.push(step);
+            this[INTERNAL].nodes.set(step, node);
+            parent = node;
+        }
+    }
+
+    get root() {
+        return this[INTERNAL].root;
+    }
+
+    /**
+     * Returns the tree node of a step
+     * @param {Step} step step of one of the plans in the tree
+     * @returns {PlanTreeNode} node or undefined if the step is not part of the tree
+     */
+    node(step) {
+        return this[INTERNAL].nodes.get(step);
+    }
+
+    /**
+     * Returns the tree node of a step if other plans share it
+     * @param {Step} step step of one of the plans in the tree
+     * @returns {PlanTreeNode} node or undefined if the step is not shared
+     */
+    sharedNode(step) {
+        const node = this.node(step);
+        return node && node.shared ? node : undefined;
+    }
+
+    /**
+     * Returns a string representation of the tree for logging and debugging purposes.
+     * Shared steps show the number of plans running through them.
+     *
+     * @returns {String}
+     */
+    toString() {
+        function nodeToString(node) {
+            let str = node.shared ? `${node.name} (${node.steps.length})` : node.name;
+            const children = Array.from(node.children.values());
+            if (children.length === 1) {
+                str += ` -> ${nodeToString(children[0])}`;
+            } else if (children.length > 1) {
+                str += ` -> { ${children.map(nodeToString).join(', ')} }`;
+            }
+            return str;
+        }
+        return nodeToString(this[INTERNAL].root);
+    }
+}
+
+module.exports = {
+    PlanTree,
+    PlanTreeNode
+};
@@ -13,6 +13,7 @@
 'use strict';
 
 const { PlanContext } = require('./context/plan-context');
+const { describeObject, dotString, mermaidString } = require('./utils/diagram');
 
 /*
 // examples
@@ -188,9 +189,37 @@ const PLAN_STATE = Object.freeze({
     INITIAL: 'initial',
     IN_PROGRESS: 'inProgress',
     FAILED: 'failed',
-    SUCCEEDED: 'succeeded'
+    SUCCEEDED: 'succeeded',
+    CANCELLED: 'cancelled'
 });
 
+// state of a single step
+const STEP_STATE = Object.freeze({
+    PENDING: 'pending',
+    RUNNING: 'running',
+    SUCCEEDED: 'succeeded',
+    FAILED: 'failed',
+    // skipped by its condition
+    SKIPPED: 'skipped',
+    // never ran because the plan failed before reaching it
+    NOT_RUN: 'notRun'
+});
+
+// version of the plan format written by toObject()
+// 1: array of steps, step attributes next to the step name (read only, migrated on load)
+// 2: { version, steps }, step attributes in `attributes`
+const PLAN_FORMAT_VERSION = 2;
+const PLAN_OBJECT_KEYS = ['version', 'steps'];
+const STEP_OBJECT_KEYS = ['name', 'attributes', 'current', 'state', 'outputReference', 'duration', 'messages', 'steps'];
+
+// migrations of an older plan format to the next version
+const PLAN_MIGRATIONS = {
+    1: planObject => ({
+        version: 2,
+        steps: migrateStepsV1(planObject.steps)
+    })
+};
+
 // Use Symbols for (somewhat) private fields in classes/objects
 // yes, they could be read using Object.getOwnPropertySymbols() but this
 // would be awkward and should prevent accidental usage using something._private
@@ -212,6 +241,9 @@ class Step {
 
         this[INTERNAL].attributes = attributes;
 
+        this[INTERNAL].state = STEP_STATE.PENDING;
+        this[INTERNAL].outputReference = undefined; // where the output of the step is stored, e.g. { type, path, url, size }
+        this[INTERNAL].duration = undefined; // in milliseconds
         this[INTERNAL].messages = []; // for log messages, warnings, errors, etc.
         this[INTERNAL].inputs = {}; // details about inputs
         this[INTERNAL].outputs = {}; // details about the ouput
@@ -232,6 +264,58 @@ class Step {
     get messages() {
         return this[INTERNAL].messages;
     }
+
+    /**
+     * Returns the state of the step: `pending`, `running`, `succeeded`, `failed` or `skipped`
+     * @returns {String} state of the step
+     */
+    get state() {
+        return this[INTERNAL].state;
+    }
+
+    /**
+     * Returns where the output of the step is stored (once it succeeded), for example:
+     *  { type: 'image/png', path: '/work/1-transformer/rendition0.png', url: 'https://...', size: 1234 }
+     * @returns {Object} output reference
+     */
+    get outputReference() {
+        return this[INTERNAL].outputReference;
+    }
+
+    /**
+     * Returns how long the step ran in milliseconds
+     * @returns {Number} duration
+     */
+    get duration() {
+        return this[INTERNAL].duration;
+    }
+
+    /**
+     * Set the state of the step
+     * @param {String} state one of STEP_STATE
+     */
+    updateState(state) {
+        if (!Object.values(STEP_STATE).includes(state)) {
+            throw new Error(`Invalid step state: ${state}`);
+        }
+        this[INTERNAL].state = state;
+    }
+
+    /**
+     * Set where the output of the step is stored
+     * @param {Object} outputReference output reference (must be serializable into JSON)
+     */
+    updateOutputReference(outputReference) {
+        this[INTERNAL].outputReference = outputReference;
+    }
+
+    /**
+     * Set how long the step ran
+     * @param {Number} duration duration in milliseconds
+     */
+    updateDuration(duration) {
+        this[INTERNAL].duration = duration;
+    }
 }
 
 /**
@@ -272,6 +356,74 @@ class Plan {
         return this[INTERNAL].context.originalInput;
     }
 
+    /**
+     * Set the output of the last executed step
+     * @param {Rendition} output output of the last executed step
+     */
+    updateOutput(output) {
+        this[INTERNAL].context.output = output;
+    }
+
+    /**
+     * Returns the output of the last executed step.
+     * Once the plan succeeded, this is the final rendition.
+     * @returns {Rendition} output
+     */
+    get output() {
+        return this[INTERNAL].context.output;
+    }
+
+    /**
+     * Set the estimated cost of the plan (as computed when finding the plan)
+     * @param {Number} cost estimated cost
+     */
+    updateCost(cost) {
+        this[INTERNAL].context.cost = cost;
+    }
+
+    /**
+     * Returns the estimated cost of the plan, if known.
+     * @returns {Number} cost
+     */
+    get cost() {
+        return this[INTERNAL].context.cost;
+    }
+
+    /**
+     * Set the alternative plans to fall back to if a step of this plan fails
+     * @param {Array} alternatives list of `{ steps, cost }` as returned by `PlanFinder.findPlans()`, best first
+     */
+    updateAlternatives(alternatives) {
+        this[INTERNAL].context.alternatives = alternatives;
+    }
+
+    /**
+     * Returns the remaining alternative plans.
+     * @returns {Array} list of `{ steps, cost }`
+     */
+    get alternatives() {
+        return this[INTERNAL].context.alternatives || [];
+    }
+
+    /**
+     * Replaces all steps of the plan and goes back to the start step, keeping the plan state.
+     * Used to fall back to an alternative plan after a step failed.
+     *
+     * @param {Array} steps list of `{ name, attributes }`
+     */
+    replaceSteps(steps) {
+        const start = this[INTERNAL].start;
+        start[INTERNAL].next = undefined;
+        delete start[INTERNAL].beginGroup;
+        this[INTERNAL].current = start;
+        this[INTERNAL].groupTail = null;
+        this[INTERNAL].count = 0;
+
+        for (const step of steps) {
+            this.add(step.name, step.attributes);
+        }
+    }
+
     /**
      * Adds a step after the current step.
      * Can be called multiple times in a row to add a list after the current step.
@@ -320,9 +472,10 @@ class Plan {
      * @returns {Step} the next step to execute or null/undefined if at the end
      */
     advance() {
-        // do not advance if plan state is failed or succeeded
+        // do not advance if plan state is failed, succeeded or cancelled
         if (this[INTERNAL].context.state === PLAN_STATE.FAILED
-            || this[INTERNAL].context.state === PLAN_STATE.SUCCEEDED) {
+            || this[INTERNAL].context.state === PLAN_STATE.SUCCEEDED
+            || this[INTERNAL].context.state === PLAN_STATE.CANCELLED) {
             return this[INTERNAL].current;
         }
 
@@ -353,6 +506,21 @@ class Plan {
         return this[INTERNAL].current;
     }
 
+    /**
+     * Returns all steps of the plan in execution order (without the special start step).
+     *
+     * @returns {Array} list of steps
+     */
+    get steps() {
+        const steps = [];
+        let step = this[INTERNAL].start[INTERNAL].next;
+        while (step) {
+            steps.push(step);
+            step = step[INTERNAL].next;
+        }
+        return steps;
+    }
+
     /**
      * Returns the current state of the plan.
      * Plan PLAN_STATE:
@@ -360,6 +528,7 @@ class Plan {
         `inProgress`: after calling `plan.advance()` until plan fails or succeeds
         `failed`: any time in the plan when `plan.fail()` is called
         `succeeded`: when all steps in the plan have been executed without `plan.fail()` being called
+        `cancelled`: any time in the plan when `plan.cancel()` is called
      *
      * @returns {String} the current state of the plan
      */
@@ -372,11 +541,40 @@ class Plan {
      * Once plan is in failed state, it cannot change PLAN_STATE
      */
     fail() {
-        if (this[INTERNAL].context.state !== PLAN_STATE.SUCCEEDED) {
+        if (this[INTERNAL].context.state !== PLAN_STATE.SUCCEEDED
+            && this[INTERNAL].context.state !== PLAN_STATE.CANCELLED) {
             this[INTERNAL].context.state = PLAN_STATE.FAILED;
+            // steps which did not run yet never will
+            this.steps.filter(step => step.state === STEP_STATE.PENDING).forEach(step => step.updateState(STEP_STATE.NOT_RUN));
         }
     }
 
+    /**
+     * Change state of plan to `cancelled`
+     * Once plan is in cancelled state, it cannot change PLAN_STATE.
+     * Plans which already failed or succeeded cannot be cancelled.
+     */
+    cancel() {
+        if (this[INTERNAL].context.state !== PLAN_STATE.SUCCEEDED
+            && this[INTERNAL].context.state !== PLAN_STATE.FAILED) {
+            this[INTERNAL].context.state = PLAN_STATE.CANCELLED;
+        }
+    }
+
+    /**
+     * Continues the plan at the given step, for example to resume a deserialized plan.
+     * The plan is in progress again, or succeeded if no step is given.
+     * @param {Step} step step to continue with (one of `plan.steps`), null or undefined if all steps are finished
+     */
+    resumeAt(step) {
+        if (step && !this.steps.includes(step)) {
+            throw new Error(`Cannot resume at step ${step.name}: not a step of this plan`);
+        }
+        this[INTERNAL].groupTail = null;
+        this[INTERNAL].current = step;
+        this[INTERNAL].context.state = step ? PLAN_STATE.IN_PROGRESS : PLAN_STATE.SUCCEEDED;
+    }
+
     /**
      * Returns a string representation of the plan for logging and debugging purposes.
      *
@@ -418,10 +616,25 @@ class Plan {
     }
 
     /**
-     * Returns an array representation of this plan which can be serialized into JSON.
+     * Returns an object representation of this plan which can be serialized into JSON.
      * This can be parsed again using Plan.fromObject().
      *
-     * @returns {Array} an array (which can contain nested objects)
+     * Format (version 2):
+     *  {
+     *      version: 2,
+     *      steps: [{
+     *          name: "worker-pie",                     // required
+     *          attributes: { input: {}, output: {} },  // step attributes
+     *          current: true,                          // current step of the plan
+     *          state: "succeeded",                     // see STEP_STATE, pending if left out
+     *          outputReference: { type, path, url },   // where the output of the step is stored
+     *          duration: 1200,                         // in milliseconds
+     *          messages: [],                           // log messages, warnings, errors, etc.
+     *          steps: [{ name: "callback" }]           // nested steps
+     *      }]
+     *  }
+     *
+     * @returns {Object} plan object (which contains nested objects)
      */
     toObject() {
         const result = {
@@ -433,12 +646,27 @@ class Plan {
         let step = this[INTERNAL].start[INTERNAL].next;
         while (step) {
             const node = {
-                name: step.name,
-                ...step.attributes
+                name: step.name
             };
+            if (step.attributes && Object.keys(step.attributes).length > 0) {
+                node.attributes = step.attributes;
+            }
             if (step === this[INTERNAL].current) {
                 node.current = true;
             }
+            // step status is only written once the step ran
+            if (step.state !== STEP_STATE.PENDING) {
+                node.state = step.state;
+            }
+            if (step.outputReference) {
+                node.outputReference = step.outputReference;
+            }
+            if (step.duration !== undefined) {
+                node.duration = step.duration;
+            }
+            if (step.messages.length > 0) {
+                node.messages = step.messages;
+            }
 
             parent.steps.push(node);
 
@@ -459,15 +687,127 @@ class Plan {
             step = step[INTERNAL].next;
         }
 
-        return result.steps;
+        return {
+            version: PLAN_FORMAT_VERSION,
+            steps: result.steps
+        };
+    }
+
+    /**
+     * Returns the plan as graphviz DOT diagram, for debugging and documentation.
+     * Steps are labeled with their name, state and attributes, the current step is drawn in bold
+     * and nested steps are drawn as clusters. Edges follow the execution order.
+     *
+     * @returns {String} DOT source, e.g. to render with `dot -Tsvg`
+     */
+    toDot() {
+        const { steps, edges } = diagramSteps(this);
+        const current = this[INTERNAL].current;
+        const lines = [
+            'digraph plan {',
+            '    rankdir=LR;',
+            '    node [shape=box];',
+            `    start [shape=circle${current === this[INTERNAL].start ? ', style=bold, penwidth=3' : ''}];`
+        ];
+        let clusters = 0;
+
+        const addSteps = (nodes, indent) => {
+            for (const node of nodes) {
+                const style = node.step === current ? ', style=bold, penwidth=3' : '';
+                lines.push(`${indent}${node.id} [label=${dotString(stepLabel(node.step))}${style}];`);
+                if (node.steps) {
+                    clusters++;
+                    lines.push(`${indent}subgraph cluster_${clusters} {`, `${indent}    style=dashed;`, `${indent}    label="";`);
+                    addSteps(node.steps, `${indent}    `);
+                    lines.push(`${indent}}`);
+                }
+            }
+        };
+        addSteps(steps, '    ');
+
+        edges.forEach(([from, to]) => lines.push(`    ${from} -> ${to};`));
+        lines.push('}');
+        return lines.join('\n');
+    }
+
+    /**
+     * Returns the plan as Mermaid flowchart, for debugging and documentation (e.g. in markdown).
+     * Steps are labeled with their name, state and attributes, the current step has the class `current`
+     * and nested steps are drawn as subgraphs. Edges follow the execution order.
+     *
+     * @returns {String} Mermaid source
+     */
+    toMermaid() {
+        const { steps, edges } = diagramSteps(this);
+        const current = this[INTERNAL].current;
+        const lines = [
+            'flowchart LR',
+            '    start((start))'
+        ];
+        let groups = 0;
+        let currentId = current === this[INTERNAL].start ? 'start' : undefined;
+
+        const addSteps = (nodes, indent) => {
+            for (const node of nodes) {
+                if (node.step === current) {
+                    currentId = node.id;
+                }
+                lines.push(`${indent}${node.id}[${mermaidString(stepLabel(node.step))}]`);
+                if (node.steps) {
+                    groups++;
+                    lines.push(`${indent}subgraph group${groups} [" "]`);
+                    addSteps(node.steps, `${indent}    `);
+                    lines.push(`${indent}end`);
+                }
+            }
+        };
+        addSteps(steps, '    ');
+
+        edges.forEach(([from, to]) => lines.push(`    ${from} --> ${to}`));
+        if (currentId) {
+            lines.push('    classDef current stroke-width:3px', `    class ${currentId} current`);
+        }
+        return lines.join('\n');
+    }
+
+    /**
+     * Validates a plan object against the current plan format (see `toObject()`)
+     * @param {Object} obj plan object
+     * @returns {Array} every problem found as `{ path, message }` (e.g. `{ path: 'steps[0].name', message: '...' }`),
+     * empty if the plan object is valid
+     */
+    static validateObject(obj) {
+        const problems = [];
+        if (!isPlainObject(obj)) {
+            problems.push({ path: '', message: `plan must be an object, found: ${JSON.stringify(obj)}` });
+            return problems;
+        }
+        Object.keys(obj).filter(key => !PLAN_OBJECT_KEYS.includes(key)).forEach(key => {
+            problems.push({ path: key, message: `is not a plan property (${PLAN_OBJECT_KEYS.join(', ')})` });
+        });
+        if (obj.version === undefined) {
+            problems.push({ path: 'version', message: 'is required' });
+        } else if (obj.version !== PLAN_FORMAT_VERSION) {
+            problems.push({ path: 'version', message: `unsupported version ${JSON.stringify(obj.version)}, supported versions: ${[...Object.keys(PLAN_MIGRATIONS), PLAN_FORMAT_VERSION].join(', ')}` });
+        }
+        if (!Array.isArray(obj.steps)) {
+            problems.push({ path: 'steps', message: obj.steps === undefined ? 'is required' : 'must be an array' });
+        } else {
+            const currentSteps = validateSteps('steps', obj.steps, problems);
+            if (currentSteps > 1) {
+                problems.push({ path: 'steps', message: `only one step can be current, found: ${currentSteps}` });
+            }
+        }
+        return problems;
     }
 
     /**
      * Creates a plan from an object structure as created by toObject();
+     * Older plan format versions are migrated, invalid plan objects throw an error listing every problem.
      *
      * This can be used to pass plans along via JSON.
      *
-     * @param {Array} obj the array
+     * @param {Object|Array} obj the plan object (or the array of steps of version 1)
      */
     static fromObject(obj) {
 
@@ -477,14 +817,15 @@ class Plan {
             for (let i = 0; i < nodes.length; i++) {
                 const node = nodes[i];
 
-                const attributes = {};
-                for (const key of Object.keys(node)) {
-                    if (key !== "name") {
-                        attributes[key] = node[key];
-                    }
+                const step = new Step(node.name, null, { ...node.attributes });
+                if (node.state !== undefined) {
+                    step.updateState(node.state);
+                }
+                step.updateOutputReference(node.outputReference);
+                step.updateDuration(node.duration);
+                if (Array.isArray(node.messages)) {
+                    step.messages.push(...node.messages);
                 }
-
-                const step = new Step(node.name, null, attributes);
                 prevStep[INTERNAL].next = step;
 
                 if (node.current) {
@@ -504,15 +845,160 @@ class Plan {
             return prevStep;
         }
 
-        const plan = new Plan();
-        if (!Array.isArray(obj)) {
-            throw new Error("Plan.fromObject() expects an array");
+        const planObject = migratePlanObject(obj);
+        const problems = Plan.validateObject(planObject);
+        if (problems.length > 0) {
+            const error = new Error(`Invalid plan: ${problems.map(problem => `${problem.path} ${problem.message}`.trim()).join('; ')}`);
+            error.problems = problems;
+            throw error;
         }
 
-        readNodes(plan, plan[INTERNAL].start, obj);
+        const plan = new Plan();
+        readNodes(plan, plan[INTERNAL].start, planObject.steps);
 
         return plan;
     }
 }
 
-module.exports = { Plan, Step, PLAN_STATE };
\ No newline at end of file
+/**
+ * Collects the steps of a plan for diagrams
+ * @param {Plan} plan plan
+ * @returns {Object} `{ steps, edges }`: nested steps as `{ id, step, steps }` (like `toObject()`)
+ * and the execution order as list of `[fromId, toId]`
+ */
+function diagramSteps(plan) {
+    const ids = new Map([[plan[INTERNAL].start, 'start']]);
+    const result = { steps: [] };
+    const edges = [];
+    const stack = [];
+
+    let parent = result;
+    let previous = plan[INTERNAL].start;
+    let step = previous[INTERNAL].next;
+    while (step) {
+        const node = {
+            id: `step${ids.size}`,
+            step
+        };
+        ids.set(step, node.id);
+        edges.push([ids.get(previous), node.id]);
+        parent.steps.push(node);
+
+        if (step[INTERNAL].beginGroup) {
+            stack.push(parent);
+            node.steps = [];
+            parent = node;
+
+        } else if (step[INTERNAL].endGroup > 0) {
+            for (let i = 0; i < step[INTERNAL].endGroup; i++) {
+                parent = stack.pop();
+            }
+            if (!parent) {
+                parent = result;
+            }
+        }
+
+        previous = step;
+        step = step[INTERNAL].next;
+    }
+    return { steps: result.steps, edges };
+}
+
+function stepLabel(step) {
+    return [step.name, `state: ${step.state}`, ...describeObject(step.attributes)];
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Migrates a plan object of an older format version to the current version
+ * @param {Object|Array} obj plan object, arrays are plans of version 1
+ * @returns {Object} plan object (not validated)
+ */
+function migratePlanObject(obj) {
+    let planObject = Array.isArray(obj) ? { version: 1, steps: obj } : obj;
+    while (isPlainObject(planObject) && PLAN_MIGRATIONS[planObject.version]) {
+        planObject = PLAN_MIGRATIONS[planObject.version](planObject);
+    }
+    return planObject;
+}
+
+function migrateStepsV1(steps) {
+    return steps.map(node => {
+        if (!isPlainObject(node)) {
+            return node;
+        }
+        const step = {};
+        const attributes = {};
+        Object.keys(node).forEach(key => {
+            if (key === 'steps' && Array.isArray(node.steps)) {
+                step.steps = migrateStepsV1(node.steps);
+            } else if (STEP_OBJECT_KEYS.includes(key)) {
+                step[key] = node[key];
+            } else {
+                attributes[key] = node[key];
+            }
+        });
+        if (Object.keys(attributes).length > 0) {
+            step.attributes = attributes;
+        }
+        return step;
+    });
+}
+
+/**
+ * Validates the steps of a plan object
+ * @param {String} path path of the steps
+ * @param {Array} steps steps to validate
+ * @param {Array} problems list the problems are added to
+ * @returns {Number} number of steps marked as current
+ */
+function validateSteps(path, steps, problems) {
+    let currentSteps = 0;
+    steps.forEach((node, index) => {
+        const stepPath = `${path}[${index}]`;
+        if (!isPlainObject(node)) {
+            problems.push({ path: stepPath, message: `must be an object, found: ${JSON.stringify(node)}` });
+            return;
+        }
+        Object.keys(node).filter(key => !STEP_OBJECT_KEYS.includes(key)).forEach(key => {
+            problems.push({ path: `${stepPath}.${key}`, message: `is not a step property (${STEP_OBJECT_KEYS.join(', ')})` });
+        });
+        if (typeof node.name !== 'string' || !node.name) {
+            problems.push({ path: `${stepPath}.name`, message: node.name === undefined ? 'is required' : 'must be a non-empty string' });
+        }
+        if (node.attributes !== undefined && !isPlainObject(node.attributes)) {
+            problems.push({ path: `${stepPath}.attributes`, message: 'must be an object' });
+        }
+        if (node.current !== undefined && typeof node.current !== 'boolean') {
+            problems.push({ path: `${stepPath}.current`, message: 'must be a boolean' });
+        }
+        if (node.current) {
+            currentSteps++;
+        }
+        if (node.state !== undefined && !Object.values(STEP_STATE).includes(node.state)) {
+            problems.push({ path: `${stepPath}.state`, message: `must be one of ${Object.values(STEP_STATE).join(', ')}, found: ${JSON.stringify(node.state)}` });
+        }
+        if (node.outputReference !== undefined && !isPlainObject(node.outputReference)) {
+            problems.push({ path: `${stepPath}.outputReference`, message: 'must be an object' });
+        }
+        if (node.duration !== undefined && (typeof node.duration !== 'number' || isNaN(node.duration) || node.duration < 0)) {
+            problems.push({ path: `${stepPath}.duration`, message: `must be a non-negative number, found: ${JSON.stringify(node.duration)}` });
+        }
+        if (node.messages !== undefined && !Array.isArray(node.messages)) {
+            problems.push({ path: `${stepPath}.messages`, message: 'must be an array' });
+        }
+        if (node.steps !== undefined) {
+            if (Array.isArray(node.steps)) {
+                currentSteps += validateSteps(`${stepPath}.steps`, node.steps, problems);
+            } else {
+                problems.push({ path: `${stepPath}.steps`, message: 'must be an array' });
+            }
+        }
+    });
+    return currentSteps;
+}
+
+module.exports = { Plan, Step, PLAN_STATE, STEP_STATE, PLAN_FORMAT_VERSION };
\ No newline at end of file
@@ -130,7 +130,7 @@ class Prepare{
      * Move final output file to location expected for WORKER_TEST_MODE
      * Remove all contents of directories
      * @param {Array} directories list of transformer directories
-     * @param {String} outputPath final output path to move to /out for WORKER_TEST_MODE
+     * @param {String|Array} outputPath final output path (or list of paths) to move to /out for WORKER_TEST_MODE
      */
     static async cleanupDirectories(directories, outputPath) {
         if (!directories || typeof directories !== 'object') {
@@ -153,7 +153,10 @@ class Prepare{
         try {
             // WORKER_TEST_MODE: copy result to /out
             if(process.env.WORKER_TEST_MODE && outputPath){
-                await fse.copy(path.dirname(outputPath), "/out", copyOptions);
+                const outputPaths = Array.isArray(outputPath) ? outputPath : [outputPath];
+                for (const finalOutputPath of outputPaths) {
+                    await fse.copy(path.dirname(finalOutputPath), "/out", copyOptions);
+                }
             }
 
             for (const directory of directories) {
@@ -17,16 +17,14 @@ const { GenericError } = require('@adobe/asset-compute-commons');
 const util = require('util');
 const fs = require('fs-extra');
 const path = require('path');
-const crypto = require('crypto');
 const imageSize = util.promisify(require('image-size'));
 const contentType = require('content-type');
 const mime = require('mime-types');
+const { fileDigest } = require('./utils/digest');
 
 const RENDITION_BASENAME = 'rendition';
 const DEFAULT_MIME_TYPE = 'application/octet-stream';
 
-const HASH_ALGORITHM = 'sha1';
-
 // 32 kb for inlined in IO events
 const EMBED_LIMIT_MAX = 32 * 1024;
 // roughly 2MB total based on https://stackoverflow.com/questions/695151/data-protocol-url-size-limitationsrenditions
@@ -41,27 +39,6 @@ const Metadata = {
     TIFF_IMAGEHEIGHT: 'tiff:imageHeight'
 };
 
-function fileHash(filename, algorithm) {
-    return new Promise((resolve, reject) => {
-        try {
-            const shasum = crypto.createHash(algorithm);
-
-            const stream = fs.createReadStream(filename);
-            stream.on('data', data => {
-                shasum.update(data);
-            });
-            stream.on('end', () => {
-                resolve(shasum.digest('hex'));
-            });
-            stream.on('error', err => {
-                reject(`creating ${algorithm} hash failed: ${err.message || err}`);
-            });
-        } catch (error) {
-            return reject(`creating ${algorithm} hash failed: ${error.message || error}`);
-        }
-    });
-}
-
 /**
  * Rendition abstraction
  */
@@ -78,6 +55,9 @@ class Rendition {
         this.index = index;
         this.target = instructions.target;
         this.pipeline = isPipelineRendition; // to mark renditions as "pipeline" renditions
+        // runtime facts recorded by the transformer, e.g. `{ alpha: true, pages: 3 }`,
+        // used to evaluate the condition of the next steps
+        this.facts = {};
 
         // content type handling
         this._mime = null;
@@ -107,7 +87,9 @@ class Rendition {
 
     get name() {
         const fmt =  this.instructions.fmt || mime.extension(this.instructions.type);
-        return Rendition.renditionFilename(fmt, this.index);
+        // files of a transformer with multiple outputs are numbered, e.g. rendition0-2.png
+        const index = this.part === undefined ? this.index : `${this.index}-${this.part}`;
+        return Rendition.renditionFilename(fmt, index);
     }
 
 
@@ -124,6 +106,10 @@ class Rendition {
      * Gets the file size of the rendition (in bytes)
      */
     size() {
+        if (this.parts) {
+            // total size of all files
+            return this.parts.reduce((total, part) => total + (part.size() || 0), 0);
+        }
         // TODO: we should throw an error if this.path does not exist, aka no rendition produced
         if (this.path && fs.existsSync(this.path)) {
             return fs.statSync(this.path).size;
@@ -134,14 +120,26 @@ class Rendition {
     //  * Computes the SHA1 hash for the rendition
     //  */
     async sha1() {
+        return this.digest('sha1');
+    }
+
+    /**
+     * Computes a digest of the rendition file, cached once computed
+     * @param {String} [algorithm] hash algorithm: `md5`, `sha1` (default) or `sha256`
+     * @param {String} [encoding] `hex` (default) or `base64`
+     * @returns {String} encoded digest, null for an empty file
+     */
+    async digest(algorithm = 'sha1', encoding = 'hex') {
         if(this.size() === 0){
             return null; // empty file, do not compute and cache hash just now
         }
 
-        if (!this._sha1) {
-            this._sha1 = await fileHash(this.path, HASH_ALGORITHM);
+        this._digests = this._digests || {};
+        const key = `${algorithm}:${encoding}`;
+        if (!this._digests[key]) {
+            this._digests[key] = await fileDigest(this.path, algorithm, encoding);
         }
-        return this._sha1;
+        return this._digests[key];
     }
 
     /**
@@ -152,6 +150,10 @@ class Rendition {
      * instead of assuming based on whats defined
      */
     exists() { // see and read the file
+        if (this.parts) {
+            // renditions made of multiple files exist if every file exists
+            return this.parts.length > 0 && this.parts.every(part => part.exists());
+        }
         if (this.path) {
             return fs.existsSync(this.path);
         }
@@ -225,6 +227,12 @@ class Rendition {
 
         const meta = {};
 
+        if (this.parts) {
+            // metadata of each file is listed with the file, see `RenditionCollection`
+            meta[Metadata.REPO_SIZE] = this.size();
+            return meta;
+        }
+
         try {
             meta[Metadata.REPO_SIZE] = this.size();
         } catch (err) {
@@ -311,11 +319,14 @@ class Rendition {
         const obj = { ...instructions };
         // remove target URLs, could be sensitive
         delete obj.target;
+        // assets for the slots of fan-in transformers, their URLs could be sensitive as well
+        delete obj.inputs;
         return obj;
     }
 
     shouldEmbedInIOEvent() {
-        return Number.isInteger(this.instructions.embedBinaryLimit)
+        return !this.parts
+            && Number.isInteger(this.instructions.embedBinaryLimit)
             && this.instructions.embedBinaryLimit <= EMBED_LIMIT_MAX
             && this.size() <= this.instructions.embedBinaryLimit;
     }
@@ -341,4 +352,63 @@ class Rendition {
     }
 }
 
-module.exports = { Rendition };
+/**
+ * Outputs of a transformer producing multiple files, e.g. pages or keyframes (see `Manifest.cardinality`).
+ * The files are the `parts` of the rendition of the step. Each file gets the output instructions of the step,
+ * except for `name` which is numbered and `target` which is picked by index if it is a list of targets.
+ */
+class RenditionCollection {
+    constructor(rendition) {
+        this.rendition = rendition;
+        rendition.parts = rendition.parts || [];
+    }
+
+    get instructions() {
+        return this.rendition.instructions;
+    }
+
+    get directory() {
+        return this.rendition.directory;
+    }
+
+    get parts() {
+        return this.rendition.parts;
+    }
+
+    get length() {
+        return this.rendition.parts.length;
+    }
+
+    [Symbol.iterator]() {
+        return this.rendition.parts[Symbol.iterator]();
+    }
+
+    /**
+     * Adds a file to the collection
+     * @param {Object} instructions optional instructions overriding the output instructions for this file, e.g. `{ page: 3 }`
+     * @returns {Rendition} rendition to write the file to (`path`)
+     */
+    add(instructions = {}) {
+        const rendition = this.rendition;
+        const part = rendition.parts.length;
+        const partInstructions = { ...rendition.instructions, ...instructions };
+        const typeChanged = instructions.type && instructions.type !== rendition.instructions.type;
+        if (typeChanged && !instructions.fmt) {
+            // derive the format from the new type
+            partInstructions.fmt = mime.extension(instructions.type);
+        }
+        if (Array.isArray(rendition.instructions.target) && instructions.target === undefined) {
+            partInstructions.target = rendition.instructions.target[part];
+        }
+        if (rendition.instructions.name && instructions.name === undefined) {
+            const { name, ext } = path.parse(rendition.instructions.name);
+            partInstructions.name = `${name}-${part}${typeChanged ? `.${partInstructions.fmt}` : ext}`;
+        }
+        const output = new Rendition(partInstructions, rendition.directory, rendition.index, rendition.pipeline);
+        output.part = part;
+        rendition.parts.push(output);
+        return output;
+    }
+}
+
+module.exports = { Rendition, RenditionCollection };
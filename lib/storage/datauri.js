@@ -17,6 +17,7 @@ const fsPromises = require('fs').promises;
 const { GenericError } = require('@adobe/asset-compute-commons');
 const { Action } = require('../action');
 const { TemporaryCloudStorage } = require('./temporary-cloud-storage');
+const { createTemporaryStorage } = require('./temporary-storage');
 
 const MAX_RETRY_ATTEMPTS = 3;
 
@@ -31,24 +32,54 @@ async function download(source, file) {
     }
 }
 
+/**
+ * Size and mime type of the content of a data uri
+ * @param {String} url data uri
+ * @returns {Object} `{ size, type }`
+ */
+async function head(url) {
+    try {
+        const decoded = dataUriToBuffer(url);
+        return { size: decoded.length, type: decoded.type };
+    } catch (err) {
+        throw new GenericError(err.message, `${Action.name}_head`);
+    }
+}
+
+/**
+ * Temporary storage for local files that must be read from a url:
+ * the storage set with `setTemporaryStorage()`, or the temporary cloud storage
+ * @param {Object} [params] action params
+ * @returns {TemporaryStorage} temporary storage
+ */
+function temporaryStorage(params) {
+    return createTemporaryStorage(params) || new TemporaryCloudStorage(params);
+}
+
 /**
  * Generate Presign Url taking local file path as input
  * Creates a unique name for the file, upload the file to 
  * storage from the path provided and generates a PreSigned Url
  * @param {String} Path to local file system, where file is available
- * @param {Number} Attempt, this indicates retry attempt, used for mock
+ * @param {Object} [options] options
+ * @param {Object} [options.params] action params configuring the temporary storage
+ * @param {String[]} [options.tempCloudStorageFiles] list the uploaded paths are added to, to remove them during clean up
  * @returns {String} PreSigned Url of upload the source file
  */
-async function getPreSignedUrl(source) {
+async function getPreSignedUrl(source, options = {}) {
     /**
      * if is local file, upload to cloud storage and return signed URL
      */
-    const temporaryCloudStorage = new TemporaryCloudStorage();
+    const temporaryCloudStorage = temporaryStorage(options.params);
     let attempt = 1;
     while (attempt <= MAX_RETRY_ATTEMPTS) {
         try {
             // Create temp file name,
             const path = temporaryCloudStorage.createUniqueName();
+            // track before uploading, a failed upload can still leave a partial file
+            if (options.tempCloudStorageFiles) {
+                options.tempCloudStorageFiles.push(path);
+            }
             // Upload
             await temporaryCloudStorage.upload(source, path);
             console.log(`${source} file is uploaded to storage`);
@@ -66,5 +97,7 @@ async function getPreSignedUrl(source) {
 
 module.exports = {
     download,
-    getPreSignedUrl
+    head,
+    getPreSignedUrl,
+    temporaryStorage
 };
\ No newline at end of file
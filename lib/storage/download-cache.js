@@ -0,0 +1,235 @@
+/*
+ * Copyright 2021 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs-extra');
+const { v4: uuidv4 } = require('uuid');
+const { GenericError } = require('@adobe/asset-compute-commons');
+
+const INTERNAL = Symbol("internal");
+
+const CACHE_DIRECTORY = 'download-cache';
+const WORK_DIRECTORY = 'work';
+// query parameters of presigned urls (S3, Google Cloud Storage, Azure SAS, CloudFront) that change with every signature
+const SIGNATURE_PARAMS_REGEX = /^(x-amz-.*|x-goog-.*|sig|se|st|sp|sv|sr|spr|srt|ss|skoid|sktid|skt|ske|sks|skv|signature|expires|awsaccesskeyid|key-pair-id|policy)$/i;
+const ENTRY_REGEX = /^[0-9a-f]{64}$/;
+
+const instances = new Map();
+
+/**
+ * Removes the signature of a presigned url, so urls of the same file signed at different times match
+ * @param {String} url url
+ * @returns {String} url without signature parameters, fragment and default port, with sorted parameters
+ */
+function normalizeUrl(url) {
+    const parsed = new URL(url);
+    const params = Array.from(parsed.searchParams.entries())
+        .filter(([name]) => !SIGNATURE_PARAMS_REGEX.test(name))
+        .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+    parsed.search = new URLSearchParams(params).toString();
+    parsed.hash = '';
+    return parsed.href;
+}
+
+/**
+ * On-disk cache of downloaded sources, shared by all steps and by activations running in the same container.
+ * Files are keyed by their url without signature and their ETag and size: a file changed at the same url
+ * gets a new ETag and is downloaded again. The least recently used files are removed when the cache
+ * exceeds its maximum size.
+ */
+class DownloadCache {
+    /**
+     * @param {Object} options options
+     * @param {String} options.directory directory storing the cached files
+     * @param {Number} options.maxSize maximum total size of the cached files in bytes
+     */
+    constructor(options = {}) {
+        if (!options.directory || !(options.maxSize > 0)) {
+            throw new GenericError('Download cache requires a directory and a positive maxSize', 'downloadCache');
+        }
+        this[INTERNAL] = {
+            directory: path.resolve(options.directory),
+            maxSize: options.maxSize,
+            clock: 0
+        };
+    }
+
+    /**
+     * Cache configured by the environment: `ASSET_COMPUTE_DOWNLOAD_CACHE_SIZE` (in bytes) enables it,
+     * in the `download-cache` directory of `WORKER_BASE_DIRECTORY`
+     * @returns {DownloadCache} cache, the same instance for the same configuration, undefined if not enabled
+     */
+    static fromEnvironment() {
+        const maxSize = parseInt(process.env.ASSET_COMPUTE_DOWNLOAD_CACHE_SIZE, 10);
+        if (!(maxSize > 0)) {
+            return undefined;
+        }
+        const directory = path.resolve(process.env.WORKER_BASE_DIRECTORY || WORK_DIRECTORY, CACHE_DIRECTORY);
+        const id = `${directory}:${maxSize}`;
+        if (!instances.has(id)) {
+            instances.set(id, new DownloadCache({ directory, maxSize }));
+        }
+        return instances.get(id);
+    }
+
+    get directory() {
+        return this[INTERNAL].directory;
+    }
+
+    get maxSize() {
+        return this[INTERNAL].maxSize;
+    }
+
+    /**
+     * Cache key of a file
+     * @param {String} url url of the file
+     * @param {Object} validators `{ etag, size }` identifying the version of the file
+     * @returns {String} key, undefined if the file has no ETag: it could change without the cache noticing
+     */
+    key(url, validators) {
+        if (!validators || !validators.etag) {
+            return undefined;
+        }
+        return crypto.createHash('sha256')
+            .update(`${normalizeUrl(url)}\n${validators.etag}\n${validators.size}`)
+            .digest('hex');
+    }
+
+    /**
+     * Copies a cached file
+     * @param {String} key cache key
+     * @param {String} file path to copy the cached file to
+     * @returns {Boolean} true if the file was cached
+     */
+    async get(key, file) {
+        const entry = this.entryPath(key);
+        try {
+            await fs.copy(entry, file, { errorOnExist: false });
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.log(`reading download cache entry ${key} failed: ${error.message}`);
+            }
+            return false;
+        }
+        await this.touch(entry);
+        return true;
+    }
+
+    /**
+     * Adds a file to the cache, removing the least recently used files to stay under the maximum size
+     * @param {String} key cache key
+     * @param {String} file path of the file to cache
+     * @param {Number} [expectedSize] size of the file at the url: a truncated download is not cached
+     * @returns {Boolean} true if the file was cached, false if it is larger than the cache or does not have the expected size
+     */
+    async put(key, file, expectedSize) {
+        const { size } = await fs.stat(file);
+        if (size > this.maxSize) {
+            return false;
+        }
+        if (expectedSize !== undefined && size !== expectedSize) {
+            console.log(`not caching ${file}: size ${size} does not match the expected size ${expectedSize}`);
+            return false;
+        }
+        const entry = this.entryPath(key);
+        // copy then rename, so concurrent activations never read a partial file
+        const temporary = `${entry}.${uuidv4()}.tmp`;
+        await fs.copy(file, temporary);
+        await fs.move(temporary, entry, { overwrite: true });
+        await this.touch(entry);
+        await this.evict();
+        return true;
+    }
+
+    /**
+     * Removes a cached file
+     * @param {String} key cache key
+     */
+    async delete(key) {
+        await fs.remove(this.entryPath(key));
+    }
+
+    /**
+     * Removes the least recently used files until the cache is under its maximum size
+     * @returns {String[]} removed keys
+     */
+    async evict() {
+        const entries = await this.entries();
+        let total = entries.reduce((sum, entry) => sum + entry.size, 0);
+        const removed = [];
+        for (const entry of entries) {
+            if (total <= this.maxSize) {
+                break;
+            }
+            await fs.remove(this.entryPath(entry.key));
+            total -= entry.size;
+            removed.push(entry.key);
+        }
+        return removed;
+    }
+
+    /**
+     * Removes all cached files
+     */
+    async clear() {
+        await fs.remove(this.directory);
+    }
+
+    /**
+     * Cached files, least recently used first
+     * @returns {Object[]} `{ key, size, lastUsed }` of each cached file
+     */
+    async entries() {
+        let names;
+        try {
+            names = await fs.readdir(this.directory);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+        const entries = [];
+        for (const key of names.filter(name => ENTRY_REGEX.test(name))) {
+            try {
+                const stats = await fs.stat(this.entryPath(key));
+                entries.push({ key, size: stats.size, lastUsed: stats.mtimeMs });
+            } catch (error) {
+                // ignore files removed by a concurrent eviction
+                if (error.code !== 'ENOENT') {
+                    throw error;
+                }
+            }
+        }
+        return entries.sort((a, b) => a.lastUsed - b.lastUsed);
+    }
+
+    entryPath(key) {
+        return path.join(this.directory, key);
+    }
+
+    // the modification time records the last use, strictly increasing for uses within the same millisecond
+    async touch(entry) {
+        const internal = this[INTERNAL];
+        internal.clock = Math.max(Date.now(), internal.clock + 1);
+        const time = new Date(internal.clock);
+        await fs.utimes(entry, time, time);
+    }
+}
+
+module.exports = {
+    DownloadCache,
+    normalizeUrl
+};
@@ -0,0 +1,94 @@
+/*
+ * Copyright 2021 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+const fs = require('fs-extra');
+const path = require('path');
+const mime = require('mime-types');
+const { fileURLToPath } = require('url');
+const { GenericError, SourceUnsupportedError } = require('@adobe/asset-compute-commons');
+const { Action } = require('../action');
+const datauri = require('./datauri');
+
+/**
+ * Storage provider for `file:` urls, for local development and tests.
+ * It is only registered with `WORKER_TEST_MODE` (`Storage.testProviders`): requests could otherwise read any file of the container.
+ * With a `root` directory, only files inside it can be read or written.
+ */
+class FileStorageProvider {
+    /**
+     * @param {Object} [options] options
+     * @param {String} [options.root] directory all files must be in
+     */
+    constructor(options = {}) {
+        this.root = options.root && path.resolve(options.root);
+        this.description = 'file url';
+    }
+
+    /**
+     * Local path of a `file:` url
+     * @param {String} url file url
+     * @returns {String} absolute path
+     */
+    resolve(url) {
+        let file;
+        try {
+            file = fileURLToPath(url);
+        } catch (error) {
+            throw new SourceUnsupportedError(`${url} must be a valid file url: ${error.message}`);
+        }
+        if (this.root && !file.startsWith(`${this.root}${path.sep}`)) {
+            throw new SourceUnsupportedError(`${url} is outside of the storage root`);
+        }
+        return file;
+    }
+
+    async download(asset, file) {
+        const source = this.resolve(asset.url);
+        if (!await fs.pathExists(source)) {
+            throw new GenericError(`File not found: ${asset.url}`, `${Action.name}_download`);
+        }
+        console.log(`copying ${asset.url} into ${file}`);
+        await fs.copy(source, file);
+    }
+
+    async upload(rendition) {
+        if (typeof rendition.target !== 'string') {
+            throw new GenericError(`rendition ${rendition.id()} must have a single file url as target`, `${Action.name}_upload`);
+        }
+        const target = this.resolve(rendition.target);
+        console.log(`copying rendition ${rendition.path} to ${rendition.target}`);
+        await fs.copy(rendition.path, target);
+        rendition.isUploadComplete = true;
+    }
+
+    async head(url) {
+        const file = this.resolve(url);
+        if (!await fs.pathExists(file)) {
+            throw new GenericError(`File not found: ${url}`, `${Action.name}_head`);
+        }
+        const stats = await fs.stat(file);
+        return { size: stats.size, type: mime.lookup(file) || undefined };
+    }
+
+    /**
+     * Uploads the file to the temporary cloud storage, other services cannot read local files
+     */
+    async presign(asset, options) {
+        return datauri.getPreSignedUrl(this.resolve(asset.url), options);
+    }
+}
+
+module.exports = {
+    FileStorageProvider
+};
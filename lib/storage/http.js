@@ -13,13 +13,24 @@
 'use strict';
 
 const http = require('@adobe/httptransfer');
+const fetch = require('@adobe/node-fetch-retry');
 const { AssetComputeLogUtils, GenericError, RenditionTooLarge } = require('@adobe/asset-compute-commons');
 const { Action } = require('../action');
 const fs = require('fs-extra');
+const { CancelledError } = require('../errors');
+const { throwIfAborted, abortable } = require('../utils/abort');
+const { assetDigests, fileDigest, verifyFileDigests } = require('../utils/digest');
 
 const MAX_RETRY_DURATION_UPLOAD = 900000; // 15 mins
 const DEFAULT_MAX_CONCURRENT = 8;
 const DEFAULT_PREFERRED_PART_SIZE = 100 * 1024 * 1024; // Default part size is 100mb
+const HEADERS_TIMEOUT = 10000; // 10 seconds
+const HEADERS_MAX_RETRY_DURATION = 30000; // 30 seconds
+// md5 digest in the ETag of single part uploads to some stores (e.g. S3 without KMS or customer keys),
+// multi part ETags look like "<digest>-<parts>"
+const ETAG_MD5_REGEX = /^"?([0-9a-f]{32})"?$/i;
+// value of ASSET_COMPUTE_VERIFY_DOWNLOADS also comparing ETags looking like md5 digests
+const VERIFY_ETAG = 'etag';
 
 /**
  * Get max concurrent value for node-httptransfer block transfer
@@ -57,8 +68,17 @@ async function getMaxConcurrent(preferredPartSize) {
     }
 }
 
-async function download(asset, file) {
+/**
+ * Downloads an asset
+ * @param {Object} asset asset with the url to download
+ * @param {String} file path of the downloaded file
+ * @param {Object} [options] options
+ * @param {AbortSignal} [options.signal] aborting it stops waiting for the download with a CancelledError
+ */
+async function download(asset, file, options = {}) {
+    const { signal } = options;
     try {
+        throwIfAborted(signal, `${Action.name}_download`);
         const mimetype = asset.type || asset.mimetype || asset.mimeType;
         console.log(`downloading asset ${AssetComputeLogUtils.redactUrl(asset.url)} into ${file}\nheaders:`, asset.headers);
         console.log(`asset content type: ${mimetype}, size: ${asset.size}`);
@@ -66,22 +86,171 @@ async function download(asset, file) {
         const preferredPartSize = process.env.HTTP_TRANSFER_PREFERRED_PART_SIZE || DEFAULT_PREFERRED_PART_SIZE;
         const maxConcurrent = await getMaxConcurrent(preferredPartSize);
 
-        await http.downloadFileConcurrently(asset.url, file, {
+        await abortable(http.downloadFileConcurrently(asset.url, file, {
             retryEnabled: !process.env.ASSET_COMPUTE_DISABLE_RETRIES,
             headers: asset.headers,
             contentType: mimetype,
             fileSize: asset.size,
             maxConcurrent: maxConcurrent,
             preferredPartSize: preferredPartSize
-        });
+        }), signal, `${Action.name}_download`);
         console.log('download finished successfully');
 
     } catch (err) {
+        if (err instanceof CancelledError) {
+            throw err;
+        }
         throw new GenericError(err.message, `${Action.name}_download`);
     }
+
+    // digests supplied with the source are verified by Storage for all storage providers
+    if (process.env.ASSET_COMPUTE_VERIFY_DOWNLOADS && Object.keys(assetDigests(asset)).length === 0) {
+        await verifyResponseDigests(asset, file, { signal });
+    }
+}
+
+/**
+ * Retrieves the headers of the file at a url, with a socket timeout and retries on server errors.
+ * Presigned urls only valid for GET reject HEAD requests (e.g. S3, the method is part of the signature),
+ * the first byte of the file is requested with GET instead.
+ * @param {Object} asset asset with the url and optional request headers
+ * @param {Object} [options] options
+ * @param {AbortSignal} [options.signal] aborting it stops waiting for the headers with a CancelledError
+ * @returns {Object} `{ etag, size, contentMd5 }`: `etag` is undefined for weak ETags,
+ * `contentMd5` for responses with the whole file only
+ */
+async function resourceHeaders(asset, options = {}) {
+    const location = `${Action.name}_resourceHeaders`;
+    const request = async doGet => {
+        const response = await abortable(fetch(asset.url, {
+            method: doGet ? 'GET' : 'HEAD',
+            headers: doGet ? { ...asset.headers, range: 'bytes=0-0' } : { ...asset.headers },
+            timeout: HEADERS_TIMEOUT,
+            retryOptions: process.env.ASSET_COMPUTE_DISABLE_RETRIES ? false : {
+                retryMaxDuration: HEADERS_MAX_RETRY_DURATION,
+                socketTimeout: HEADERS_TIMEOUT
+            }
+        }), options.signal, location);
+        if (doGet && response.body) {
+            // only the headers are needed, servers may ignore the range and send the whole file
+            response.body.destroy();
+        }
+        return response;
+    };
+
+    // S3 urls are known to reject HEAD requests
+    let doGet = new URL(asset.url).host.includes('.amazonaws.com');
+    let response = await request(doGet);
+    if (!doGet && (response.status === 403 || response.status === 405)) {
+        doGet = true;
+        response = await request(doGet);
+    }
+    if (!response.ok) {
+        throw new GenericError(`${doGet ? 'GET' : 'HEAD'} '${AssetComputeLogUtils.redactUrl(asset.url)}' failed with status ${response.status}`, location);
+    }
+    const etag = response.headers.get('etag');
+    return {
+        etag: (etag && !etag.startsWith('W/')) ? etag : undefined,
+        size: resourceSize(response),
+        // the Content-MD5 of a range response is the digest of the range
+        contentMd5: (response.status !== 206 && response.headers.get('content-md5')) || undefined
+    };
+}
+
+/**
+ * Size of the file of a response to a HEAD or first byte GET request
+ * @param {Response} response response
+ * @returns {Number} size in bytes, undefined if unknown
+ */
+function resourceSize(response) {
+    const range = /\/(\d+)$/.exec(response.headers.get('content-range') || '');
+    if (range) {
+        return parseInt(range[1], 10);
+    }
+    const length = response.status !== 206 && parseInt(response.headers.get('content-length'), 10);
+    return Number.isFinite(length) ? length : undefined;
+}
+
+/**
+ * Identifies the version of the file at a url, for the download cache
+ * @param {Object} asset asset with the url and optional request headers
+ * @param {Object} [options] options
+ * @param {AbortSignal} [options.signal] aborting it stops waiting for the headers with a CancelledError
+ * @returns {Object} `{ etag, size }`, undefined if the headers could not be retrieved
+ */
+async function validators(asset, options = {}) {
+    try {
+        const { etag, size } = await resourceHeaders(asset, options);
+        return { etag, size };
+    } catch (err) {
+        if (err instanceof CancelledError) {
+            throw err;
+        }
+        console.log(`could not retrieve ETag of ${AssetComputeLogUtils.redactUrl(asset.url)}: ${err.message}`);
+    }
+}
+
+/**
+ * Compares a downloaded file against the `Content-MD5` header of the server.
+ * With `ASSET_COMPUTE_VERIFY_DOWNLOADS=etag`, an ETag looking like an md5 digest is compared as well,
+ * but a mismatch is only logged: many stores use opaque ETags (e.g. S3 with KMS or customer keys).
+ * @param {Object} asset asset with the url the file was downloaded from
+ * @param {String} file path of the downloaded file
+ * @param {Object} [options] options
+ * @param {AbortSignal} [options.signal] aborting it stops waiting for the headers with a CancelledError
+ * @throws {SourceCorruptError} if the file does not match its Content-MD5
+ */
+async function verifyResponseDigests(asset, file, options = {}) {
+    const url = AssetComputeLogUtils.redactUrl(asset.url);
+    let headers;
+    try {
+        headers = await resourceHeaders(asset, options);
+    } catch (err) {
+        if (err instanceof CancelledError) {
+            throw err;
+        }
+        console.log(`could not retrieve digests of ${url}, skipping verification: ${err.message}`);
+        return;
+    }
+    if (headers.contentMd5) {
+        await verifyFileDigests(file, { md5: headers.contentMd5 }, `Downloaded file ${url}`);
+        console.log('verified md5 digest of the download');
+        return;
+    }
+    const etag = (headers.etag || '').match(ETAG_MD5_REGEX);
+    if (process.env.ASSET_COMPUTE_VERIFY_DOWNLOADS === VERIFY_ETAG && etag) {
+        const md5 = await fileDigest(file, 'md5');
+        if (md5 === etag[1].toLowerCase()) {
+            console.log('verified md5 ETag of the download');
+        } else {
+            console.log(`ETag of ${url} is not the md5 digest of the download (${md5}), skipping verification`);
+        }
+        return;
+    }
+    console.log(`no Content-MD5 for ${url}, skipping verification`);
+}
+
+/**
+ * Base64 md5 digest of a file for the `Content-MD5` header
+ * @param {String} file path of the file
+ * @returns {String} digest, undefined if it could not be computed: the upload reports missing files
+ */
+async function uploadDigest(file) {
+    try {
+        return await fileDigest(file, 'md5', 'base64');
+    } catch (err) {
+        console.log(`could not compute md5 digest of ${file}: ${err.message || err}`);
+    }
 }
 
-async function upload(rendition) {
+/**
+ * Uploads a rendition to its target
+ * @param {Rendition} rendition rendition to upload
+ * @param {Object} [options] options
+ * @param {AbortSignal} [options.signal] aborting it stops waiting for the upload with a CancelledError
+ */
+async function upload(rendition, options = {}) {
+    const { signal } = options;
     const file = rendition.path;
     const target = rendition.target;
     if (!target) {
@@ -93,28 +262,32 @@ async function upload(rendition) {
         throw new GenericError(`rendition ${rendition.id()} does not have a file path: ${file}`, `${Action.name}_upload`);
     }
 
+    throwIfAborted(signal, `${Action.name}_upload`);
     rendition.isUploading = true;
     const contentType = await rendition.contentType();
+    // lets the storage reject a corrupted upload, only for single requests as the digest is for the whole file
+    const contentMd5 = typeof target === 'string' ? await uploadDigest(file) : undefined;
 
     const preferredPartSize = process.env.HTTP_TRANSFER_PREFERRED_PART_SIZE || DEFAULT_PREFERRED_PART_SIZE;
     const maxConcurrent = await getMaxConcurrent(preferredPartSize);
     try {
         if (typeof target === 'string') {
             console.log(`uploading rendition ${file} to ${AssetComputeLogUtils.redactUrl(target)}, size = ${rendition.size()}`);
-            await http.uploadFileConcurrently(file, target, {
+            await abortable(http.uploadFileConcurrently(file, target, {
                 retryEnabled: !process.env.ASSET_COMPUTE_DISABLE_RETRIES,
                 headers: {
-                    'content-type': contentType
+                    'content-type': contentType,
+                    ...(contentMd5 && { 'content-md5': contentMd5 })
                 },
                 maxConcurrent: maxConcurrent,
                 preferredPartSize: preferredPartSize
-            });
+            }), signal, `${Action.name}_upload`);
             rendition.isUploadComplete = true;
             console.log(`successfully finished uploading rendition`);
 
         } else if (typeof target === 'object' && Array.isArray(target.urls)) {
             console.log(`uploading rendition ${file} as multi-part to ${AssetComputeLogUtils.redactUrl(target.urls[0])} and ${target.urls.length-1} more urls, size = ${rendition.size()}`);
-            await http.uploadMultiPartFileConcurrently(file, target, {
+            await abortable(http.uploadMultiPartFileConcurrently(file, target, {
                 retryEnabled: !process.env.ASSET_COMPUTE_DISABLE_RETRIES,
                 retryMaxDuration: process.env.ASSET_COMPUTE_TEST_RETRY_DURATION || MAX_RETRY_DURATION_UPLOAD,
                 headers: {
@@ -122,14 +295,16 @@ async function upload(rendition) {
                 },
                 maxConcurrent: maxConcurrent,
                 preferredPartSize: preferredPartSize
-            });
+            }), signal, `${Action.name}_upload`);
             rendition.isUploadComplete = true;
             console.log(`successfully finished uploading rendition`);
         }
     } catch (err) {
         rendition.isUploadError = true;
         console.log(err);
-        if (err.message && err.message.includes('is too large to upload') || err.status === 413) {
+        if (err instanceof CancelledError) {
+            throw err;
+        } else if (err.message && err.message.includes('is too large to upload') || err.status === 413) {
             throw new RenditionTooLarge(`rendition size of ${rendition.size()} for ${rendition.name} is too large`);
         } else {
             throw new GenericError(err.message, `${Action.name}_upload`);
@@ -139,6 +314,25 @@ async function upload(rendition) {
     }
 }
 
+/**
+ * Retrieves size and mime type of the file at a url without downloading it
+ * @param {String} url url of the file
+ * @param {Object} [options] options
+ * @param {Object} [options.headers] request headers, e.g. authorization
+ * @returns {Object} `{ size, type }`
+ */
+async function head(url, options = {}) {
+    try {
+        const headers = await http.getResourceHeaders(url, {
+            headers: options.headers,
+            retryEnabled: !process.env.ASSET_COMPUTE_DISABLE_RETRIES
+        });
+        return { size: headers.size, type: headers.mimetype };
+    } catch (err) {
+        throw new GenericError(err.message, `${Action.name}_head`);
+    }
+}
+
 /**
  * Does rendition require an upload currently?
  * @param {Rendition} rendition Rendition object
@@ -174,5 +368,7 @@ async function uploadRenditionOnce(output) {
 module.exports = {
     download,
     upload,
+    head,
+    validators,
     uploadRenditionOnce
 };
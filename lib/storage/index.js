@@ -16,7 +16,15 @@ const Asset = require('../asset');
 const { AssetComputeLogUtils, GenericError, SourceUnsupportedError } = require('@adobe/asset-compute-commons');
 const http = require('./http');
 const datauri = require('./datauri');
+const { StorageProviders } = require('./providers');
+const { FileStorageProvider } = require('./file');
+const { MemoryStorageProvider } = require('./memory');
+const { LocalTemporaryStorage } = require('./local-temporary-storage');
+const { setTemporaryStorage, sweepTemporaryStorage } = require('./temporary-storage');
+const { TemporaryCloudStorage } = require('./temporary-cloud-storage');
 const { Rendition } = require('../rendition');
+const { assetDigests, verifyFileDigests } = require('../utils/digest');
+const { DownloadCache } = require('./download-cache');
 const { URL } = require('url');
 const fs = require("fs-extra");
 const path = require('path');
@@ -25,9 +33,10 @@ const validUrl = require('valid-url');
 const validDataUrl = require('valid-data-url');
 
 const SOURCE_BASENAME = 'source';
+const DOWNLOAD_CACHE = Symbol('downloadCache');
 
 class Storage {
-    static async getAsset(assetReference, directory, name, disableDownload) {
+    static async getAsset(assetReference, directory, name, disableDownload, options = {}) {
         // normalize asset reference to be an object
         if(!assetReference) {
             throw new GenericError('Missing assetReference');
@@ -36,10 +45,10 @@ class Storage {
             assetReference = { url: assetReference };
         }
     
-        if (process.env.WORKER_TEST_MODE) {
+        if (process.env.WORKER_TEST_MODE && !Storage.testProviders.find(assetReference.url)) {
             // local file support for `Asset Compute test-worker` unit tests
             // not supported for clients in production
-            // params.source.url will just be a filename like 'file.jpg'
+            // params.source.url will just be a filename like 'file.jpg', `file:` and `memory:` urls use their provider
             name = assetReference.url;
             const filePath = path.join(directory, name);
             if (!await fs.pathExists(filePath)) {
@@ -50,35 +59,116 @@ class Storage {
         }
     
         const source = new Asset(assetReference, directory, name);
-        // syncing with SDK code
-        // addition changes to refactor is added
-        if (!validDataUrl(assetReference.url) && !validUrl.isHttpsUri(assetReference.url)) {
-            throw new SourceUnsupportedError(`${assetReference.url} must be a valid https url or datauri`);
-        }
-        const protocol = new URL(assetReference.url).protocol;
-        if (protocol === 'data:') {
-            console.log("creating asset from data url:", source.path);
-            await datauri.download(assetReference, source.path);
-            if(!Storage.fileExistsAndIsNotEmpty(source.path)){
-                console.log(`file ${source.path} does not exist after datauri write to local fs`);
-                throw new SourceUnsupportedError(`Invalid or missing local file ${source.path}`);
-            }
-            if (disableDownload) {
-                console.log(`Skipping source file download for ${AssetComputeLogUtils.redactUrl(source.url)}`);
-                const preSignedUrl = await datauri.getPreSignedUrl(source.path);
-                console.log(`Uploaded data URI content to storage and generated presigned url`);
-                assetReference.url = preSignedUrl;
+        const provider = Storage.getProvider(assetReference.url);
+        if (disableDownload) {
+            // the transformer reads the asset itself, it needs a url it can access
+            console.log(`Skipping source file download for ${AssetComputeLogUtils.redactUrl(source.url)}`);
+            const url = await provider.presign(assetReference, { ...options, file: source.path });
+            if (url !== assetReference.url) {
+                assetReference.url = url;
                 return new Asset(assetReference, directory, name);
             }
-        } else if (!disableDownload && protocol === 'https:') {
-            console.log("downloading asset:", source.path);
-            await http.download(assetReference, source.path);
         } else {
-            console.log(`Neither a data uri nor https disableDownload:${disableDownload} and protocol: ${protocol}`);
+            console.log("downloading asset:", source.path);
+            await Storage.download(provider, assetReference, source.path, options);
         }
     
         return source;
     }
+
+    /**
+     * Downloads an asset with its provider, or copies it from the download cache if the same version was downloaded before.
+     * The file is verified against the optional `md5`, `sha1` or `sha256` digests of the asset.
+     * @param {StorageProvider} provider storage provider of the asset url
+     * @param {Object} assetReference asset to download
+     * @param {String} file path of the downloaded file
+     * @param {Object} [options] options
+     * @param {AbortSignal} [options.signal] aborting it cancels the download
+     */
+    static async download(provider, assetReference, file, options = {}) {
+        const digests = assetDigests(assetReference);
+        const description = `Source ${path.basename(file)}`;
+        const cache = Storage.downloadCache;
+        let key;
+        let validators;
+        if (cache && typeof provider.validators === 'function') {
+            validators = await provider.validators(assetReference, { signal: options.signal });
+            key = cache.key(assetReference.url, validators);
+            if (key && await cache.get(key, file)) {
+                try {
+                    await verifyFileDigests(file, digests, description);
+                    console.log(`copied ${AssetComputeLogUtils.redactUrl(assetReference.url)} from the download cache`);
+                    return;
+                } catch (error) {
+                    console.log(`cached ${AssetComputeLogUtils.redactUrl(assetReference.url)} is invalid, downloading it again: ${error.message}`);
+                    await cache.delete(key);
+                }
+            }
+        }
+
+        await provider.download(assetReference, file, { signal: options.signal });
+        const verified = await verifyFileDigests(file, digests, description);
+        if (verified.length > 0) {
+            console.log(`verified ${verified.join(', ')} digest of ${file}`);
+        }
+
+        if (key) {
+            try {
+                await cache.put(key, file, validators.size);
+            } catch (error) {
+                console.log(`adding ${file} to the download cache failed: ${error.message}`);
+            }
+        }
+    }
+
+    /**
+     * Download cache shared by all steps and warm activations,
+     * by default the one enabled with `ASSET_COMPUTE_DOWNLOAD_CACHE_SIZE`, see `DownloadCache.fromEnvironment()`
+     */
+    static get downloadCache() {
+        return Storage[DOWNLOAD_CACHE] === undefined ? DownloadCache.fromEnvironment() : Storage[DOWNLOAD_CACHE];
+    }
+
+    /**
+     * Sets the download cache, `null` disables it, `undefined` restores the default
+     */
+    static set downloadCache(cache) {
+        Storage[DOWNLOAD_CACHE] = cache;
+    }
+
+    /**
+     * Finds the storage provider for a url in `Storage.providers`, and in `Storage.testProviders` with `WORKER_TEST_MODE`
+     * @param {String} url url of an asset
+     * @returns {StorageProvider} provider, undefined if no provider supports the url
+     */
+    static findProvider(url) {
+        return Storage.providers.find(url)
+            || (process.env.WORKER_TEST_MODE ? Storage.testProviders.find(url) : undefined);
+    }
+
+    /**
+     * Returns the storage provider for a url (see `Storage.findProvider()`)
+     * @param {String} url url of an asset
+     * @returns {StorageProvider} provider
+     * @throws {SourceUnsupportedError} if no provider supports the url
+     */
+    static getProvider(url) {
+        const provider = Storage.findProvider(url);
+        if (!provider) {
+            throw new SourceUnsupportedError(`${url} must be a valid ${Storage.providers.describe()}`);
+        }
+        return provider;
+    }
+
+    /**
+     * Retrieves size and mime type of the file at a url without downloading it
+     * @param {String} url url of the file
+     * @param {Object} [options] options passed to the provider, e.g. `headers`
+     * @returns {Object} `{ size, type }`
+     */
+    static async head(url, options = {}) {
+        return Storage.getProvider(url).head(url, options);
+    }
     
     // function to return an extension for a file
     // if not empty returns a leading period
@@ -128,16 +218,25 @@ class Storage {
         return `${SOURCE_BASENAME}${Storage.getExtension(null, mimetype)}`;
     }
     
-    static async getSource(paramsSource, inDirectory, disableSourceDownload) {
+    /**
+     * Gets the source of a request, downloading it unless disabled
+     * @param {Object|String} paramsSource source object or url
+     * @param {String} inDirectory directory for the source file
+     * @param {Boolean} disableSourceDownload true to not download the source
+     * @param {Object} [options] options
+     * @param {AbortSignal} [options.signal] aborting it cancels the download
+     * @returns {Asset} source asset
+     */
+    static async getSource(paramsSource, inDirectory, disableSourceDownload, options) {
         // normalize asset reference to be an object
         if (typeof paramsSource === 'string') {
             paramsSource = { url: paramsSource };
         }
         const name = Storage.getSourceFilename(paramsSource);
-        return Storage.getAsset(paramsSource, inDirectory, name, disableSourceDownload);
+        return Storage.getAsset(paramsSource, inDirectory, name, disableSourceDownload, options);
     }
     
-    static async putRendition(rendition, directories) {
+    static async putRendition(rendition, directories, options) {
         // Note: validation has happened in validate.js before
         if (process.env.WORKER_TEST_MODE) {
             if (directories && rendition.directory === directories.postprocessing) {
@@ -164,9 +263,83 @@ class Storage {
             }
     
         } else if (!rendition.shouldEmbedInIOEvent()) {
-            await http.upload(rendition);
+            const target = rendition.target;
+            const url = target && (typeof target === 'string' ? target : (Array.isArray(target.urls) && target.urls[0]));
+            if (!url) {
+                // warns about the missing target
+                await http.upload(rendition, options);
+                return;
+            }
+            const provider = Storage.findProvider(url);
+            if (!provider) {
+                throw new GenericError(`No storage provider for the target of rendition ${rendition.id()}: ${AssetComputeLogUtils.redactUrl(url)}`, 'upload');
+            }
+            await provider.upload(rendition, options);
         }
     }
 }
 
-module.exports = { Storage };
\ No newline at end of file
+// presigned https urls, readable by other services as they are
+const httpsProvider = {
+    description: 'https url',
+    accepts: url => !!validUrl.isHttpsUri(url),
+    download: (asset, file, options) => http.download(asset, file, options),
+    upload: (rendition, options) => http.upload(rendition, options),
+    head: (url, options) => http.head(url, options),
+    validators: (asset, options) => http.validators(asset, options),
+    presign: async asset => asset.url
+};
+
+// data uris embedding the file
+const dataProvider = {
+    description: 'datauri',
+    accepts: url => validDataUrl(url),
+    download: async (asset, file) => {
+        console.log("creating asset from data url:", file);
+        await datauri.download(asset, file);
+        if (!Storage.fileExistsAndIsNotEmpty(file)) {
+            console.log(`file ${file} does not exist after datauri write to local fs`);
+            throw new SourceUnsupportedError(`Invalid or missing local file ${file}`);
+        }
+    },
+    upload: async rendition => {
+        throw new GenericError(`rendition ${rendition.id()} cannot be uploaded to a data uri`, 'upload');
+    },
+    head: url => datauri.head(url),
+    // the content is uploaded to the temporary cloud storage
+    presign: async (asset, options) => {
+        await dataProvider.download(asset, options.file);
+        const preSignedUrl = await datauri.getPreSignedUrl(options.file, options);
+        console.log(`Uploaded data URI content to storage and generated presigned url`);
+        return preSignedUrl;
+    }
+};
+
+/**
+ * Storage providers by url scheme, `https:` and `data:` are registered by default.
+ * Other schemes can be registered, e.g. with `FileStorageProvider` or `MemoryStorageProvider`:
+ *  Storage.providers.register('memory:', new MemoryStorageProvider());
+ */
+Storage.providers = new StorageProviders();
+Storage.providers.register('https:', httpsProvider);
+Storage.providers.register('data:', dataProvider);
+
+/**
+ * Storage providers only used with `WORKER_TEST_MODE`, for `file:` and `memory:` urls in worker tests.
+ * Production must not accept them: requests could otherwise read any file of the container.
+ */
+Storage.testProviders = new StorageProviders();
+Storage.testProviders.register('file:', new FileStorageProvider());
+Storage.testProviders.register('memory:', new MemoryStorageProvider());
+
+module.exports = {
+    Storage,
+    StorageProviders,
+    FileStorageProvider,
+    MemoryStorageProvider,
+    LocalTemporaryStorage,
+    TemporaryCloudStorage,
+    DownloadCache,
+    setTemporaryStorage,
+    sweepTemporaryStorage
+};
\ No newline at end of file
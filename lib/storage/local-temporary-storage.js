@@ -0,0 +1,287 @@
+/*
+ * Copyright 2021 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const path = require('path');
+const { pipeline } = require('stream');
+const { promisify } = require('util');
+const fs = require('fs-extra');
+const { v4: uuidv4 } = require('uuid');
+const { GenericError } = require('@adobe/asset-compute-commons');
+
+const pipelineAsync = promisify(pipeline);
+
+const INTERNAL = Symbol("internal");
+
+const PERMISSIONS_REGEX = /^[rwd]+$/;
+const METHOD_PERMISSIONS = {
+    GET: 'r',
+    HEAD: 'r',
+    PUT: 'w',
+    DELETE: 'd'
+};
+
+/**
+ * Temporary storage keeping files in a local directory, served by an embedded http server.
+ * It mints expiring signed urls like the cloud storage, so `sourceType: 'URL'` transformers can run offline and in CI.
+ * The server is started on the first presigned url and does not keep the process alive.
+ */
+class LocalTemporaryStorage {
+    /**
+     * @param {Object} options options
+     * @param {String} options.directory directory storing the files
+     * @param {String} [options.host] interface the server listens on, defaults to `127.0.0.1`
+     * @param {Number} [options.port] port of the server, defaults to a random free port
+     * @param {String|Buffer} [options.key] TLS private key, the server uses https if `key` and `cert` are set
+     * @param {String|Buffer} [options.cert] TLS certificate
+     * @param {String} [options.secret] secret signing the urls, defaults to a random secret
+     */
+    constructor(options = {}) {
+        if (!options.directory) {
+            throw new GenericError('Local temporary storage requires a directory', 'localTemporaryStorage');
+        }
+        this[INTERNAL] = {
+            directory: path.resolve(options.directory),
+            host: options.host || '127.0.0.1',
+            port: options.port || 0,
+            tls: options.key && options.cert ? { key: options.key, cert: options.cert } : undefined,
+            secret: options.secret || crypto.randomBytes(32).toString('hex')
+        };
+    }
+
+    /**
+     * Url of the server, undefined until it is started
+     */
+    get url() {
+        return this[INTERNAL].url;
+    }
+
+    /**
+     * Starts the server if it is not running
+     * @returns {String} url of the server
+     */
+    async start() {
+        const internal = this[INTERNAL];
+        if (!internal.starting) {
+            internal.starting = new Promise((resolve, reject) => {
+                const handler = (request, response) => this.handle(request, response);
+                const server = internal.tls ? https.createServer(internal.tls, handler) : http.createServer(handler);
+                server.once('error', reject);
+                server.listen(internal.port, internal.host, () => {
+                    server.unref();
+                    const { port } = server.address();
+                    const host = internal.host.includes(':') ? `[${internal.host}]` : internal.host;
+                    internal.server = server;
+                    internal.url = `${internal.tls ? 'https' : 'http'}://${host}:${port}`;
+                    console.log(`Local temporary storage serving ${internal.directory} at ${internal.url}`);
+                    resolve(internal.url);
+                });
+            });
+            // allow retrying after a failed start, e.g. if the port was in use
+            internal.starting.catch(() => { internal.starting = undefined; });
+        }
+        return internal.starting;
+    }
+
+    /**
+     * Stops the server, urls minted before can no longer be used until it is started again
+     */
+    async stop() {
+        const internal = this[INTERNAL];
+        const server = internal.server;
+        internal.server = undefined;
+        internal.starting = undefined;
+        internal.url = undefined;
+        if (server) {
+            await promisify(server.close.bind(server))();
+        }
+    }
+
+    /**
+     * Create a unique name for cloud path
+     * @param {String} filename (optional) filename a filename
+     * @returns {String} a unique filename based on the entered filename
+     */
+    createUniqueName(filename="file.tmp") {
+        return `${uuidv4()}/${Date.now()}/${filename}`;
+    }
+
+    /**
+     * Copies a file from local filesystem into the storage
+     * @param {String} localFilePath local filesystem path to the file to upload
+     * @param {String} cloudUniquePath path in the storage
+     */
+    async upload(localFilePath, cloudUniquePath) {
+        console.log("Copying from local filesystem to local temporary storage");
+        await fs.copy(localFilePath, this.resolve(cloudUniquePath));
+    }
+
+    /**
+     * Copies a file of the storage to the local filesystem
+     * @param {String} cloudUniquePath path in the storage
+     * @param {String} localFilePath local filesystem path to the file to download to
+     */
+    async download(cloudUniquePath, localFilePath) {
+        console.log("Copying from local temporary storage to local filesystem");
+        await fs.copy(this.resolve(cloudUniquePath), localFilePath);
+    }
+
+    /**
+     * Create a presigned url (read, write, delete and combinations are supported)
+     * @param {String} cloudPath path in the storage
+     * @param {String} permissions permissions (`r` for read, `w` for write, `d` for delete and their combinations)
+     * @param {Number} expiryInSeconds how long the generated presigned url will be valid
+     * @returns {String} a presigned url
+     */
+    async generatePresignURL(cloudPath, permissions = "rwd", expiryInSeconds=3600) {
+        if (!PERMISSIONS_REGEX.test(permissions)) {
+            throw new GenericError(`Invalid permissions ${permissions}, expected a combination of r, w and d`, 'localTemporaryStorage');
+        }
+        this.resolve(cloudPath);
+        const url = await this.start();
+
+        const expires = Date.now() + expiryInSeconds * 1000;
+        const pathname = cloudPath.split('/').map(encodeURIComponent).join('/');
+        const signature = this.sign(cloudPath, permissions, expires);
+        return `${url}/${pathname}?permissions=${permissions}&expires=${expires}&signature=${signature}`;
+    }
+
+    /**
+     * Lists the files of the storage
+     * @returns {String[]} paths of all files
+     */
+    async list() {
+        const directory = this[INTERNAL].directory;
+        if (!await fs.pathExists(directory)) {
+            return [];
+        }
+        const files = [];
+        const walk = async (relative) => {
+            for (const entry of await fs.readdir(path.join(directory, relative), { withFileTypes: true })) {
+                const entryPath = relative ? `${relative}/${entry.name}` : entry.name;
+                if (entry.isDirectory()) {
+                    await walk(entryPath);
+                } else {
+                    files.push(entryPath);
+                }
+            }
+        };
+        await walk('');
+        return files;
+    }
+
+    /**
+     * Removes a file from the storage
+     * @param {String} cloudUniquePath path in the storage
+     */
+    async cleanUp(cloudUniquePath) {
+        await fs.remove(this.resolve(cloudUniquePath));
+    }
+
+    /**
+     * Local path of a file of the storage
+     * @param {String} cloudPath path in the storage
+     * @returns {String} absolute path inside the storage directory
+     */
+    resolve(cloudPath) {
+        const directory = this[INTERNAL].directory;
+        const file = path.resolve(directory, String(cloudPath).replace(/^\/+/, ''));
+        if (!file.startsWith(`${directory}${path.sep}`)) {
+            throw new GenericError(`Invalid temporary storage path: ${cloudPath}`, 'localTemporaryStorage');
+        }
+        return file;
+    }
+
+    sign(cloudPath, permissions, expires) {
+        return crypto.createHmac('sha256', this[INTERNAL].secret)
+            .update(`${cloudPath}\n${permissions}\n${expires}`)
+            .digest('hex');
+    }
+
+    /**
+     * Serves a request to a presigned url
+     */
+    async handle(request, response) {
+        try {
+            const url = new URL(request.url, 'http://localhost');
+            const cloudPath = decodeURIComponent(url.pathname.slice(1));
+            const permissions = url.searchParams.get('permissions') || '';
+            const expires = Number(url.searchParams.get('expires'));
+            const required = METHOD_PERMISSIONS[request.method];
+
+            if (!required) {
+                return reply(response, 405, `Method ${request.method} not allowed`);
+            }
+            if (!this.verify(cloudPath, permissions, expires, url.searchParams.get('signature'))) {
+                return reply(response, 403, 'Invalid signature');
+            }
+            if (Date.now() > expires) {
+                return reply(response, 403, 'Url expired');
+            }
+            if (!permissions.includes(required)) {
+                return reply(response, 403, `Url does not allow ${request.method}`);
+            }
+
+            const file = this.resolve(cloudPath);
+            if (request.method === 'PUT') {
+                await fs.mkdirs(path.dirname(file));
+                await pipelineAsync(request, fs.createWriteStream(file));
+                return reply(response, 201);
+            }
+            if (!await fs.pathExists(file)) {
+                return reply(response, 404, 'Not found');
+            }
+            if (request.method === 'DELETE') {
+                await fs.remove(file);
+                return reply(response, 204);
+            }
+            const stats = await fs.stat(file);
+            response.writeHead(200, {
+                'Content-Type': 'application/octet-stream',
+                'Content-Length': stats.size
+            });
+            if (request.method === 'HEAD') {
+                return response.end();
+            }
+            await pipelineAsync(fs.createReadStream(file), response);
+        } catch (error) {
+            console.log(`Local temporary storage failed to serve ${request.method} request: ${error.message}`);
+            if (!response.headersSent) {
+                reply(response, 500, 'Internal error');
+            } else {
+                response.destroy();
+            }
+        }
+    }
+
+    verify(cloudPath, permissions, expires, signature) {
+        if (!PERMISSIONS_REGEX.test(permissions) || !Number.isFinite(expires) || typeof signature !== 'string') {
+            return false;
+        }
+        const expected = Buffer.from(this.sign(cloudPath, permissions, expires));
+        const actual = Buffer.from(signature);
+        return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+    }
+}
+
+function reply(response, status, message) {
+    response.writeHead(status, { 'Content-Type': 'text/plain' });
+    response.end(message);
+}
+
+module.exports = {
+    LocalTemporaryStorage
+};
@@ -0,0 +1,92 @@
+/*
+ * Copyright 2021 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+const fs = require('fs-extra');
+const { GenericError } = require('@adobe/asset-compute-commons');
+const { Action } = require('../action');
+
+/**
+ * Storage provider keeping files in memory, e.g. to run the engine in tests without an http server:
+ *  const memory = new MemoryStorageProvider();
+ *  Storage.providers.register('memory:', memory);
+ *  memory.put('memory://source.png', fs.readFileSync('file.png'), 'image/png');
+ * Presigned urls are the urls themselves, they can only be read in the same process.
+ */
+class MemoryStorageProvider {
+    constructor() {
+        this.files = new Map();
+        this.description = 'memory url';
+    }
+
+    /**
+     * Stores a file
+     * @param {String} url url of the file
+     * @param {Buffer|String} data content
+     * @param {String} [type] mime type
+     */
+    put(url, data, type) {
+        this.files.set(url, { data: Buffer.from(data), type });
+    }
+
+    /**
+     * Returns the content of a file
+     * @param {String} url url of the file
+     * @returns {Buffer} content, undefined if there is no file at the url
+     */
+    get(url) {
+        const file = this.files.get(url);
+        return file && file.data;
+    }
+
+    /**
+     * Removes a file
+     * @param {String} url url of the file
+     * @returns {Boolean} true if a file was removed
+     */
+    delete(url) {
+        return this.files.delete(url);
+    }
+
+    async download(asset, file) {
+        const data = this.get(asset.url);
+        if (!data) {
+            throw new GenericError(`No file stored at ${asset.url}`, `${Action.name}_download`);
+        }
+        await fs.writeFile(file, data);
+    }
+
+    async upload(rendition) {
+        if (typeof rendition.target !== 'string') {
+            throw new GenericError(`rendition ${rendition.id()} must have a single memory url as target`, `${Action.name}_upload`);
+        }
+        this.put(rendition.target, await fs.readFile(rendition.path), rendition.instructions && rendition.instructions.type);
+        rendition.isUploadComplete = true;
+    }
+
+    async head(url) {
+        const file = this.files.get(url);
+        if (!file) {
+            throw new GenericError(`No file stored at ${url}`, `${Action.name}_head`);
+        }
+        return { size: file.data.length, type: file.type };
+    }
+
+    async presign(asset) {
+        return asset.url;
+    }
+}
+
+module.exports = {
+    MemoryStorageProvider
+};
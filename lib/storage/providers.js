@@ -0,0 +1,109 @@
+/*
+ * Copyright 2021 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+const { GenericError } = require('@adobe/asset-compute-commons');
+
+const PROVIDER_FUNCTIONS = ['download', 'upload', 'head', 'presign'];
+const SCHEME_REGEX = /^([a-z][a-z0-9+.-]*):/i;
+
+/**
+ * @typedef {Object} StorageProvider
+ *
+ * Storage for the urls of one scheme (e.g. `https:`), all functions are async:
+ * @property {Function} download `download(asset, file, options)` writes the file at `asset.url` into the local `file`
+ * @property {Function} upload `upload(rendition, options)` uploads the local file of the rendition (`rendition.path`)
+ * to its `target`
+ * @property {Function} head `head(url, options)` returns `{ size, type }` of the file at the url
+ * @property {Function} presign `presign(asset, options)` returns a url other services can read the asset from,
+ * `options.file` is a local path the asset may be downloaded to first, files uploaded to the temporary storage
+ * must be added to `options.tempCloudStorageFiles` to be removed during clean up
+ * @property {Function} [validators] `validators(asset, options)` returns `{ etag, size }` identifying the version
+ * of the file, to reuse it from the download cache
+ * @property {Function} [accepts] `accepts(url)` returns false for urls of the scheme the provider does not support
+ * @property {String} [description] name of the urls in error messages, e.g. `https url`
+ * Options can include a `signal` (AbortSignal) to cancel the transfer.
+ */
+
+/**
+ * Registry of storage providers by url scheme
+ */
+class StorageProviders {
+    constructor() {
+        this.providers = new Map();
+    }
+
+    /**
+     * Registers a provider, replacing any provider for the same scheme
+     * @param {String} scheme url scheme, e.g. `https:` or `s3`
+     * @param {StorageProvider} provider provider
+     */
+    register(scheme, provider) {
+        const missing = PROVIDER_FUNCTIONS.filter(name => !provider || typeof provider[name] !== 'function');
+        if (missing.length > 0) {
+            throw new GenericError(`Invalid storage provider for ${scheme}: missing ${missing.join(', ')}`, 'registerStorageProvider');
+        }
+        this.providers.set(normalizeScheme(scheme), provider);
+    }
+
+    /**
+     * Removes the provider of a scheme
+     * @param {String} scheme url scheme
+     * @returns {Boolean} true if a provider was removed
+     */
+    unregister(scheme) {
+        return this.providers.delete(normalizeScheme(scheme));
+    }
+
+    /**
+     * Registered schemes, e.g. `['https:', 'data:']`
+     */
+    get schemes() {
+        return Array.from(this.providers.keys());
+    }
+
+    /**
+     * Returns the provider for a url
+     * @param {String} url url
+     * @returns {StorageProvider} provider, undefined if the scheme is not registered or its provider does not accept the url
+     */
+    find(url) {
+        const match = typeof url === 'string' && url.match(SCHEME_REGEX);
+        const provider = match && this.providers.get(normalizeScheme(match[1]));
+        if (!provider || (typeof provider.accepts === 'function' && !provider.accepts(url))) {
+            return undefined;
+        }
+        return provider;
+    }
+
+    /**
+     * Describes the supported urls for error messages, e.g. `https url or datauri`
+     * @returns {String} description
+     */
+    describe() {
+        const descriptions = Array.from(this.providers.entries()).map(([scheme, provider]) => provider.description || `${scheme.slice(0, -1)} url`);
+        if (descriptions.length <= 1) {
+            return descriptions.join('');
+        }
+        return `${descriptions.slice(0, -1).join(', ')} or ${descriptions[descriptions.length - 1]}`;
+    }
+}
+
+function normalizeScheme(scheme) {
+    const normalized = String(scheme).toLowerCase();
+    return normalized.endsWith(':') ? normalized : `${normalized}:`;
+}
+
+module.exports = {
+    StorageProviders
+};
@@ -130,6 +130,19 @@ class TemporaryCloudStorage {
         await this.aioLibFiles.copy(cloudUniquePath, localFilePath, { localDest: true });
     }
 
+    /**
+     * Lists the files of temporary cloud storage
+     * @returns {String[]} paths of all files
+     */
+    async list(){
+        if(!this.aioLibFiles){
+            await this._init();
+        }
+
+        const files = await this.aioLibFiles.list('/');
+        return files.filter(file => !file.isDirectory).map(file => file.name);
+    }
+
     /**
      * Removes files from temporary storage
      * @param {String} cloudUniquePath cloud location path to remove
@@ -0,0 +1,109 @@
+/*
+ * Copyright 2021 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+const { GenericError } = require('@adobe/asset-compute-commons');
+
+/**
+ * @typedef {Object} TemporaryStorage
+ *
+ * Storage for intermediate files that must be read from a url, e.g. by transformers with `sourceType: 'URL'`.
+ * All functions except `createUniqueName` are async:
+ * @property {Function} createUniqueName `createUniqueName(filename)` returns a unique path in the storage
+ * @property {Function} upload `upload(localFilePath, cloudPath)` copies a local file into the storage
+ * @property {Function} download `download(cloudPath, localFilePath)` copies a file of the storage to the local filesystem
+ * @property {Function} generatePresignURL `generatePresignURL(cloudPath, permissions, expiryInSeconds)` returns a url
+ * for the file, `permissions` being `r` (read), `w` (write), `d` (delete) or their combinations
+ * @property {Function} cleanUp `cleanUp(cloudPath)` removes a file from the storage
+ * @property {Function} [list] `list()` returns the paths of all files, required by `sweepTemporaryStorage()`
+ */
+
+const STORAGE_FUNCTIONS = ['createUniqueName', 'upload', 'download', 'generatePresignURL', 'cleanUp'];
+// `createUniqueName()` paths: <uuid>/<creation time in ms>/<filename>
+const UNIQUE_NAME_REGEX = /^\/?[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\/(\d+)\//i;
+const DEFAULT_SWEEP_TTL = 24 * 60 * 60; // seconds
+
+let factory;
+
+/**
+ * Replaces the temporary cloud storage (`aio-lib-files`), e.g. to run `sourceType: 'URL'` transformers offline:
+ *  const storage = new LocalTemporaryStorage({ directory: '/tmp/storage' });
+ *  setTemporaryStorage(() => storage);
+ * @param {Function} [newFactory] `factory(params)` returning a {@link TemporaryStorage}, called with the action params.
+ * Undefined restores the default storage.
+ */
+function setTemporaryStorage(newFactory) {
+    if (newFactory !== undefined && typeof newFactory !== 'function') {
+        throw new GenericError(`Temporary storage factory must be a function, found: ${typeof newFactory}`, 'setTemporaryStorage');
+    }
+    factory = newFactory;
+}
+
+/**
+ * Returns the storage configured with `setTemporaryStorage()`
+ * @param {Object} [params] action params
+ * @returns {TemporaryStorage} configured storage, undefined if the default storage must be used
+ */
+function createTemporaryStorage(params) {
+    if (!factory) {
+        return undefined;
+    }
+    const storage = factory(params);
+    const missing = STORAGE_FUNCTIONS.filter(name => !storage || typeof storage[name] !== 'function');
+    if (missing.length > 0) {
+        throw new GenericError(`Invalid temporary storage: missing ${missing.join(', ')}`, 'createTemporaryStorage');
+    }
+    return storage;
+}
+
+/**
+ * Removes files left in a temporary storage, e.g. by activations that crashed before cleaning up.
+ * Only files named by `createUniqueName()` are removed, once older than the ttl: their path includes their creation time.
+ * @param {TemporaryStorage} storage storage to sweep, it must implement `list()`
+ * @param {Object} [options] options
+ * @param {Number} [options.ttl] age in seconds after which files are removed, defaults to a day
+ * @returns {Object} `{ removed, failed }` paths of the removed files and of the files that could not be removed
+ */
+async function sweepTemporaryStorage(storage, options = {}) {
+    if (!storage || typeof storage.list !== 'function') {
+        throw new GenericError('Temporary storage must implement list() to be swept', 'sweepTemporaryStorage');
+    }
+    const ttl = options.ttl === undefined ? DEFAULT_SWEEP_TTL : options.ttl;
+    if (typeof ttl !== 'number' || !(ttl >= 0)) {
+        throw new GenericError(`Sweep ttl must be a positive number of seconds, found: ${ttl}`, 'sweepTemporaryStorage');
+    }
+    const expired = Date.now() - ttl * 1000;
+
+    const result = { removed: [], failed: [] };
+    for (const file of await storage.list()) {
+        const match = file.match(UNIQUE_NAME_REGEX);
+        if (!match || Number(match[1]) > expired) {
+            continue;
+        }
+        try {
+            await storage.cleanUp(file);
+            result.removed.push(file);
+        } catch (error) {
+            console.log(`Removing expired temporary storage file ${file} failed: ${error.message}`);
+            result.failed.push(file);
+        }
+    }
+    console.log(`Swept temporary storage: ${result.removed.length} expired files removed, ${result.failed.length} failed`);
+    return result;
+}
+
+module.exports = {
+    setTemporaryStorage,
+    createTemporaryStorage,
+    sweepTemporaryStorage
+};
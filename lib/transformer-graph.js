@@ -15,6 +15,7 @@
 //const debug = require('debug')('pipeline:planFinder');
 const debug = console.log;
 const Graph = require("graph-data-structure");
+const { describeObject, dotString, mermaidString } = require('./utils/diagram');
 
 // holds private member fields
 // const INTERNAL = Symbol("internal");
@@ -96,5 +97,54 @@ class TransformersGraph {
     serialize(){
         return this.graph.serialize();
     }
+    /**
+     * Returns the graph as graphviz DOT diagram.
+     * Edges are labeled with the intersection object of the two transformers.
+     * @returns {String} DOT source, e.g. to render with `dot -Tsvg`
+     */
+    toDot() {
+        const ids = this.diagramIds();
+        const lines = [
+            'digraph transformers {',
+            '    rankdir=LR;',
+            '    node [shape=box];'
+        ];
+        ids.forEach((id, transformer) => lines.push(`    ${id} [label=${dotString([transformer])}];`));
+        this.diagramEdges().forEach(([nodeA, nodeB, label]) => {
+            lines.push(`    ${ids.get(nodeA)} -> ${ids.get(nodeB)} [label=${dotString(label)}];`);
+        });
+        lines.push('}');
+        return lines.join('\n');
+    }
+    /**
+     * Returns the graph as Mermaid flowchart.
+     * Edges are labeled with the intersection object of the two transformers.
+     * @returns {String} Mermaid source
+     */
+    toMermaid() {
+        const ids = this.diagramIds();
+        const lines = [
+            'flowchart LR'
+        ];
+        ids.forEach((id, transformer) => lines.push(`    ${id}[${mermaidString([transformer])}]`));
+        this.diagramEdges().forEach(([nodeA, nodeB, label]) => {
+            const edge = label.length > 0 ? `-->|${mermaidString(label)}|` : '-->';
+            lines.push(`    ${ids.get(nodeA)} ${edge} ${ids.get(nodeB)}`);
+        });
+        return lines.join('\n');
+    }
+    // transformer names are not valid node ids in every format
+    diagramIds() {
+        return new Map(this.getTransformers().map((transformer, index) => [transformer, `transformer${index}`]));
+    }
+    diagramEdges() {
+        const edges = [];
+        for (const nodeA of this.getTransformers()) {
+            for (const nodeB of this.adjacent(nodeA)) {
+                edges.push([nodeA, nodeB, describeObject(this.getIntersectionObject(nodeA, nodeB))]);
+            }
+        }
+        return edges;
+    }
 }
 module.exports = TransformersGraph;
@@ -0,0 +1,103 @@
+/*
+ * Copyright 2021 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+const { CancelledError } = require('../errors');
+
+/**
+ * Throws a CancelledError if the signal was aborted
+ * @param {AbortSignal} signal optional abort signal
+ * @param {String} location location of the error
+ */
+function throwIfAborted(signal, location) {
+    if (signal && signal.aborted) {
+        throw new CancelledError('Processing was cancelled', location);
+    }
+}
+
+/**
+ * Rejects with a CancelledError as soon as the signal is aborted, otherwise settles like the promise.
+ * The underlying operation is not stopped if it does not support the signal itself.
+ * @param {Promise} promise operation to wait for
+ * @param {AbortSignal} signal optional abort signal
+ * @param {String} location location of the error
+ * @returns {Promise} result of the operation
+ */
+async function abortable(promise, signal, location) {
+    if (!signal) {
+        return promise;
+    }
+    throwIfAborted(signal, location);
+
+    let onAbort;
+    const aborted = new Promise((resolve, reject) => {
+        onAbort = () => reject(new CancelledError('Processing was cancelled', location));
+        signal.addEventListener('abort', onAbort);
+    });
+    // an operation failing after it was cancelled must not cause an unhandled rejection
+    const operation = Promise.resolve(promise);
+    operation.catch(() => {});
+    try {
+        return await Promise.race([operation, aborted]);
+    } finally {
+        signal.removeEventListener('abort', onAbort);
+    }
+}
+
+// minimal AbortController for node versions without a global one (before node 15)
+class SimpleAbortController {
+    constructor() {
+        const listeners = new Set();
+        this.signal = {
+            aborted: false,
+            addEventListener: (type, listener) => listeners.add(listener),
+            removeEventListener: (type, listener) => listeners.delete(listener)
+        };
+        this.abort = () => {
+            if (!this.signal.aborted) {
+                this.signal.aborted = true;
+                listeners.forEach(listener => listener());
+            }
+        };
+    }
+}
+
+/**
+ * Creates an AbortController which is also aborted when the parent signal is aborted,
+ * e.g. to cancel one attempt of a step without cancelling the whole plan
+ * @param {AbortSignal} [parent] optional signal to follow
+ * @returns {AbortController} controller, its `release()` stops following the parent once the operation finished
+ */
+function linkedAbortController(parent) {
+    const controller = typeof AbortController === 'function' ? new AbortController() : new SimpleAbortController();
+    const onAbort = () => controller.abort();
+    controller.release = () => {
+        if (parent) {
+            parent.removeEventListener('abort', onAbort);
+        }
+    };
+    if (parent) {
+        if (parent.aborted) {
+            controller.abort();
+        } else {
+            parent.addEventListener('abort', onAbort);
+        }
+    }
+    return controller;
+}
+
+module.exports = {
+    throwIfAborted,
+    abortable,
+    linkedAbortController
+};
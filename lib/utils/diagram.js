@@ -0,0 +1,65 @@
+/*
+ * Copyright 2021 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+const { AssetComputeLogUtils } = require('@adobe/asset-compute-commons');
+
+/**
+ * Describes an object for a diagram label, one line per top level property.
+ * Urls are redacted so that presigned urls do not end up in diagrams.
+ * @param {Object} obj object to describe, e.g. step attributes
+ * @returns {Array} list of lines, empty if there is nothing to describe
+ */
+function describeObject(obj) {
+    if (!obj || typeof obj !== 'object') {
+        return [];
+    }
+    const redacted = AssetComputeLogUtils.redactUrl(obj) || {};
+    return Object.keys(redacted)
+        .filter(key => redacted[key] !== undefined)
+        .map(key => `${key}: ${JSON.stringify(redacted[key])}`);
+}
+
+/**
+ * Quoted DOT (graphviz) string for a label made of multiple lines
+ * @param {Array} lines label lines
+ * @returns {String} quoted and escaped string
+ */
+function dotString(lines) {
+    const escaped = lines.map(line => String(line)
+        .replace(/\\/g, '\\\\')
+        .replace(/"/g, '\\"')
+        .replace(/\r?\n/g, '\\n'));
+    return `"${escaped.join('\\n')}"`;
+}
+
+/**
+ * Quoted Mermaid string for a label made of multiple lines
+ * @param {Array} lines label lines
+ * @returns {String} quoted and escaped string
+ */
+function mermaidString(lines) {
+    const escaped = lines.map(line => String(line)
+        .replace(/#/g, '#35;')
+        .replace(/"/g, '#quot;')
+        .replace(/</g, '#lt;')
+        .replace(/>/g, '#gt;')
+        .replace(/\r?\n/g, '<br/>'));
+    return `"${escaped.join('<br/>')}"`;
+}
+
+module.exports = {
+    describeObject,
+    dotString,
+    mermaidString
+};
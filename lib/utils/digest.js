@@ -0,0 +1,136 @@
+/*
+ * Copyright 2021 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const { SourceCorruptError } = require('@adobe/asset-compute-commons');
+
+// supported algorithms, also the names of the source attributes holding expected digests (e.g. `source.sha1`)
+const DIGEST_ALGORITHMS = ['md5', 'sha1', 'sha256'];
+
+/**
+ * Computes digests of a file, reading it once for all algorithms
+ * @param {String} file path of the file
+ * @param {String[]} algorithms hash algorithms, e.g. `['md5', 'sha256']`
+ * @returns {Object} digests as Buffers by algorithm
+ */
+function fileDigests(file, algorithms) {
+    return new Promise((resolve, reject) => {
+        try {
+            const hashes = algorithms.map(algorithm => crypto.createHash(algorithm));
+
+            const stream = fs.createReadStream(file);
+            stream.on('data', data => {
+                hashes.forEach(hash => hash.update(data));
+            });
+            stream.on('end', () => {
+                const digests = {};
+                algorithms.forEach((algorithm, i) => {
+                    digests[algorithm] = hashes[i].digest();
+                });
+                resolve(digests);
+            });
+            stream.on('error', err => {
+                reject(`creating ${algorithms.join(', ')} hash failed: ${err.message || err}`);
+            });
+        } catch (error) {
+            return reject(`creating ${algorithms.join(', ')} hash failed: ${error.message || error}`);
+        }
+    });
+}
+
+/**
+ * Computes the digest of a file
+ * @param {String} file path of the file
+ * @param {String} [algorithm] hash algorithm, defaults to `sha1`
+ * @param {String} [encoding] `hex` (default) or `base64`
+ * @returns {String} encoded digest
+ */
+async function fileDigest(file, algorithm = 'sha1', encoding = 'hex') {
+    const digests = await fileDigests(file, [algorithm]);
+    return digests[algorithm].toString(encoding);
+}
+
+/**
+ * Decodes a digest given as hex or base64 string
+ * @param {String} value encoded digest
+ * @param {String} algorithm hash algorithm, to know the digest length
+ * @returns {Buffer} digest, undefined if the value is not a valid digest for the algorithm
+ */
+function parseDigest(value, algorithm) {
+    if (typeof value !== 'string') {
+        return undefined;
+    }
+    const length = crypto.createHash(algorithm).digest().length;
+    const trimmed = value.trim();
+    if (trimmed.length === length * 2 && /^[0-9a-f]+$/i.test(trimmed)) {
+        return Buffer.from(trimmed, 'hex');
+    }
+    const decoded = Buffer.from(trimmed, 'base64');
+    return decoded.length === length ? decoded : undefined;
+}
+
+/**
+ * Expected digests of an asset, from its `md5`, `sha1` and `sha256` attributes
+ * @param {Object} asset asset reference, e.g. `params.source`
+ * @returns {Object} encoded digests by algorithm, empty if the asset has none
+ */
+function assetDigests(asset) {
+    const digests = {};
+    for (const algorithm of DIGEST_ALGORITHMS) {
+        if (asset && asset[algorithm]) {
+            digests[algorithm] = asset[algorithm];
+        }
+    }
+    return digests;
+}
+
+/**
+ * Compares a file against expected digests
+ * @param {String} file path of the file
+ * @param {Object} expected encoded digests (hex or base64) by algorithm, e.g. `{ sha1: '2aae6c...' }`
+ * @param {String} [description] name of the file in error messages
+ * @returns {String[]} verified algorithms
+ * @throws {SourceCorruptError} if the file does not match a digest or a digest is invalid
+ */
+async function verifyFileDigests(file, expected, description = file) {
+    const algorithms = Object.keys(expected || {});
+    if (algorithms.length === 0) {
+        return [];
+    }
+    const unsupported = algorithms.filter(algorithm => !DIGEST_ALGORITHMS.includes(algorithm));
+    if (unsupported.length > 0) {
+        throw new SourceCorruptError(`Unsupported digest algorithm for ${description}: ${unsupported.join(', ')}`);
+    }
+    const digests = await fileDigests(file, algorithms);
+    for (const algorithm of algorithms) {
+        const digest = parseDigest(expected[algorithm], algorithm);
+        if (!digest) {
+            throw new SourceCorruptError(`Invalid ${algorithm} digest for ${description}: ${expected[algorithm]}`);
+        }
+        if (!digest.equals(digests[algorithm])) {
+            throw new SourceCorruptError(`${description} does not match its ${algorithm} digest: expected ${digest.toString('hex')}, found ${digests[algorithm].toString('hex')}`);
+        }
+    }
+    return algorithms;
+}
+
+module.exports = {
+    DIGEST_ALGORITHMS,
+    fileDigests,
+    fileDigest,
+    parseDigest,
+    assetDigests,
+    verifyFileDigests
+};
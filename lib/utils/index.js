@@ -16,10 +16,17 @@ const { Utils } = require("./utils");
 const Timer = require("./timer");
 const detectContentType = require('./type');
 const ImageInfo = require('./image-info');
+const { normalizeMimetype, addMimetypeAlias } = require('./mimetype');
+const { fileDigest, fileDigests, verifyFileDigests } = require('./digest');
 
 module.exports = {
     Utils,
     Timer,
     detectContentType,
-    ImageInfo
+    ImageInfo,
+    normalizeMimetype,
+    addMimetypeAlias,
+    fileDigest,
+    fileDigests,
+    verifyFileDigests
 };
\ No newline at end of file
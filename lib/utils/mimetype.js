@@ -0,0 +1,84 @@
+/*
+ * Copyright 2021 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+// mime type aliases, mapped to the mime type used by transformer manifests
+const MIMETYPE_ALIASES = {
+    'image/jpg': 'image/jpeg',
+    'image/pjpeg': 'image/jpeg',
+    'image/tif': 'image/tiff',
+    'image/x-tiff': 'image/tiff',
+    'image/x-png': 'image/png',
+    'image/svg': 'image/svg+xml',
+    'image/x-ms-bmp': 'image/bmp'
+};
+
+/**
+ * Make sure the mimetype we return can be understood by other libraries/software
+ * and matches the mimetypes used in transformer manifests
+ * @param {*} mimetype Input mimetype to normalize
+ * @returns Normalized mimetype (or the input as-is if it is not a known alias)
+ */
+function normalizeMimetype(mimetype) {
+    if (typeof mimetype !== 'string') {
+        return mimetype;
+    }
+    return MIMETYPE_ALIASES[mimetype.toLowerCase()] || mimetype;
+}
+
+/**
+ * Normalizes a mimetype or a list of mimetypes (as in a manifest `type` attribute)
+ * @param {*} mimetypes mimetype or list of mimetypes
+ * @returns Normalized mimetype or list of mimetypes without duplicates
+ */
+function normalizeMimetypes(mimetypes) {
+    if (Array.isArray(mimetypes)) {
+        return Array.from(new Set(mimetypes.map(normalizeMimetype)));
+    }
+    return normalizeMimetype(mimetypes);
+}
+
+/**
+ * Adds an alias to the mime type alias table
+ * @param {String} alias mime type alias, e.g. `image/jpg`
+ * @param {String} mimetype mime type the alias stands for, e.g. `image/jpeg`
+ */
+function addMimetypeAlias(alias, mimetype) {
+    if (typeof alias !== 'string' || typeof mimetype !== 'string') {
+        throw new Error(`Invalid mime type alias: ${alias} -> ${mimetype}`);
+    }
+    MIMETYPE_ALIASES[alias.toLowerCase()] = normalizeMimetype(mimetype);
+}
+
+/**
+ * Returns a copy of the object with its `type` attribute normalized
+ * @param {Object} obj object with a `type` attribute (source, rendition instructions, manifest inputs/outputs)
+ * @returns {Object} the object itself if the type is already normalized, otherwise a shallow copy
+ */
+function withNormalizedType(obj) {
+    if (!obj || typeof obj !== 'object' || obj.type === undefined) {
+        return obj;
+    }
+    const type = normalizeMimetypes(obj.type);
+    if (type === obj.type || (Array.isArray(type) && type.length === obj.type.length && type.every((t, i) => t === obj.type[i]))) {
+        return obj;
+    }
+    return { ...obj, type };
+}
+
+module.exports = {
+    normalizeMimetype,
+    normalizeMimetypes,
+    addMimetypeAlias,
+    withNormalizedType
+};
@@ -16,6 +16,7 @@ const util = require('util');
 const exec = util.promisify(require('child_process').exec);
 const FileType = require('file-type');
 const contentType = require('content-type');
+const { normalizeMimetype } = require('./mimetype');
 
 const DEFAULT_MIME_TYPE = 'application/octet-stream';
 
@@ -40,18 +41,6 @@ async function detectTypeUsingFileCommand(renditionPath) {
     return result;
 }
 
-/**
- * Make sure the mimetype we return can be understood by other libraries/software
- * @param {*} mimetype Input mimetype to normalize
- * @returns Normalized mimetype
- */
-function normalizeMimetype(mimetype){
-    if(mimetype === "image/svg"){
-        return "image/svg+xml";
-    }
-    return mimetype;
-}
-
 /**
  * Detects the mime type and encoding of a file by looking at its contents.
  *
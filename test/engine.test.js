@@ -26,22 +26,39 @@ debugConfig.enable("pipeline:*,test:*");
 const debug = require('debug')('test:engine');
 const nock = require('nock');
 const proxyquire =  require('proxyquire');
-const {Reason, GenericError, RenditionFormatUnsupportedError, RenditionTooLarge, SourceFormatUnsupportedError} = require('@adobe/asset-compute-commons');
+const sinon = require('sinon');
+const fs = require('fs-extra');
+const {Reason, GenericError, RenditionFormatUnsupportedError, RenditionTooLarge, SourceFormatUnsupportedError, SourceCorruptError, AssetComputeEvents, AssetComputeMetrics} = require('@adobe/asset-compute-commons');
 
 const { TemporaryCloudStorage } = require('./storage/mock-temporary-cloud-storage');
 const MockMetadata = require('./mock-metadata');
 const Engine = require("../lib/engine");
-const { Plan } = require("../lib/plan");
+const { Plan, PLAN_STATE, STEP_STATE, PLAN_FORMAT_VERSION } = require("../lib/plan");
 const Transformer = require("../lib/transformer");
 const Manifest = require("../lib/manifest");
+const { TransformerTimeoutError, CancelledError } = require("../lib/errors");
+const AbortController = require('./mock-abort-controller');
+const Asset = require('../lib/asset');
+const { RenditionCollection } = require('../lib/rendition');
+const { LocalTemporaryStorage, setTemporaryStorage } = require('../lib/storage');
 const assert = require('assert');
 
 const path = require("path");
+const http = require('http');
 require('dotenv').config({ path: path.join(__dirname, 'test.env') });
 
+// expected steps are written with their attributes next to the step name
 function assertPlan(plan, string, obj) {
     assert.strictEqual(plan.toString(), string);
-    assert.deepStrictEqual(plan.toObject(), obj);
+    const planObject = plan.toObject();
+    assert.strictEqual(planObject.version, PLAN_FORMAT_VERSION);
+    assert.deepStrictEqual(flattenSteps(planObject.steps), obj);
+}
+
+function flattenSteps(steps) {
+    return steps.map(({ attributes, steps, ...node }) => {
+        return steps ? { ...node, ...attributes, steps: flattenSteps(steps) } : { ...node, ...attributes };
+    });
 }
 
 // class CallbackTransformer extends Transformer {
@@ -155,7 +172,7 @@ describe("Pipeline Engine tests", function () {
     });
 
     it("Runs a pipeline with one transformer", async function () {
-        const pipeline = new Engine();
+        const pipeline = new Engine({ manifestValidation: 'lenient' });
 
         let transformerRan = false;
         class TestTransformer extends Transformer {
@@ -205,7 +222,7 @@ describe("Pipeline Engine tests", function () {
     });
 
     it("Runs a pipeline with two transformers", async function () {
-        const pipeline = new Engine();
+        const pipeline = new Engine({ manifestValidation: 'lenient' });
 
         // creating a registry in the engine
         // (engine needs to know transformers)
@@ -247,7 +264,7 @@ describe("Pipeline Engine tests", function () {
             }
         };
 
-        const pipeline = new Engine(params);
+        const pipeline = new Engine({ ...params, manifestValidation: 'lenient' });
 
         // creating a registry in the engine
         // (engine needs to know transformers)
@@ -299,7 +316,7 @@ describe("Pipeline Engine tests", function () {
             azureOpenAiApiKey: "test-api-key"
         };
 
-        const pipeline = new Engine(params);
+        const pipeline = new Engine({ ...params, manifestValidation: 'lenient' });
 
         let authVerified = false;
         class TestTransformer extends Transformer {
@@ -338,7 +355,7 @@ describe("Pipeline Engine tests", function () {
             // No firefall parameters
         };
 
-        const pipeline = new Engine(params);
+        const pipeline = new Engine({ ...params, manifestValidation: 'lenient' });
 
         let authVerified = false;
         class TestTransformer extends Transformer {
@@ -371,7 +388,7 @@ describe("Pipeline Engine tests", function () {
             assetComputeEnabledFeatureToggle: "gpt-4-turbo"
         };
 
-        const pipeline = new Engine(params);
+        const pipeline = new Engine({ ...params, manifestValidation: 'lenient' });
 
         let featureToggleVerified = false;
         class TestTransformer extends Transformer {
@@ -399,7 +416,7 @@ describe("Pipeline Engine tests", function () {
             // No assetComputeEnabledFeatureToggle
         };
 
-        const pipeline = new Engine(params);
+        const pipeline = new Engine({ ...params, manifestValidation: 'lenient' });
 
         let featureToggleVerified = false;
         class TestTransformer extends Transformer {
@@ -442,7 +459,7 @@ describe("Pipeline Engine tests", function () {
             }
         };
 
-        const pipeline = new Engine(params);
+        const pipeline = new Engine({ ...params, manifestValidation: 'lenient' });
 
         let userDataVerified = false;
         class TestTransformer extends Transformer {
@@ -483,7 +500,7 @@ describe("Pipeline Engine tests", function () {
             // No userData
         };
 
-        const pipeline = new Engine(params);
+        const pipeline = new Engine({ ...params, manifestValidation: 'lenient' });
 
         let userDataVerified = false;
         class TestTransformer extends Transformer {
@@ -515,7 +532,7 @@ describe("Pipeline Engine tests", function () {
             requestId: "test-request-id"
         };
 
-        const pipeline = new Engine(params);
+        const pipeline = new Engine({ ...params, manifestValidation: 'lenient' });
 
         let credentialsVerified = false;
         class TestTransformer extends Transformer {
@@ -554,7 +571,7 @@ describe("Pipeline Engine tests", function () {
             // No IMS parameters
         };
 
-        const pipeline = new Engine(params);
+        const pipeline = new Engine({ ...params, manifestValidation: 'lenient' });
 
         let credentialsVerified = false;
         class TestTransformer extends Transformer {
@@ -589,7 +606,7 @@ describe("Pipeline Engine tests", function () {
             firefallTier: "test-tier"
         };
 
-        const pipeline = new Engine(params);
+        const pipeline = new Engine({ ...params, manifestValidation: 'lenient' });
 
         let authVerified = false;
         class TestTransformer extends Transformer {
@@ -618,8 +635,65 @@ describe("Pipeline Engine tests", function () {
         assert.ok(authVerified, "Auth parameters verification was not executed");
     });
 
-    it("Last added transformer wins when names are duplicated", async function () {
+    it("Registers an invalid transformer with a warning in lenient mode", function () {
+        const pipeline = new Engine({ manifestValidation: 'lenient' });
+        const logStub = sinon.stub(console, 'log');
+        try {
+            pipeline.registerTransformer(new Transformer("noManifest"));
+        } finally {
+            logStub.restore();
+        }
+        assert.ok(logStub.calledWith("Invalid transformer noManifest: inputs is required; outputs is required"));
+        assert.deepStrictEqual(pipeline.validateTransformer(new Transformer("noManifest")), [
+            { path: 'inputs', message: 'is required' },
+            { path: 'outputs', message: 'is required' }
+        ]);
+    });
+
+    it("Rejects an invalid transformer by default", function () {
+        const pipeline = new Engine();
+        const transformer = new Transformer("invalid", new Manifest({
+            inputs: { type: ['image/png'], width: { min: 10, max: 1 } },
+            outputs: { type: ['image/png'] }
+        }));
+        transformer.compute = undefined;
+
+        assert.throws(() => pipeline.registerTransformer(transformer), error => {
+            assert.ok(error instanceof GenericError);
+            assert.strictEqual(error.message, "Invalid transformer invalid: compute must be a function; inputs.width min (10) must not be greater than max (1)");
+            assert.strictEqual(error.problems.length, 2);
+            return true;
+        });
+        assert.throws(() => pipeline.registerTransformer(), GenericError);
+        assert.throws(() => pipeline.registerTransformer(new Transformer("noManifest")),
+            { message: "Invalid transformer noManifest: inputs is required; outputs is required" });
+
+        pipeline.registerTransformer(new Transformer("valid", new Manifest({
+            inputs: { type: ['image/png'] },
+            outputs: { type: ['image/png'] }
+        })));
+    });
+
+    it("Returns the graph of registered transformers", function () {
         const pipeline = new Engine();
+        pipeline.registerTransformer(new Transformer("flatten", new Manifest({
+            inputs: { type: ['image/psd'] },
+            outputs: { type: ['image/png'] }
+        })));
+        pipeline.registerTransformer(new Transformer("resize", new Manifest({
+            inputs: { type: ['image/png'] },
+            outputs: { type: ['image/png', 'image/jpeg'] }
+        })));
+
+        const graph = pipeline.transformerGraph();
+        assert.deepStrictEqual(graph.getTransformers(), ['flatten', 'resize']);
+        assert.deepStrictEqual(graph.adjacent('flatten'), ['resize']);
+        assert.deepStrictEqual(graph.getIntersectionObject('flatten', 'resize'), { type: ['image/png'] });
+        assert.ok(graph.toMermaid().includes('transformer0 -->|"type: [#quot;image/png#quot;]"| transformer1'));
+    });
+
+    it("Last added transformer wins when names are duplicated", async function () {
+        const pipeline = new Engine({ manifestValidation: 'lenient' });
 
         // creating a registry in the engine
         // (engine needs to know transformers)
@@ -680,6 +754,14 @@ describe("Pipeline Engine tests", function () {
         await pipeline.run(plan);
         assert.strictEqual(goodTransformer.executionCount, 1);
     });
+    it("Refining a plan reports its estimated cost", async function () {
+        const pipeline = new Engine({ skipMetadataExtraction: true });
+        pipeline.registerTransformer(new GoodTransformer());
+
+        const plan = new Plan();
+        await pipeline.refinePlan(plan, { type: 'image/tiff', path: './test/files/file.tif' }, { type: 'image/gif' });
+        assert.strictEqual(plan.cost, 1);
+    });
     it("Runs a pipeline and a transformer fails", async function () {
         const pipeline = new Engine();
         pipeline.registerTransformer(new FailureTransformer());
@@ -700,7 +782,7 @@ describe("Pipeline Engine tests", function () {
         assert.strictEqual(result.renditionErrors[0].message,  "Transformer failureTransformer failed: Transformer Failure!");
     });
     it("Runs a pipeline and a transformer fails before plan is finished", async function () {
-        const pipeline = new Engine();
+        const pipeline = new Engine({ manifestValidation: 'lenient' });
         class TestTransformer extends Transformer {
             async compute(input, output) {
                 debug("Running the TestTransformer!");
@@ -783,7 +865,7 @@ describe("Pipeline Engine tests", function () {
 
 
     it("Runs a pipeline where download fails", async function () {
-        const pipeline = new Engine();
+        const pipeline = new Engine({ manifestValidation: 'lenient' });
 
         const step = Object.freeze({
             input: {
@@ -808,7 +890,7 @@ describe("Pipeline Engine tests", function () {
     });
 
     it("Runs a pipeline where transformer throws RenditionFormatUnsupportedError (pass through)", async function () {
-        const pipeline = new Engine();
+        const pipeline = new Engine({ manifestValidation: 'lenient' });
         class TestTransformer extends Transformer {
             async compute() {
                 debug('Running the TestTransformer!');
@@ -826,7 +908,7 @@ describe("Pipeline Engine tests", function () {
         assert.strictEqual(result.renditionErrors[0].reason, Reason.RenditionFormatUnsupported);
     });
     it("Runs a pipeline where transformer throws RenditionTooLarge (pass through)", async function () {
-        const pipeline = new Engine();
+        const pipeline = new Engine({ manifestValidation: 'lenient' });
         class TestTransformer extends Transformer {
             async compute() {
                 debug('Running the TestTransformer!');
@@ -844,7 +926,7 @@ describe("Pipeline Engine tests", function () {
         assert.strictEqual(result.renditionErrors[0].reason, Reason.RenditionTooLarge);
     });
     it("Runs a pipeline where transformer throws SourceFormatUnsupportedError (pass through)", async function () {
-        const pipeline = new Engine();
+        const pipeline = new Engine({ manifestValidation: 'lenient' });
         class TestTransformer extends Transformer {
             async compute() {
                 debug('Running the TestTransformer!');
@@ -862,7 +944,7 @@ describe("Pipeline Engine tests", function () {
         assert.strictEqual(result.renditionErrors[0].reason, Reason.SourceFormatUnsupported);
     });
     it("Runs a pipeline where transformer throws an unknown error (wrap in GenericError", async function () {
-        const pipeline = new Engine();
+        const pipeline = new Engine({ manifestValidation: 'lenient' });
         class TestTransformer extends Transformer {
             async compute() {
                 debug('Running the TestTransformer!');
@@ -927,7 +1009,7 @@ describe("Pipeline Engine tests", function () {
                     Storage
                 }
             });
-        const pipeline = new Engine();
+        const pipeline = new Engine({ manifestValidation: 'lenient' });
         let transformerRan = false;
         let preparedInputAsset;
         class TestTransformer extends Transformer {
@@ -967,7 +1049,7 @@ describe("Pipeline Engine tests", function () {
                 './storage/datauri': datauri
             });
 
-        const pipeline = new Engine();
+        const pipeline = new Engine({ manifestValidation: 'lenient' });
 
         let transformerRan = false;
         let preparedInputAsset;
@@ -997,6 +1079,89 @@ describe("Pipeline Engine tests", function () {
         assert.deepStrictEqual(preparedInputAsset.url, 'http://storage.com/preSignUrl/fakeSuccessFilePath');
     });
 
+    it("Should read 'URL' sources from the local temporary storage", async function () {
+        const storage = new LocalTemporaryStorage({ directory: 'build/work/engine-temporary-storage' });
+        setTemporaryStorage(() => storage);
+        try {
+            const pipeline = new Engine({ manifestValidation: 'lenient' });
+            let content;
+            class UrlTransformer extends Transformer {
+                async compute(input, output) {
+                    content = await new Promise((resolve, reject) => {
+                        http.get(input.url, response => {
+                            const chunks = [];
+                            response.on('data', chunk => chunks.push(chunk));
+                            response.on('end', () => resolve(Buffer.concat(chunks).toString()));
+                        }).on('error', reject);
+                    });
+                    await fs.writeFile(output.path, content);
+                }
+            }
+            pipeline.registerTransformer(new UrlTransformer('test'));
+
+            const plan = new Plan();
+            plan.add("test", {
+                input: {
+                    type: 'text/plain',
+                    url: 'data:text/plain;base64,SGVsbG8sIFdvcmxkIQ%3D%3D',
+                    sourceType: 'URL'
+                },
+                output: {
+                    type: 'text/plain'
+                }
+            });
+
+            const result = await pipeline.run(plan);
+            assert.ok(!result.renditionErrors, `Unexpected error: ${result.renditionErrors}`);
+            assert.strictEqual(content, 'Hello, World!');
+            // the uploaded source is removed during clean up
+            assert.deepStrictEqual(await storage.list(), []);
+        } finally {
+            setTemporaryStorage();
+            await storage.stop();
+            await fs.remove('build/work/engine-temporary-storage');
+        }
+    });
+
+    it("Should report temporary cloud storage files that could not be removed", async function () {
+        const storage = new LocalTemporaryStorage({ directory: 'build/work/engine-temporary-storage' });
+        storage.cleanUp = async () => { throw new Error('delete failed'); };
+        setTemporaryStorage(() => storage);
+        const sendMetricsStub = sinon.stub(AssetComputeMetrics.prototype, 'sendMetrics').resolves();
+        try {
+            const pipeline = new Engine({ manifestValidation: 'lenient' });
+            pipeline.registerTransformer(new Transformer('test'));
+
+            const plan = new Plan();
+            plan.add("test", {
+                input: {
+                    type: 'image/png',
+                    path: './test/files/file.png',
+                    sourceType: 'URL'
+                },
+                output: {
+                    type: 'image/png'
+                }
+            });
+            await pipeline.run(plan);
+
+            const leaked = await storage.list();
+            assert.strictEqual(leaked.length, 1);
+            const leakMetrics = sendMetricsStub.getCalls().filter(call => call.args[0] === "temp_cloud_storage_leak");
+            assert.strictEqual(leakMetrics.length, 1);
+            assert.deepStrictEqual(leakMetrics[0].args[1], {
+                leakedFiles: 1,
+                tempCloudStorageFiles: 1,
+                paths: leaked[0]
+            });
+        } finally {
+            sendMetricsStub.restore();
+            setTemporaryStorage();
+            await storage.stop();
+            await fs.remove('build/work/engine-temporary-storage');
+        }
+    });
+
     it("Should download when sourceType is 'LOCAL' with input datauri", async function () {
         let downloadRan = false;
 
@@ -1014,7 +1179,7 @@ describe("Pipeline Engine tests", function () {
                 }
             });
 
-        const pipeline = new Engine();
+        const pipeline = new Engine({ manifestValidation: 'lenient' });
         pipeline.registerTransformer(new Transformer('test'));
 
         const plan = new Plan();
@@ -1051,7 +1216,7 @@ describe("Pipeline Engine tests", function () {
                     Storage
                 }
             });
-        const pipeline = new Engine();
+        const pipeline = new Engine({ manifestValidation: 'lenient' });
 
         class TestTransformer extends Transformer {
             async compute() {
@@ -1079,7 +1244,7 @@ describe("Pipeline Engine tests", function () {
     });
 
     it("Should error when neither input url nor path are provided", async function () {
-        const pipeline = new Engine();
+        const pipeline = new Engine({ manifestValidation: 'lenient' });
         pipeline.registerTransformer(new Transformer('test'));
 
         const plan = new Plan();
@@ -1112,7 +1277,7 @@ describe("Pipeline Engine tests", function () {
                     Storage
                 }
             });
-        const pipeline = new Engine();
+        const pipeline = new Engine({ manifestValidation: 'lenient' });
 
         class TestTransformer extends Transformer {
             async compute() {
@@ -1149,7 +1314,7 @@ describe("Pipeline Engine tests", function () {
                 './storage/datauri': datauri
             });
 
-        const pipeline = new Engine();
+        const pipeline = new Engine({ manifestValidation: 'lenient' });
         pipeline.registerTransformer(new Transformer('test'));
 
         const plan = new Plan();
@@ -1170,7 +1335,7 @@ describe("Pipeline Engine tests", function () {
     });
 
     it("Should error when invalid url is provided", async function () {
-        const pipeline = new Engine();
+        const pipeline = new Engine({ manifestValidation: 'lenient' });
         pipeline.registerTransformer(new Transformer('test'));
 
         const plan = new Plan();
@@ -1191,7 +1356,7 @@ describe("Pipeline Engine tests", function () {
     });
 
     it("Should error when invalid datauri is provided", async function () {
-        const pipeline = new Engine();
+        const pipeline = new Engine({ manifestValidation: 'lenient' });
         pipeline.registerTransformer(new Transformer('test'));
 
         const plan = new Plan();
@@ -1346,4 +1511,1545 @@ describe("Pipeline Engine tests", function () {
         assert.strictEqual(result.renditionErrors[0].reason, 'SourceCorrupt');
         assert.ok(result.renditionErrors[0].message.includes('improper image header'));
     });
-});
\ No newline at end of file
+});
+class CopyTransformer extends Transformer {
+    constructor(name, manifest) {
+        super(name, new Manifest(manifest));
+        this.executionCount = 0;
+    }
+
+    async compute(input, output) {
+        this.executionCount++;
+        await fs.copy(input.path, output.path);
+    }
+}
+
+describe("Pipeline Engine runAll tests", function () {
+    let sendEventStub;
+    beforeEach(function () {
+        process.env.WORKER_BASE_DIRECTORY = 'build/work';
+        sendEventStub = sinon.stub(AssetComputeEvents.prototype, 'sendEvent').resolves();
+    });
+
+    afterEach(function () {
+        sendEventStub.restore();
+        delete process.env.WORKER_BASE_DIRECTORY;
+        nock.cleanAll();
+    });
+
+    function sentEvents(type) {
+        return sendEventStub.getCalls()
+            .filter(call => call.args[0] === type)
+            .map(call => call.args[1]);
+    }
+
+    it("Runs one plan per rendition and extracts metadata only once", async function () {
+        const extractSpy = sinon.spy(MockMetadata.prototype, 'extract');
+        try {
+            const Engine = proxyquire('../lib/engine', {
+                './metadata': MockMetadata
+            });
+            const pipeline = new Engine();
+            const pngTransformer = new CopyTransformer("pngTransformer", {
+                inputs: { type: ['image/png'] },
+                outputs: { type: ['image/png'] }
+            });
+            const jpegTransformer = new CopyTransformer("jpegTransformer", {
+                inputs: { type: ['image/png'] },
+                outputs: { type: ['image/jpeg'] }
+            });
+            pipeline.registerTransformer(pngTransformer);
+            pipeline.registerTransformer(jpegTransformer);
+
+            const source = {
+                type: 'image/png',
+                path: './test/files/red_dot_alpha0.5.png'
+            };
+            const result = await pipeline.runAll(source, [
+                { type: 'image/png', name: 'one.png' },
+                { type: 'image/jpeg', name: 'two.jpeg' },
+                { type: 'image/png', name: 'three.png' }
+            ]);
+
+            assert.ok(!result.renditionErrors);
+            assert.strictEqual(extractSpy.callCount, 1);
+            assert.strictEqual(pngTransformer.executionCount, 2);
+            assert.strictEqual(jpegTransformer.executionCount, 1);
+            const created = sentEvents("rendition_created");
+            assert.deepStrictEqual(created.map(event => event.rendition.name), ['one.png', 'two.jpeg', 'three.png']);
+            assert.strictEqual(sentEvents("rendition_failed").length, 0);
+        } finally {
+            extractSpy.restore();
+        }
+    });
+
+    it("A failing rendition does not abort the other renditions", async function () {
+        const pipeline = new Engine({ skipMetadataExtraction: true });
+        pipeline.registerTransformer(new CopyTransformer("pngTransformer", {
+            inputs: { type: ['image/png'] },
+            outputs: { type: ['image/png'] }
+        }));
+        pipeline.registerTransformer(new FailureTransformer());
+
+        const result = await pipeline.runAll({
+            type: 'image/png',
+            path: './test/files/red_dot_alpha0.5.png'
+        }, [
+            { type: 'image/gif', name: 'failing.gif' },
+            { type: 'image/bmp', name: 'unsupported.bmp' },
+            { type: 'image/png', name: 'working.png' }
+        ]);
+
+        assert.strictEqual(result.renditionErrors.length, 2);
+        // plans are all refined before any of them runs
+        assert.ok(result.renditionErrors[0] instanceof RenditionFormatUnsupportedError);
+        assert.strictEqual(result.renditionErrors[1].message, "Transformer failureTransformer failed: Transformer Failure!");
+        assert.deepStrictEqual(sentEvents("rendition_created").map(event => event.rendition.name), ['working.png']);
+        assert.deepStrictEqual(sentEvents("rendition_failed").map(event => event.rendition.name), ['unsupported.bmp', 'failing.gif']);
+    });
+
+    it("Fails every rendition if the metadata extraction fails", async function () {
+        const pipeline = new Engine();
+        pipeline.registerTransformer(new GoodTransformer());
+
+        const result = await pipeline.runAll({
+            type: 'image/tiff'
+        }, [
+            { type: 'image/gif', name: 'one.gif' },
+            { type: 'image/gif', name: 'two.gif' }
+        ]);
+
+        assert.strictEqual(result.renditionErrors.length, 2);
+        assert.deepStrictEqual(sentEvents("rendition_failed").map(event => event.rendition.name), ['one.gif', 'two.gif']);
+    });
+
+    it("Runs a prefix shared by several renditions only once", async function () {
+        const pipeline = new Engine({ skipMetadataExtraction: true });
+        const flattenTransformer = new CopyTransformer("flattenTransformer", {
+            inputs: { type: ['image/tiff'] },
+            outputs: { type: ['image/png'] }
+        });
+        const resizeTransformer = new CopyTransformer("resizeTransformer", {
+            inputs: { type: ['image/png'] },
+            outputs: { type: ['image/jpeg'], width: { min: 1, max: 2000 } }
+        });
+        pipeline.registerTransformer(flattenTransformer);
+        pipeline.registerTransformer(resizeTransformer);
+
+        const result = await pipeline.runAll({
+            type: 'image/tiff',
+            path: './test/files/file.tif'
+        }, [
+            { type: 'image/jpeg', width: 100, name: 'small.jpeg', userData: { name: 'small' } },
+            { type: 'image/jpeg', width: 200, name: 'large.jpeg', userData: { name: 'large' } }
+        ]);
+
+        assert.ok(!result.renditionErrors);
+        assert.strictEqual(flattenTransformer.executionCount, 1);
+        assert.strictEqual(resizeTransformer.executionCount, 2);
+        assert.deepStrictEqual(sentEvents("rendition_created").map(event => event.rendition.name), ['small.jpeg', 'large.jpeg']);
+    });
+
+    it("Downloads the source once for all renditions", async function () {
+        const pipeline = new Engine({ skipMetadataExtraction: true });
+        const pngTransformer = new CopyTransformer("pngTransformer", {
+            inputs: { type: ['image/png'] },
+            outputs: { type: ['image/png'] }
+        });
+        const jpegTransformer = new CopyTransformer("jpegTransformer", {
+            inputs: { type: ['image/png'] },
+            outputs: { type: ['image/jpeg'] }
+        });
+        pipeline.registerTransformer(pngTransformer);
+        pipeline.registerTransformer(jpegTransformer);
+
+        nock('https://example.com')
+            .head('/photo.png')
+            .reply(200, undefined, { 'content-type': 'image/png', 'content-length': 2 })
+            .get('/photo.png')
+            .reply(200, 'ok', { 'content-type': 'image/png', 'content-length': 2 });
+
+        const result = await pipeline.runAll({
+            type: 'image/png',
+            url: 'https://example.com/photo.png'
+        }, [
+            { type: 'image/png', name: 'one.png' },
+            { type: 'image/jpeg', name: 'two.jpeg' }
+        ]);
+
+        assert.ok(!result.renditionErrors);
+        assert.strictEqual(pngTransformer.executionCount, 1);
+        assert.strictEqual(jpegTransformer.executionCount, 1);
+        assert.deepStrictEqual(sentEvents("rendition_created").map(event => event.rendition.name), ['one.png', 'two.jpeg']);
+        assert.ok(nock.isDone());
+    });
+
+    it("Downloads a source with a mime type alias once for all renditions", async function () {
+        const pipeline = new Engine({ skipMetadataExtraction: true });
+        const jpegTransformer = new CopyTransformer("jpegTransformer", {
+            inputs: { type: ['image/jpeg'] },
+            outputs: { type: ['image/jpeg'] }
+        });
+        pipeline.registerTransformer(jpegTransformer);
+
+        nock('https://example.com')
+            .head('/photo.jpg')
+            .reply(200, undefined, { 'content-type': 'image/jpeg', 'content-length': 2 })
+            .get('/photo.jpg')
+            .reply(200, 'ok', { 'content-type': 'image/jpeg', 'content-length': 2 });
+
+        const result = await pipeline.runAll({
+            type: 'image/jpg',
+            url: 'https://example.com/photo.jpg'
+        }, [
+            { type: 'image/jpeg', name: 'one.jpeg' },
+            { type: 'image/jpeg', name: 'two.jpeg' }
+        ]);
+
+        assert.ok(!result.renditionErrors);
+        assert.strictEqual(jpegTransformer.executionCount, 2);
+        assert.ok(nock.isDone());
+    });
+
+    it("Passes the custom prompts of each rendition to its plan", async function () {
+        const prompts = [];
+        class PromptTransformer extends CopyTransformer {
+            async compute(input, output) {
+                prompts.push([output.instructions.name, input.userData && input.userData.customPrompts]);
+                await super.compute(input, output);
+            }
+        }
+        const renditions = [
+            { type: 'image/png', name: 'one.png', userData: { customPrompts: ['first'] } },
+            { type: 'image/png', name: 'two.png', userData: { customPrompts: ['second'] } }
+        ];
+        const pipeline = new Engine({ skipMetadataExtraction: true, renditions });
+        pipeline.registerTransformer(new PromptTransformer("promptTransformer", {
+            inputs: { type: ['image/png'] },
+            outputs: { type: ['image/png'] }
+        }));
+
+        const result = await pipeline.runAll({
+            type: 'image/png',
+            path: './test/files/red_dot_alpha0.5.png'
+        }, renditions);
+
+        assert.ok(!result.renditionErrors);
+        assert.deepStrictEqual(prompts, [['one.png', ['first']], ['two.png', ['second']]]);
+    });
+
+    it("Fails the renditions if the shared source download fails", async function () {
+        const pipeline = new Engine({ skipMetadataExtraction: true });
+        const pngTransformer = new CopyTransformer("pngTransformer", {
+            inputs: { type: ['image/png'] },
+            outputs: { type: ['image/png'] }
+        });
+        pipeline.registerTransformer(pngTransformer);
+
+        nock('https://example.com')
+            .head('/photo.png')
+            .reply(404);
+
+        const result = await pipeline.runAll({
+            type: 'image/png',
+            url: 'https://example.com/photo.png'
+        }, [
+            { type: 'image/png', name: 'one.png' },
+            { type: 'image/png', name: 'two.png' }
+        ]);
+
+        assert.strictEqual(result.renditionErrors.length, 2);
+        assert.strictEqual(pngTransformer.executionCount, 0);
+        assert.deepStrictEqual(sentEvents("rendition_failed").map(event => event.rendition.name), ['one.png', 'two.png']);
+        assert.ok(nock.isDone());
+    });
+
+    it("Fails all renditions sharing a failed prefix", async function () {
+        const pipeline = new Engine({ skipMetadataExtraction: true });
+        let failureCount = 0;
+        class FlattenFailureTransformer extends Transformer {
+            async compute() {
+                failureCount++;
+                throw new Error("Flatten Failure!");
+            }
+        }
+        pipeline.registerTransformer(new FlattenFailureTransformer("flattenTransformer", new Manifest({
+            inputs: { type: ['image/tiff'] },
+            outputs: { type: ['image/png'] }
+        })));
+        pipeline.registerTransformer(new CopyTransformer("resizeTransformer", {
+            inputs: { type: ['image/png'] },
+            outputs: { type: ['image/jpeg'], width: { min: 1, max: 2000 } }
+        }));
+
+        const result = await pipeline.runAll({
+            type: 'image/tiff',
+            path: './test/files/file.tif'
+        }, [
+            { type: 'image/jpeg', width: 100, name: 'small.jpeg' },
+            { type: 'image/jpeg', width: 200, name: 'large.jpeg' }
+        ]);
+
+        assert.strictEqual(failureCount, 1);
+        assert.strictEqual(result.renditionErrors.length, 2);
+        assert.strictEqual(result.renditionErrors[1].message, "Transformer flattenTransformer failed: Flatten Failure!");
+        assert.strictEqual(sentEvents("rendition_failed").length, 2);
+        assert.strictEqual(sentEvents("rendition_created").length, 0);
+    });
+
+    it("Requires a source and renditions", async function () {
+        const pipeline = new Engine();
+        await assert.rejects(pipeline.runAll(), GenericError);
+        await assert.rejects(pipeline.runAll({ type: 'image/png' }, []), GenericError);
+    });
+});
+
+describe("Pipeline Engine plan fallback tests", function () {
+    let sendEventStub;
+    beforeEach(function () {
+        process.env.WORKER_BASE_DIRECTORY = 'build/work';
+        sendEventStub = sinon.stub(AssetComputeEvents.prototype, 'sendEvent').resolves();
+    });
+
+    afterEach(function () {
+        sendEventStub.restore();
+        delete process.env.WORKER_BASE_DIRECTORY;
+        nock.cleanAll();
+    });
+
+    function sentEvents(type) {
+        return sendEventStub.getCalls()
+            .filter(call => call.args[0] === type)
+            .map(call => call.args[1]);
+    }
+
+    class FlattenFailureTransformer extends Transformer {
+        constructor(error) {
+            super("flattenTransformer", new Manifest({
+                inputs: { type: ['image/tiff'] },
+                outputs: { type: ['image/png'] }
+            }));
+            this.error = error;
+            this.executionCount = 0;
+        }
+
+        async compute() {
+            this.executionCount++;
+            throw this.error;
+        }
+    }
+
+    function registerTransformers(pipeline, error) {
+        const transformers = {
+            flatten: new FlattenFailureTransformer(error),
+            resize: new CopyTransformer("resizeTransformer", {
+                inputs: { type: ['image/png'] },
+                outputs: { type: ['image/jpeg'] }
+            }),
+            // more expensive alternative
+            convert: new CopyTransformer("convertTransformer", {
+                inputs: { type: ['image/tiff'] },
+                outputs: { type: ['image/jpeg'] },
+                cost: { fixed: 5 }
+            })
+        };
+        Object.values(transformers).forEach(transformer => pipeline.registerTransformer(transformer));
+        return transformers;
+    }
+
+    async function runPlan(pipeline) {
+        const plan = new Plan();
+        await pipeline.refinePlan(plan, {
+            type: 'image/tiff',
+            path: './test/files/file.tif'
+        }, {
+            type: 'image/jpeg',
+            name: 'rendition.jpeg'
+        });
+        const result = await pipeline.run(plan);
+        return { plan, result };
+    }
+
+    it("Falls back to the next plan when a transformer fails", async function () {
+        const pipeline = new Engine({ skipMetadataExtraction: true });
+        const transformers = registerTransformers(pipeline, new Error("Flatten Failure!"));
+
+        const { plan, result } = await runPlan(pipeline);
+
+        assert.ok(!result.renditionErrors);
+        assert.strictEqual(plan.state, PLAN_STATE.SUCCEEDED);
+        assert.strictEqual(plan.cost, 5);
+        assert.deepStrictEqual(plan.steps.map(step => step.name), ['convertTransformer']);
+        assert.strictEqual(transformers.flatten.executionCount, 1);
+        assert.strictEqual(transformers.resize.executionCount, 0);
+        assert.strictEqual(transformers.convert.executionCount, 1);
+        assert.strictEqual(sentEvents("rendition_failed").length, 0);
+        assert.deepStrictEqual(sentEvents("rendition_created").map(event => event.rendition.name), ['rendition.jpeg']);
+    });
+
+    it("Falls back without downloading the source again", async function () {
+        const pipeline = new Engine({ skipMetadataExtraction: true });
+        const transformers = registerTransformers(pipeline, new Error("Flatten Failure!"));
+
+        // a second download would fail
+        nock('https://example.com')
+            .head('/source.tif')
+            .reply(200, undefined, { 'content-type': 'image/tiff', 'content-length': 2 })
+            .get('/source.tif')
+            .reply(200, 'ok', { 'content-type': 'image/tiff', 'content-length': 2 });
+
+        const result = await pipeline.runAll({
+            type: 'image/tiff',
+            url: 'https://example.com/source.tif'
+        }, [
+            { type: 'image/jpeg', name: 'rendition.jpeg' }
+        ]);
+
+        assert.ok(!result.renditionErrors);
+        assert.strictEqual(transformers.flatten.executionCount, 1);
+        assert.strictEqual(transformers.convert.executionCount, 1);
+        assert.ok(nock.isDone());
+    });
+
+    it("Does not fall back on client errors", async function () {
+        const pipeline = new Engine({ skipMetadataExtraction: true });
+        const transformers = registerTransformers(pipeline, new SourceCorruptError("corrupt"));
+
+        const { plan, result } = await runPlan(pipeline);
+
+        assert.strictEqual(plan.state, PLAN_STATE.FAILED);
+        assert.ok(result.renditionErrors[0] instanceof SourceCorruptError);
+        assert.strictEqual(transformers.convert.executionCount, 0);
+        assert.strictEqual(sentEvents("rendition_failed").length, 1);
+    });
+
+    it("Does not fall back if fallbacks are disabled", async function () {
+        const pipeline = new Engine({ skipMetadataExtraction: true, maxPlanFallbacks: 0 });
+        const transformers = registerTransformers(pipeline, new Error("Flatten Failure!"));
+
+        const { plan, result } = await runPlan(pipeline);
+
+        assert.strictEqual(plan.state, PLAN_STATE.FAILED);
+        assert.strictEqual(result.renditionErrors[0].message, "Transformer flattenTransformer failed: Flatten Failure!");
+        assert.strictEqual(transformers.convert.executionCount, 0);
+    });
+});
+
+describe("Pipeline Engine step timeout tests", function () {
+    let sendEventStub;
+    beforeEach(function () {
+        process.env.WORKER_BASE_DIRECTORY = 'build/work';
+        sendEventStub = sinon.stub(AssetComputeEvents.prototype, 'sendEvent').resolves();
+    });
+
+    afterEach(function () {
+        sendEventStub.restore();
+        delete process.env.WORKER_BASE_DIRECTORY;
+        delete process.env.__OW_DEADLINE;
+    });
+
+    class HangingTransformer extends Transformer {
+        constructor(name, duration) {
+            super(name, new Manifest({
+                inputs: { type: ['image/tiff'] },
+                outputs: { type: ['image/jpeg'] },
+                duration
+            }));
+            this.executionCount = 0;
+        }
+
+        async compute(input, output, transformerContext) {
+            this.executionCount++;
+            this.signal = transformerContext.signal;
+            // never finishes
+            return new Promise(() => {});
+        }
+    }
+
+    async function runPlan(pipeline) {
+        const plan = new Plan();
+        await pipeline.refinePlan(plan, {
+            type: 'image/tiff',
+            path: './test/files/file.tif'
+        }, {
+            type: 'image/jpeg',
+            name: 'rendition.jpeg'
+        });
+        const result = await pipeline.run(plan);
+        return { plan, result };
+    }
+
+    it("Aborts the signal of a step running longer than the manifest max duration", async function () {
+        const pipeline = new Engine({ skipMetadataExtraction: true });
+        const transformer = new HangingTransformer("hangingTransformer", { max: 50 });
+        pipeline.registerTransformer(transformer);
+
+        const { plan, result } = await runPlan(pipeline);
+
+        assert.strictEqual(plan.state, PLAN_STATE.FAILED);
+        assert.ok(result.renditionErrors[0] instanceof TransformerTimeoutError);
+        assert.strictEqual(transformer.signal.aborted, true);
+    });
+
+    it("Fails a step running longer than the manifest max duration", async function () {
+        const pipeline = new Engine({ skipMetadataExtraction: true });
+        pipeline.registerTransformer(new HangingTransformer("hangingTransformer", { max: 50 }));
+
+        const { plan, result } = await runPlan(pipeline);
+
+        assert.strictEqual(plan.state, PLAN_STATE.FAILED);
+        const error = result.renditionErrors[0];
+        assert.ok(error instanceof TransformerTimeoutError);
+        assert.strictEqual(error.timeout, 50);
+        assert.strictEqual(error.activationDeadline, false);
+        assert.strictEqual(error.location, "hangingTransformer_executeTransformer_timeout");
+
+        const failedEvents = sendEventStub.getCalls().filter(call => call.args[0] === "rendition_failed");
+        assert.strictEqual(failedEvents.length, 1);
+        assert.strictEqual(failedEvents[0].args[1].errorReason, Reason.GenericError);
+        assert.strictEqual(failedEvents[0].args[1].errorMessage, "Transformer hangingTransformer timed out after 50 ms");
+        assert.strictEqual(failedEvents[0].args[1].rendition.name, "rendition.jpeg");
+    });
+
+    it("Fails a step before the activation deadline", async function () {
+        process.env.__OW_DEADLINE = Date.now() + 200;
+        const pipeline = new Engine({ skipMetadataExtraction: true, deadlineSafetyMargin: 100 });
+        pipeline.registerTransformer(new HangingTransformer("hangingTransformer", { max: 60000 }));
+
+        const start = Date.now();
+        const { plan, result } = await runPlan(pipeline);
+
+        assert.ok(Date.now() - start < 200);
+        assert.strictEqual(plan.state, PLAN_STATE.FAILED);
+        const error = result.renditionErrors[0];
+        assert.ok(error instanceof TransformerTimeoutError);
+        assert.strictEqual(error.activationDeadline, true);
+        assert.ok(error.timeout <= 100);
+        assert.ok(error.message.includes("did not finish before the activation deadline"));
+        assert.strictEqual(sendEventStub.getCalls().filter(call => call.args[0] === "rendition_failed").length, 1);
+    });
+
+    it("Does not start a step if less than its expected duration is left", async function () {
+        process.env.__OW_DEADLINE = Date.now() + 1000;
+        const pipeline = new Engine({ skipMetadataExtraction: true, deadlineSafetyMargin: 100 });
+        const transformer = new HangingTransformer("hangingTransformer", { expected: 5000 });
+        pipeline.registerTransformer(transformer);
+
+        const { plan, result } = await runPlan(pipeline);
+
+        assert.strictEqual(plan.state, PLAN_STATE.FAILED);
+        assert.strictEqual(transformer.executionCount, 0);
+        const error = result.renditionErrors[0];
+        assert.ok(error instanceof TransformerTimeoutError);
+        assert.strictEqual(error.location, "hangingTransformer_executeTransformer_deadline");
+        const failedEvents = sendEventStub.getCalls().filter(call => call.args[0] === "rendition_failed");
+        assert.strictEqual(failedEvents.length, 1);
+        assert.strictEqual(failedEvents[0].args[1].rendition.name, "rendition.jpeg");
+    });
+
+    it("Does not fall back to another plan after the activation deadline", async function () {
+        process.env.__OW_DEADLINE = Date.now() + 200;
+        const pipeline = new Engine({ skipMetadataExtraction: true, deadlineSafetyMargin: 100 });
+        pipeline.registerTransformer(new HangingTransformer("hangingTransformer"));
+        const alternative = new CopyTransformer("convertTransformer", {
+            inputs: { type: ['image/tiff'] },
+            outputs: { type: ['image/jpeg'] },
+            cost: { fixed: 5 }
+        });
+        pipeline.registerTransformer(alternative);
+
+        const { plan, result } = await runPlan(pipeline);
+
+        assert.strictEqual(plan.state, PLAN_STATE.FAILED);
+        assert.ok(result.renditionErrors[0] instanceof TransformerTimeoutError);
+        assert.strictEqual(alternative.executionCount, 0);
+    });
+
+    it("Falls back to another plan after a manifest timeout", async function () {
+        const pipeline = new Engine({ skipMetadataExtraction: true });
+        pipeline.registerTransformer(new HangingTransformer("hangingTransformer", { max: 50 }));
+        const alternative = new CopyTransformer("convertTransformer", {
+            inputs: { type: ['image/tiff'] },
+            outputs: { type: ['image/jpeg'] },
+            cost: { fixed: 5 }
+        });
+        pipeline.registerTransformer(alternative);
+
+        const { plan, result } = await runPlan(pipeline);
+
+        assert.strictEqual(plan.state, PLAN_STATE.SUCCEEDED);
+        assert.ok(!result.renditionErrors);
+        assert.strictEqual(alternative.executionCount, 1);
+    });
+});
+
+describe("Pipeline Engine retry tests", function () {
+    let sendEventStub;
+    let sendMetricsStub;
+    beforeEach(function () {
+        process.env.WORKER_BASE_DIRECTORY = 'build/work';
+        sendEventStub = sinon.stub(AssetComputeEvents.prototype, 'sendEvent').resolves();
+        sendMetricsStub = sinon.stub(AssetComputeMetrics.prototype, 'sendMetrics').resolves();
+    });
+
+    afterEach(function () {
+        sendEventStub.restore();
+        sendMetricsStub.restore();
+        delete process.env.WORKER_BASE_DIRECTORY;
+    });
+
+    // fails with the given errors before copying the input
+    class FlakyTransformer extends CopyTransformer {
+        constructor(errors, retry) {
+            super("flakyTransformer", {
+                inputs: { type: ['image/tiff'] },
+                outputs: { type: ['image/jpeg'] },
+                retry
+            });
+            this.errors = errors;
+        }
+
+        async compute(input, output) {
+            const error = this.errors[this.executionCount];
+            if (error) {
+                this.executionCount++;
+                throw error;
+            }
+            return super.compute(input, output);
+        }
+    }
+
+    async function runPlan(pipeline) {
+        const plan = new Plan();
+        await pipeline.refinePlan(plan, {
+            type: 'image/tiff',
+            path: './test/files/file.tif'
+        }, {
+            type: 'image/jpeg',
+            name: 'rendition.jpeg'
+        });
+        const step = plan.steps[0];
+        const result = await pipeline.run(plan);
+        return { plan, step, result };
+    }
+
+    function retryMetrics() {
+        return sendMetricsStub.getCalls()
+            .filter(call => call.args[0] === "transformer_retry")
+            .map(call => call.args[1]);
+    }
+
+    it("Retries a failing transformer according to its manifest", async function () {
+        const pipeline = new Engine({ skipMetadataExtraction: true });
+        const transformer = new FlakyTransformer([new Error("transient 1"), new Error("transient 2")], { maxAttempts: 3, backoff: 1 });
+        pipeline.registerTransformer(transformer);
+
+        const { plan, step, result } = await runPlan(pipeline);
+
+        assert.strictEqual(plan.state, PLAN_STATE.SUCCEEDED);
+        assert.ok(!result.renditionErrors);
+        assert.strictEqual(transformer.executionCount, 3);
+        assert.deepStrictEqual(step.messages, [
+            { attempt: 1, reason: "GenericError", message: "Attempt 1 of 3 failed: transient 1", retry: true },
+            { attempt: 2, reason: "GenericError", message: "Attempt 2 of 3 failed: transient 2", retry: true }
+        ]);
+        assert.deepStrictEqual(retryMetrics().map(metric => [metric.transformer, metric.attempt, metric.retryDelay]), [
+            ["flakyTransformer", 1, 1],
+            ["flakyTransformer", 2, 2]
+        ]);
+        assert.strictEqual(sendEventStub.getCalls().filter(call => call.args[0] === "rendition_created").length, 1);
+    });
+
+    it("Fails once all attempts failed", async function () {
+        const pipeline = new Engine({ skipMetadataExtraction: true });
+        const transformer = new FlakyTransformer([new Error("1"), new Error("2"), new Error("3")]);
+        pipeline.registerTransformer(transformer, { retry: { maxAttempts: 2, backoff: 0 } });
+
+        const { plan, step, result } = await runPlan(pipeline);
+
+        assert.strictEqual(plan.state, PLAN_STATE.FAILED);
+        assert.strictEqual(transformer.executionCount, 2);
+        assert.strictEqual(result.renditionErrors[0].message, "Transformer flakyTransformer failed: 2");
+        assert.deepStrictEqual(step.messages.map(message => message.retry), [true, false]);
+        assert.strictEqual(retryMetrics().length, 1);
+        assert.strictEqual(sendEventStub.getCalls().filter(call => call.args[0] === "rendition_failed").length, 1);
+    });
+
+    it("Never retries client errors", async function () {
+        const pipeline = new Engine({ skipMetadataExtraction: true });
+        const transformer = new FlakyTransformer([new SourceCorruptError("corrupt")], { maxAttempts: 3, backoff: 0 });
+        pipeline.registerTransformer(transformer);
+
+        const { plan, step, result } = await runPlan(pipeline);
+
+        assert.strictEqual(plan.state, PLAN_STATE.FAILED);
+        assert.strictEqual(transformer.executionCount, 1);
+        assert.ok(result.renditionErrors[0] instanceof SourceCorruptError);
+        assert.deepStrictEqual(step.messages, [
+            { attempt: 1, reason: "SourceCorrupt", message: "Attempt 1 of 3 failed: corrupt", retry: false }
+        ]);
+        assert.strictEqual(retryMetrics().length, 0);
+    });
+
+    it("Only retries the listed reasons", async function () {
+        const reset = new Error("socket hang up");
+        reset.code = "ECONNRESET";
+        const pipeline = new Engine({ skipMetadataExtraction: true });
+        const transformer = new FlakyTransformer([reset, new Error("bug")], { maxAttempts: 3, backoff: 0, reasons: ["ECONNRESET"] });
+        pipeline.registerTransformer(transformer);
+
+        const { plan } = await runPlan(pipeline);
+
+        assert.strictEqual(plan.state, PLAN_STATE.FAILED);
+        assert.strictEqual(transformer.executionCount, 2);
+    });
+
+    it("Does not retry without a retry policy", async function () {
+        const pipeline = new Engine({ skipMetadataExtraction: true });
+        const transformer = new FlakyTransformer([new Error("transient")]);
+        pipeline.registerTransformer(transformer);
+
+        const { plan } = await runPlan(pipeline);
+
+        assert.strictEqual(plan.state, PLAN_STATE.FAILED);
+        assert.strictEqual(transformer.executionCount, 1);
+    });
+
+    it("Runs each attempt in its own directory", async function () {
+        // the first attempt times out but keeps running and writes its output late, during the retry
+        let firstAttemptDone;
+        const firstAttempt = new Promise(resolve => {
+            firstAttemptDone = resolve;
+        });
+        class LateTransformer extends CopyTransformer {
+            async compute(input, output, transformerContext) {
+                this.executionCount++;
+                this.signals = (this.signals || []).concat(transformerContext.signal);
+                if (transformerContext.attempt === 1) {
+                    await new Promise(resolve => setTimeout(resolve, 150));
+                    await fs.writeFile(output.path, "first attempt");
+                    firstAttemptDone();
+                } else {
+                    await fs.writeFile(output.path, "second attempt");
+                    await firstAttempt;
+                }
+            }
+        }
+        const pipeline = new Engine({ skipMetadataExtraction: true });
+        const transformer = new LateTransformer("lateTransformer", {
+            inputs: { type: ['image/tiff'] },
+            outputs: { type: ['image/jpeg'] },
+            duration: { max: 100 },
+            retry: { maxAttempts: 2, backoff: 0 }
+        });
+        pipeline.registerTransformer(transformer);
+        let uploaded;
+        sinon.stub(pipeline, 'upload').callsFake(async output => {
+            uploaded = { path: output.path, content: await fs.readFile(output.path, 'utf8') };
+        });
+
+        const { plan, step } = await runPlan(pipeline);
+
+        assert.strictEqual(plan.state, PLAN_STATE.SUCCEEDED);
+        assert.strictEqual(transformer.executionCount, 2);
+        assert.strictEqual(step.messages[0].message, "Attempt 1 of 2 failed: Transformer lateTransformer timed out after 100 ms");
+        // the timed out attempt was aborted before the retry started
+        assert.strictEqual(transformer.signals[0].aborted, true);
+        assert.strictEqual(transformer.signals[1].aborted, false);
+        assert.strictEqual(uploaded.content, "second attempt");
+        assert.ok(path.dirname(uploaded.path).endsWith("0-lateTransformer-attempt2"));
+    });
+
+    it("Validates the retry policy of the registration options", function () {
+        const pipeline = new Engine();
+        assert.throws(() => pipeline.registerTransformer(new FlakyTransformer([]), { retry: { maxAttempts: 0 } }),
+            { message: /options.retry.maxAttempts must be a positive integer/ });
+    });
+});
+
+describe("Pipeline Engine cancellation tests", function () {
+    let sendEventStub;
+    beforeEach(function () {
+        process.env.WORKER_BASE_DIRECTORY = 'build/work';
+        sendEventStub = sinon.stub(AssetComputeEvents.prototype, 'sendEvent').resolves();
+    });
+
+    afterEach(function () {
+        sendEventStub.restore();
+        delete process.env.WORKER_BASE_DIRECTORY;
+    });
+
+    // never finishes unless the signal is aborted
+    class WaitingTransformer extends Transformer {
+        constructor(onCompute) {
+            super("waitingTransformer", new Manifest({
+                inputs: { type: ['image/tiff'] },
+                outputs: { type: ['image/jpeg'] },
+                retry: { maxAttempts: 3, backoff: 0 }
+            }));
+            this.onCompute = onCompute;
+            this.executionCount = 0;
+        }
+
+        async compute(input, output, transformerContext) {
+            this.executionCount++;
+            this.signal = transformerContext.signal;
+            this.onCompute();
+            return new Promise(() => {});
+        }
+    }
+
+    async function refinePlan(pipeline) {
+        const plan = new Plan();
+        await pipeline.refinePlan(plan, {
+            type: 'image/tiff',
+            path: './test/files/file.tif'
+        }, {
+            type: 'image/jpeg',
+            name: 'rendition.jpeg'
+        });
+        return plan;
+    }
+
+    it("Cancels a running step", async function () {
+        const controller = new AbortController();
+        const pipeline = new Engine({ skipMetadataExtraction: true });
+        const transformer = new WaitingTransformer(() => setImmediate(() => controller.abort()));
+        pipeline.registerTransformer(transformer);
+        const cleanupSpy = sinon.spy(pipeline, 'cleanup');
+
+        const plan = await refinePlan(pipeline);
+        const result = await pipeline.run(plan, { signal: controller.signal });
+
+        assert.strictEqual(plan.state, PLAN_STATE.CANCELLED);
+        // the step signal follows the signal of the plan
+        assert.notStrictEqual(transformer.signal, controller.signal);
+        assert.strictEqual(transformer.signal.aborted, true);
+        // cancelled steps are not retried
+        assert.strictEqual(transformer.executionCount, 1);
+        assert.ok(result.renditionErrors[0] instanceof CancelledError);
+        assert.ok(cleanupSpy.calledOnce);
+        const failedEvents = sendEventStub.getCalls().filter(call => call.args[0] === "rendition_failed");
+        assert.strictEqual(failedEvents.length, 1);
+        assert.strictEqual(failedEvents[0].args[1].rendition.name, "rendition.jpeg");
+    });
+
+    it("Does not start steps once the signal is aborted", async function () {
+        const controller = new AbortController();
+        controller.abort();
+        const pipeline = new Engine({ skipMetadataExtraction: true });
+        const transformer = new WaitingTransformer(() => {});
+        pipeline.registerTransformer(transformer);
+
+        const plan = await refinePlan(pipeline);
+        const result = await pipeline.run(plan, { signal: controller.signal });
+
+        assert.strictEqual(plan.state, PLAN_STATE.CANCELLED);
+        assert.strictEqual(transformer.executionCount, 0);
+        assert.ok(result.renditionErrors[0] instanceof CancelledError);
+        assert.strictEqual(sendEventStub.getCalls().filter(call => call.args[0] === "rendition_failed").length, 1);
+    });
+
+    it("Cancels all remaining plans of runAll", async function () {
+        const controller = new AbortController();
+        controller.abort();
+        const pipeline = new Engine({ skipMetadataExtraction: true });
+        pipeline.registerTransformer(new CopyTransformer("copyTransformer", {
+            inputs: { type: ['image/tiff'] },
+            outputs: { type: ['image/jpeg', 'image/png'] }
+        }));
+
+        const result = await pipeline.runAll({
+            type: 'image/tiff',
+            path: './test/files/file.tif'
+        }, [{ type: 'image/jpeg', name: 'one.jpeg' }, { type: 'image/png', name: 'two.png' }], { signal: controller.signal });
+
+        assert.strictEqual(result.renditionErrors.length, 2);
+        assert.ok(result.renditionErrors.every(error => error instanceof CancelledError));
+        assert.strictEqual(sendEventStub.getCalls().filter(call => call.args[0] === "rendition_failed").length, 2);
+    });
+});
+
+describe("Pipeline Engine resume tests", function () {
+    let sendEventStub;
+    beforeEach(function () {
+        process.env.WORKER_BASE_DIRECTORY = 'build/work';
+        sendEventStub = sinon.stub(AssetComputeEvents.prototype, 'sendEvent').resolves();
+    });
+
+    afterEach(function () {
+        sendEventStub.restore();
+        delete process.env.WORKER_BASE_DIRECTORY;
+    });
+
+    // also stores its output in the cloud
+    class UploadingTransformer extends CopyTransformer {
+        async compute(input, output) {
+            await super.compute(input, output);
+            output.url = "https://example.com/intermediate.png";
+        }
+    }
+
+    class ResizeTransformer extends CopyTransformer {
+        constructor(fail, sourceType = 'URL') {
+            super("resizeTransformer", {
+                inputs: { type: ['image/png'], sourceType },
+                outputs: { type: ['image/jpeg'] }
+            });
+            this.fail = fail;
+        }
+
+        async compute(input, output) {
+            this.executionCount++;
+            this.input = input;
+            if (this.fail) {
+                throw new SourceCorruptError("resize failed");
+            }
+            await fs.copy('./test/files/file.tif', output.path);
+        }
+    }
+
+    const FLATTEN_MANIFEST = {
+        inputs: { type: ['image/tiff'] },
+        outputs: { type: ['image/png'] }
+    };
+
+    async function runFailingPlan(flatten, sourceType) {
+        const pipeline = new Engine({ skipMetadataExtraction: true });
+        pipeline.registerTransformer(flatten);
+        pipeline.registerTransformer(new ResizeTransformer(true, sourceType));
+        const plan = new Plan();
+        await pipeline.refinePlan(plan, {
+            type: 'image/tiff',
+            path: './test/files/file.tif'
+        }, {
+            type: 'image/jpeg',
+            name: 'rendition.jpeg'
+        });
+        await pipeline.run(plan);
+        return plan;
+    }
+
+    it("Records the state, output and duration of each step", async function () {
+        const plan = await runFailingPlan(new UploadingTransformer("flattenTransformer", FLATTEN_MANIFEST));
+
+        assert.strictEqual(plan.state, PLAN_STATE.FAILED);
+        const [flatten, resize] = plan.steps;
+        assert.strictEqual(flatten.state, STEP_STATE.SUCCEEDED);
+        assert.strictEqual(flatten.outputReference.type, 'image/png');
+        assert.strictEqual(flatten.outputReference.url, 'https://example.com/intermediate.png');
+        assert.ok(flatten.outputReference.path.endsWith('rendition0.png'));
+        assert.ok(flatten.duration >= 0);
+        assert.strictEqual(resize.state, STEP_STATE.FAILED);
+        assert.strictEqual(resize.outputReference, undefined);
+        assert.ok(resize.duration >= 0);
+    });
+
+    it("Resumes a deserialized plan reusing uploaded outputs", async function () {
+        const failed = await runFailingPlan(new UploadingTransformer("flattenTransformer", FLATTEN_MANIFEST));
+        const plan = Plan.fromObject(JSON.parse(JSON.stringify(failed.toObject())));
+        assert.deepStrictEqual(plan.steps.map(step => step.state), [STEP_STATE.SUCCEEDED, STEP_STATE.FAILED]);
+
+        const pipeline = new Engine({ skipMetadataExtraction: true });
+        const flatten = new UploadingTransformer("flattenTransformer", FLATTEN_MANIFEST);
+        const resize = new ResizeTransformer(false);
+        pipeline.registerTransformer(flatten);
+        pipeline.registerTransformer(resize);
+        const result = await pipeline.run(plan);
+
+        assert.ok(!result.renditionErrors);
+        assert.strictEqual(plan.state, PLAN_STATE.SUCCEEDED);
+        assert.strictEqual(flatten.executionCount, 0);
+        assert.strictEqual(resize.executionCount, 1);
+        // local file of the first run was cleaned up
+        assert.strictEqual(resize.input.url, "https://example.com/intermediate.png");
+        assert.strictEqual(plan.steps[1].attributes.input.path, undefined);
+        assert.deepStrictEqual(plan.steps.map(step => step.state), [STEP_STATE.SUCCEEDED, STEP_STATE.SUCCEEDED]);
+        assert.strictEqual(sendEventStub.getCalls().filter(call => call.args[0] === "rendition_created").length, 1);
+    });
+
+    it("Runs steps again if their output is not available anymore", async function () {
+        const failed = await runFailingPlan(new CopyTransformer("flattenTransformer", FLATTEN_MANIFEST), 'LOCAL');
+        const plan = Plan.fromObject(JSON.parse(JSON.stringify(failed.toObject())));
+
+        const pipeline = new Engine({ skipMetadataExtraction: true });
+        const flatten = new CopyTransformer("flattenTransformer", FLATTEN_MANIFEST);
+        const resize = new ResizeTransformer(false, 'LOCAL');
+        pipeline.registerTransformer(flatten);
+        pipeline.registerTransformer(resize);
+        await pipeline.run(plan);
+
+        assert.strictEqual(plan.state, PLAN_STATE.SUCCEEDED);
+        assert.strictEqual(flatten.executionCount, 1);
+        assert.strictEqual(resize.executionCount, 1);
+    });
+});
+
+describe("Pipeline Engine conditional step tests", function () {
+    let sendEventStub;
+    beforeEach(function () {
+        process.env.WORKER_BASE_DIRECTORY = 'build/work';
+        sendEventStub = sinon.stub(AssetComputeEvents.prototype, 'sendEvent').resolves();
+    });
+
+    afterEach(function () {
+        sendEventStub.restore();
+        delete process.env.WORKER_BASE_DIRECTORY;
+    });
+
+    const TIFF_MANIFEST = {
+        inputs: { type: ['image/tiff'] },
+        outputs: { type: ['image/tiff'] }
+    };
+
+    // records runtime facts about its output
+    class DetectTransformer extends CopyTransformer {
+        constructor(facts, url) {
+            super("detectTransformer", TIFF_MANIFEST);
+            this.facts = facts;
+            this.url = url;
+        }
+
+        async compute(input, output) {
+            await super.compute(input, output);
+            Object.assign(output.facts, this.facts);
+            output.url = this.url;
+        }
+    }
+
+    class ResizeTransformer extends CopyTransformer {
+        constructor(fail) {
+            super("resizeTransformer", TIFF_MANIFEST);
+            this.fail = fail;
+        }
+
+        async compute(input, output) {
+            this.executionCount++;
+            this.input = input;
+            if (this.fail) {
+                throw new SourceCorruptError("resize failed");
+            }
+            await fs.copy('./test/files/file.tif', output.path);
+        }
+    }
+
+    function createPipeline(...transformers) {
+        const pipeline = new Engine({ skipMetadataExtraction: true });
+        transformers.forEach(transformer => pipeline.registerTransformer(transformer));
+        return pipeline;
+    }
+
+    function createPlan(flattenCondition, withResize = true) {
+        const plan = new Plan();
+        plan.add("detectTransformer", {
+            input: { type: 'image/tiff', path: './test/files/file.tif' },
+            output: { type: 'image/tiff' }
+        });
+        plan.add("flattenTransformer", {
+            input: { type: 'image/tiff' },
+            output: withResize ? { type: 'image/tiff' } : { type: 'image/tiff', name: 'flattened.tif' },
+            condition: flattenCondition
+        });
+        if (withResize) {
+            plan.add("resizeTransformer", {
+                input: { type: 'image/tiff' },
+                output: { type: 'image/tiff', name: 'rendition.tif' }
+            });
+        }
+        return plan;
+    }
+
+    it("Runs a step whose condition is met", async function () {
+        const flatten = new CopyTransformer("flattenTransformer", TIFF_MANIFEST);
+        const pipeline = createPipeline(new DetectTransformer({ alpha: true }), flatten, new ResizeTransformer());
+        const plan = createPlan({ alpha: true });
+        await pipeline.run(plan);
+
+        assert.strictEqual(plan.state, PLAN_STATE.SUCCEEDED);
+        assert.strictEqual(flatten.executionCount, 1);
+        assert.deepStrictEqual(plan.steps.map(step => step.state), [STEP_STATE.SUCCEEDED, STEP_STATE.SUCCEEDED, STEP_STATE.SUCCEEDED]);
+    });
+
+    it("Skips a step whose condition is not met and passes the previous output on", async function () {
+        const detect = new DetectTransformer({ alpha: false, pages: 1 });
+        const flatten = new CopyTransformer("flattenTransformer", TIFF_MANIFEST);
+        const resize = new ResizeTransformer();
+        const pipeline = createPipeline(detect, flatten, resize);
+        const plan = createPlan({ alpha: true, pages: { min: 2 } });
+        await pipeline.run(plan);
+
+        assert.strictEqual(plan.state, PLAN_STATE.SUCCEEDED);
+        assert.strictEqual(flatten.executionCount, 0);
+        assert.strictEqual(resize.executionCount, 1);
+        assert.ok(resize.input.path.includes('detectTransformer'));
+        const [, skipped] = plan.steps;
+        assert.strictEqual(skipped.state, STEP_STATE.SKIPPED);
+        assert.deepStrictEqual(skipped.messages, [{
+            message: 'Skipped, condition not met: alpha is false, expected true; pages is 1, expected {"min":2}'
+        }]);
+        assert.strictEqual(plan.output.instructions.name, 'rendition.tif');
+    });
+
+    it("Does not meet a condition on a missing fact", async function () {
+        const flatten = new CopyTransformer("flattenTransformer", TIFF_MANIFEST);
+        const pipeline = createPipeline(new DetectTransformer({}), flatten, new ResizeTransformer());
+        const plan = createPlan({ alpha: true });
+        await pipeline.run(plan);
+
+        assert.strictEqual(plan.state, PLAN_STATE.SUCCEEDED);
+        assert.strictEqual(flatten.executionCount, 0);
+        assert.deepStrictEqual(plan.steps[1].messages, [{ message: 'Skipped, condition not met: alpha is undefined, expected true' }]);
+    });
+
+    it("Evaluates conditions against output instructions and the source", async function () {
+        const detect = new DetectTransformer({});
+        const flatten = new CopyTransformer("flattenTransformer", TIFF_MANIFEST);
+        const pipeline = createPipeline(detect, flatten, new ResizeTransformer());
+        const plan = createPlan({ type: ['image/png', 'image/tiff'] });
+        plan.steps[0].attributes.condition = { type: 'image/png' };
+        await pipeline.run(plan);
+
+        assert.strictEqual(plan.state, PLAN_STATE.SUCCEEDED);
+        assert.strictEqual(detect.executionCount, 0);
+        assert.strictEqual(flatten.executionCount, 1);
+        assert.deepStrictEqual(plan.steps.map(step => step.state), [STEP_STATE.SKIPPED, STEP_STATE.SUCCEEDED, STEP_STATE.SUCCEEDED]);
+    });
+
+    it("Uploads the previous output if the last step is skipped", async function () {
+        const detect = new DetectTransformer({ alpha: false });
+        const flatten = new CopyTransformer("flattenTransformer", TIFF_MANIFEST);
+        const pipeline = createPipeline(detect, flatten);
+        const plan = createPlan({ alpha: true }, false);
+        const result = await pipeline.run(plan);
+
+        assert.ok(!result.renditionErrors);
+        assert.strictEqual(plan.state, PLAN_STATE.SUCCEEDED);
+        assert.strictEqual(flatten.executionCount, 0);
+        assert.strictEqual(plan.output.instructions.name, 'flattened.tif');
+        assert.ok(plan.output.path.includes('detectTransformer'));
+        assert.deepStrictEqual(plan.output.facts, { alpha: false });
+        assert.strictEqual(sendEventStub.getCalls().filter(call => call.args[0] === "rendition_created").length, 1);
+    });
+
+    it("Fails the plan on an invalid condition", async function () {
+        const flatten = new CopyTransformer("flattenTransformer", TIFF_MANIFEST);
+        const pipeline = createPipeline(new DetectTransformer({}), flatten, new ResizeTransformer());
+        const plan = createPlan("alpha");
+
+        await assert.rejects(pipeline.run(plan));
+        assert.strictEqual(flatten.executionCount, 0);
+    });
+
+    it("Keeps skipped steps when resuming a plan", async function () {
+        const facts = { alpha: false };
+        const failingPipeline = createPipeline(new DetectTransformer(facts, "https://example.com/detected.tif"),
+            new CopyTransformer("flattenTransformer", TIFF_MANIFEST), new ResizeTransformer(true));
+        const failed = createPlan({ alpha: true });
+        failed.steps[2].attributes.input.sourceType = 'URL';
+        await failingPipeline.run(failed);
+        assert.deepStrictEqual(failed.steps.map(step => step.state), [STEP_STATE.SUCCEEDED, STEP_STATE.SKIPPED, STEP_STATE.FAILED]);
+
+        const plan = Plan.fromObject(JSON.parse(JSON.stringify(failed.toObject())));
+        assert.deepStrictEqual(plan.steps[0].outputReference.facts, facts);
+
+        const detect = new DetectTransformer(facts, "https://example.com/detected.tif");
+        const flatten = new CopyTransformer("flattenTransformer", TIFF_MANIFEST);
+        const resize = new ResizeTransformer();
+        await createPipeline(detect, flatten, resize).run(plan);
+
+        assert.strictEqual(plan.state, PLAN_STATE.SUCCEEDED);
+        assert.strictEqual(detect.executionCount, 0);
+        assert.strictEqual(flatten.executionCount, 0);
+        assert.strictEqual(resize.executionCount, 1);
+        assert.strictEqual(resize.input.url, "https://example.com/detected.tif");
+        assert.deepStrictEqual(plan.steps.map(step => step.state), [STEP_STATE.SUCCEEDED, STEP_STATE.SKIPPED, STEP_STATE.SUCCEEDED]);
+    });
+});
+
+describe("Pipeline Engine fan-in tests", function () {
+    let sendEventStub;
+    beforeEach(function () {
+        process.env.WORKER_BASE_DIRECTORY = 'build/work';
+        sendEventStub = sinon.stub(AssetComputeEvents.prototype, 'sendEvent').resolves();
+    });
+
+    afterEach(function () {
+        sendEventStub.restore();
+        delete process.env.WORKER_BASE_DIRECTORY;
+    });
+
+    class WatermarkTransformer extends CopyTransformer {
+        constructor() {
+            super("watermark", {
+                inputs: { type: ['image/png'] },
+                slots: { logo: { type: ['image/png'] } },
+                outputs: { type: ['image/png'] }
+            });
+        }
+
+        async compute(inputs, output) {
+            this.received = inputs;
+            this.logoExists = await fs.pathExists(inputs.logo.path);
+            await super.compute(inputs.input, output);
+        }
+    }
+
+    async function runPlan(pipeline, rendition) {
+        const plan = new Plan();
+        await pipeline.refinePlan(plan, { type: 'image/png', path: './test/files/file.png' }, rendition);
+        const result = await pipeline.run(plan);
+        return { plan, result };
+    }
+
+    it("Passes a map of assets to a fan-in transformer", async function () {
+        const watermark = new WatermarkTransformer();
+        const pipeline = new Engine({ skipMetadataExtraction: true });
+        pipeline.registerTransformer(watermark);
+        const logo = `data:image/png;base64,${(await fs.readFile('./test/files/fileSmall.png')).toString('base64')}`;
+
+        const { plan, result } = await runPlan(pipeline, { type: 'image/png', name: 'rendition.png', inputs: { logo: { type: 'image/png', url: logo } } });
+
+        assert.ok(!result.renditionErrors);
+        assert.strictEqual(plan.state, PLAN_STATE.SUCCEEDED);
+        assert.deepStrictEqual(Object.keys(watermark.received), ['input', 'logo']);
+        assert.ok(watermark.received.input instanceof Asset);
+        assert.strictEqual(watermark.received.input.path, 'test/files/file.png');
+        assert.ok(watermark.received.logo.path.endsWith('slot-logo.png'));
+        assert.ok(watermark.logoExists);
+        // the urls of the slot assets are not part of the event
+        const event = sendEventStub.getCalls().find(call => call.args[0] === "rendition_created");
+        assert.strictEqual(event.args[1].rendition.inputs, undefined);
+    });
+
+    it("Uses the source for slots without an asset", async function () {
+        const watermark = new WatermarkTransformer();
+        const pipeline = new Engine({ skipMetadataExtraction: true });
+        pipeline.registerTransformer(watermark);
+
+        await runPlan(pipeline, { type: 'image/png', name: 'rendition.png' });
+
+        assert.strictEqual(watermark.received.logo.path, 'test/files/file.png');
+    });
+
+    it("Runs the slot chain before the plan and passes its output to the slot", async function () {
+        const watermark = new WatermarkTransformer();
+        const convert = new CopyTransformer("convert", {
+            inputs: { type: ['image/tiff'] },
+            outputs: { type: ['image/png'] }
+        });
+        const pipeline = new Engine({ skipMetadataExtraction: true });
+        pipeline.registerTransformer(watermark);
+        pipeline.registerTransformer(convert);
+
+        const { plan, result } = await runPlan(pipeline, {
+            type: 'image/png',
+            name: 'rendition.png',
+            inputs: { logo: { type: 'image/tiff', path: './test/files/file.tif' } }
+        });
+
+        assert.ok(!result.renditionErrors);
+        assert.deepStrictEqual(plan.steps.map(step => step.name), ['convert', 'watermark']);
+        assert.deepStrictEqual(plan.steps.map(step => step.state), [STEP_STATE.SUCCEEDED, STEP_STATE.SUCCEEDED]);
+        assert.strictEqual(convert.executionCount, 1);
+        assert.strictEqual(watermark.received.logo.path, plan.steps[0].outputReference.path);
+        assert.ok(watermark.logoExists);
+        // the main input is the source, not the output of the slot chain
+        assert.strictEqual(watermark.received.input.path, 'test/files/file.png');
+    });
+
+    it("Runs the slot chain again when resuming a plan without its output", async function () {
+        const convert = new CopyTransformer("convert", {
+            inputs: { type: ['image/tiff'] },
+            outputs: { type: ['image/png'] }
+        });
+        const failing = new WatermarkTransformer();
+        failing.compute = async () => {
+            throw new SourceCorruptError("watermark failed");
+        };
+        const pipeline = new Engine({ skipMetadataExtraction: true });
+        pipeline.registerTransformer(failing);
+        pipeline.registerTransformer(convert);
+        const rendition = {
+            type: 'image/png',
+            name: 'rendition.png',
+            inputs: { logo: { type: 'image/tiff', path: './test/files/file.tif' } }
+        };
+        const { plan: failed } = await runPlan(pipeline, rendition);
+        assert.deepStrictEqual(failed.steps.map(step => step.state), [STEP_STATE.SUCCEEDED, STEP_STATE.FAILED]);
+
+        // the output of the slot chain was cleaned up
+        const plan = Plan.fromObject(JSON.parse(JSON.stringify(failed.toObject())));
+        const watermark = new WatermarkTransformer();
+        const resumed = new Engine({ skipMetadataExtraction: true });
+        resumed.registerTransformer(watermark);
+        resumed.registerTransformer(convert);
+        await resumed.run(plan);
+
+        assert.strictEqual(plan.state, PLAN_STATE.SUCCEEDED);
+        assert.strictEqual(convert.executionCount, 2);
+        assert.ok(watermark.logoExists);
+        assert.strictEqual(watermark.received.input.path, 'test/files/file.png');
+    });
+});
+
+describe("Pipeline Engine multiple outputs tests", function () {
+    let sendEventStub;
+    beforeEach(function () {
+        process.env.WORKER_BASE_DIRECTORY = 'build/work';
+        process.env.ASSET_COMPUTE_DISABLE_RETRIES = true;
+        sendEventStub = sinon.stub(AssetComputeEvents.prototype, 'sendEvent').resolves();
+    });
+
+    afterEach(function () {
+        sendEventStub.restore();
+        delete process.env.WORKER_BASE_DIRECTORY;
+        delete process.env.ASSET_COMPUTE_DISABLE_RETRIES;
+        nock.cleanAll();
+    });
+
+    const PNG_SIZE = fs.statSync('./test/files/file.png').size;
+
+    // writes one file per page
+    class SplitTransformer extends Transformer {
+        constructor(pages, cardinality = { max: 5 }) {
+            super("splitTransformer", new Manifest({
+                inputs: { type: ['image/tiff'] },
+                outputs: { type: ['image/png'] },
+                cardinality
+            }));
+            this.pages = pages;
+        }
+
+        async compute(input, outputs) {
+            this.collection = outputs;
+            for (let page = 0; page < this.pages; page++) {
+                const output = outputs.add({ page });
+                await fs.copy('./test/files/file.png', output.path);
+            }
+        }
+    }
+
+    function createPlan(output, withResize) {
+        const plan = new Plan();
+        plan.add("splitTransformer", {
+            input: { type: 'image/tiff', path: './test/files/file.tif' },
+            output: withResize ? { type: 'image/png' } : output
+        });
+        if (withResize) {
+            plan.add("resizeTransformer", {
+                input: { type: 'image/png' },
+                output
+            });
+        }
+        return plan;
+    }
+
+    function createPipeline(...transformers) {
+        const pipeline = new Engine({ skipMetadataExtraction: true });
+        transformers.forEach(transformer => pipeline.registerTransformer(transformer));
+        return pipeline;
+    }
+
+    it("Uploads every file and lists them in the event", async function () {
+        nock('https://example.com')
+            .put('/page0').reply(201)
+            .put('/page1').reply(201)
+            .put('/page2').reply(201);
+        const split = new SplitTransformer(3);
+        const plan = createPlan({
+            type: 'image/png',
+            name: 'page.png',
+            target: ['https://example.com/page0', 'https://example.com/page1', 'https://example.com/page2']
+        });
+
+        const result = await createPipeline(split).run(plan);
+
+        assert.ok(!result.renditionErrors);
+        assert.ok(nock.isDone());
+        assert.ok(split.collection instanceof RenditionCollection);
+        assert.strictEqual(split.collection.length, 3);
+        const reference = plan.steps[0].outputReference;
+        assert.strictEqual(reference.size, 3 * PNG_SIZE);
+        assert.deepStrictEqual(reference.parts.map(part => path.basename(part.path)), ['rendition0-0.png', 'rendition0-1.png', 'rendition0-2.png']);
+
+        const event = sendEventStub.getCalls().find(call => call.args[0] === "rendition_created").args[1];
+        assert.strictEqual(event.rendition.name, 'page.png');
+        assert.strictEqual(event.rendition.target, undefined);
+        assert.strictEqual(event.metadata["repo:size"], 3 * PNG_SIZE);
+        assert.strictEqual(event.parts.length, 3);
+        assert.deepStrictEqual(event.parts[1].rendition, { type: 'image/png', fmt: 'png', name: 'page-1.png', page: 1 });
+        assert.strictEqual(event.parts[1].metadata["repo:size"], PNG_SIZE);
+        assert.strictEqual(event.parts[1].metadata["dc:format"], 'image/png');
+    });
+
+    it("Runs the next step once for each file", async function () {
+        const split = new SplitTransformer(2);
+        const resize = new CopyTransformer("resizeTransformer", {
+            inputs: { type: ['image/png'] },
+            outputs: { type: ['image/png'] }
+        });
+        const plan = createPlan({ type: 'image/png', name: 'thumbnail.png' }, true);
+
+        const output = await createPipeline(split, resize).executePlan(plan);
+
+        assert.strictEqual(plan.state, PLAN_STATE.SUCCEEDED);
+        assert.strictEqual(resize.executionCount, 2);
+        assert.strictEqual(plan.steps[1].attributes.input.parts.length, 2);
+        assert.deepStrictEqual(plan.steps[1].attributes.input.parts[0], {
+            type: 'image/png',
+            path: plan.steps[0].outputReference.parts[0].path,
+            size: PNG_SIZE
+        });
+        assert.deepStrictEqual(output.parts.map(part => part.instructions.name), ['thumbnail-0.png', 'thumbnail-1.png']);
+        assert.ok(output.parts.every(part => part.exists()));
+        assert.deepStrictEqual(output.parts.map(part => path.basename(part.path)), ['rendition0-0.png', 'rendition0-1.png']);
+    });
+
+    it("Fails if the number of files does not match the cardinality", async function () {
+        const plan = createPlan({ type: 'image/png' });
+
+        const result = await createPipeline(new SplitTransformer(6)).run(plan);
+
+        assert.strictEqual(plan.state, PLAN_STATE.FAILED);
+        assert.strictEqual(result.renditionErrors[0].message, "Transformer splitTransformer produced 6 files, expected 1 to 5");
+
+        const tooFew = await createPipeline(new SplitTransformer(1, { min: 2 })).run(createPlan({ type: 'image/png' }));
+        assert.strictEqual(tooFew.renditionErrors[0].message, "Transformer splitTransformer produced 1 files, expected at least 2");
+    });
+
+    it("Fails the upload if files have no target", async function () {
+        const plan = createPlan({ type: 'image/png', target: 'https://example.com/page' });
+
+        const result = await createPipeline(new SplitTransformer(2)).run(plan);
+
+        assert.strictEqual(result.renditionErrors[0].message, "Rendition 0 has 2 files but only 1 target(s)");
+        const event = sendEventStub.getCalls().find(call => call.args[0] === "rendition_failed").args[1];
+        assert.strictEqual(event.errorMessage, "Rendition 0 has 2 files but only 1 target(s)");
+    });
+
+    it("Resumes a plan with the files of a previous run", async function () {
+        const resize = new CopyTransformer("resizeTransformer", {
+            inputs: { type: ['image/png'] },
+            outputs: { type: ['image/png'] }
+        });
+        const failing = new CopyTransformer("resizeTransformer", resize.manifest.settings);
+        failing.compute = async () => {
+            throw new SourceCorruptError("resize failed");
+        };
+        const split = new SplitTransformer(2);
+        const failed = createPlan({ type: 'image/png' }, true);
+        await createPipeline(split, failing).executePlan(failed);
+        assert.deepStrictEqual(failed.steps.map(step => step.state), [STEP_STATE.SUCCEEDED, STEP_STATE.FAILED]);
+        // keep the files of the first run, they are removed by the cleanup of a full run only
+        const plan = Plan.fromObject(JSON.parse(JSON.stringify(failed.toObject())));
+
+        const resumedSplit = new SplitTransformer(2);
+        const output = await createPipeline(resumedSplit, resize).executePlan(plan);
+
+        assert.strictEqual(plan.state, PLAN_STATE.SUCCEEDED);
+        assert.strictEqual(resumedSplit.collection, undefined);
+        assert.strictEqual(resize.executionCount, 2);
+        assert.strictEqual(output.parts.length, 2);
+    });
+});
+
+describe("Pipeline Engine simulation tests", function () {
+    let sendEventStub;
+    let metricsStub;
+    beforeEach(function () {
+        process.env.WORKER_BASE_DIRECTORY = 'build/work';
+        sendEventStub = sinon.stub(AssetComputeEvents.prototype, 'sendEvent').resolves();
+        metricsStub = sinon.stub(AssetComputeMetrics.prototype, 'handleError').resolves();
+    });
+
+    afterEach(function () {
+        sendEventStub.restore();
+        metricsStub.restore();
+        delete process.env.WORKER_BASE_DIRECTORY;
+        nock.cleanAll();
+    });
+
+    function createPipeline() {
+        const pipeline = new Engine();
+        pipeline.registerTransformer(new CopyTransformer("convert", {
+            inputs: { type: ['image/tiff'] },
+            outputs: { type: ['image/png'] },
+            cost: { fixed: 1, perMegapixel: 2 },
+            duration: { expected: 1000, max: 5000 }
+        }));
+        pipeline.registerTransformer(new CopyTransformer("resize", {
+            inputs: { type: ['image/png'] },
+            outputs: { type: ['image/jpeg'], width: { min: 1, max: 1000 } },
+            duration: { expected: 500 }
+        }));
+        return pipeline;
+    }
+
+    it("Plans and simulates without downloading or sending events", async function () {
+        const pipeline = createPipeline();
+        const source = { type: 'image/tiff', url: 'https://example.com/source.tif', width: 2000, height: 1000 };
+        const plan = new Plan();
+
+        await pipeline.refinePlan(plan, source, { type: 'image/jpeg', width: 500, target: 'https://example.com/target' }, { dryRun: true });
+        const report = pipeline.simulate(plan);
+
+        assert.deepStrictEqual(plan.steps.map(step => step.name), ['convert', 'resize']);
+        assert.ok(report.valid);
+        assert.deepStrictEqual(report.problems, []);
+        assert.deepStrictEqual(report.steps.map(step => step.name), ['convert', 'resize']);
+        assert.deepStrictEqual(report.steps.map(step => step.cost), [5, 1]);
+        assert.strictEqual(report.cost, 6);
+        assert.deepStrictEqual(report.duration, { expected: 1500, max: undefined });
+        assert.strictEqual(report.steps[1].output.target, undefined);
+        assert.strictEqual(report.steps[1].output.width, 500);
+        assert.ok(!JSON.stringify(report).includes('source.tif'));
+        assert.strictEqual(plan.state, PLAN_STATE.INITIAL);
+        assert.ok(sendEventStub.notCalled);
+        assert.ok(metricsStub.notCalled);
+    });
+
+    it("Throws if no plan is found in a dry run", async function () {
+        const pipeline = createPipeline();
+        const plan = new Plan();
+
+        await assert.rejects(pipeline.refinePlan(plan, { type: 'video/mp4', width: 100, height: 100 }, { type: 'image/png' }, { dryRun: true }));
+
+        assert.strictEqual(plan.state, PLAN_STATE.FAILED);
+        assert.ok(sendEventStub.notCalled);
+        assert.ok(metricsStub.notCalled);
+        assert.deepStrictEqual(pipeline.simulate(plan).problems, [{ path: 'steps', message: 'plan has no steps' }]);
+    });
+
+    it("Reports steps not supported by their transformer", function () {
+        const pipeline = createPipeline();
+        const plan = new Plan();
+        plan.add("convert", {
+            input: { type: 'image/tiff', path: './test/files/file.tif' },
+            output: { type: 'image/png' }
+        });
+        plan.add("resize", {
+            input: { type: 'image/jpeg' },
+            output: { type: 'image/jpeg', width: 2000 },
+            condition: 'large'
+        });
+        plan.add("unknown", {
+            input: { type: 'image/jpeg' },
+            output: { type: 'image/jpeg' }
+        });
+
+        const report = pipeline.simulate(plan);
+
+        assert.ok(!report.valid);
+        assert.deepStrictEqual(report.problems, [
+            { path: 'steps[1].input.type', message: 'not supported by transformer resize: expected ["image/png"], found "image/jpeg"' },
+            { path: 'steps[1].output.width', message: 'not supported by transformer resize: expected {"min":1,"max":1000}, found 2000' },
+            { path: 'steps[1].input.type', message: 'does not match the output of the previous step: expected "image/png", found "image/jpeg"' },
+            { path: 'steps[1].condition', message: 'must be an object, found: "large"' },
+            { path: 'steps[2]', message: 'transformer unknown is not registered' }
+        ]);
+        assert.deepStrictEqual(report.duration, { expected: 1500, max: undefined });
+        // nothing ran
+        assert.strictEqual(plan.state, PLAN_STATE.INITIAL);
+        assert.deepStrictEqual(plan.steps.map(step => step.state), [STEP_STATE.PENDING, STEP_STATE.PENDING, STEP_STATE.PENDING]);
+    });
+});
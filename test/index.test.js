@@ -69,6 +69,10 @@ describe("Test export index.js", function() {
         assert.strictEqual(typeof pipeline.Engine, "function");
         assert.strictEqual(typeof pipeline.Manifest, "function");
         assert.strictEqual(typeof pipeline.Transformer, "function");
+        assert.strictEqual(typeof pipeline.normalizeMimetype, "function");
+        assert.strictEqual(typeof pipeline.addMimetypeAlias, "function");
+        assert.strictEqual(typeof pipeline.TransformerTimeoutError, "function");
+        assert.strictEqual(typeof pipeline.CancelledError, "function");
 
     });
 });
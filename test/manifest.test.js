@@ -23,4 +23,194 @@ describe("Manifest test", function() {
         const manifest = new Manifest();
         assert.ok(manifest);
     });
-});
\ No newline at end of file
+});
+describe("Manifest validation", function() {
+
+    it("accepts a valid manifest", function() {
+        const manifest = new Manifest({
+            inputs: {
+                type: ['image/tiff', 'image/svg+xml', 'video/*', '*/*+xml'],
+                sourceType: 'URL',
+                width: { min: 1, max: 2000 },
+                height: { min: 0, exclusiveMin: true },
+                quality: { max: 100, step: 5 },
+                colorProfile: ['rgb', 'cmyk'],
+                alphaChannel: [],
+                dpi: 72
+            },
+            outputs: {
+                type: 'machine-json'
+            },
+            cost: { fixed: 1, perMegapixel: 0.5 },
+            derive: {
+                height: 'preserveAspectRatio',
+                width: ['noUpscale', 'keepInput'],
+                fps: (output, input) => Math.min(input.fps, 30),
+                type: null
+            }
+        });
+        assert.deepStrictEqual(manifest.validate(), []);
+    });
+
+    it("requires inputs and outputs", function() {
+        assert.deepStrictEqual(new Manifest().validate(), [
+            { path: 'inputs', message: 'is required' },
+            { path: 'outputs', message: 'is required' }
+        ]);
+        assert.deepStrictEqual(new Manifest({ inputs: [], outputs: 'image/png' }).validate(), [
+            { path: 'inputs', message: 'must be an object' },
+            { path: 'outputs', message: 'must be an object' }
+        ]);
+    });
+
+    it("reports every problem with its attribute path", function() {
+        const manifest = new Manifest({
+            inputs: {
+                type: ['image/png', 'not a mime type', 1, 'image/**'],
+                sourceType: 'REMOTE',
+                width: { min: 10, max: 1 },
+                height: { min: '1', max: 100, default: 2 },
+                colorProfile: ['rgb', 1],
+                other: () => {}
+            },
+            outputs: {
+                type: { min: 1, max: 2 }
+            },
+            cost: { fixed: -1, other: 1 }
+        });
+        assert.deepStrictEqual(manifest.validate().map(problem => problem.path), [
+            'inputs.type',
+            'inputs.type[1]',
+            'inputs.type[2]',
+            'inputs.type[3]',
+            'inputs.sourceType',
+            'inputs.width',
+            'inputs.height.default',
+            'inputs.height.min',
+            'inputs.colorProfile',
+            'inputs.other',
+            'outputs.type',
+            'cost.fixed',
+            'cost.other'
+        ]);
+        assert.deepStrictEqual(manifest.validate()[5], { path: 'inputs.width', message: 'min (10) must not be greater than max (1)' });
+    });
+
+    it("validates open ended, exclusive and stepped ranges", function() {
+        const manifest = new Manifest({
+            inputs: {
+                width: {},
+                height: { min: 1, max: 1, exclusiveMax: true },
+                quality: { max: 100, step: 0 },
+                fps: { min: 1, exclusiveMin: 'yes' }
+            },
+            outputs: {}
+        });
+        assert.deepStrictEqual(manifest.validate(), [
+            { path: 'inputs.width', message: 'range must have a min or a max' },
+            { path: 'inputs.height', message: 'range with exclusive bounds min (1) and max (1) is empty' },
+            { path: 'inputs.quality.step', message: 'must be greater than 0, found: 0' },
+            { path: 'inputs.fps.exclusiveMin', message: 'must be a boolean, found: "yes"' }
+        ]);
+    });
+
+    it("validates derivation rules", function() {
+        const manifest = new Manifest({
+            inputs: {},
+            outputs: {},
+            derive: { width: 'unknown', height: ['keepInput', 'toString'] }
+        });
+        assert.deepStrictEqual(manifest.validate().map(problem => problem.path), ['derive.width', 'derive.height']);
+        assert.deepStrictEqual(new Manifest({ inputs: {}, outputs: {}, derive: [] }).validate(), [
+            { path: 'derive', message: 'must be an object' }
+        ]);
+    });
+
+    it("validates durations", function() {
+        assert.deepStrictEqual(new Manifest({ inputs: {}, outputs: {}, duration: { expected: 1000, max: 5000 } }).validate(), []);
+        assert.deepStrictEqual(new Manifest({ inputs: {}, outputs: {}, duration: { expected: 0, max: '1', other: 1 } }).validate(), [
+            { path: 'duration.expected', message: 'must be a positive number of milliseconds, found: 0' },
+            { path: 'duration.max', message: 'must be a positive number of milliseconds, found: "1"' },
+            { path: 'duration.other', message: 'is not a duration property (expected, max)' }
+        ]);
+        // setTimeout fires immediately for longer delays
+        assert.deepStrictEqual(new Manifest({ inputs: {}, outputs: {}, duration: { expected: 1000, max: Infinity } }).validate(), [
+            { path: 'duration.max', message: 'must not be greater than 2147483647 milliseconds, found: Infinity' }
+        ]);
+        assert.deepStrictEqual(new Manifest({ inputs: {}, outputs: {}, duration: { max: 2147483648 } }).validate(), [
+            { path: 'duration.max', message: 'must not be greater than 2147483647 milliseconds, found: 2147483648' }
+        ]);
+        assert.deepStrictEqual(new Manifest({ inputs: {}, outputs: {}, duration: { expected: 2000, max: 1000 } }).validate(), [
+            { path: 'duration', message: 'expected (2000) must not be greater than max (1000)' }
+        ]);
+    });
+
+    it("validates retry policies", function() {
+        assert.deepStrictEqual(new Manifest({
+            inputs: {},
+            outputs: {},
+            retry: { maxAttempts: 3, backoff: 500, backoffFactor: 2, reasons: ['GenericError', 'ECONNRESET'] }
+        }).validate(), []);
+        assert.deepStrictEqual(new Manifest({
+            inputs: {},
+            outputs: {},
+            retry: { maxAttempts: 1.5, backoff: -1, backoffFactor: 0.5, reasons: ['SourceCorrupt', 1], delay: 1 }
+        }).validate(), [
+            { path: 'retry.delay', message: 'is not a retry property (maxAttempts, backoff, backoffFactor, reasons)' },
+            { path: 'retry.maxAttempts', message: 'must be a positive integer, found: 1.5' },
+            { path: 'retry.backoff', message: 'must be a non-negative number of milliseconds, found: -1' },
+            { path: 'retry.backoffFactor', message: 'must be a number of at least 1, found: 0.5' },
+            { path: 'retry.reasons[0]', message: 'SourceCorrupt is a client error and is never retried' },
+            { path: 'retry.reasons[1]', message: 'must be a non-empty string, found: 1' }
+        ]);
+        assert.deepStrictEqual(Manifest.validateRetry('3', 'options.retry'), [
+            { path: 'options.retry', message: 'must be an object' }
+        ]);
+    });
+
+    it("validates slots", function() {
+        const manifest = new Manifest({
+            inputs: { type: ['image/png'] },
+            slots: { logo: { type: ['image/png', 'image/svg+xml'], width: { max: 1000 } } },
+            outputs: { type: ['image/jpeg'] }
+        });
+        assert.deepStrictEqual(manifest.validate(), []);
+        assert.deepStrictEqual(manifest.slots.logo.type, ['image/png', 'image/svg+xml']);
+
+        assert.deepStrictEqual(new Manifest({
+            inputs: {},
+            outputs: {},
+            slots: { input: {}, logo: 'image/png', overlay: { type: 1, width: { min: 10, max: 1 } } }
+        }).validate(), [
+            { path: 'slots.input', message: 'input is the name of the main input and cannot be used for a slot' },
+            { path: 'slots.logo', message: 'must be an object' },
+            { path: 'slots.overlay.type', message: 'must be a mime type, found: 1' },
+            { path: 'slots.overlay.width', message: 'min (10) must not be greater than max (1)' }
+        ]);
+        assert.deepStrictEqual(new Manifest({ inputs: {}, outputs: {}, slots: [] }).validate(), [
+            { path: 'slots', message: 'must be an object' }
+        ]);
+    });
+
+    it("validates cardinality", function() {
+        const manifest = new Manifest({
+            inputs: { type: ['application/pdf'] },
+            outputs: { type: ['image/png'] },
+            cardinality: { min: 1, max: 500 }
+        });
+        assert.deepStrictEqual(manifest.validate(), []);
+        assert.deepStrictEqual(manifest.cardinality, { min: 1, max: 500 });
+
+        assert.deepStrictEqual(new Manifest({ inputs: {}, outputs: {}, cardinality: { min: 2, max: 1 } }).validate(), [
+            { path: 'cardinality', message: 'min (2) must not be greater than max (1)' }
+        ]);
+        assert.deepStrictEqual(new Manifest({ inputs: {}, outputs: {}, cardinality: { min: -1, max: 0, count: 3 } }).validate(), [
+            { path: 'cardinality.min', message: 'must be a positive integer, found: -1' },
+            { path: 'cardinality.max', message: 'must be a positive integer, found: 0' },
+            { path: 'cardinality.count', message: 'is not a cardinality property (min, max)' }
+        ]);
+        assert.deepStrictEqual(new Manifest({ inputs: {}, outputs: {}, cardinality: 3 }).validate(), [
+            { path: 'cardinality', message: 'must be an object' }
+        ]);
+    });
+});
@@ -0,0 +1,33 @@
+/*
+ * Copyright 2021 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+// minimal AbortController for node versions without a global one
+class MockAbortController {
+    constructor() {
+        const listeners = new Set();
+        this.signal = {
+            aborted: false,
+            addEventListener: (type, listener) => listeners.add(listener),
+            removeEventListener: (type, listener) => listeners.delete(listener)
+        };
+        this.abort = () => {
+            if (!this.signal.aborted) {
+                this.signal.aborted = true;
+                listeners.forEach(listener => listener());
+            }
+        };
+    }
+}
+
+module.exports = typeof AbortController === 'function' ? AbortController : MockAbortController;
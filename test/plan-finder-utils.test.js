@@ -29,9 +29,16 @@ const {
     arrayIntersect,
     arrayRangeIntersect,
     rangeIntersect,
+    inRange,
     manifestIntersection,
     checkInputMatches,
-    bestOfIntersection  
+    inputMismatches,
+    manifestMismatches,
+    bestOfIntersection,
+    deriveAttributes,
+    mimeTypeMatches,
+    mimeTypeIntersect,
+    stepCost
 } = require('../lib/plan-finder-utils');
 const assert = require('assert');
 
@@ -475,4 +482,193 @@ describe('bestOfIntersection', function() {
         
     });
 
-});
\ No newline at end of file
+    it("stepCost", () => {
+        // default cost without a cost model
+        assert.strictEqual(stepCost(), 1);
+        assert.strictEqual(stepCost(null, { width: 100 }), 1);
+        assert.strictEqual(stepCost([], {}), 1);
+
+        assert.strictEqual(stepCost({ fixed: 2 }), 2);
+        assert.strictEqual(stepCost({ fixed: 2, perMegapixel: 2 }, { width: 2000, height: 1000 }), 6);
+        assert.strictEqual(stepCost({ perSecond: 0.5 }, { duration: 10 }), 5);
+        assert.strictEqual(stepCost({ fixed: 1, qualityPenalty: 3 }, {}), 4);
+        // missing input metadata does not add costs
+        assert.strictEqual(stepCost({ fixed: 1, perMegapixel: 2, perSecond: 2 }, { width: 100 }), 1);
+    });
+});
+
+describe('inputMismatches', function() {
+    it("lists rejected attributes", () => {
+        const target = {
+            type: ['image/png'],
+            width: { min: 1, max: 319 },
+            colorProfile: 'rgb'
+        };
+        assert.deepStrictEqual(inputMismatches(target, { type: 'image/png', width: 100, colorProfile: 'rgb' }), []);
+        assert.deepStrictEqual(inputMismatches(target, { type: 'image/jpeg', width: 400, colorProfile: 'rgb', other: 1 }), [
+            { attribute: 'type', expected: ['image/png'], actual: 'image/jpeg' },
+            { attribute: 'width', expected: { min: 1, max: 319 }, actual: 400 }
+        ]);
+    });
+    it("reports missing sensei features", () => {
+        const target = { type: 'image/png', senseiRequestFlag: 'autoTag' };
+        assert.deepStrictEqual(inputMismatches(target, { type: 'image/png', features: { autoTag: false } }), [
+            { attribute: 'features.autoTag', expected: true, actual: false }
+        ]);
+    });
+    it("invalid objects", () => {
+        assert.strictEqual(inputMismatches(undefined, {}).length, 1);
+        assert.strictEqual(inputMismatches({}, null).length, 1);
+    });
+});
+
+describe('manifestMismatches', function() {
+    it("lists attributes without intersection", () => {
+        assert.deepStrictEqual(manifestMismatches(
+            { type: ['image/png'], width: { min: 1, max: 100 } },
+            { type: ['image/png'], width: { min: 200, max: 300 } }
+        ), [
+            { attribute: 'width', expected: { min: 200, max: 300 }, actual: { min: 1, max: 100 } }
+        ]);
+    });
+    it("requires type", () => {
+        assert.deepStrictEqual(manifestMismatches({ width: 1 }, { width: 1 }), [
+            { attribute: 'type', expected: undefined, actual: undefined }
+        ]);
+        assert.deepStrictEqual(manifestMismatches({ type: 'image/png' }, { type: 'image/png' }), []);
+    });
+});
+
+describe('mime type wildcards', function() {
+    it("mimeTypeMatches", () => {
+        assert.ok(mimeTypeMatches('image/png', 'image/png'));
+        assert.ok(mimeTypeMatches('image/*', 'image/png'));
+        assert.ok(mimeTypeMatches('image/*', 'image/svg+xml'));
+        assert.ok(mimeTypeMatches('*/*', 'video/mp4'));
+        assert.ok(mimeTypeMatches('*/*+xml', 'image/svg+xml'));
+        assert.ok(mimeTypeMatches('*/*+xml', 'application/rss+xml'));
+        assert.ok(mimeTypeMatches('application/*+json', 'application/ld+json'));
+        assert.ok(mimeTypeMatches(1, 1));
+
+        assert.ok(!mimeTypeMatches('image/png', 'image/jpeg'));
+        assert.ok(!mimeTypeMatches('image/*', 'video/mp4'));
+        assert.ok(!mimeTypeMatches('*/*+xml', 'application/xml'));
+        assert.ok(!mimeTypeMatches('*/*+xml', 'image/png'));
+        assert.ok(!mimeTypeMatches('image/*', undefined));
+        assert.ok(!mimeTypeMatches('image/*', 1));
+    });
+    it("mimeTypeIntersect", () => {
+        assert.deepStrictEqual(mimeTypeIntersect(['image/png', 'image/gif', 'video/mp4'], 'image/*'), ['image/png', 'image/gif']);
+        assert.deepStrictEqual(mimeTypeIntersect('image/*', ['image/png', 'video/mp4']), ['image/png']);
+        assert.deepStrictEqual(mimeTypeIntersect(['image/svg+xml', 'image/png'], ['*/*+xml']), ['image/svg+xml']);
+        assert.deepStrictEqual(mimeTypeIntersect('image/*', '*/*'), ['image/*']);
+        assert.deepStrictEqual(mimeTypeIntersect(['video/mp4'], ['image/*']), []);
+    });
+    it("checkInputMatches with wildcards", () => {
+        assert.ok(checkInputMatches({ type: ['image/*'] }, { type: 'image/tiff' }));
+        assert.ok(checkInputMatches({ type: 'image/*' }, { type: 'image/tiff' }));
+        assert.ok(checkInputMatches({ type: ['video/*', '*/*+xml'] }, { type: 'image/svg+xml' }));
+        assert.ok(!checkInputMatches({ type: ['image/*'] }, { type: 'video/mp4' }));
+    });
+    it("manifestIntersection with wildcards", () => {
+        assert.deepStrictEqual(manifestIntersection(
+            { type: ['image/png', 'image/jpeg', 'application/pdf'], width: { min: 1, max: 100 } },
+            { type: ['image/*'], width: { min: 50, max: 200 } }
+        ), {
+            type: ['image/png', 'image/jpeg'],
+            width: { min: 50, max: 100 }
+        });
+        assert.deepStrictEqual(manifestIntersection({ type: 'image/svg+xml' }, { type: '*/*+xml' }), { type: 'image/svg+xml' });
+        assert.deepStrictEqual(manifestIntersection({ type: ['application/pdf'] }, { type: ['image/*'] }), {});
+    });
+});
+
+describe('open ended, exclusive and stepped ranges', function() {
+    it("inRange", () => {
+        assert.ok(inRange(5, { min: 1 }));
+        assert.ok(inRange(5, { max: 5 }));
+        assert.ok(!inRange(5, { max: 5, exclusiveMax: true }));
+        assert.ok(!inRange(1, { min: 1, exclusiveMin: true }));
+        assert.ok(inRange(1.5, { min: 1, exclusiveMin: true }));
+        assert.ok(inRange(85, { min: 0, max: 100, step: 5 }));
+        assert.ok(!inRange(87, { min: 0, max: 100, step: 5 }));
+        assert.ok(inRange(0.3, { max: 1, step: 0.1 }));
+        assert.ok(inRange('10', { min: 1 }));
+        assert.ok(!inRange('abc', { min: 1 }));
+        assert.ok(!inRange(undefined, { min: 1 }));
+        assert.ok(!inRange(5, {}));
+    });
+    it("rangeIntersect", () => {
+        assert.deepStrictEqual(rangeIntersect({ min: 1 }, { max: 100 }), { min: 1, max: 100 });
+        assert.deepStrictEqual(rangeIntersect({ min: 1 }, { min: 10 }), { min: 10 });
+        assert.deepStrictEqual(rangeIntersect({ min: 1, max: 10, exclusiveMax: true }, { min: 5, max: 10 }), { min: 5, max: 10, exclusiveMax: true });
+        assert.deepStrictEqual(rangeIntersect({ min: 1, max: 10 }, { min: 10, exclusiveMin: true }), null);
+        assert.deepStrictEqual(rangeIntersect({ min: 0, max: 100, step: 5 }, { min: 1, max: 50, step: 2 }), { min: 1, max: 50, step: 10 });
+        assert.deepStrictEqual(rangeIntersect({ min: 0, max: 100, step: 10 }, { min: 41, max: 49 }), null);
+        assert.deepStrictEqual(rangeIntersect({ max: 1, step: 0.2 }, { min: 0, step: 0.3 }), { min: 0, max: 1, step: 0.6 });
+    });
+    it("arrayRangeIntersect", () => {
+        assert.deepStrictEqual(arrayRangeIntersect([1, 5, 10, 12, 200], { min: 5, step: 5 }), [5, 10, 200]);
+        assert.deepStrictEqual(arrayRangeIntersect([1, 5, 10], { max: 10, exclusiveMax: true }), [1, 5]);
+    });
+    it("checkInputMatches", () => {
+        assert.ok(checkInputMatches({ width: { min: 1 } }, { width: 100000 }));
+        assert.ok(!checkInputMatches({ width: { min: 1 } }, { width: 0 }));
+        assert.ok(checkInputMatches({ quality: { max: 100, step: 5 } }, { quality: 90 }));
+        assert.ok(!checkInputMatches({ quality: { max: 100, step: 5 } }, { quality: 91 }));
+    });
+    it("manifestIntersection", () => {
+        assert.deepStrictEqual(manifestIntersection(
+            { type: 'image/png', width: { min: 1 }, quality: { max: 100, step: 5 } },
+            { type: 'image/png', width: { max: 319 }, quality: 90 }
+        ), { type: 'image/png', width: { min: 1, max: 319 }, quality: 90 });
+    });
+    it("bestOfIntersection", () => {
+        assert.deepStrictEqual(bestOfIntersection({ quality: { max: 99, step: 5 } }, {}), { quality: 95 });
+        assert.deepStrictEqual(bestOfIntersection({ quality: { max: 100, exclusiveMax: true, step: 5 } }, {}), { quality: 95 });
+        assert.deepStrictEqual(bestOfIntersection({ width: { max: 320, exclusiveMax: true } }, {}), { width: 319 });
+        // no upper bound: no best value unless the input provides one
+        assert.deepStrictEqual(bestOfIntersection({ dpi: { min: 72 } }, {}), {});
+        assert.deepStrictEqual(bestOfIntersection({ width: { min: 1 } }, { width: 500 }), { width: 500 });
+        assert.deepStrictEqual(bestOfIntersection({ width: { min: 1, max: 1000, step: 16 } }, { width: 500 }), { width: 496 });
+        assert.deepStrictEqual(bestOfIntersection({ width: { min: 100, max: 1000 } }, { width: 50 }), { width: 50 });
+    });
+});
+
+describe('deriveAttributes', function() {
+    const input = { type: 'video/mp4', width: 1920, height: 1080, fps: 60 };
+
+    it("built-in rules", () => {
+        assert.deepStrictEqual(deriveAttributes({ width: 3000 }, input, {}, { width: 'noUpscale' }), { width: 1920 });
+        assert.deepStrictEqual(deriveAttributes({}, input, {}, { height: 'keepInput' }), { height: 1080 });
+        assert.deepStrictEqual(deriveAttributes({ type: 'video/webm' }, input, { type: ['video/webm', 'video/mp4'] }, { type: 'preferInput' }),
+            { type: 'video/mp4' });
+        assert.deepStrictEqual(deriveAttributes({ width: 640, height: 640 }, input, {}, { height: 'preserveAspectRatio' }),
+            { width: 640, height: 360 });
+        assert.deepStrictEqual(deriveAttributes({ width: 640 }, {}, {}, { height: 'preserveAspectRatio' }), { width: 640 });
+    });
+    it("rules are applied in order", () => {
+        const output = deriveAttributes({ width: 3000 }, input, { width: { min: 1, max: 4000 } }, {
+            width: ['noUpscale', output => output.width / 2],
+            height: 'preserveAspectRatio'
+        });
+        assert.deepStrictEqual(output, { width: 960, height: 540 });
+    });
+    it("custom rules", () => {
+        const rules = {
+            fps: (output, input) => Math.min(input.fps, 30),
+            audio: () => undefined,
+            invalid: () => ({})
+        };
+        assert.deepStrictEqual(deriveAttributes({ audio: true, invalid: 1 }, input, {}, rules), { fps: 30, invalid: 1 });
+    });
+    it("null and unknown rules are ignored", () => {
+        assert.deepStrictEqual(deriveAttributes({ width: 3000 }, input, {}, { width: null, height: 'toString' }), { width: 3000 });
+    });
+    it("bestOfIntersection uses the rules", () => {
+        const intersection = { type: ['video/webm', 'video/mp4'], width: { min: 1, max: 4000 } };
+        // default rules
+        assert.deepStrictEqual(bestOfIntersection(intersection, input), { type: 'video/mp4', width: 1920, height: 1080 });
+        assert.deepStrictEqual(bestOfIntersection(intersection, input, {}), { type: 'video/webm', width: 4000 });
+    });
+});
@@ -0,0 +1,85 @@
+/*
+ * Copyright 2021 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+
+'use strict';
+
+const assert = require("assert");
+
+const { Plan } = require("../lib/plan");
+const { PlanTree } = require("../lib/plan-tree");
+
+function createPlan(...steps) {
+    const plan = new Plan();
+    for (const [name, attributes] of steps) {
+        plan.add(name, attributes);
+    }
+    return plan;
+}
+
+describe("PlanTree", function() {
+    it("shares identical prefixes", function() {
+        const flatten = { input: { type: 'image/psd' }, output: { type: 'image/png' } };
+        const plan1 = createPlan(["flatten", flatten], ["resize", { input: { type: 'image/png' }, output: { width: 100 } }]);
+        const plan2 = createPlan(["flatten", flatten], ["resize", { input: { type: 'image/png' }, output: { width: 200 } }]);
+
+        const tree = new PlanTree([plan1, plan2]);
+        assert.strictEqual(tree.toString(), "start -> flatten (2) -> { resize, resize }");
+
+        const node = tree.sharedNode(plan1.steps[0]);
+        assert.ok(node);
+        assert.strictEqual(node, tree.sharedNode(plan2.steps[0]));
+        assert.strictEqual(node.steps.length, 2);
+        assert.ok(!tree.sharedNode(plan1.steps[1]));
+        assert.ok(tree.node(plan1.steps[1]));
+    });
+
+    it("ignores attribute order and userData", function() {
+        const plan1 = createPlan(
+            ["flatten", { input: { type: 'image/psd', width: 10 }, output: { type: 'image/png', userData: { a: 1 } } }],
+            ["resize", { output: { width: 100 } }]
+        );
+        const plan2 = createPlan(
+            ["flatten", { output: { userData: { b: 2 }, type: 'image/png' }, input: { width: 10, type: 'image/psd' } }],
+            ["resize", { output: { width: 200 } }]
+        );
+
+        const tree = new PlanTree([plan1, plan2]);
+        assert.ok(tree.sharedNode(plan1.steps[0]));
+    });
+
+    it("does not share diverging steps", function() {
+        const plan1 = createPlan(["flatten", { output: { type: 'image/png' } }], ["resize", {}]);
+        const plan2 = createPlan(["flatten", { output: { type: 'image/jpeg' } }], ["resize", {}]);
+
+        const tree = new PlanTree([plan1, plan2]);
+        assert.strictEqual(tree.toString(), "start -> { flatten -> resize, flatten -> resize }");
+        assert.ok(!tree.sharedNode(plan1.steps[0]));
+    });
+
+    it("never shares the final step of a plan", function() {
+        const attributes = { input: { type: 'image/png' }, output: { type: 'image/jpeg' } };
+        const plan1 = createPlan(["convert", attributes]);
+        const plan2 = createPlan(["convert", attributes]);
+
+        const tree = new PlanTree([plan1, plan2]);
+        assert.ok(!tree.sharedNode(plan1.steps[0]));
+        assert.ok(!tree.sharedNode(plan2.steps[0]));
+    });
+
+    it("empty tree", function() {
+        const tree = new PlanTree();
+        assert.strictEqual(tree.toString(), "start");
+        assert.strictEqual(tree.node({}), undefined);
+    });
+});
@@ -16,11 +16,20 @@
 
 const assert = require("assert");
 
-const {Plan, PLAN_STATE} = require("../lib/plan");
+const {Plan, PLAN_STATE, STEP_STATE, PLAN_FORMAT_VERSION} = require("../lib/plan");
 
+// expected steps are written with their attributes next to the step name
 function assertPlan(plan, string, obj) {
     assert.strictEqual(plan.toString(), string);
-    assert.deepStrictEqual(plan.toObject(), obj);
+    const planObject = plan.toObject();
+    assert.strictEqual(planObject.version, PLAN_FORMAT_VERSION);
+    assert.deepStrictEqual(flattenSteps(planObject.steps), obj);
+}
+
+function flattenSteps(steps) {
+    return steps.map(({ attributes, steps, ...node }) => {
+        return steps ? { ...node, ...attributes, steps: flattenSteps(steps) } : { ...node, ...attributes };
+    });
 }
 
 describe("Plan", function() {
@@ -111,6 +120,34 @@ describe("Plan", function() {
         plan.fail();
         assert.strictEqual(plan.state, PLAN_STATE.SUCCEEDED);
     });
+    it("PLAN_STATE: inProgress -> cancelled", function() {
+        const plan = new Plan();
+
+        plan.add("one");
+        plan.advance();
+        assert.strictEqual(plan.state, PLAN_STATE.IN_PROGRESS);
+
+        plan.cancel();
+        assert.strictEqual(plan.state, PLAN_STATE.CANCELLED);
+
+        // once state is in cancelled, it cannot be changed
+        plan.advance();
+        assert.strictEqual(plan.state, PLAN_STATE.CANCELLED);
+        plan.fail();
+        assert.strictEqual(plan.state, PLAN_STATE.CANCELLED);
+    });
+    it("PLAN_STATE: cannot cancel failed or succeeded plans", function() {
+        const failed = new Plan();
+        failed.add("one");
+        failed.fail();
+        failed.cancel();
+        assert.strictEqual(failed.state, PLAN_STATE.FAILED);
+
+        const succeeded = new Plan();
+        succeeded.advance();
+        succeeded.cancel();
+        assert.strictEqual(succeeded.state, PLAN_STATE.SUCCEEDED);
+    });
 
     it("add", function() {
         const plan = new Plan();
@@ -337,6 +374,256 @@ describe("Plan", function() {
         });
     });
 
+    it("steps", function() {
+        const plan = new Plan();
+        assert.deepStrictEqual(plan.steps, []);
+
+        plan.add("one", { input: "input" });
+        plan.add("two");
+        plan.advance();
+        plan.add("one-1");
+
+        assert.deepStrictEqual(plan.steps.map(step => step.name), ["one", "one-1", "two"]);
+        assert.deepStrictEqual(plan.steps[0].attributes, { input: "input" });
+    });
+
+    it("replaceSteps", function() {
+        const plan = new Plan();
+        plan.add("one");
+        plan.add("two");
+        plan.advance();
+        assert.strictEqual(plan.state, PLAN_STATE.IN_PROGRESS);
+
+        plan.replaceSteps([{ name: "three", attributes: { input: "input" } }, { name: "four" }]);
+        assert.strictEqual(plan.toString(), "[start] -> { three -> four* }");
+        assert.strictEqual(plan.state, PLAN_STATE.IN_PROGRESS);
+        assert.deepStrictEqual(plan.steps[0].attributes, { input: "input" });
+
+        assert.strictEqual(plan.advance().name, "three");
+        assert.strictEqual(plan.advance().name, "four");
+        plan.advance();
+        assert.strictEqual(plan.state, PLAN_STATE.SUCCEEDED);
+    });
+
+    it("alternatives", function() {
+        const plan = new Plan();
+        assert.deepStrictEqual(plan.alternatives, []);
+        const alternatives = [{ steps: [{ name: "one" }], cost: 2 }];
+        plan.updateAlternatives(alternatives);
+        assert.strictEqual(plan.alternatives, alternatives);
+    });
+
+    it("step state, output reference, duration and messages", function() {
+        const plan = new Plan();
+        plan.add("one", { input: "input" });
+        plan.add("two");
+        const [one, two] = plan.steps;
+        assert.strictEqual(one.state, STEP_STATE.PENDING);
+        assert.throws(() => one.updateState("done"), { message: "Invalid step state: done" });
+
+        one.updateState(STEP_STATE.SUCCEEDED);
+        one.updateOutputReference({ type: "image/png", url: "https://example.com/one.png" });
+        one.updateDuration(120);
+        one.messages.push({ attempt: 1, message: "retried" });
+        two.updateState(STEP_STATE.RUNNING);
+
+        const obj = plan.toObject();
+        assert.deepStrictEqual(obj, {
+            version: PLAN_FORMAT_VERSION,
+            steps: [{
+                name: "one",
+                attributes: { input: "input" },
+                state: "succeeded",
+                outputReference: { type: "image/png", url: "https://example.com/one.png" },
+                duration: 120,
+                messages: [{ attempt: 1, message: "retried" }]
+            },{
+                name: "two",
+                state: "running"
+            }]
+        });
+
+        const copy = Plan.fromObject(JSON.parse(JSON.stringify(obj)));
+        assert.deepStrictEqual(copy.toObject(), obj);
+        assert.deepStrictEqual(copy.steps[0].attributes, { input: "input" });
+        assert.strictEqual(copy.steps[0].duration, 120);
+        assert.strictEqual(copy.steps[1].state, STEP_STATE.RUNNING);
+        assert.throws(() => Plan.fromObject([{ name: "one", state: "done" }]));
+    });
+
+    it("fail marks pending steps as not run", function() {
+        const plan = new Plan();
+        plan.add("one");
+        plan.add("two");
+        plan.advance();
+        plan.current.updateState(STEP_STATE.FAILED);
+        plan.fail();
+        assert.deepStrictEqual(plan.steps.map(step => step.state), [STEP_STATE.FAILED, STEP_STATE.NOT_RUN]);
+        // distinct from steps skipped by their condition, also once deserialized
+        assert.strictEqual(Plan.fromObject(plan.toObject()).steps[1].state, STEP_STATE.NOT_RUN);
+    });
+
+    it("resumeAt", function() {
+        const plan = new Plan();
+        plan.add("one");
+        plan.add("two");
+        const [, two] = plan.steps;
+
+        plan.resumeAt(two);
+        assert.strictEqual(plan.current, two);
+        assert.strictEqual(plan.state, PLAN_STATE.IN_PROGRESS);
+        assert.strictEqual(plan.advance(), undefined);
+        assert.strictEqual(plan.state, PLAN_STATE.SUCCEEDED);
+
+        const other = new Plan();
+        other.add("one");
+        assert.throws(() => other.resumeAt(two), { message: /not a step of this plan/ });
+        other.resumeAt(null);
+        assert.strictEqual(other.state, PLAN_STATE.SUCCEEDED);
+    });
+
+    it("toObject writes the versioned plan format", function() {
+        const plan = new Plan();
+        plan.add("one", { input: { type: "image/png" } });
+        plan.add("two");
+        plan.advance();
+        plan.add("nested");
+
+        assert.deepStrictEqual(plan.toObject(), {
+            version: 2,
+            steps: [{
+                name: "one",
+                attributes: { input: { type: "image/png" } },
+                current: true,
+                steps: [{
+                    name: "nested"
+                }]
+            },{
+                name: "two"
+            }]
+        });
+    });
+
+    it("fromObject migrates version 1 plans", function() {
+        const plan = Plan.fromObject([{
+            name: "one",
+            input: { type: "image/png" },
+            state: "succeeded",
+            steps: [{ name: "nested", output: { type: "image/jpeg" }, current: true }]
+        }]);
+        assert.deepStrictEqual(plan.toObject(), {
+            version: 2,
+            steps: [{
+                name: "one",
+                attributes: { input: { type: "image/png" } },
+                state: "succeeded",
+                steps: [{
+                    name: "nested",
+                    attributes: { output: { type: "image/jpeg" } },
+                    current: true
+                }]
+            }]
+        });
+        assert.deepStrictEqual(Plan.fromObject({ version: 1, steps: [{ name: "one", input: "input" }] }).steps[0].attributes, { input: "input" });
+    });
+
+    it("fromObject reports every problem of invalid plans", function() {
+        assert.throws(() => Plan.fromObject({ version: 3, steps: [] }), {
+            message: "Invalid plan: version unsupported version 3, supported versions: 1, 2"
+        });
+        assert.throws(() => Plan.fromObject({ steps: [], owner: "me" }), error => {
+            assert.deepStrictEqual(error.problems, [
+                { path: 'owner', message: 'is not a plan property (version, steps)' },
+                { path: 'version', message: 'is required' }
+            ]);
+            return true;
+        });
+        assert.deepStrictEqual(Plan.validateObject({
+            version: 2,
+            steps: [{
+                attributes: [],
+                input: {},
+                current: true,
+                state: "done",
+                duration: -1,
+                messages: {},
+                steps: [{ name: "" }, "two", { name: "three", current: true, outputReference: "url" }]
+            }]
+        }).map(problem => problem.path), [
+            'steps[0].input',
+            'steps[0].name',
+            'steps[0].attributes',
+            'steps[0].state',
+            'steps[0].duration',
+            'steps[0].messages',
+            'steps[0].steps[0].name',
+            'steps[0].steps[1]',
+            'steps[0].steps[2].outputReference',
+            'steps'
+        ]);
+    });
+
+    it("toDot", function() {
+        const plan = new Plan();
+        plan.add("flatten", { input: { type: "image/psd", url: "https://example.com/image.psd?signature=secret" } });
+        plan.add("resize", { output: { width: 100 } });
+        plan.advance();
+        plan.advance();
+        plan.add("callback", { note: 'say "hi"' });
+        plan.steps[0].updateState(STEP_STATE.SUCCEEDED);
+
+        assert.strictEqual(plan.toDot(), [
+            'digraph plan {',
+            '    rankdir=LR;',
+            '    node [shape=box];',
+            '    start [shape=circle];',
+            '    step1 [label="flatten\\nstate: succeeded\\ninput: {\\"type\\":\\"image/psd\\",\\"url\\":\\"https://example.com\\"}"];',
+            '    step2 [label="resize\\nstate: pending\\noutput: {\\"width\\":100}", style=bold, penwidth=3];',
+            '    subgraph cluster_1 {',
+            '        style=dashed;',
+            '        label="";',
+            '        step3 [label="callback\\nstate: pending\\nnote: \\"say \\\\\\"hi\\\\\\"\\""];',
+            '    }',
+            '    start -> step1;',
+            '    step1 -> step2;',
+            '    step2 -> step3;',
+            '}'
+        ].join('\n'));
+
+        // the start step is current before the plan started
+        assert.ok(new Plan().toDot().includes('start [shape=circle, style=bold, penwidth=3];'));
+    });
+
+    it("toMermaid", function() {
+        const plan = new Plan();
+        plan.add("flatten", { input: { type: "image/psd", url: "https://example.com/image.psd?signature=secret" } });
+        plan.add("resize", { output: { width: 100 } });
+        plan.advance();
+        plan.advance();
+        plan.add("callback");
+        plan.steps[0].updateState(STEP_STATE.SUCCEEDED);
+
+        assert.strictEqual(plan.toMermaid(), [
+            'flowchart LR',
+            '    start((start))',
+            '    step1["flatten<br/>state: succeeded<br/>input: {#quot;type#quot;:#quot;image/psd#quot;,#quot;url#quot;:#quot;https://example.com#quot;}"]',
+            '    step2["resize<br/>state: pending<br/>output: {#quot;width#quot;:100}"]',
+            '    subgraph group1 [" "]',
+            '        step3["callback<br/>state: pending"]',
+            '    end',
+            '    start --> step1',
+            '    step1 --> step2',
+            '    step2 --> step3',
+            '    classDef current stroke-width:3px',
+            '    class step2 current'
+        ].join('\n'));
+
+        plan.advance();
+        plan.advance();
+        assert.strictEqual(plan.state, PLAN_STATE.SUCCEEDED);
+        assert.ok(!plan.toMermaid().includes('current'));
+    });
+
     it("fromObject throws on incompatible input", function() {
         assert.throws(() => { Plan.fromObject(); });
         assert.throws(() => { Plan.fromObject({}); });
@@ -26,16 +26,25 @@ debugConfig.enable("pipeline:*,test:*");
 //const debug = require('debug')('test:engine');
 
 const Engine = require("../lib/engine");
-const {Plan} = require("../lib/plan");
+const {Plan, PLAN_FORMAT_VERSION} = require("../lib/plan");
 const PlanFinder = require("../lib/plan-finder");
 const Transformer = require("../lib/transformer");
 const assert = require('assert');
 const { TransformerGIF, TransformerPNG, TransformerSensei, TransformerImage } = require('./transformers/testTransformers');
 const {RenditionFormatUnsupportedError, SourceCorruptError} = require('@adobe/asset-compute-commons');
 
+// expected steps are written with their attributes next to the step name
 function assertPlan(plan, string, obj) {
     assert.strictEqual(plan.toString(), string);
-    assert.deepStrictEqual(plan.toObject(), obj);
+    const planObject = plan.toObject();
+    assert.strictEqual(planObject.version, PLAN_FORMAT_VERSION);
+    assert.deepStrictEqual(flattenSteps(planObject.steps), obj);
+}
+
+function flattenSteps(steps) {
+    return steps.map(({ attributes, steps, ...node }) => {
+        return steps ? { ...node, ...attributes, steps: flattenSteps(steps) } : { ...node, ...attributes };
+    });
 }
 
 // Simplify transformers to have input/output be numbers instead of objects
@@ -997,4 +1006,360 @@ describe('PlanFinder form graphs', function() {
         assert.deepStrictEqual(planFinder.graph.adjacent('T1'), ['T2', 'T3']);
         assert.deepStrictEqual(planFinder.graph.adjacent('T5'), ['T1']);
     });
-});
\ No newline at end of file
+    it("Exports the graph with intersections as edge labels", async function() {
+        const T1 = new Transformer("T1", { inputs: { type: 'image/png' }, outputs: { type: ['image/jpeg', 'image/gif'], width: { min: 1, max: 100 } }});
+        const T2 = new Transformer("T2", { inputs: { type: 'image/jpeg', width: { min: 10, max: 1000 } }, outputs: { type: 'image/webp' }});
+        const T3 = new Transformer("T3", { inputs: { type: 'text/plain' }, outputs: { type: 'text/html' }});
+        const planFinder = new PlanFinder({ T1, T2, T3 });
+        planFinder.formGraph();
+
+        assert.strictEqual(planFinder.graph.toDot(), [
+            'digraph transformers {',
+            '    rankdir=LR;',
+            '    node [shape=box];',
+            '    transformer0 [label="T1"];',
+            '    transformer1 [label="T2"];',
+            '    transformer2 [label="T3"];',
+            '    transformer0 -> transformer1 [label="type: \\"image/jpeg\\"\\nwidth: {\\"min\\":10,\\"max\\":100}"];',
+            '}'
+        ].join('\n'));
+        assert.strictEqual(planFinder.graph.toMermaid(), [
+            'flowchart LR',
+            '    transformer0["T1"]',
+            '    transformer1["T2"]',
+            '    transformer2["T3"]',
+            '    transformer0 -->|"type: #quot;image/jpeg#quot;<br/>width: {#quot;min#quot;:10,#quot;max#quot;:100}"| transformer1'
+        ].join('\n'));
+    });
+});
+
+describe("PlanFinder cost-weighted plan selection", function() {
+    it("Chooses the shortest plan without cost models and reports its cost", function() {
+        const T1 = new Transformer("T1", { inputs: { type: 1 }, outputs: { type: 2 } });
+        const T2 = new Transformer("T2", { inputs: { type: 2 }, outputs: { type: 3 } });
+        const T3 = new Transformer("T3", { inputs: { type: 1 }, outputs: { type: 3 } });
+        const planFinder = new PlanFinder({T1, T2, T3});
+
+        const { steps, cost } = planFinder.findCheapestPlan({type:1},{type:3});
+        assert.deepStrictEqual(steps.map(step => step.name), ["T3"]);
+        assert.strictEqual(cost, 1);
+    });
+
+    it("Chooses a cheap two-step chain over an expensive single step", function() {
+        const cheap1 = new Transformer("cheap1", { inputs: { type: 1 }, outputs: { type: 2 }, cost: { fixed: 1 } });
+        const cheap2 = new Transformer("cheap2", { inputs: { type: 2 }, outputs: { type: 3 }, cost: { fixed: 2 } });
+        const remote = new Transformer("remote", { inputs: { type: 1 }, outputs: { type: 3 }, cost: { fixed: 10 } });
+        const planFinder = new PlanFinder({remote, cheap1, cheap2});
+
+        const { steps, cost } = planFinder.findCheapestPlan({type:1},{type:3});
+        assert.deepStrictEqual(steps.map(step => step.name), ["cheap1", "cheap2"]);
+        assert.strictEqual(cost, 3);
+        assert.deepStrictEqual(planFinder.findBestPlan({type:1},{type:3}), steps);
+    });
+
+    it("Takes the size and duration of the source into account", function() {
+        const perPixel = new Transformer("perPixel", { inputs: { type: 1 }, outputs: { type: 2 }, cost: { fixed: 1, perMegapixel: 1 } });
+        const perSecond = new Transformer("perSecond", { inputs: { type: 1 }, outputs: { type: 2 }, cost: { fixed: 1, perSecond: 1 } });
+        const planFinder = new PlanFinder({perPixel, perSecond});
+
+        // 4 megapixels, 2 seconds
+        let result = planFinder.findCheapestPlan({ type: 1, width: 2000, height: 2000, duration: 2 }, { type: 2 });
+        assert.deepStrictEqual(result.steps.map(step => step.name), ["perSecond"]);
+        assert.strictEqual(result.cost, 3);
+
+        // 1 megapixel, 10 seconds
+        result = planFinder.findCheapestPlan({ type: 1, width: 1000, height: 1000, duration: 10 }, { type: 2 });
+        assert.deepStrictEqual(result.steps.map(step => step.name), ["perPixel"]);
+        assert.strictEqual(result.cost, 2);
+    });
+
+    it("Costs each step on its planned input", function() {
+        const resize = new Transformer("resize", { inputs: { type: 1 }, outputs: { type: 2, width: { min: 1, max: 1000 }, height: { min: 1, max: 1000 } }, cost: { fixed: 1 } });
+        const perPixel = new Transformer("perPixel", { inputs: { type: 2, width: { min: 1, max: 8000 }, height: { min: 1, max: 8000 } }, outputs: { type: 3 }, cost: { fixed: 1, perMegapixel: 1 } });
+        const direct = new Transformer("direct", { inputs: { type: 1 }, outputs: { type: 3 }, cost: { fixed: 10 } });
+        const planFinder = new PlanFinder({direct, resize, perPixel});
+
+        // 16 megapixels, perPixel only runs on the 1 megapixel output of resize
+        const { steps, cost } = planFinder.findCheapestPlan({ type: 1, width: 4000, height: 4000 }, { type: 3 });
+        assert.deepStrictEqual(steps.map(step => step.name), ["resize", "perPixel"]);
+        assert.deepStrictEqual(steps[1].attributes.input, { type: 2, width: 1000, height: 1000 });
+        assert.strictEqual(cost, 3);
+    });
+
+    it("Adds the quality penalty", function() {
+        const lossy = new Transformer("lossy", { inputs: { type: 1 }, outputs: { type: 2 }, cost: { fixed: 1, qualityPenalty: 5 } });
+        const lossless = new Transformer("lossless", { inputs: { type: 1 }, outputs: { type: 2 }, cost: { fixed: 3 } });
+        const planFinder = new PlanFinder({lossy, lossless});
+
+        const { steps, cost } = planFinder.findCheapestPlan({type:1},{type:2});
+        assert.deepStrictEqual(steps.map(step => step.name), ["lossless"]);
+        assert.strictEqual(cost, 3);
+    });
+});
+
+describe("PlanFinder explain", function() {
+    const tPie = new Transformer("tPie", {
+        inputs: { type: ['image/psd'], colorProfile: ['rgb'] },
+        outputs: { type: ['image/png'] }
+    });
+    const tSensei = new Transformer("tSensei", {
+        inputs: { type: ['image/jpeg'], width: { min: 1, max: 319 } },
+        outputs: { type: ['machine-json'] }
+    });
+    const tResize = new Transformer("tResize", {
+        inputs: { type: ['image/png'] },
+        outputs: { type: ['image/png', 'image/gif'], width: { min: 1, max: 319 } }
+    });
+
+    it("Reports which attribute rejected the source", function() {
+        const planFinder = new PlanFinder({ tPie, tSensei, tResize });
+        const report = planFinder.explain({ type: 'image/psd', colorProfile: 'cmyk' }, { type: 'machine-json' });
+
+        assert.deepStrictEqual(report.transformers[0], {
+            name: 'tPie',
+            acceptsSource: false,
+            sourceMismatches: [{ attribute: 'colorProfile', expected: ['rgb'], actual: 'cmyk' }],
+            producesRendition: false,
+            renditionMismatches: [{ attribute: 'type', expected: ['image/png'], actual: 'machine-json' }]
+        });
+        assert.deepStrictEqual(report.transformers[1].sourceMismatches, [
+            { attribute: 'type', expected: ['image/jpeg'], actual: 'image/psd' }
+        ]);
+        assert.ok(report.transformers[1].producesRendition);
+        assert.deepStrictEqual(report.partialChains, []);
+        assert.strictEqual(report.plan, undefined);
+    });
+
+    it("Reports missing edges and the closest partial chains", function() {
+        const planFinder = new PlanFinder({ tPie, tSensei, tResize });
+        const report = planFinder.explain({ type: 'image/psd', colorProfile: 'rgb' }, { type: 'machine-json' });
+
+        assert.deepStrictEqual(report.missingEdges, [{
+            from: 'tPie',
+            to: 'tSensei',
+            mismatches: [{ attribute: 'type', expected: ['image/jpeg'], actual: ['image/png'] }]
+        }, {
+            from: 'tResize',
+            to: 'tSensei',
+            mismatches: [{ attribute: 'type', expected: ['image/jpeg'], actual: ['image/png', 'image/gif'] }]
+        }]);
+        assert.deepStrictEqual(report.partialChains.map(chain => chain.path), [['tPie'], ['tPie', 'tResize']]);
+        assert.strictEqual(report.plan, undefined);
+    });
+
+    it("Reports the plan if there is one", function() {
+        const planFinder = new PlanFinder({ tPie, tSensei, tResize });
+        const report = planFinder.explain({ type: 'image/psd', colorProfile: 'rgb' }, { type: 'image/gif', width: 100 });
+
+        assert.deepStrictEqual(report.plan, ['tPie', 'tResize']);
+        assert.deepStrictEqual(report.missingEdges, []);
+        assert.deepStrictEqual(report.partialChains[0], { path: ['tPie', 'tResize'], renditionMismatches: [] });
+    });
+});
+
+describe("PlanFinder alternative plans", function() {
+    const cheap1 = new Transformer("cheap1", { inputs: { type: 1 }, outputs: { type: 2 }, cost: { fixed: 1 } });
+    const cheap2 = new Transformer("cheap2", { inputs: { type: 2 }, outputs: { type: 3 }, cost: { fixed: 2 } });
+    const medium = new Transformer("medium", { inputs: { type: 1 }, outputs: { type: 2 }, cost: { fixed: 4 } });
+    const remote = new Transformer("remote", { inputs: { type: 1 }, outputs: { type: 3 }, cost: { fixed: 10 } });
+
+    it("Returns the plans ranked by cost", function() {
+        const planFinder = new PlanFinder({remote, medium, cheap1, cheap2});
+
+        const plans = planFinder.findPlans({type:1},{type:3}, { limit: 5 });
+        assert.deepStrictEqual(plans.map(plan => plan.steps.map(step => step.name)), [
+            ["cheap1", "cheap2"],
+            ["medium", "cheap2"],
+            ["remote"]
+        ]);
+        assert.deepStrictEqual(plans.map(plan => plan.cost), [3, 6, 10]);
+    });
+
+    it("Limits the number of plans", function() {
+        const planFinder = new PlanFinder({remote, medium, cheap1, cheap2});
+
+        const plans = planFinder.findPlans({type:1},{type:3}, { limit: 2 });
+        assert.deepStrictEqual(plans.map(plan => plan.cost), [3, 6]);
+        assert.deepStrictEqual(planFinder.findPlans({type:1},{type:3}, { limit: 1 }), [planFinder.findCheapestPlan({type:1},{type:3})]);
+    });
+
+    it("Gives each plan its own source and output instructions", function() {
+        const planFinder = new PlanFinder({remote, cheap1, cheap2});
+        const source = {type:1};
+        const outputInstructions = {type:3};
+
+        const plans = planFinder.findPlans(source, outputInstructions);
+        assert.strictEqual(plans.length, 2);
+        assert.strictEqual(plans[0].steps[0].attributes.input, source);
+        assert.notStrictEqual(plans[1].steps[0].attributes.input, source);
+        assert.deepStrictEqual(plans[1].steps[0].attributes.input, source);
+        assert.notStrictEqual(plans[1].steps[0].attributes.output, outputInstructions);
+    });
+
+    it("Throws if there is no plan", function() {
+        const planFinder = new PlanFinder({cheap1});
+        assert.throws(() => planFinder.findPlans({type:1},{type:3}), RenditionFormatUnsupportedError);
+    });
+});
+
+describe("PlanFinder mime type wildcards", function() {
+    const anyImageToPng = new Transformer("anyImageToPng", {
+        inputs: { type: ['image/*'] },
+        outputs: { type: ['image/png'] }
+    });
+    const pdfToJpeg = new Transformer("pdfToJpeg", {
+        inputs: { type: ['application/pdf'] },
+        outputs: { type: ['image/jpeg', 'image/gif'] }
+    });
+    const xmlToJson = new Transformer("xmlToJson", {
+        inputs: { type: ['*/*+xml'] },
+        outputs: { type: ['application/json'] }
+    });
+
+    it("Matches a source against a wildcard", function() {
+        const planFinder = new PlanFinder({ anyImageToPng, pdfToJpeg, xmlToJson });
+        let plan = planFinder.findBestPlan({ type: 'image/heic' }, { type: 'image/png' });
+        assert.deepStrictEqual(plan.map(step => step.name), ['anyImageToPng']);
+
+        plan = planFinder.findBestPlan({ type: 'image/svg+xml' }, { type: 'application/json' });
+        assert.deepStrictEqual(plan.map(step => step.name), ['xmlToJson']);
+    });
+
+    it("Resolves wildcards against concrete output types", function() {
+        const planFinder = new PlanFinder({ anyImageToPng, pdfToJpeg, xmlToJson });
+        const plan = planFinder.findBestPlan({ type: 'application/pdf' }, { type: 'image/png' });
+        assert.deepStrictEqual(plan.map(step => step.name), ['pdfToJpeg', 'anyImageToPng']);
+        assert.deepStrictEqual(planFinder.transformersIntersect('pdfToJpeg', 'anyImageToPng'), { type: ['image/jpeg', 'image/gif'] });
+        assert.strictEqual(plan[0].attributes.output.type, 'image/jpeg');
+        assert.ok(!planFinder.transformersIntersect('anyImageToPng', 'xmlToJson'));
+    });
+});
+
+describe("PlanFinder mime type aliases", function() {
+    const jpegToPng = new Transformer("jpegToPng", {
+        inputs: { type: ['image/jpeg'] },
+        outputs: { type: ['image/png'] }
+    });
+    const tiffToJpeg = new Transformer("tiffToJpeg", {
+        inputs: { type: ['image/tif'] },
+        outputs: { type: ['image/jpg'] }
+    });
+
+    it("Normalizes the source and rendition types", function() {
+        const planFinder = new PlanFinder({ jpegToPng, tiffToJpeg });
+        const source = { type: 'image/jpg' };
+        const rendition = { type: 'image/x-png' };
+
+        const plan = planFinder.findBestPlan(source, rendition);
+        assert.deepStrictEqual(plan.map(step => step.name), ['jpegToPng']);
+        assert.strictEqual(plan[0].attributes.input.type, 'image/jpeg');
+        assert.strictEqual(plan[0].attributes.output.type, 'image/png');
+        // caller objects are not changed
+        assert.strictEqual(source.type, 'image/jpg');
+        assert.strictEqual(rendition.type, 'image/x-png');
+    });
+
+    it("Normalizes the transformer manifests", function() {
+        const planFinder = new PlanFinder({ jpegToPng, tiffToJpeg });
+        const plan = planFinder.findBestPlan({ type: 'image/tiff' }, { type: 'image/png' });
+        assert.deepStrictEqual(plan.map(step => step.name), ['tiffToJpeg', 'jpegToPng']);
+        assert.strictEqual(plan[0].attributes.output.type, 'image/jpeg');
+        assert.deepStrictEqual(tiffToJpeg.inputs.type, ['image/tif']);
+    });
+});
+
+describe("PlanFinder derived output attributes", function() {
+    const frames = new Transformer("frames", {
+        inputs: { type: ['video/mp4'] },
+        outputs: { type: ['video/webm'], width: { min: 1, max: 640 } },
+        derive: {
+            height: 'preserveAspectRatio',
+            fps: (output, input) => Math.min(input.fps, 30)
+        }
+    });
+    const thumbnail = new Transformer("thumbnail", {
+        inputs: { type: ['video/webm'], width: { min: 1, max: 320 } },
+        outputs: { type: ['image/png'] }
+    });
+    const document = new Transformer("document", {
+        inputs: { type: ['application/pdf'] },
+        outputs: { type: ['image/png'], width: { min: 1, max: 2000 } },
+        derive: { width: null, height: null }
+    });
+    const resize = new Transformer("resize", {
+        inputs: { type: ['image/png'], width: { min: 1, max: 2000 } },
+        outputs: { type: ['image/jpeg'] }
+    });
+
+    it("Evaluates the rules of the manifest per step", function() {
+        const planFinder = new PlanFinder({ frames, thumbnail });
+        const plan = planFinder.findBestPlan({ type: 'video/mp4', width: 1920, height: 1080, fps: 60 }, { type: 'image/png' });
+        assert.deepStrictEqual(plan.map(step => step.name), ['frames', 'thumbnail']);
+        assert.deepStrictEqual(plan[0].attributes.output, { type: 'video/webm', width: 320, height: 180, fps: 30 });
+    });
+
+    it("Rules can disable the default rules", function() {
+        const planFinder = new PlanFinder({ document, resize });
+        const plan = planFinder.findBestPlan({ type: 'application/pdf', width: 600, height: 800 }, { type: 'image/jpeg' });
+        // page is rendered at the best resolution, not limited to the size of the source
+        assert.deepStrictEqual(plan[0].attributes.output, { type: 'image/png', width: 2000 });
+    });
+});
+
+describe("PlanFinder fan-in slots", function() {
+    const resize = new Transformer("resize", {
+        inputs: { type: ['image/png'] },
+        outputs: { type: ['image/png'], width: { min: 1, max: 2000 } }
+    });
+    const rasterize = new Transformer("rasterize", {
+        inputs: { type: ['image/svg+xml'] },
+        outputs: { type: ['image/png'], width: { min: 1, max: 4000 } }
+    });
+    const watermark = new Transformer("watermark", {
+        inputs: { type: ['image/png'] },
+        slots: { logo: { type: ['image/png'], width: { max: 300 } } },
+        outputs: { type: ['image/jpeg'] }
+    });
+
+    it("Uses a matching asset as is", function() {
+        const planFinder = new PlanFinder({ watermark });
+        const logo = { type: 'image/png', width: 200, url: 'https://example.com/logo.png' };
+        const plan = planFinder.findBestPlan({ type: 'image/png', width: 1000 }, { type: 'image/jpeg', inputs: { logo } });
+        assert.deepStrictEqual(plan.map(step => step.name), ['watermark']);
+        assert.deepStrictEqual(plan[0].attributes.slots, { logo });
+    });
+
+    it("Uses the source if there is no asset for the slot", function() {
+        const planFinder = new PlanFinder({ watermark });
+        const plan = planFinder.findBestPlan({ type: 'image/png', width: 100, path: 'image.png' }, { type: 'image/jpeg' });
+        assert.deepStrictEqual(plan[0].attributes.slots, { logo: { type: 'image/png', width: 100, path: 'image.png' } });
+    });
+
+    it("Runs a chain converting the asset before the plan", function() {
+        const planFinder = new PlanFinder({ resize, rasterize, watermark });
+        const { steps, cost } = planFinder.findCheapestPlan({ type: 'image/png', width: 1000 }, {
+            type: 'image/jpeg',
+            inputs: { logo: { type: 'image/svg+xml', url: 'https://example.com/logo.svg' } }
+        });
+        assert.deepStrictEqual(steps.map(step => step.name), ['rasterize', 'watermark']);
+        assert.strictEqual(cost, 2);
+        assert.deepStrictEqual(steps[0].attributes, {
+            input: { type: 'image/svg+xml', url: 'https://example.com/logo.svg' },
+            output: { type: 'image/png', width: 300 },
+            slot: 'watermark.logo'
+        });
+        assert.deepStrictEqual(steps[1].attributes.slots, { logo: { type: 'image/png', width: 300, from: 'watermark.logo' } });
+    });
+
+    it("Drops plans whose slots cannot be satisfied", function() {
+        const planFinder = new PlanFinder({ resize, watermark });
+        assert.throws(() => planFinder.findBestPlan({ type: 'image/png', width: 1000 }, {
+            type: 'image/jpeg',
+            inputs: { logo: { type: 'image/svg+xml', url: 'https://example.com/logo.svg' } }
+        }), error => {
+            assert.ok(error instanceof RenditionFormatUnsupportedError);
+            assert.strictEqual(error.message, 'No plan could be found for slot logo of watermark: image/svg+xml -> image/png');
+            return true;
+        });
+    });
+});
@@ -21,7 +21,7 @@ const mockFs = require('mock-fs');
 const fs = require('fs-extra');
 const { GenericError } = require('@adobe/asset-compute-commons');
 
-const { Rendition } = require('../lib/rendition');
+const { Rendition, RenditionCollection } = require('../lib/rendition');
 const filePath = "test/files/file.png";
 const PNG_CONTENTS = fs.readFileSync(filePath);
 const PNG_SIZE = fs.statSync(filePath).size;
@@ -95,6 +95,16 @@ describe("rendition.js", () => {
         assert.strictEqual(await rendition.sha1(), 'fe16bfbff4e31fcf726c18fe4051b71ee8c96150');
     });
 
+    it('computes md5 and sha256 digests', async function () {
+        const instructions = { "fmt": "png", "target": "TargetName" };
+        await fs.writeFile("/rendition11.png", 'hello world');
+
+        const rendition = new Rendition(instructions, "/", 11);
+        assert.strictEqual(await rendition.digest('md5', 'base64'), 'XrY7u+Ae7tCTyyK7j1rNww==');
+        assert.strictEqual(await rendition.digest('sha256'), 'b94d27b9934d3e08a52e52d7da7dabfac484efe37a5380ee9088f7ace2efcde9');
+        assert.strictEqual(await rendition.sha1(), '2aae6c35c94fcfb415dbe95f408b9ce91ee846ed');
+    });
+
     it('verifies method sha1 does not compute a sha1 for an empty file', async function () {
         const instructions = { "fmt": "png", "target": "TargetName" };
         const directory = "/";
@@ -139,11 +149,12 @@ describe("rendition.js", () => {
     });
 
     it('verifies method instructionsForEvent works properly', function () {
-        const instructions = { "fmt": "png", "target": "TargetName" };
+        const instructions = { "fmt": "png", "target": "TargetName", "inputs": { "logo": { "url": "https://example.com/logo.png" } } };
         const directory = "/";
         const rendition = new Rendition(instructions, directory, 11);
         const inst = rendition.instructionsForEvent();
         assert.ok(!inst.target);
+        assert.ok(!inst.inputs);
         assert.strictEqual(inst.fmt, "png");
     });
 
@@ -427,6 +438,37 @@ describe("rendition.js", () => {
         }
     });
 
+    it('adds numbered files to a collection', async function () {
+        const instructions = { type: "image/png", name: "page.png", target: ["url0", "url1"] };
+        const rendition = new Rendition(instructions, "/out", 2);
+        const outputs = new RenditionCollection(rendition);
+        assert.strictEqual(outputs.length, 0);
+        assert.ok(!rendition.exists());
+
+        const first = outputs.add();
+        const second = outputs.add({ type: "image/jpeg", page: 2 });
+        assert.strictEqual(outputs.length, 2);
+        assert.deepStrictEqual([...outputs], [first, second]);
+        assert.strictEqual(first.path, "/out/rendition2-0.png");
+        assert.strictEqual(first.instructions.name, "page-0.png");
+        assert.strictEqual(first.target, "url0");
+        assert.strictEqual(second.path, "/out/rendition2-1.jpeg");
+        assert.strictEqual(second.instructions.name, "page-1.jpeg");
+        assert.strictEqual(second.instructions.page, 2);
+        assert.strictEqual(second.target, "url1");
+        // instructions of the step are unchanged
+        assert.strictEqual(rendition.instructions.name, "page.png");
+
+        await fs.mkdirs("/out");
+        await fs.writeFile("/out/rendition2-0.png", "12345");
+        assert.ok(!rendition.exists());
+        await fs.writeFile("/out/rendition2-1.jpeg", "123");
+        assert.ok(rendition.exists());
+        assert.strictEqual(rendition.size(), 8);
+        assert.ok(!rendition.shouldEmbedInIOEvent());
+        assert.deepStrictEqual(await rendition.metadata(), { "repo:size": 8 });
+    });
+
     describe("content type", function() {
         beforeEach(function () {
             // we need the real file system here
@@ -0,0 +1,197 @@
+/*
+ * Copyright 2021 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+/* eslint mocha/no-mocha-arrows: "off" */
+
+'use strict';
+
+const assert = require('assert');
+const nock = require('nock');
+const fs = require('fs-extra');
+const path = require('path');
+const { DownloadCache, normalizeUrl } = require('../../lib/storage/download-cache');
+const { Storage } = require('../../lib/storage');
+const { CancelledError } = require('../../lib/errors');
+const AbortController = require('../mock-abort-controller');
+
+const WORK_DIRECTORY = path.resolve('build/work/download-cache-test');
+const CACHE_DIRECTORY = path.join(WORK_DIRECTORY, 'cache');
+
+describe('download-cache.js', () => {
+    let cache;
+
+    beforeEach(async () => {
+        await fs.mkdirs(WORK_DIRECTORY);
+        cache = new DownloadCache({ directory: CACHE_DIRECTORY, maxSize: 10 });
+    });
+
+    afterEach(async () => {
+        Storage.downloadCache = undefined;
+        delete process.env.ASSET_COMPUTE_DOWNLOAD_CACHE_SIZE;
+        delete process.env.WORKER_BASE_DIRECTORY;
+        nock.cleanAll();
+        await fs.remove(WORK_DIRECTORY);
+    });
+
+    async function file(name, content) {
+        const filePath = path.join(WORK_DIRECTORY, name);
+        await fs.writeFile(filePath, content);
+        return filePath;
+    }
+
+    it('removes signatures from urls', () => {
+        assert.strictEqual(
+            normalizeUrl('https://Bucket.S3.amazonaws.com:443/photo.png?X-Amz-Signature=abc&X-Amz-Expires=60&versionId=2#top'),
+            'https://bucket.s3.amazonaws.com/photo.png?versionId=2'
+        );
+        assert.strictEqual(
+            normalizeUrl('https://account.blob.core.windows.net/container/photo.png?sv=2020&se=2021&sr=b&sp=r&sig=abc'),
+            'https://account.blob.core.windows.net/container/photo.png'
+        );
+        assert.strictEqual(normalizeUrl('https://example.com/photo.png?b=2&a=1'), 'https://example.com/photo.png?a=1&b=2');
+
+        const key = cache.key('https://example.com/photo.png?sig=1', { etag: '"1"', size: 5 });
+        assert.strictEqual(cache.key('https://example.com/photo.png?sig=2', { etag: '"1"', size: 5 }), key);
+        assert.notStrictEqual(cache.key('https://example.com/photo.png?sig=1', { etag: '"2"', size: 5 }), key);
+        assert.notStrictEqual(cache.key('https://example.com/other.png?sig=1', { etag: '"1"', size: 5 }), key);
+        assert.strictEqual(cache.key('https://example.com/photo.png', { size: 5 }), undefined);
+        assert.strictEqual(cache.key('https://example.com/photo.png', undefined), undefined);
+    });
+
+    it('copies cached files', async () => {
+        const key = cache.key('https://example.com/photo.png', { etag: '"1"', size: 5 });
+        const copy = path.join(WORK_DIRECTORY, 'copy.png');
+        assert.strictEqual(await cache.get(key, copy), false);
+
+        assert.strictEqual(await cache.put(key, await file('photo.png', 'hello'), 5), true);
+        assert.strictEqual(await cache.get(key, copy), true);
+        assert.strictEqual(await fs.readFile(copy, 'utf8'), 'hello');
+
+        await cache.delete(key);
+        assert.strictEqual(await cache.get(key, path.join(WORK_DIRECTORY, 'other.png')), false);
+    });
+
+    it('does not cache files that are too large or truncated', async () => {
+        const key = cache.key('https://example.com/photo.png', { etag: '"1"', size: 11 });
+        assert.strictEqual(await cache.put(key, await file('large.png', 'hello world')), false);
+        assert.strictEqual(await cache.put(key, await file('truncated.png', 'hello'), 11), false);
+        assert.deepStrictEqual(await cache.entries(), []);
+    });
+
+    it('removes the least recently used files', async () => {
+        const a = cache.key('https://example.com/a.png', { etag: 'a' });
+        const b = cache.key('https://example.com/b.png', { etag: 'b' });
+        const c = cache.key('https://example.com/c.png', { etag: 'c' });
+        await cache.put(a, await file('a.png', 'aaaa'));
+        await cache.put(b, await file('b.png', 'bbbb'));
+        // a is used again, b is now the least recently used
+        assert.ok(await cache.get(a, path.join(WORK_DIRECTORY, 'copy.png')));
+        await cache.put(c, await file('c.png', 'cccc'));
+
+        assert.deepStrictEqual((await cache.entries()).map(entry => entry.key), [a, c]);
+    });
+
+    it('is enabled by the environment', () => {
+        assert.strictEqual(DownloadCache.fromEnvironment(), undefined);
+        assert.strictEqual(Storage.downloadCache, undefined);
+
+        process.env.ASSET_COMPUTE_DOWNLOAD_CACHE_SIZE = '1000';
+        process.env.WORKER_BASE_DIRECTORY = WORK_DIRECTORY;
+        const environmentCache = DownloadCache.fromEnvironment();
+        assert.strictEqual(environmentCache.directory, path.join(WORK_DIRECTORY, 'download-cache'));
+        assert.strictEqual(environmentCache.maxSize, 1000);
+        assert.strictEqual(Storage.downloadCache, environmentCache);
+
+        Storage.downloadCache = null;
+        assert.strictEqual(Storage.downloadCache, null);
+    });
+
+    it('downloads a source once for all steps and activations', async () => {
+        Storage.downloadCache = new DownloadCache({ directory: CACHE_DIRECTORY, maxSize: 1000 });
+        for (const directory of ['1', '2', '3']) {
+            await fs.mkdirs(path.join(WORK_DIRECTORY, directory));
+        }
+        const source = {
+            url: 'https://example.com/photo.png?sig=first',
+            size: 11,
+            type: 'image/png'
+        };
+
+        nock('https://example.com')
+            .head('/photo.png').query(true).times(3)
+            .reply(200, undefined, { 'etag': '"v1"', 'content-length': 11 })
+            .get('/photo.png').query(true)
+            .reply(200, 'hello world', { 'content-type': 'image/png', 'content-length': 11 });
+
+        const first = await Storage.getAsset(source, path.join(WORK_DIRECTORY, '1'), 'source.png');
+        assert.strictEqual(await fs.readFile(first.path, 'utf8'), 'hello world');
+
+        // signed again for another activation
+        const second = await Storage.getAsset({ ...source, url: 'https://example.com/photo.png?sig=second' }, path.join(WORK_DIRECTORY, '2'), 'source.png');
+        assert.strictEqual(await fs.readFile(second.path, 'utf8'), 'hello world');
+
+        // a cached file not matching the digest of the source is downloaded again
+        await fs.writeFile(path.join(CACHE_DIRECTORY, (await Storage.downloadCache.entries())[0].key), 'hello WORLD');
+        nock('https://example.com')
+            .get('/photo.png').query(true)
+            .reply(200, 'hello world', { 'content-type': 'image/png', 'content-length': 11 });
+        const third = await Storage.getAsset({ ...source, sha1: '2aae6c35c94fcfb415dbe95f408b9ce91ee846ed' }, path.join(WORK_DIRECTORY, '3'), 'source.png');
+        assert.strictEqual(await fs.readFile(third.path, 'utf8'), 'hello world');
+        assert.ok(nock.isDone());
+    });
+
+    it('caches sources from presigned urls only allowing GET', async () => {
+        // S3 presigned urls reject HEAD requests, the version is read from the response to a GET of the first byte
+        Storage.downloadCache = new DownloadCache({ directory: CACHE_DIRECTORY, maxSize: 1000 });
+        for (const directory of ['1', '2']) {
+            await fs.mkdirs(path.join(WORK_DIRECTORY, directory));
+        }
+        const source = {
+            url: 'https://bucket.s3.amazonaws.com/photo.png?X-Amz-Signature=first',
+            size: 11,
+            type: 'image/png'
+        };
+
+        nock('https://bucket.s3.amazonaws.com')
+            .get('/photo.png').query(true)
+            .matchHeader('range', 'bytes=0-0')
+            .times(2)
+            .reply(206, 'h', { 'etag': '"v1"', 'content-range': 'bytes 0-0/11' })
+            .get('/photo.png').query(true)
+            .reply(200, 'hello world', { 'content-type': 'image/png', 'content-length': 11 });
+
+        await Storage.getAsset(source, path.join(WORK_DIRECTORY, '1'), 'source.png');
+        const second = await Storage.getAsset({ ...source, url: 'https://bucket.s3.amazonaws.com/photo.png?X-Amz-Signature=second' },
+            path.join(WORK_DIRECTORY, '2'), 'source.png');
+
+        assert.strictEqual(await fs.readFile(second.path, 'utf8'), 'hello world');
+        assert.strictEqual((await Storage.downloadCache.entries()).length, 1);
+        assert.ok(nock.isDone());
+    });
+
+    it('stops waiting for the ETag once the signal is aborted', async () => {
+        Storage.downloadCache = new DownloadCache({ directory: CACHE_DIRECTORY, maxSize: 1000 });
+        const controller = new AbortController();
+        nock('https://example.com')
+            .head('/photo.png')
+            .delay(500)
+            .reply(200, undefined, { 'etag': '"v1"', 'content-length': 11 });
+
+        const start = Date.now();
+        setImmediate(() => controller.abort());
+        await assert.rejects(Storage.getAsset({ url: 'https://example.com/photo.png', size: 11, type: 'image/png' },
+            WORK_DIRECTORY, 'source.png', false, { signal: controller.signal }), CancelledError);
+        // not waiting for the HEAD request to finish
+        assert.ok(Date.now() - start < 250);
+    });
+});
@@ -18,12 +18,14 @@
 const assert = require('assert');
 const mockFs = require("mock-fs");
 const fs = require('fs-extra');
-const { download, upload } = require('../../lib/storage/http');
+const { download, upload, validators } = require('../../lib/storage/http');
 const Asset = require('../../lib/asset');
 const nock = require('nock');
 const http = require('@adobe/httptransfer');
 const proxyquire =  require('proxyquire');
 const rewire = require('rewire');
+const { CancelledError } = require('../../lib/errors');
+const AbortController = require('../mock-abort-controller');
 
 const rewiredHttp = rewire('../../lib/storage/http');
 const getMaxConcurrent = rewiredHttp.__get__('getMaxConcurrent');
@@ -48,6 +50,7 @@ describe('http.js', () => {
         mockFs.restore();
         delete process.env.__OW_ACTION_NAME;
         delete process.env.ASSET_COMPUTE_DISABLE_RETRIES;
+        delete process.env.ASSET_COMPUTE_VERIFY_DOWNLOADS;
     });
 
     describe('getMaxConcurrent', () => {
@@ -122,6 +125,155 @@ describe('http.js', () => {
 
     describe('download', () => {
 
+        it("should verify the download against the Content-MD5 header", async () => {
+            process.env.ASSET_COMPUTE_VERIFY_DOWNLOADS = true;
+            const source = {
+                url: "https://example.com/fakeEarth.jpg",
+                size: 11,
+                type: 'image/jpeg'
+            };
+            mockFs({ './storeFiles/jpg': {} });
+
+            nock("https://example.com")
+                .get("/fakeEarth.jpg")
+                .reply(200, "hello world", { 'content-type': 'image/jpeg', 'content-length': 11 })
+                .head("/fakeEarth.jpg")
+                .reply(200, undefined, { 'content-md5': 'XrY7u+Ae7tCTyyK7j1rNww==' });
+
+            await download(source, './storeFiles/jpg/fakeEarth.jpg');
+            assert.ok(nock.isDone());
+        });
+
+        it("should fail with a SourceCorruptError if the download does not match its Content-MD5 header", async () => {
+            process.env.ASSET_COMPUTE_VERIFY_DOWNLOADS = true;
+            const source = {
+                url: "https://example.com/fakeEarth.jpg",
+                size: 5,
+                type: 'image/jpeg'
+            };
+            mockFs({ './storeFiles/jpg': {} });
+
+            nock("https://example.com")
+                .get("/fakeEarth.jpg")
+                .reply(200, "hello", { 'content-type': 'image/jpeg', 'content-length': 5 })
+                .head("/fakeEarth.jpg")
+                .reply(200, undefined, { 'content-md5': 'XrY7u+Ae7tCTyyK7j1rNww==' });
+
+            await assert.rejects(download(source, './storeFiles/jpg/fakeEarth.jpg'), {
+                name: 'SourceCorruptError',
+                message: 'Downloaded file https://example.com does not match its md5 digest: expected 5eb63bbbe01eeed093cb22bb8f5acdc3, found 5d41402abc4b2a76b9719d911017c592'
+            });
+            assert.ok(nock.isDone());
+        });
+
+        it("should not fail if an ETag looking like an md5 digest does not match", async () => {
+            // e.g. S3 objects encrypted with KMS or customer keys have opaque ETags
+            const source = {
+                url: "https://example.com/fakeEarth.jpg",
+                size: 5,
+                type: 'image/jpeg'
+            };
+            mockFs({ './storeFiles/jpg': {} });
+
+            for (const verify of ['true', 'etag']) {
+                process.env.ASSET_COMPUTE_VERIFY_DOWNLOADS = verify;
+                nock("https://example.com")
+                    .get("/fakeEarth.jpg")
+                    .reply(200, "hello", { 'content-type': 'image/jpeg', 'content-length': 5 })
+                    .head("/fakeEarth.jpg")
+                    .reply(200, undefined, { 'etag': '"5eb63bbbe01eeed093cb22bb8f5acdc3"' });
+
+                await download(source, './storeFiles/jpg/fakeEarth.jpg');
+                assert.ok(nock.isDone());
+            }
+        });
+
+        it("should request the first byte of S3 presigned urls instead of their headers", async () => {
+            // presigned GET urls of S3 reject HEAD requests, the method is part of the signature
+            process.env.ASSET_COMPUTE_VERIFY_DOWNLOADS = 'etag';
+            const source = {
+                url: "https://bucket.s3.amazonaws.com/fakeEarth.jpg?X-Amz-Signature=abc",
+                size: 11,
+                type: 'image/jpeg'
+            };
+            mockFs({ './storeFiles/jpg': {} });
+
+            nock("https://bucket.s3.amazonaws.com")
+                .get("/fakeEarth.jpg").query(true)
+                .reply(200, "hello world", { 'content-type': 'image/jpeg', 'content-length': 11 })
+                .get("/fakeEarth.jpg").query(true)
+                .matchHeader('range', 'bytes=0-0')
+                .reply(206, "h", {
+                    'content-range': 'bytes 0-0/11',
+                    'etag': '"5eb63bbbe01eeed093cb22bb8f5acdc3"',
+                    // digest of the first byte only, ignored
+                    'content-md5': 'JRDDkBHFvnBBgkI+OmlekQ=='
+                });
+
+            await download(source, './storeFiles/jpg/fakeEarth.jpg');
+            assert.ok(nock.isDone());
+        });
+
+        it("should retrieve the ETag with a GET request if HEAD is not allowed", async () => {
+            nock("https://example.com")
+                .head("/fakeEarth.jpg")
+                .reply(403)
+                .get("/fakeEarth.jpg")
+                .matchHeader('range', 'bytes=0-0')
+                .reply(206, "h", { 'content-range': 'bytes 0-0/11', 'etag': '"v1"' });
+
+            assert.deepStrictEqual(await validators({ url: "https://example.com/fakeEarth.jpg" }), { etag: '"v1"', size: 11 });
+            assert.ok(nock.isDone());
+
+            nock("https://example.com")
+                .head("/fakeEarth.jpg")
+                .reply(404);
+            assert.strictEqual(await validators({ url: "https://example.com/fakeEarth.jpg" }), undefined);
+        });
+
+        it("should retry the ETag request on server errors", async () => {
+            nock("https://example.com")
+                .head("/fakeEarth.jpg")
+                .reply(503)
+                .head("/fakeEarth.jpg")
+                .reply(200, undefined, { 'content-length': 11, 'etag': 'W/"weak"' });
+
+            assert.deepStrictEqual(await validators({ url: "https://example.com/fakeEarth.jpg" }), { etag: undefined, size: 11 });
+            assert.ok(nock.isDone());
+        });
+
+        it("should stop waiting for the ETag once the signal is aborted", async () => {
+            const controller = new AbortController();
+            nock("https://example.com")
+                .head("/fakeEarth.jpg")
+                .delay(200)
+                .reply(200, undefined, { 'etag': '"v1"' });
+
+            setImmediate(() => controller.abort());
+            await assert.rejects(validators({ url: "https://example.com/fakeEarth.jpg" }, { signal: controller.signal }), error => {
+                return error instanceof CancelledError && error.location === 'test_action_resourceHeaders';
+            });
+        });
+
+        it("should skip verification without a digest header", async () => {
+            process.env.ASSET_COMPUTE_VERIFY_DOWNLOADS = true;
+            const source = {
+                url: "https://example.com/fakeEarth.jpg",
+                size: 11,
+                type: 'image/jpeg'
+            };
+            mockFs({ './storeFiles/jpg': {} });
+
+            nock("https://example.com")
+                .get("/fakeEarth.jpg")
+                .reply(200, "hello world", { 'content-type': 'image/jpeg', 'content-length': 11 })
+                .head("/fakeEarth.jpg")
+                .reply(200, undefined, { 'etag': '"0x8D9A1B2C3D4E5F6"' });
+
+            await download(source, './storeFiles/jpg/fakeEarth.jpg');
+            assert.ok(nock.isDone());
+        });
+
         it("should download jpg file (skip head request, source.type is a valid mimetype)", async () => {
             // source.type
             const source = {
@@ -244,6 +396,35 @@ describe('http.js', () => {
             http.downloadFileConcurrently = oldDownloadFileConcurrently;
         });
 
+        it("should not download if the signal is aborted", async () => {
+            const source = {
+                url: "https://example.com/fakeEarth.jpg"
+            };
+            const controller = new AbortController();
+            controller.abort();
+            let called = false;
+            http.downloadFileConcurrently = async function() {
+                called = true;
+            };
+            await assert.rejects(download(source, './storeFiles/jpg/fakeEarth.jpg', { signal: controller.signal }), CancelledError);
+            assert.ok(!called);
+        });
+
+        it("should stop waiting for the download once the signal is aborted", async () => {
+            const source = {
+                url: "https://example.com/fakeEarth.jpg"
+            };
+            const controller = new AbortController();
+            http.downloadFileConcurrently = function() {
+                setImmediate(() => controller.abort());
+                // never finishes
+                return new Promise(() => {});
+            };
+            await assert.rejects(download(source, './storeFiles/jpg/fakeEarth.jpg', { signal: controller.signal }), error => {
+                return error instanceof CancelledError && error.location === 'test_action_download';
+            });
+        });
+
         it("should fail downloading a jpg file", async () => {
             const file = "./storeFiles/jpg/fakeEarth.jpg";
 
@@ -393,6 +574,43 @@ describe('http.js', () => {
             assert.ok(nock.isDone());
         });
 
+        it("should send the md5 digest of a rendition uploaded in one request", async () => {
+            mockFs({ "./storeFiles/jpg": {
+                "fakeEarth.jpg": "hello world!"
+            } });
+            const rendition = {
+                path: "./storeFiles/jpg/fakeEarth.jpg",
+                target: "https://example.com/fakeEarth.jpg",
+                name: 'fakeEarth.jpg',
+                size: () => 12,
+                contentType: async () => "image/jpeg"
+            };
+
+            nock("https://example.com")
+                .matchHeader('content-md5', '/D/5joxqDTCH1RXARz+Gdw==')
+                .put("/fakeEarth.jpg", "hello world!")
+                .reply(200);
+
+            await upload(rendition);
+            assert.ok(nock.isDone());
+            assert.ok(rendition.isUploadComplete);
+        });
+
+        it("should not upload if the signal is aborted", async () => {
+            const rendition = {
+                path: "./storeFiles/jpg/fakeEarth.jpg",
+                target: "https://example.com/fakeEarth.jpg",
+                name: 'fakeEarth.jpg',
+                size: () => 1,
+                contentType: async () => "image/jpeg"
+            };
+            const controller = new AbortController();
+            controller.abort();
+            await assert.rejects(upload(rendition, { signal: controller.signal }), CancelledError);
+            assert.ok(!rendition.isUploading);
+            assert.ok(!rendition.isUploadComplete);
+        });
+
         it("should fail uploading a rendition with 504", async () => {
             process.env.ASSET_COMPUTE_DISABLE_RETRIES = true; // disable retries to test upload failure
             mockFs({ "./storeFiles/jpg": {
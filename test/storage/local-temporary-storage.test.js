@@ -0,0 +1,154 @@
+/*
+ * Copyright 2021 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+/* eslint mocha/no-mocha-arrows: "off" */
+
+'use strict';
+
+const assert = require('assert');
+const http = require('http');
+const fs = require('fs-extra');
+const path = require('path');
+const { LocalTemporaryStorage } = require('../../lib/storage/local-temporary-storage');
+const { setTemporaryStorage, sweepTemporaryStorage } = require('../../lib/storage/temporary-storage');
+const datauri = require('../../lib/storage/datauri');
+
+const WORK_DIRECTORY = path.resolve('build/work/local-temporary-storage');
+const STORAGE_DIRECTORY = path.join(WORK_DIRECTORY, 'storage');
+
+function request(method, url, body) {
+    return new Promise((resolve, reject) => {
+        const req = http.request(url, { method }, response => {
+            const chunks = [];
+            response.on('data', chunk => chunks.push(chunk));
+            response.on('end', () => resolve({ status: response.statusCode, body: Buffer.concat(chunks).toString() }));
+        });
+        req.on('error', reject);
+        req.end(body);
+    });
+}
+
+describe('local-temporary-storage.js', () => {
+    let storage;
+
+    beforeEach(async () => {
+        await fs.outputFile(path.join(WORK_DIRECTORY, 'source.txt'), 'hello');
+        storage = new LocalTemporaryStorage({ directory: STORAGE_DIRECTORY });
+    });
+
+    afterEach(async () => {
+        setTemporaryStorage();
+        await storage.stop();
+        await fs.remove(WORK_DIRECTORY);
+    });
+
+    it('copies files in and out of the storage', async () => {
+        const cloudPath = storage.createUniqueName('source.txt');
+        await storage.upload(path.join(WORK_DIRECTORY, 'source.txt'), cloudPath);
+        assert.strictEqual(await fs.readFile(path.join(STORAGE_DIRECTORY, cloudPath), 'utf8'), 'hello');
+
+        await storage.download(cloudPath, path.join(WORK_DIRECTORY, 'copy.txt'));
+        assert.strictEqual(await fs.readFile(path.join(WORK_DIRECTORY, 'copy.txt'), 'utf8'), 'hello');
+
+        await storage.cleanUp(cloudPath);
+        assert.ok(!await fs.pathExists(path.join(STORAGE_DIRECTORY, cloudPath)));
+
+        await assert.rejects(storage.upload(path.join(WORK_DIRECTORY, 'source.txt'), '../outside.txt'),
+            { name: 'GenericError', message: 'Invalid temporary storage path: ../outside.txt' });
+    });
+
+    it('serves presigned urls with their permissions', async () => {
+        await storage.upload(path.join(WORK_DIRECTORY, 'source.txt'), 'a/source file.txt');
+
+        const readUrl = await storage.generatePresignURL('a/source file.txt', 'r');
+        assert.ok(readUrl.startsWith(`${storage.url}/a/source%20file.txt?permissions=r&expires=`));
+        assert.deepStrictEqual(await request('GET', readUrl), { status: 200, body: 'hello' });
+        assert.strictEqual((await request('PUT', readUrl, 'changed')).status, 403);
+        assert.strictEqual((await request('DELETE', readUrl)).status, 403);
+        assert.strictEqual((await request('POST', readUrl)).status, 405);
+
+        const writeUrl = await storage.generatePresignURL('b/rendition.txt', 'rw');
+        assert.strictEqual((await request('GET', writeUrl)).status, 404);
+        assert.strictEqual((await request('PUT', writeUrl, 'rendition')).status, 201);
+        assert.deepStrictEqual(await request('GET', writeUrl), { status: 200, body: 'rendition' });
+
+        const deleteUrl = await storage.generatePresignURL('b/rendition.txt', 'd');
+        assert.strictEqual((await request('DELETE', deleteUrl)).status, 204);
+        assert.ok(!await fs.pathExists(path.join(STORAGE_DIRECTORY, 'b/rendition.txt')));
+
+        await assert.rejects(storage.generatePresignURL('a/source file.txt', 'rx'),
+            { name: 'GenericError', message: 'Invalid permissions rx, expected a combination of r, w and d' });
+    });
+
+    it('rejects tampered and expired urls', async () => {
+        await storage.upload(path.join(WORK_DIRECTORY, 'source.txt'), 'source.txt');
+
+        const url = await storage.generatePresignURL('source.txt', 'r');
+        assert.strictEqual((await request('GET', url.replace('permissions=r', 'permissions=rwd'))).status, 403);
+        assert.strictEqual((await request('GET', url.replace('/source.txt', '/other.txt'))).status, 403);
+        assert.strictEqual((await request('GET', url.replace(/signature=.*/, 'signature=invalid'))).status, 403);
+
+        const expired = await storage.generatePresignURL('source.txt', 'r', -1);
+        assert.deepStrictEqual(await request('GET', expired), { status: 403, body: 'Url expired' });
+
+        // urls are signed with the secret of the storage
+        const other = new LocalTemporaryStorage({ directory: STORAGE_DIRECTORY });
+        try {
+            const foreign = await other.generatePresignURL('source.txt', 'r');
+            assert.strictEqual((await request('GET', foreign.replace(other.url, storage.url))).status, 403);
+        } finally {
+            await other.stop();
+        }
+    });
+
+    it('sweeps expired files', async () => {
+        const source = path.join(WORK_DIRECTORY, 'source.txt');
+        const recent = storage.createUniqueName('recent.txt');
+        const expired = recent.replace(/\/\d+\//, `/${Date.now() - 2 * 3600 * 1000}/`).replace('recent', 'expired');
+        await storage.upload(source, recent);
+        await storage.upload(source, expired);
+        await storage.upload(source, 'other/0/file.txt');
+
+        assert.deepStrictEqual(await sweepTemporaryStorage(storage, { ttl: 3600 }), { removed: [expired], failed: [] });
+        assert.deepStrictEqual((await storage.list()).sort(), ['other/0/file.txt', recent].sort());
+        assert.deepStrictEqual(await sweepTemporaryStorage(storage, { ttl: 0 }), { removed: [recent], failed: [] });
+
+        await assert.rejects(sweepTemporaryStorage(storage, { ttl: -1 }),
+            { name: 'GenericError', message: 'Sweep ttl must be a positive number of seconds, found: -1' });
+        await assert.rejects(sweepTemporaryStorage({ cleanUp: async () => {} }),
+            { name: 'GenericError', message: 'Temporary storage must implement list() to be swept' });
+    });
+
+    it('tracks uploads for clean up', async () => {
+        setTemporaryStorage(() => storage);
+        const tempCloudStorageFiles = [];
+
+        await datauri.getPreSignedUrl(path.join(WORK_DIRECTORY, 'source.txt'), { tempCloudStorageFiles });
+        assert.strictEqual(tempCloudStorageFiles.length, 1);
+        assert.deepStrictEqual(await storage.list(), tempCloudStorageFiles);
+    });
+
+    it('replaces the temporary cloud storage for presigned urls', async () => {
+        setTemporaryStorage(() => storage);
+
+        const url = await datauri.getPreSignedUrl(path.join(WORK_DIRECTORY, 'source.txt'));
+        assert.ok(url.startsWith(storage.url));
+        assert.deepStrictEqual(await request('GET', url), { status: 200, body: 'hello' });
+
+        assert.throws(() => setTemporaryStorage('local'),
+            { name: 'GenericError', message: 'Temporary storage factory must be a function, found: string' });
+        setTemporaryStorage(() => ({ upload: async () => {} }));
+        assert.throws(() => datauri.temporaryStorage(),
+            { name: 'GenericError', message: 'Invalid temporary storage: missing createUniqueName, download, generatePresignURL, cleanUp' });
+    });
+});
@@ -0,0 +1,162 @@
+/*
+ * Copyright 2021 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+/* eslint mocha/no-mocha-arrows: "off" */
+
+'use strict';
+
+const assert = require('assert');
+const nock = require('nock');
+const fs = require('fs-extra');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { Storage, StorageProviders, FileStorageProvider, MemoryStorageProvider } = require('../../lib/storage');
+const { Rendition } = require('../../lib/rendition');
+
+const WORK_DIRECTORY = path.resolve('build/work/providers');
+
+describe('storage providers', () => {
+    beforeEach(async () => {
+        await fs.mkdirs(WORK_DIRECTORY);
+    });
+
+    afterEach(async () => {
+        Storage.providers.unregister('memory:');
+        Storage.providers.unregister('file:');
+        delete process.env.WORKER_TEST_MODE;
+        nock.cleanAll();
+        await fs.remove(WORK_DIRECTORY);
+    });
+
+    describe('registry', () => {
+        const provider = {
+            download: async () => {},
+            upload: async () => {},
+            head: async () => ({}),
+            presign: async asset => asset.url
+        };
+
+        it('finds providers by scheme', () => {
+            const providers = new StorageProviders();
+            providers.register('S3', provider);
+            providers.register('gs:', { ...provider, accepts: url => url.startsWith('gs://bucket/') });
+
+            assert.deepStrictEqual(providers.schemes, ['s3:', 'gs:']);
+            assert.strictEqual(providers.find('s3://bucket/file.png'), provider);
+            assert.strictEqual(providers.find('S3://bucket/file.png'), provider);
+            assert.ok(providers.find('gs://bucket/file.png'));
+            assert.strictEqual(providers.find('gs://other/file.png'), undefined);
+            assert.strictEqual(providers.find('https://example.com/file.png'), undefined);
+            assert.strictEqual(providers.find('not a url'), undefined);
+            assert.strictEqual(providers.find(undefined), undefined);
+            assert.strictEqual(providers.describe(), 's3 url or gs url');
+
+            assert.ok(providers.unregister('s3'));
+            assert.strictEqual(providers.find('s3://bucket/file.png'), undefined);
+        });
+
+        it('rejects incomplete providers', () => {
+            assert.throws(() => new StorageProviders().register('s3:', { download: async () => {} }),
+                { name: 'GenericError', message: 'Invalid storage provider for s3:: missing upload, head, presign' });
+        });
+
+        it('registers https and data uris by default', () => {
+            assert.deepStrictEqual(Storage.providers.schemes, ['https:', 'data:']);
+            assert.throws(() => Storage.getProvider('http://example.com/file.png'),
+                { name: 'SourceUnsupportedError', message: 'http://example.com/file.png must be a valid https url or datauri' });
+            assert.throws(() => Storage.getProvider('file:///etc/passwd'),
+                { name: 'SourceUnsupportedError', message: 'file:///etc/passwd must be a valid https url or datauri' });
+        });
+
+        it('supports file and memory urls in worker test mode', async () => {
+            const url = pathToFileURL(path.join(WORK_DIRECTORY, 'input.txt')).href;
+            await fs.writeFile(path.join(WORK_DIRECTORY, 'input.txt'), 'hello');
+            assert.throws(() => Storage.getProvider(url),
+                { name: 'SourceUnsupportedError', message: `${url} must be a valid https url or datauri` });
+
+            process.env.WORKER_TEST_MODE = 'true';
+            const source = await Storage.getAsset(url, WORK_DIRECTORY, 'source.txt');
+            assert.strictEqual(await fs.readFile(source.path, 'utf8'), 'hello');
+            assert.deepStrictEqual(await Storage.head(url), { size: 5, type: 'text/plain' });
+            assert.ok(Storage.getProvider('memory://source.png') instanceof MemoryStorageProvider);
+            // not registered for production
+            assert.deepStrictEqual(Storage.providers.schemes, ['https:', 'data:']);
+        });
+
+        it('gets size and type of https and data uris', async () => {
+            nock('https://example.com')
+                .head('/file.png')
+                .reply(200, undefined, { 'content-type': 'image/png', 'content-length': 42 });
+
+            assert.deepStrictEqual(await Storage.head('https://example.com/file.png'), { size: 42, type: 'image/png' });
+            assert.deepStrictEqual(await Storage.head('data:text/plain;base64,SGVsbG8='), { size: 5, type: 'text/plain' });
+            assert.ok(nock.isDone());
+        });
+    });
+
+    describe('memory', () => {
+        it('downloads, uploads and describes files', async () => {
+            const memory = new MemoryStorageProvider();
+            Storage.providers.register('memory:', memory);
+            memory.put('memory://source.png', 'hello', 'image/png');
+
+            const source = await Storage.getAsset('memory://source.png', WORK_DIRECTORY, 'source.png');
+            assert.strictEqual(await fs.readFile(source.path, 'utf8'), 'hello');
+            assert.deepStrictEqual(await Storage.head('memory://source.png'), { size: 5, type: 'image/png' });
+
+            // memory urls can be read by transformers in the same process
+            const notDownloaded = await Storage.getAsset('memory://source.png', WORK_DIRECTORY, 'other.png', true);
+            assert.strictEqual(notDownloaded.url, 'memory://source.png');
+            assert.ok(!await fs.pathExists(notDownloaded.path));
+
+            const rendition = new Rendition({ type: 'image/png', target: 'memory://rendition.png' }, WORK_DIRECTORY);
+            await fs.writeFile(rendition.path, 'rendition');
+            await Storage.putRendition(rendition);
+            assert.strictEqual(memory.get('memory://rendition.png').toString(), 'rendition');
+            assert.ok(rendition.isUploadComplete);
+
+            assert.ok(memory.delete('memory://source.png'));
+            await assert.rejects(Storage.getAsset('memory://source.png', WORK_DIRECTORY, 'source.png'),
+                { name: 'GenericError', message: 'No file stored at memory://source.png' });
+        });
+    });
+
+    describe('file', () => {
+        it('copies files inside the root directory', async () => {
+            const root = path.join(WORK_DIRECTORY, 'root');
+            await fs.outputFile(path.join(root, 'source.txt'), 'hello');
+            Storage.providers.register('file:', new FileStorageProvider({ root }));
+            const url = pathToFileURL(path.join(root, 'source.txt')).href;
+
+            const source = await Storage.getAsset(url, WORK_DIRECTORY, 'source.txt');
+            assert.strictEqual(await fs.readFile(source.path, 'utf8'), 'hello');
+            assert.deepStrictEqual(await Storage.head(url), { size: 5, type: 'text/plain' });
+
+            const rendition = new Rendition({ type: 'text/plain', target: pathToFileURL(path.join(root, 'out', 'rendition.txt')).href }, WORK_DIRECTORY);
+            await fs.writeFile(rendition.path, 'rendition');
+            await Storage.putRendition(rendition);
+            assert.strictEqual(await fs.readFile(path.join(root, 'out', 'rendition.txt'), 'utf8'), 'rendition');
+
+            const outside = pathToFileURL(path.join(WORK_DIRECTORY, 'secret.txt')).href;
+            await assert.rejects(Storage.getAsset(outside, WORK_DIRECTORY, 'source.txt'),
+                { name: 'SourceUnsupportedError', message: `${outside} is outside of the storage root` });
+        });
+    });
+
+    it('fails to upload to targets without a provider', async () => {
+        const rendition = new Rendition({ type: 'text/plain', target: 'memory://rendition.txt' }, WORK_DIRECTORY);
+        await fs.writeFile(rendition.path, 'rendition');
+        await assert.rejects(Storage.putRendition(rendition),
+            { name: 'GenericError', message: 'No storage provider for the target of rendition 0: memory://rendition.txt' });
+    });
+});
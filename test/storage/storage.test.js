@@ -67,6 +67,53 @@ describe('storage.js', () => {
             assert.ok(nock.isDone());
         });
 
+        it('should verify the digests supplied with the source', async () => {
+            const assetReference = {
+                url: 'https://example.com/photo/elephant.png',
+                size: 11,
+                type: 'image/png',
+                sha1: '2aae6c35c94fcfb415dbe95f408b9ce91ee846ed',
+                md5: 'XrY7u+Ae7tCTyyK7j1rNww=='
+            };
+            const directory = './in/fakeSource/filePath';
+            mockFs({ './in/fakeSource/filePath': {} });
+
+            nock('https://example.com')
+                .get('/photo/elephant.png')
+                .reply(200, "hello world", {
+                    'content-type': 'image/png',
+                    'content-length': 11
+                });
+
+            const source = await Storage.getAsset(assetReference, directory, 'source.png');
+            assert.strictEqual(source.path, 'in/fakeSource/filePath/source.png');
+            assert.ok(nock.isDone());
+        });
+
+        it('should fail with a SourceCorruptError if the source does not match its digest', async () => {
+            const assetReference = {
+                url: 'https://example.com/photo/elephant.png',
+                size: 5,
+                type: 'image/png',
+                sha256: 'b94d27b9934d3e08a52e52d7da7dabfac484efe37a5380ee9088f7ace2efcde9'
+            };
+            const directory = './in/fakeSource/filePath';
+            mockFs({ './in/fakeSource/filePath': {} });
+
+            // truncated download
+            nock('https://example.com')
+                .get('/photo/elephant.png')
+                .reply(200, "hello", {
+                    'content-type': 'image/png',
+                    'content-length': 5
+                });
+
+            await assert.rejects(Storage.getAsset(assetReference, directory, 'source.png'), {
+                name: 'SourceCorruptError',
+                message: 'Source source.png does not match its sha256 digest: expected b94d27b9934d3e08a52e52d7da7dabfac484efe37a5380ee9088f7ace2efcde9, found 2cf24dba5fb0a30e26e83b2ac5b9e29e1b161e5c1fa7425e73043362938b9824'
+            });
+        });
+
         it('should download png and use basic auth headers', async () => {
             const assetReference = {
                 url: 'https://example.com/photo/elephant.png',
@@ -0,0 +1,69 @@
+/*
+ * Copyright 2021 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+
+'use strict';
+
+const assert = require('assert');
+const { throwIfAborted, abortable, linkedAbortController } = require('../../lib/utils/abort');
+const { CancelledError } = require('../../lib/errors');
+const AbortController = require('../mock-abort-controller');
+
+describe("abort.js", function() {
+
+    it("throwIfAborted", function() {
+        const controller = new AbortController();
+        throwIfAborted();
+        throwIfAborted(controller.signal, 'test');
+        controller.abort();
+        assert.throws(() => throwIfAborted(controller.signal, 'test'), error => {
+            return error instanceof CancelledError && error.location === 'test';
+        });
+    });
+
+    it("abortable resolves like the promise", async function() {
+        assert.strictEqual(await abortable(Promise.resolve(1)), 1);
+        assert.strictEqual(await abortable(Promise.resolve(2), new AbortController().signal), 2);
+        await assert.rejects(abortable(Promise.reject(new Error("failed")), new AbortController().signal), { message: "failed" });
+    });
+
+    it("abortable rejects once the signal is aborted", async function() {
+        const controller = new AbortController();
+        const promise = abortable(new Promise(() => {}), controller.signal, 'test');
+        controller.abort();
+        await assert.rejects(promise, CancelledError);
+    });
+
+    it("abortable rejects if the signal is already aborted", async function() {
+        const controller = new AbortController();
+        controller.abort();
+        await assert.rejects(abortable(Promise.resolve(1), controller.signal), CancelledError);
+    });
+
+    it("linkedAbortController follows its parent until released", function() {
+        const parent = new AbortController();
+        const child = linkedAbortController(parent.signal);
+        child.abort();
+        assert.strictEqual(child.signal.aborted, true);
+        assert.strictEqual(parent.signal.aborted, false);
+
+        const linked = linkedAbortController(parent.signal);
+        const released = linkedAbortController(parent.signal);
+        released.release();
+        parent.abort();
+        assert.strictEqual(linked.signal.aborted, true);
+        assert.strictEqual(released.signal.aborted, false);
+        assert.strictEqual(linkedAbortController(parent.signal).signal.aborted, true);
+        assert.strictEqual(linkedAbortController().signal.aborted, false);
+    });
+});
@@ -0,0 +1,78 @@
+/*
+ * Copyright 2021 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+/* eslint mocha/no-mocha-arrows: "off" */
+
+'use strict';
+
+const assert = require('assert');
+const mockFs = require('mock-fs');
+const { fileDigests, fileDigest, parseDigest, assetDigests, verifyFileDigests } = require('../../lib/utils/digest');
+
+const SHA1 = '2aae6c35c94fcfb415dbe95f408b9ce91ee846ed';
+const MD5_BASE64 = 'XrY7u+Ae7tCTyyK7j1rNww==';
+const SHA256 = 'b94d27b9934d3e08a52e52d7da7dabfac484efe37a5380ee9088f7ace2efcde9';
+
+describe('digest.js', () => {
+    beforeEach(() => {
+        mockFs({ '/file.txt': 'hello world' });
+    });
+
+    afterEach(() => {
+        mockFs.restore();
+    });
+
+    it('computes digests of a file', async () => {
+        assert.strictEqual(await fileDigest('/file.txt'), SHA1);
+        assert.strictEqual(await fileDigest('/file.txt', 'md5', 'base64'), MD5_BASE64);
+
+        const digests = await fileDigests('/file.txt', ['md5', 'sha1', 'sha256']);
+        assert.strictEqual(digests.md5.toString('base64'), MD5_BASE64);
+        assert.strictEqual(digests.sha1.toString('hex'), SHA1);
+        assert.strictEqual(digests.sha256.toString('hex'), SHA256);
+
+        await assert.rejects(fileDigest('/missing.txt', 'sha256'), /creating sha256 hash failed/);
+    });
+
+    it('parses hex and base64 digests', () => {
+        assert.strictEqual(parseDigest(SHA1.toUpperCase(), 'sha1').toString('hex'), SHA1);
+        assert.strictEqual(parseDigest(MD5_BASE64, 'md5').toString('base64'), MD5_BASE64);
+        assert.strictEqual(parseDigest(MD5_BASE64, 'sha1'), undefined);
+        assert.strictEqual(parseDigest('not a digest', 'md5'), undefined);
+        assert.strictEqual(parseDigest(undefined, 'md5'), undefined);
+    });
+
+    it('returns the digests of an asset', () => {
+        assert.deepStrictEqual(assetDigests({ url: 'https://example.com/file.txt', sha1: SHA1, md5: MD5_BASE64 }), { md5: MD5_BASE64, sha1: SHA1 });
+        assert.deepStrictEqual(assetDigests({ url: 'https://example.com/file.txt' }), {});
+        assert.deepStrictEqual(assetDigests(undefined), {});
+    });
+
+    it('verifies a file against digests', async () => {
+        assert.deepStrictEqual(await verifyFileDigests('/file.txt', { sha1: SHA1, md5: MD5_BASE64, sha256: SHA256 }), ['sha1', 'md5', 'sha256']);
+        assert.deepStrictEqual(await verifyFileDigests('/file.txt', {}), []);
+
+        await assert.rejects(verifyFileDigests('/file.txt', { sha1: SHA1.replace('2', '3') }, 'Source file.txt'), {
+            name: 'SourceCorruptError',
+            message: `Source file.txt does not match its sha1 digest: expected ${SHA1.replace('2', '3')}, found ${SHA1}`
+        });
+        await assert.rejects(verifyFileDigests('/file.txt', { md5: 'abc' }, 'Source file.txt'), {
+            name: 'SourceCorruptError',
+            message: 'Invalid md5 digest for Source file.txt: abc'
+        });
+        await assert.rejects(verifyFileDigests('/file.txt', { crc32: 'abc' }, 'Source file.txt'), {
+            name: 'SourceCorruptError',
+            message: 'Unsupported digest algorithm for Source file.txt: crc32'
+        });
+    });
+});
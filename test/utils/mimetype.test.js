@@ -0,0 +1,59 @@
+/*
+ * Copyright 2021 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+/* eslint mocha/no-mocha-arrows: "off" */
+
+'use strict';
+
+const { normalizeMimetype, normalizeMimetypes, addMimetypeAlias, withNormalizedType } = require('../../lib/utils/mimetype');
+const assert = require('assert');
+
+describe("mimetype.js", () => {
+    it('normalizes mime type aliases', function () {
+        assert.strictEqual(normalizeMimetype('image/jpg'), 'image/jpeg');
+        assert.strictEqual(normalizeMimetype('image/JPG'), 'image/jpeg');
+        assert.strictEqual(normalizeMimetype('image/tif'), 'image/tiff');
+        assert.strictEqual(normalizeMimetype('image/x-png'), 'image/png');
+        assert.strictEqual(normalizeMimetype('image/svg'), 'image/svg+xml');
+        assert.strictEqual(normalizeMimetype('image/jpeg'), 'image/jpeg');
+        assert.strictEqual(normalizeMimetype('machine-json'), 'machine-json');
+        assert.strictEqual(normalizeMimetype(1), 1);
+        assert.strictEqual(normalizeMimetype(undefined), undefined);
+    });
+
+    it('normalizes lists of mime types', function () {
+        assert.deepStrictEqual(normalizeMimetypes(['image/jpg', 'image/jpeg', 'image/tif']), ['image/jpeg', 'image/tiff']);
+        assert.strictEqual(normalizeMimetypes('image/jpg'), 'image/jpeg');
+    });
+
+    it('adds aliases at runtime', function () {
+        assert.strictEqual(normalizeMimetype('image/x-test-alias'), 'image/x-test-alias');
+        addMimetypeAlias('image/x-test-alias', 'image/jpg');
+        assert.strictEqual(normalizeMimetype('image/x-test-alias'), 'image/jpeg');
+        assert.throws(() => addMimetypeAlias('image/x-test-alias'));
+    });
+
+    it('normalizes the type of an object without changing it', function () {
+        const source = { type: 'image/jpg', width: 100 };
+        assert.deepStrictEqual(withNormalizedType(source), { type: 'image/jpeg', width: 100 });
+        assert.strictEqual(source.type, 'image/jpg');
+
+        const inputs = { type: ['image/png', 'image/tif'] };
+        assert.deepStrictEqual(withNormalizedType(inputs), { type: ['image/png', 'image/tiff'] });
+        assert.deepStrictEqual(inputs.type, ['image/png', 'image/tif']);
+
+        const normalized = { type: ['image/png'] };
+        assert.strictEqual(withNormalizedType(normalized), normalized);
+        assert.strictEqual(withNormalizedType(undefined), undefined);
+    });
+});